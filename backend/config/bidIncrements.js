@@ -0,0 +1,77 @@
+/**
+ * Bid Increment Tables
+ * How much the next bid has to add, by price band. Each row applies to
+ * current prices below `upTo`; the last row has no `upTo` and covers the rest.
+ *
+ *   BID_INCREMENTS  platform table as JSON, e.g.
+ *                   [{"upTo":1000,"increment":10},{"increment":50}]
+ *                   Defaults to PLATFORM_DEFAULT below.
+ *
+ * Categories can carry their own table (Category.bidIncrements); a seller's
+ * minIncrement on a listing overrides both.
+ *
+ * Author: Rakib
+ * Date: Sprint 3
+ */
+
+const PLATFORM_DEFAULT = [
+    { upTo: 1000, increment: 10 },
+    { upTo: 10000, increment: 50 },
+    { upTo: 50000, increment: 100 },
+    { upTo: 200000, increment: 500 },
+    { upTo: null, increment: 1000 }
+];
+
+/**
+ * Check and tidy an increment table
+ * Rows are sorted by upTo; exactly one open-ended row (no upTo) must close it.
+ * @param {Array<{upTo?: number|null, increment: number}>} rows
+ * @returns {Array<{upTo: number|null, increment: number}>}
+ * @throws {Error} with a user-facing message when the table is unusable
+ */
+const normalizeTable = (rows) => {
+    if (!Array.isArray(rows) || rows.length === 0) {
+        throw new Error('Increment table needs at least one row');
+    }
+    const table = rows.map((row) => ({
+        upTo: row.upTo === undefined || row.upTo === null || row.upTo === '' ? null : Number(row.upTo),
+        increment: Number(row.increment)
+    }));
+    for (const row of table) {
+        if (!(row.increment > 0)) throw new Error('Every increment must be greater than 0');
+        if (row.upTo !== null && !(row.upTo > 0)) throw new Error('Price bands must end above 0');
+    }
+    if (table.filter((row) => row.upTo === null).length !== 1) {
+        throw new Error('Exactly one row must have no upper limit');
+    }
+    table.sort((a, b) => (a.upTo === null ? 1 : b.upTo === null ? -1 : a.upTo - b.upTo));
+    if (table.some((row, i) => i > 0 && row.upTo !== null && row.upTo === table[i - 1].upTo)) {
+        throw new Error('Price bands must not repeat');
+    }
+    return table;
+};
+
+// Helper: platform table, from BID_INCREMENTS when it parses
+const platformTable = () => {
+    if (!process.env.BID_INCREMENTS) return PLATFORM_DEFAULT;
+    try {
+        return normalizeTable(JSON.parse(process.env.BID_INCREMENTS));
+    } catch (error) {
+        console.error('BID_INCREMENTS ignored:', error.message);
+        return PLATFORM_DEFAULT;
+    }
+};
+
+/**
+ * Increment for a price from a table (the platform table when none is given)
+ * @param {number} price
+ * @param {Array} [table]
+ * @returns {number}
+ */
+const incrementFor = (price, table) => {
+    const rows = table && table.length > 0 ? table : platformTable();
+    const row = rows.find((r) => r.upTo === null || r.upTo === undefined || price < r.upTo);
+    return (row || rows[rows.length - 1]).increment;
+};
+
+module.exports = { PLATFORM_DEFAULT, normalizeTable, platformTable, incrementFor };
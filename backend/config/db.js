@@ -11,12 +11,16 @@ const mongoose = require('mongoose');
  * Connect to MongoDB database
  * Uses connection string from environment variables
  * Handles connection events and errors
+ *
+ * Bids and bid retractions run in transactions, which MongoDB only
+ * supports on a replica set — a single-node one is enough (see README).
+ * Startup stops on a standalone server rather than failing every bid later.
  */
 
 const connectDB = async () => {
     try {
         // Get MongoDB URI from environment variables
-        const mongoURI = process.env.MONGO_URI || 'mongodb://localhost:27017/auction-it';
+        const mongoURI = process.env.MONGO_URI || 'mongodb://localhost:27017/auction-it?replicaSet=rs0';
         
         // Configure connection options
         const options = {
@@ -32,6 +36,13 @@ const connectDB = async () => {
         console.log(`MongoDB Connected Successfully: ${conn.connection.host}`);
         console.log(`Database Name: ${conn.connection.name}`);
 
+        // Transactions need a replica set; a standalone server has no setName
+        const hello = await conn.connection.db.admin().command({ hello: 1 });
+        if (!hello.setName) {
+            throw new Error('MongoDB is running standalone. Start it as a replica set '
+                + '(mongod --replSet rs0, then rs.initiate() once) and add ?replicaSet=rs0 to MONGO_URI.');
+        }
+
         // Handle connection events
         mongoose.connection.on('error', (err) => {
             console.error('MongoDB connection error:', err);
@@ -0,0 +1,70 @@
+/**
+ * Mail Transport Configuration
+ * Builds the nodemailer transport from the environment
+ *
+ *   MAIL_TRANSPORT  smtp | file | json
+ *                   smtp — SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+ *                   file — each message written as JSON to MAIL_OUTBOX_DIR
+ *                          (default backend/mail-outbox); for local testing
+ *                   json — each message logged to the console
+ *                   Defaults to smtp when SMTP_HOST is set, file otherwise.
+ *   MAIL_FROM       sender, default "Auction It <no-reply@auctionit.local>"
+ *
+ * Author: Talha
+ * Date: Sprint 3
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Auction It <no-reply@auctionit.local>';
+const OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'mail-outbox');
+
+const transportType = () => process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'file');
+
+let transport = null;
+
+// Helper: SMTP settings from the environment
+const smtpOptions = () => ({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+});
+
+/**
+ * The shared transport, created on first use
+ * The file and json transports render the full message with nodemailer's
+ * JSON transport, then store or print it instead of delivering it.
+ * @returns {{ sendMail: Function }}
+ */
+const getTransport = () => {
+    if (transport) return transport;
+
+    const type = transportType();
+    if (type === 'smtp') {
+        transport = nodemailer.createTransport(smtpOptions());
+        return transport;
+    }
+
+    const json = nodemailer.createTransport({ jsonTransport: true });
+    transport = {
+        sendMail: async (message) => {
+            const info = await json.sendMail(message);
+            if (type === 'file') {
+                await fs.promises.mkdir(OUTBOX_DIR, { recursive: true });
+                const name = `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.json`;
+                await fs.promises.writeFile(path.join(OUTBOX_DIR, name), info.message);
+            } else {
+                console.log('📧 Mail:', info.message);
+            }
+            return info;
+        }
+    };
+    return transport;
+};
+
+module.exports = { getTransport, MAIL_FROM };
@@ -0,0 +1,239 @@
+/**
+ * Socket.io Configuration
+ * Creates the Socket.io server, manages rooms and publishes auction events
+ * Clients only listen: every bid/auction event is emitted here by the server
+ * from the auction event bus, never relayed from another client.
+ *
+ * Rooms:
+ *   auction-<id>  everyone viewing an auction (anonymous sockets too, read-only)
+ *   user-<id>     one user's personal events — joined automatically, and only,
+ *                 by sockets that sent that user's JWT in the handshake:
+ *                 io(url, { auth: { token } })
+ *   session-<id>  the sockets of one login session (the token's sid), so
+ *                 revoking a session can drop them
+ *
+ * Events sent to clients:
+ *   bid-updated      (auction room)  new price, next minimum bid, bid count, end time, new bids
+ *   sealed-bid-placed (auction room) sealed formats: bid count only
+ *   bid-retracted    (auction room)  restored price, bid count and high bidder, ids of removed bids
+ *   outbid           (user room)     you are no longer the high bidder
+ *   auction-extended (auction room)  soft close pushed endTime out
+ *   auction-started  (auction room)
+ *   auction-ended    (auction room + winner/seller rooms)
+ *   notification     (user room)     a new in-app notification
+ *
+ * Author: Talha
+ * Date: Sprint 3
+ */
+
+const socketio = require('socket.io');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const Bid = require('../models/Bid');
+const { getUserFromToken } = require('../middleware/auth');
+const auctionEvents = require('../services/auctionEvents');
+
+let io = null;
+
+// Helper: room names
+const auctionRoom = (auctionId) => `auction-${auctionId}`;
+const userRoom = (userId) => `user-${userId}`;
+const sessionRoom = (sessionId) => `session-${sessionId}`;
+
+/**
+ * Broadcast an accepted bid (and whatever it caused) to the right rooms
+ */
+const publishBidAccepted = async ({ auction, bids, previousHighBidder, extended, displaced }) => {
+    if (!io) return;
+    const auctionId = auction._id.toString();
+
+    await Bid.populate(bids, { path: 'bidder', select: 'name' });
+
+    io.to(auctionRoom(auctionId)).emit('bid-updated', {
+        auctionId,
+        currentPrice: auction.currentPrice,
+        totalBids: auction.totalBids,
+        unitsClaimed: auction.unitsClaimed,
+        bidIncrement: auction.getIncrement(),
+        ...(auction.isReverse()
+            ? { maximumOffer: auction.getMaximumOffer() }
+            : { minimumBid: auction.getMinimumBid() }),
+        highBidder: auction.highBidder,
+        reserveMet: auction.reserveMet,
+        endTime: auction.endTime,
+        bids: bids.map((b) => ({
+            _id: b._id,
+            amount: b.amount,
+            quantity: b.quantity,
+            isAutomatic: b.isAutomatic,
+            createdAt: b.createdAt,
+            bidder: b.bidder ? { _id: b.bidder._id, name: b.bidder.name } : null
+        }))
+    });
+
+    auctionEvents.outbidUsers({ auction, bids, previousHighBidder, displaced }).forEach((userId) => {
+        io.to(userRoom(userId)).emit('outbid', {
+            auctionId,
+            currentPrice: auction.currentPrice
+        });
+    });
+
+    if (extended) {
+        io.to(auctionRoom(auctionId)).emit('auction-extended', {
+            auctionId,
+            endTime: auction.endTime,
+            extensionCount: auction.extensionCount
+        });
+    }
+};
+
+// Sealed bids: only the count is public until the auction closes
+const publishSealedBid = ({ auction }) => {
+    if (!io) return;
+    io.to(auctionRoom(auction._id)).emit('sealed-bid-placed', {
+        auctionId: auction._id.toString(),
+        totalBids: auction.totalBids
+    });
+};
+
+// Retracted bids: the restored state, and which bids to drop from the history
+const publishBidRetracted = ({ auction, retraction }) => {
+    if (!io) return;
+    io.to(auctionRoom(auction._id)).emit('bid-retracted', {
+        auctionId: auction._id.toString(),
+        currentPrice: auction.currentPrice,
+        bidIncrement: auction.getIncrement(),
+        ...(auction.isReverse()
+            ? { maximumOffer: auction.getMaximumOffer() }
+            : { minimumBid: auction.getMinimumBid() }),
+        totalBids: auction.totalBids,
+        highBidder: auction.highBidder,
+        reserveMet: auction.reserveMet,
+        removedBids: [...retraction.bids, ...retraction.proxyBids].map((b) => b.bid)
+    });
+};
+
+// Broadcast a lifecycle transition
+const publishAuctionStarted = (auction) => {
+    if (!io) return;
+    io.to(auctionRoom(auction._id)).emit('auction-started', {
+        auctionId: auction._id.toString(),
+        endTime: auction.endTime
+    });
+};
+
+const publishAuctionEnded = (auction) => {
+    if (!io) return;
+    const payload = {
+        auctionId: auction._id.toString(),
+        status: auction.status,
+        winner: auction.winner || null,
+        finalPrice: auction.finalPrice || null,
+        soldViaBuyNow: Boolean(auction.soldViaBuyNow)
+    };
+
+    const rooms = [auctionRoom(auction._id), userRoom(auction.seller)];
+    auctionEvents.winnersOf(auction).forEach((w) => rooms.push(userRoom(w.bidder)));
+    io.to(rooms).emit('auction-ended', payload);
+};
+
+/**
+ * Create the Socket.io server on top of the HTTP server
+ * @param {http.Server} server
+ * @returns {Server} - the Socket.io server
+ */
+const initSocket = (server) => {
+    io = socketio(server, {
+        cors: {
+            origin: process.env.CLIENT_URL || 'http://localhost:3000',
+            methods: ['GET', 'POST', 'PUT', 'DELETE'],
+            credentials: true
+        }
+    });
+
+    // Handshake auth: same JWT that protect verifies. No token = anonymous
+    // (public auction rooms only); a bad token is refused so the client
+    // can reconnect without it or with a fresh one.
+    io.use(async (socket, next) => {
+        try {
+            const header = socket.handshake.headers.authorization;
+            const token = socket.handshake.auth?.token
+                || (header && header.startsWith('Bearer') ? header.split(' ')[1] : null);
+
+            socket.data.user = null;
+            if (!token) return next();
+
+            const user = await getUserFromToken(token);
+            if (!user) return next(new Error('unauthorized'));
+
+            // getUserFromToken verified the token; the sid ties the socket to its session
+            socket.data.user = { _id: user._id.toString(), role: user.role, sid: String(jwt.decode(token).sid) };
+            next();
+        } catch (error) {
+            console.error('Socket auth error:', error);
+            next(new Error('Server error in authentication'));
+        }
+    });
+
+    io.on('connection', (socket) => {
+        const user = socket.data.user;
+        console.log(`New client connected: ${socket.id}${user ? ` (user ${user._id})` : ' (anonymous)'}`);
+
+        // Authenticated sockets get their own room and nobody else's
+        if (user) {
+            socket.join([userRoom(user._id), sessionRoom(user.sid)]);
+        }
+
+        // Join auction room for real-time bidding
+        socket.on('join-auction', (auctionId) => {
+            if (!mongoose.Types.ObjectId.isValid(auctionId)) return;
+            socket.join(auctionRoom(auctionId));
+            console.log(`Socket ${socket.id} joined auction-${auctionId}`);
+        });
+
+        // Leave auction room
+        socket.on('leave-auction', (auctionId) => {
+            socket.leave(auctionRoom(auctionId));
+            console.log(`Socket ${socket.id} left auction-${auctionId}`);
+        });
+
+        // Handle disconnection
+        socket.on('disconnect', () => {
+            console.log(`Client disconnected: ${socket.id}`);
+        });
+    });
+
+    return io;
+};
+
+// Server-side events are the only source of what clients hear
+auctionEvents.subscribe('bid:accepted', publishBidAccepted);
+auctionEvents.subscribe('bid:sealed', publishSealedBid);
+auctionEvents.subscribe('bid:retracted', publishBidRetracted);
+auctionEvents.subscribe('auction:activated', publishAuctionStarted);
+auctionEvents.subscribe('auction:ended', publishAuctionEnded);
+
+// Access the Socket.io server from elsewhere (null before initSocket)
+const getIO = () => io;
+
+// Send an event to every socket of one user (no-op before initSocket)
+const emitToUser = (userId, event, payload) => {
+    if (!io) return;
+    io.to(userRoom(userId)).emit(event, payload);
+};
+
+// Drop every live socket of one user (forced logout, deactivation, password
+// reset, "log out everywhere") — optionally keeping one session's sockets
+const disconnectUser = (userId, exceptSessionId) => {
+    if (!io) return;
+    const sockets = io.in(userRoom(userId));
+    (exceptSessionId ? sockets.except(sessionRoom(exceptSessionId)) : sockets).disconnectSockets(true);
+};
+
+// Drop the live sockets of one revoked session (one device logged out)
+const disconnectSession = (sessionId) => {
+    if (!io) return;
+    io.in(sessionRoom(sessionId)).disconnectSockets(true);
+};
+
+module.exports = { initSocket, getIO, emitToUser, disconnectUser, disconnectSession };
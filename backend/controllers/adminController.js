@@ -8,6 +8,47 @@ const Auction = require("../models/Auction");
 const Item      = require('../models/Item');
 const Bid       = require('../models/Bid');
 const Watchlist = require('../models/Watchlist');
+const mongoose  = require('mongoose');
+const { scheduleAuction } = require('../services/auctionScheduler');
+const { notify } = require('../services/notificationService');
+const { sendToUser } = require('../services/mailService');
+
+// Review outcomes and what the seller is told in-app
+const REVIEW_TITLES = {
+    approved: 'Listing approved',
+    rejected: 'Listing not approved',
+    changes_requested: 'Changes requested for your listing'
+};
+
+// Helper: tell the seller how the review of their listing went
+const notifySellerOfReview = async (auction, outcome) => {
+    const title = auction.item ? auction.item.title : 'your listing';
+    const messages = {
+        approved: `"${title}" is approved and goes live at its start time.`,
+        rejected: `"${title}" was taken down. ${auction.reviewNote}`,
+        changes_requested: `"${title}" needs changes: ${auction.reviewNote}`
+    };
+    await notify([{
+        recipient: auction.seller,
+        type: 'listing_review',
+        title: REVIEW_TITLES[outcome],
+        message: messages[outcome].trim(),
+        auction: auction._id,
+        link: `/auction/${auction._id}`,
+        payload: { outcome, note: auction.reviewNote }
+    }]);
+    await sendToUser(auction.seller, 'listingReview', {
+        title, auctionId: auction._id, outcome, note: auction.reviewNote
+    });
+};
+
+// Helper: apply a review decision to a listing that is still waiting for one
+// Returns the updated auction, or null if it isn't in one of `fromStatuses`
+const decideReview = (id, fromStatuses, update) => Auction.findOneAndUpdate(
+    { _id: id, status: 'pending', reviewStatus: { $in: fromStatuses } },
+    { $set: { ...update, reviewedAt: new Date(), updatedAt: Date.now() } },
+    { new: true }
+).select('+reservePrice').populate('item', 'title');
 
 
 // @desc   Toggle featured status of an auction
@@ -104,4 +145,127 @@ const deleteAuction = async (req, res) => {
     }
 };
 
-module.exports = { toggleFeatured, getFeaturedAuctions, deleteAuction};
+// @desc   Listings waiting for review, oldest first
+// @route  GET /api/admin/auctions/review?status=pending_review|changes_requested
+// @access Admin only
+const getReviewQueue = async (req, res) => {
+    try {
+        const reviewStatus = req.query.status === 'changes_requested' ? 'changes_requested' : 'pending_review';
+        const auctions = await Auction.find({ status: 'pending', reviewStatus })
+            .select('+reservePrice')
+            .populate('item', 'title description images condition')
+            .populate('seller', 'name username email storeName')
+            .populate('category', 'name')
+            .sort({ createdAt: 1 });
+        res.json({ success: true, count: auctions.length, data: auctions });
+    } catch (error) {
+        console.error('getReviewQueue error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// @desc   Approve a listing — the scheduler starts it at its startTime
+// @route  PUT /api/admin/auctions/:id/approve
+// @access Admin only
+const approveAuction = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ success: false, message: 'Auction not found' });
+        }
+        const current = await Auction.findById(req.params.id).select('endTime');
+        if (current && current.endTime <= new Date()) {
+            return res.status(400).json({
+                success: false,
+                message: 'This listing\'s end time has already passed. Request changes instead.'
+            });
+        }
+
+        const auction = await decideReview(req.params.id, ['pending_review', 'changes_requested'], {
+            isApproved: true,
+            reviewStatus: 'approved',
+            reviewNote: '',
+            approvedBy: req.user._id,
+            approvedAt: new Date()
+        });
+        if (!auction) {
+            return res.status(404).json({ success: false, message: 'No listing waiting for review with that ID' });
+        }
+
+        scheduleAuction(auction);
+        await notifySellerOfReview(auction, 'approved');
+        res.json({ success: true, message: 'Listing approved', data: auction });
+    } catch (error) {
+        console.error('approveAuction error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// @desc   Reject a listing: it is cancelled and the item freed
+// @route  PUT /api/admin/auctions/:id/reject   body: { reason }
+// @access Admin only
+const rejectAuction = async (req, res) => {
+    try {
+        const reason = String(req.body.reason || '').trim().slice(0, 500);
+        if (!reason) {
+            return res.status(400).json({ success: false, message: 'Please give a reason for the rejection' });
+        }
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ success: false, message: 'Auction not found' });
+        }
+
+        const auction = await decideReview(req.params.id, ['pending_review', 'changes_requested'], {
+            status: 'cancelled',
+            reviewStatus: 'rejected',
+            reviewNote: reason
+        });
+        if (!auction) {
+            return res.status(404).json({ success: false, message: 'No listing waiting for review with that ID' });
+        }
+
+        await Item.findByIdAndUpdate(auction.item._id, { status: 'available' });
+        await notifySellerOfReview(auction, 'rejected');
+        res.json({ success: true, message: 'Listing rejected', data: auction });
+    } catch (error) {
+        console.error('rejectAuction error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// @desc   Send a listing back to the seller; editing it resubmits it
+// @route  PUT /api/admin/auctions/:id/request-changes   body: { reason }
+// @access Admin only
+const requestAuctionChanges = async (req, res) => {
+    try {
+        const reason = String(req.body.reason || '').trim().slice(0, 500);
+        if (!reason) {
+            return res.status(400).json({ success: false, message: 'Please describe the changes needed' });
+        }
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ success: false, message: 'Auction not found' });
+        }
+
+        const auction = await decideReview(req.params.id, ['pending_review'], {
+            reviewStatus: 'changes_requested',
+            reviewNote: reason
+        });
+        if (!auction) {
+            return res.status(404).json({ success: false, message: 'No listing waiting for review with that ID' });
+        }
+
+        await notifySellerOfReview(auction, 'changes_requested');
+        res.json({ success: true, message: 'Changes requested', data: auction });
+    } catch (error) {
+        console.error('requestAuctionChanges error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+module.exports = {
+    toggleFeatured,
+    getFeaturedAuctions,
+    deleteAuction,
+    getReviewQueue,
+    approveAuction,
+    rejectAuction,
+    requestAuctionChanges
+};
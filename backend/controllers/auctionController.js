@@ -7,12 +7,211 @@
 
 const Auction = require('../models/Auction');
 const Item = require('../models/Item');
+const Bid = require('../models/Bid');
+const MaxBid = require('../models/MaxBid');
+const ItemView = require('../models/ItemView');
+const Watchlist = require('../models/Watchlist');
+const Category = require('../models/Category');
 const mongoose = require('mongoose');
+const { platformTable } = require('../config/bidIncrements');
+const { scheduleAuction } = require('../services/auctionScheduler');
+const auctionEvents = require('../services/auctionEvents');
+const { hasAdminAccess, checkOwnerOrAdmin } = require('../middleware/auth');
+
+// Helper: read soft-close (anti-sniping) settings from a request body
+// Accepts flat multipart fields; returns only the keys that were provided
+const parseSoftClose = (body) => {
+    const softClose = {};
+    if (body.softCloseEnabled !== undefined) {
+        softClose.enabled = body.softCloseEnabled === true || body.softCloseEnabled === 'true';
+    }
+    if (body.softCloseWindowMinutes !== undefined && body.softCloseWindowMinutes !== '') {
+        softClose.windowMinutes = Number(body.softCloseWindowMinutes);
+    }
+    if (body.softCloseExtensionMinutes !== undefined && body.softCloseExtensionMinutes !== '') {
+        softClose.extensionMinutes = Number(body.softCloseExtensionMinutes);
+    }
+    if (body.softCloseMaxExtensions !== undefined && body.softCloseMaxExtensions !== '') {
+        softClose.maxExtensions = Number(body.softCloseMaxExtensions);
+    }
+    return softClose;
+};
+
+// Helper: validate parsed soft-close settings; returns an error message or null
+// Only the keys that were provided are checked
+const checkSoftClose = (softClose) => {
+    if ('windowMinutes' in softClose &&
+        !(Number.isFinite(softClose.windowMinutes) && softClose.windowMinutes >= 0)) {
+        return 'Soft-close window must be a number of minutes, 0 or more';
+    }
+    if ('extensionMinutes' in softClose &&
+        !(Number.isFinite(softClose.extensionMinutes) && softClose.extensionMinutes >= 0)) {
+        return 'Soft-close extension must be a number of minutes, 0 or more';
+    }
+    if ('maxExtensions' in softClose &&
+        !(Number.isInteger(softClose.maxExtensions) && softClose.maxExtensions >= 0)) {
+        return 'Maximum extensions must be a whole number, 0 or more';
+    }
+    return null;
+};
+
+// Helper: approval fields for a new listing. With LISTING_MODERATION=true a
+// seller's listing waits for an admin (status 'pending', not approved);
+// otherwise, and for admins, it is approved straight away.
+const initialReview = (user) => {
+    if (process.env.LISTING_MODERATION === 'true' && !hasAdminAccess(user)) {
+        return { isApproved: false, reviewStatus: 'pending_review' };
+    }
+    return { isApproved: true, reviewStatus: 'approved', approvedAt: new Date() };
+};
+
+// Helper: does an edit change what a listing shows or sells? Anything but the
+// end time and soft-close settings counts, compared with the current values so
+// re-saving an unchanged form doesn't.
+const changesListing = (auction, itemUpdates, auctionUpdates) => {
+    const current = auction.toObject();
+    const differs = (was, now) => JSON.stringify(was ?? null) !== JSON.stringify(now ?? null);
+    return Object.entries(itemUpdates).some(([key, value]) => differs(current.item?.[key], value))
+        || Object.entries(auctionUpdates).some(([key, value]) =>
+            key !== 'endTime' && !key.startsWith('softClose.') && differs(current[key], value));
+};
+
+// Helper: settings that only make sense for open (english) bidding. Sealed
+// formats have no visible price to buy out or late bids to extend for; in a
+// Dutch auction the floor price takes the place of a reserve, and a reverse
+// auction's budget is its limit. A lot can't be bought out in one go either.
+const formatOverrides = (auctionType, quantity = 1) => {
+    if (auctionType === 'english') return quantity > 1 ? { buyNowPrice: null } : {};
+    const overrides = { buyNowPrice: null, softClose: { enabled: false } };
+    if (auctionType === 'dutch' || auctionType === 'reverse') overrides.reservePrice = 0;
+    return overrides;
+};
+
+// Helper: read Dutch price-drop settings from flat multipart fields
+// Returns only the keys that were provided
+const parseDutch = (body) => {
+    const dutch = {};
+    if (body.dutchFloorPrice !== undefined && body.dutchFloorPrice !== '') {
+        dutch.floorPrice = parseFloat(body.dutchFloorPrice);
+    }
+    if (body.dutchDecrement !== undefined && body.dutchDecrement !== '') {
+        dutch.decrement = parseFloat(body.dutchDecrement);
+    }
+    if (body.dutchIntervalMinutes !== undefined && body.dutchIntervalMinutes !== '') {
+        dutch.intervalMinutes = parseFloat(body.dutchIntervalMinutes);
+    }
+    return dutch;
+};
+
+// Helper: a Dutch price has to have somewhere to fall to, and a pace to fall at.
+// Returns an error message, or null when the settings are fine.
+const checkDutch = (dutch, startPrice) => {
+    if (!(dutch.floorPrice > 0) || dutch.floorPrice >= startPrice) {
+        return 'Floor price must be greater than 0 and lower than the start price';
+    }
+    if (!(dutch.decrement > 0)) {
+        return 'Price drop must be greater than 0';
+    }
+    if (!(dutch.intervalMinutes >= 1)) {
+        return 'Price drop interval must be at least 1 minute';
+    }
+    return null;
+};
+
+// Helper: response shape for an auction — Dutch prices are worked out from
+// the clock, so the stored currentPrice is replaced with the live one
+const withLivePrice = (auction) => {
+    const data = typeof auction.toObject === 'function' ? auction.toObject() : auction;
+    if (data.auctionType !== 'dutch' || !['pending', 'active'].includes(data.status)) return data;
+
+    const { price, nextDropAt, nextPrice } = Auction.dutchPriceAt(data);
+    return { ...data, currentPrice: price, nextPriceDropAt: nextDropAt, nextPrice };
+};
+
+// Helper: increment table a new listing takes — its category's, or the platform's
+const incrementTableFor = async (categoryId) => {
+    if (categoryId && mongoose.Types.ObjectId.isValid(categoryId)) {
+        const category = await Category.findById(categoryId).select('bidIncrements').lean();
+        if (category && category.bidIncrements && category.bidIncrements.length > 0) {
+            return category.bidIncrements;
+        }
+    }
+    return platformTable();
+};
+
+// Helper: what the next bid has to be on a running-price listing — at least
+// minimumBid, or on a buyer request at most maximumOffer. Empty for sealed
+// and Dutch formats.
+const nextBidFields = (auction) => {
+    const type = auction.auctionType || 'english';
+    if (type === 'dutch' || Auction.isSealedType(type)) return {};
+    const doc = Auction.hydrate({
+        _id: auction._id,
+        auctionType: type,
+        startPrice: auction.startPrice,
+        currentPrice: auction.currentPrice,
+        minIncrement: auction.minIncrement,
+        incrementTable: auction.incrementTable,
+        quantity: auction.quantity,
+        unitsClaimed: auction.unitsClaimed,
+        totalBids: auction.totalBids
+    });
+    return doc.isReverse()
+        ? { bidIncrement: doc.getIncrement(), maximumOffer: doc.getMaximumOffer() }
+        : { bidIncrement: doc.getIncrement(), minimumBid: doc.getMinimumBid() };
+};
+
+// Helper: read multi-quantity lot settings (quantity, lotPricing)
+// Returns only the keys that were provided
+const parseLot = (body) => {
+    const lot = {};
+    if (body.quantity !== undefined && body.quantity !== '') lot.quantity = Number(body.quantity);
+    if (body.lotPricing) lot.lotPricing = body.lotPricing;
+    return lot;
+};
+
+// Helper: lots are for open bidding only. Returns an error message, or null.
+const checkLot = (lot, auctionType) => {
+    if (lot.quantity !== undefined && (!Number.isInteger(lot.quantity) || lot.quantity < 1 || lot.quantity > 10000)) {
+        return 'Quantity must be a whole number from 1 to 10000';
+    }
+    if (lot.lotPricing !== undefined && !['uniform', 'pay_as_bid'].includes(lot.lotPricing)) {
+        return 'Lot pricing must be uniform or pay_as_bid';
+    }
+    if (lot.quantity > 1 && auctionType !== 'english') {
+        return 'Only English auctions can sell several units';
+    }
+    return null;
+};
+
+// Helper: read an optional Buy It Now price; blank or 0 means none
+const parseBuyNowPrice = (value) => {
+    const price = parseFloat(value);
+    return price > 0 ? price : null;
+};
+
+// Helper: Buy It Now must beat the start price and cover the reserve,
+// otherwise a buyer could skip the auction below what the seller expects.
+// Returns an error message, or null when the price is fine.
+const checkBuyNowPrice = (buyNowPrice, startPrice, reservePrice) => {
+    if (buyNowPrice === null) return null;
+    if (buyNowPrice <= startPrice) {
+        return 'Buy It Now price must be higher than the start price';
+    }
+    if (reservePrice > 0 && buyNowPrice < reservePrice) {
+        return 'Buy It Now price must be at least the reserve price';
+    }
+    return null;
+};
 
 /**
  * @desc    Create a new auction listing
  * @route   POST /api/auctions
  * @access  Private (Seller only)
+ *
+ * minIncrement is optional: without it bids step by the category's increment
+ * table (or the platform's — see config/bidIncrements.js), which is copied
+ * onto the listing.
  */
 const createAuction = async (req, res) => {
     try {
@@ -23,9 +222,11 @@ const createAuction = async (req, res) => {
             category,
             startPrice,
             reservePrice,
+            buyNowPrice,
             minIncrement,
             startTime,
-            endTime
+            endTime,
+            auctionType = 'english'
         } = req.body;
 
         // Validate required fields
@@ -35,6 +236,51 @@ const createAuction = async (req, res) => {
                 message: 'Please provide all required fields'
             });
         }
+        if (!Auction.AUCTION_TYPES.includes(auctionType)) {
+            return res.status(400).json({
+                success: false,
+                message: `Auction type must be one of: ${Auction.AUCTION_TYPES.join(', ')}`
+            });
+        }
+        if (auctionType === 'reverse') {
+            return res.status(400).json({
+                success: false,
+                message: 'Buyer requests are posted through /api/auctions/requests'
+            });
+        }
+        const dutch = auctionType === 'dutch' ? parseDutch(req.body) : undefined;
+        const dutchError = dutch && checkDutch(dutch, parseFloat(startPrice));
+        if (dutchError) {
+            return res.status(400).json({
+                success: false,
+                message: dutchError
+            });
+        }
+        const softClose = parseSoftClose(req.body);
+        const softCloseError = checkSoftClose(softClose);
+        if (softCloseError) {
+            return res.status(400).json({
+                success: false,
+                message: softCloseError
+            });
+        }
+        const lot = parseLot(req.body);
+        const lotError = checkLot(lot, auctionType);
+        if (lotError) {
+            return res.status(400).json({
+                success: false,
+                message: lotError
+            });
+        }
+        const buyNowError = checkBuyNowPrice(
+            parseBuyNowPrice(buyNowPrice), parseFloat(startPrice), parseFloat(reservePrice) || 0
+        );
+        if (buyNowError) {
+            return res.status(400).json({
+                success: false,
+                message: buyNowError
+            });
+        }
         // Validate: at least 1 image required, max 3
         if (!req.files || req.files.length === 0) {
             return res.status(400).json({
@@ -63,6 +309,7 @@ const createAuction = async (req, res) => {
     });
 
     // Create the auction
+    const review = initialReview(req.user);
     const auction = await Auction.create({
         item: item._id,
         seller: req.user._id,
@@ -70,20 +317,33 @@ const createAuction = async (req, res) => {
         startPrice: parseFloat(startPrice),
         currentPrice: parseFloat(startPrice),
         reservePrice: parseFloat(reservePrice) || 0,
-        minIncrement: parseFloat(minIncrement) || 1.00,
+        buyNowPrice: parseBuyNowPrice(buyNowPrice),
+        minIncrement: parseFloat(minIncrement) || null,
+        incrementTable: await incrementTableFor(category),
         startTime: new Date(startTime),
         endTime: new Date(endTime),
-        status: 'active'
+        softClose,
+        auctionType,
+        dutch,
+        ...lot,
+        ...formatOverrides(auctionType, lot.quantity),
+        ...review,
+        // The scheduler activates future (and newly approved) auctions at their startTime
+        status: review.isApproved && new Date(startTime) <= new Date() ? 'active' : 'pending'
     });
+    scheduleAuction(auction);
 
     // Populate the auction with item details
     const populatedAuction = await Auction.findById(auction._id)
+        .select('+reservePrice')
         .populate('item')
         .populate('seller', 'name email');
 
     res.status(201).json({
         success: true,
-        message: 'Auction created successfully',
+        message: review.isApproved
+            ? 'Auction created successfully'
+            : 'Auction submitted for review. It will go live once an admin approves it.',
         data: populatedAuction
     });
 
@@ -97,6 +357,97 @@ const createAuction = async (req, res) => {
     }
 };
 
+/**
+ * @desc    Post a buyer request (reverse auction): sellers bid the price down
+ * @route   POST /api/auctions/requests
+ * @access  Private
+ *
+ * Body (multipart): title, description, category, budget, minDecrement?,
+ * endTime (the deadline for offers), startTime?, images? (optional, up to 3).
+ * The requester is stored as the listing's seller; the budget is the start
+ * price and each offer has to undercut the last one by minDecrement, or
+ * without one by the category's increment table.
+ */
+const createRequest = async (req, res) => {
+    try {
+        const { title, description, condition, category, budget, minDecrement, startTime, endTime } = req.body;
+
+        if (!title || !budget || !endTime) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a title, a budget and a deadline'
+            });
+        }
+        const maxBudget = parseFloat(budget);
+        if (!(maxBudget > 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Budget must be greater than 0'
+            });
+        }
+        const start = startTime ? new Date(startTime) : new Date();
+        const deadline = new Date(endTime);
+        if (!(deadline > start) || deadline <= new Date()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Deadline must be in the future and after the start time'
+            });
+        }
+        if (req.files && req.files.length > 3) {
+            return res.status(400).json({
+                success: false,
+                message: 'Maximum 3 images allowed'
+            });
+        }
+
+        const item = await Item.create({
+            title,
+            description,
+            seller: req.user._id,
+            condition: condition || 'Good',
+            category: category || 'Other',
+            images: (req.files || []).map((f, idx) => ({ url: f.filename, isPrimary: idx === 0 })),
+            status: 'in_auction'
+        });
+
+        const review = initialReview(req.user);
+        const auction = await Auction.create({
+            item: item._id,
+            seller: req.user._id,
+            category: category || null,
+            auctionType: 'reverse',
+            startPrice: maxBudget,
+            currentPrice: maxBudget,
+            minIncrement: parseFloat(minDecrement) || null,
+            incrementTable: await incrementTableFor(category),
+            startTime: start,
+            endTime: deadline,
+            ...formatOverrides('reverse'),
+            ...review,
+            status: review.isApproved && start <= new Date() ? 'active' : 'pending'
+        });
+        scheduleAuction(auction);
+
+        const populatedAuction = await Auction.findById(auction._id).populate('item');
+
+        res.status(201).json({
+            success: true,
+            message: review.isApproved
+                ? 'Request posted successfully'
+                : 'Request submitted for review. It will go live once an admin approves it.',
+            data: populatedAuction
+        });
+
+    } catch (error) {
+        console.error('Create request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to post request',
+            error: error.message
+        });
+    }
+};
+
 /**
  * @desc    Get seller's auctions
  * @route   GET /api/auctions/my-auctions
@@ -107,7 +458,8 @@ const getMyAuctions = async (req, res) => {
         const { status, page = 1, limit = 10, sortBy, sortOrder } = req.query;
         
         // Build query
-        const query = { seller: req.user._id };
+        // Buyer requests are listed in the buyer dashboard instead
+        const query = { seller: req.user._id, auctionType: { $ne: 'reverse' } };
         if (status) {
             query.status = status;
         }
@@ -116,6 +468,7 @@ const getMyAuctions = async (req, res) => {
         const skip = (parseInt(page) - 1) * parseInt(limit);
 
         const auctions = await Auction.find(query)
+            .select('+reservePrice')
             .populate('item')
             .sort({ createdAt: -1 })
             .skip(skip)
@@ -125,7 +478,7 @@ const getMyAuctions = async (req, res) => {
 
         res.json({
             success: true,
-            data: auctions,
+            data: auctions.map(withLivePrice),
             pagination: {
                 page: parseInt(page),
                 limit: parseInt(limit),
@@ -144,6 +497,123 @@ const getMyAuctions = async (req, res) => {
     }
 };
 
+// Helper: count a view on an item at most once per viewer per 24h (see ItemView)
+const recordItemView = async (req, itemId) => {
+    const viewerKey = req.user
+        ? `user:${req.user._id}`
+        : `anon:${req.ip}|${req.get('user-agent') || ''}`;
+    try {
+        const result = await ItemView.updateOne(
+            { item: itemId, viewerKey },
+            { $setOnInsert: { viewedAt: new Date() } },
+            { upsert: true }
+        );
+        if (result.upsertedCount > 0) {
+            await Item.updateOne({ _id: itemId }, { $inc: { views: 1 } });
+        }
+    } catch (error) {
+        // Duplicate key means a parallel request already counted this viewer
+        if (error.code !== 11000) throw error;
+    }
+};
+
+/**
+ * @desc    Get a single auction with viewer-specific details
+ * @route   GET /api/auctions/:id
+ * @access  Public (richer response when logged in)
+ */
+const getAuctionById = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid auction ID'
+            });
+        }
+
+        const auction = await Auction.findById(id)
+            .select('-lease -watchers')
+            .populate('item')
+            .populate('seller', 'name username profilePicture rating totalRatings createdAt')
+            .populate('category', 'name slug')
+            .lean();
+
+        if (!auction) {
+            return res.status(404).json({
+                success: false,
+                message: 'Auction not found'
+            });
+        }
+
+        const viewerId = req.user ? req.user._id.toString() : null;
+        const isSeller = Boolean(viewerId && auction.seller && auction.seller._id.toString() === viewerId);
+
+        // Listings awaiting (or refused) review are only visible to their seller and admins
+        if (!auction.isApproved && !isSeller && !hasAdminAccess(req.user)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Auction not found'
+            });
+        }
+
+        if (auction.item) {
+            await recordItemView(req, auction.item._id);
+        }
+
+        const viewer = {
+            isAuthenticated: Boolean(viewerId),
+            isSeller,
+            isWinning: Boolean(viewerId && auction.highBidder && auction.highBidder.toString() === viewerId),
+            inWatchlist: false,
+            hasBid: false,
+            myMaxBid: null,
+            mySealedBid: null
+        };
+
+        if (viewerId) {
+            const [watching, myBid, myMax] = await Promise.all([
+                Watchlist.exists({ user: viewerId, auction: id }),
+                Bid.findOne({ auction: id, bidder: viewerId }).sort({ amount: -1 }).select('amount sealed'),
+                MaxBid.findOne({ auction: id, bidder: viewerId }).select('maxAmount')
+            ]);
+            viewer.inWatchlist = Boolean(watching);
+            viewer.hasBid = Boolean(myBid);
+            viewer.myMaxBid = myMax ? myMax.maxAmount : null;
+            viewer.mySealedBid = myBid && myBid.sealed ? myBid.amount : null;
+
+            // Lots: how many units the viewer's standing bid currently wins
+            if (auction.quantity > 1 && myBid) {
+                const bids = await Bid.find({ auction: id }).select('bidder amount quantity createdAt');
+                const { winners } = Auction.hydrate({ _id: auction._id, quantity: auction.quantity }).allocateLot(bids);
+                const mine = winners.find((w) => w.bidder.toString() === viewerId);
+                viewer.myUnits = mine ? mine.quantity : 0;
+                viewer.isWinning = viewer.myUnits > 0;
+            }
+        }
+
+        // The reserve amount itself only goes to the seller (and admins)
+        if (isSeller || hasAdminAccess(req.user)) {
+            const withReserve = await Auction.findById(id).select('+reservePrice');
+            auction.reservePrice = withReserve ? withReserve.reservePrice : 0;
+        }
+
+        res.json({
+            success: true,
+            data: { ...withLivePrice(auction), ...nextBidFields(auction), viewer }
+        });
+
+    } catch (error) {
+        console.error('Get auction error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch auction',
+            error: error.message
+        });
+    }
+};
+
 /**
  * @desc    Update auction
  * @route   PUT /api/auctions/:id
@@ -154,7 +624,7 @@ const updateAuction = async (req, res) => {
         const { id } = req.params;
         
         // Find auction
-        const auction = await Auction.findById(id).populate('item');
+        const auction = await Auction.findById(id).select('+reservePrice').populate('item');
         
         if (!auction) {
             return res.status(404).json({
@@ -163,13 +633,8 @@ const updateAuction = async (req, res) => {
             });
         }
 
-        // Check if user owns this auction
-        if (auction.seller.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-            return res.status(403).json({
-                success: false,
-                message: 'You can only update your own auctions'
-            });
-        }
+        // Check if user owns this auction (or is an admin with 2FA on)
+        if (!checkOwnerOrAdmin(req, res, auction.seller, 'You can only update your own auctions')) return;
 
         // Check if auction can be updated (only if not started or ended)
         if (auction.hasStarted && auction.hasStarted() && auction.status !== 'pending') {
@@ -186,13 +651,28 @@ const updateAuction = async (req, res) => {
             category,
             startPrice,
             reservePrice,
+            buyNowPrice,
             minIncrement,
-            endTime
+            endTime,
+            auctionType
         } = req.body;
 
+        if (auctionType !== undefined && !Auction.AUCTION_TYPES.includes(auctionType)) {
+            return res.status(400).json({
+                success: false,
+                message: `Auction type must be one of: ${Auction.AUCTION_TYPES.join(', ')}`
+            });
+        }
+        if (auctionType && auctionType !== auction.auctionType && (auctionType === 'reverse' || auction.isReverse())) {
+            return res.status(400).json({
+                success: false,
+                message: 'A listing cannot be turned into a buyer request or back'
+            });
+        }
+
         // Update item if fields provided
+        const itemUpdates = {};
         if (auction.item) {
-            const itemUpdates = {};
             if (title) itemUpdates.title = title;
             if (description) itemUpdates.description = description;
             if (condition) itemUpdates.condition = condition;
@@ -206,8 +686,27 @@ const updateAuction = async (req, res) => {
         // Update auction
         const auctionUpdates = {};
         if (startPrice) auctionUpdates.startPrice = parseFloat(startPrice);
-        if (reservePrice) auctionUpdates.reservePrice = parseFloat(reservePrice);
-        if (minIncrement) auctionUpdates.minIncrement = parseFloat(minIncrement);
+        if (reservePrice) {
+            auctionUpdates.reservePrice = parseFloat(reservePrice);
+            auctionUpdates.hasReserve = auctionUpdates.reservePrice > 0;
+            auctionUpdates.reserveMet = auction.totalBids > 0 && auction.currentPrice >= auctionUpdates.reservePrice;
+        }
+        if (buyNowPrice !== undefined) auctionUpdates.buyNowPrice = parseBuyNowPrice(buyNowPrice);
+
+        // Check Buy It Now against the prices the listing will have after this edit
+        const buyNowError = checkBuyNowPrice(
+            auctionUpdates.buyNowPrice !== undefined ? auctionUpdates.buyNowPrice : auction.buyNowPrice,
+            auctionUpdates.startPrice || auction.startPrice,
+            auctionUpdates.reservePrice !== undefined ? auctionUpdates.reservePrice : auction.reservePrice
+        );
+        if (buyNowError) {
+            return res.status(400).json({
+                success: false,
+                message: buyNowError
+            });
+        }
+        // An empty minIncrement drops the seller's override in favour of the increment table
+        if (minIncrement !== undefined) auctionUpdates.minIncrement = parseFloat(minIncrement) || null;
         if (endTime) {
             // Validate new end time
             const newEndTime = new Date(endTime);
@@ -219,16 +718,80 @@ const updateAuction = async (req, res) => {
             }
             auctionUpdates.endTime = newEndTime;
         }
+        const softClose = parseSoftClose(req.body);
+        const softCloseError = checkSoftClose(softClose);
+        if (softCloseError) {
+            return res.status(400).json({
+                success: false,
+                message: softCloseError
+            });
+        }
+        for (const [key, value] of Object.entries(softClose)) {
+            auctionUpdates[`softClose.${key}`] = value;
+        }
+
+        if (auctionType) auctionUpdates.auctionType = auctionType;
+        const newType = auctionUpdates.auctionType || auction.auctionType;
+        const lot = parseLot(req.body);
+        const lotError = checkLot({ quantity: auction.quantity, ...lot }, newType);
+        if (lotError) {
+            return res.status(400).json({
+                success: false,
+                message: lotError
+            });
+        }
+        Object.assign(auctionUpdates, lot);
+        if (newType !== 'english') {
+            auctionUpdates.buyNowPrice = null;
+            auctionUpdates['softClose.enabled'] = false;
+        } else if ((lot.quantity || auction.quantity) > 1) {
+            auctionUpdates.buyNowPrice = null;
+        }
+        if (newType === 'dutch') {
+            const dutch = { ...(auction.toObject().dutch || {}), ...parseDutch(req.body) };
+            const dutchError = checkDutch(dutch, auctionUpdates.startPrice || auction.startPrice);
+            if (dutchError) {
+                return res.status(400).json({
+                    success: false,
+                    message: dutchError
+                });
+            }
+            auctionUpdates.dutch = dutch;
+            auctionUpdates.reservePrice = 0;
+            auctionUpdates.hasReserve = false;
+            auctionUpdates.reserveMet = false;
+        }
+
+        // Editing a listing an admin sent back puts it in the review queue again.
+        // With LISTING_MODERATION=true so does changing an approved listing
+        // before it starts, so what buyers see has always been reviewed.
+        let resubmitted = false;
+        if (auction.reviewStatus === 'changes_requested') {
+            auctionUpdates.reviewStatus = 'pending_review';
+        } else if (process.env.LISTING_MODERATION === 'true' && !hasAdminAccess(req.user)
+            && auction.reviewStatus === 'approved' && auction.status === 'pending'
+            && changesListing(auction, itemUpdates, auctionUpdates)) {
+            Object.assign(auctionUpdates, {
+                isApproved: false,
+                reviewStatus: 'pending_review',
+                reviewNote: '',
+                approvedBy: null,
+                approvedAt: null
+            });
+            resubmitted = true;
+        }
 
         const updatedAuction = await Auction.findByIdAndUpdate(
             id,
             auctionUpdates,
             { new: true, runValidators: true }
-        ).populate('item');
+        ).select('+reservePrice').populate('item');
 
         res.json({
             success: true,
-            message: 'Auction updated successfully',
+            message: resubmitted
+                ? 'Auction updated and sent back for admin review'
+                : 'Auction updated successfully',
             data: updatedAuction
         });
 
@@ -260,13 +823,8 @@ const cancelAuction = async (req, res) => {
             });
         }
 
-        // Check if user owns this auction
-        if (auction.seller.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-            return res.status(403).json({
-                success: false,
-                message: 'You can only cancel your own auctions'
-            });
-        }
+        // Check if user owns this auction (or is an admin with 2FA on)
+        if (!checkOwnerOrAdmin(req, res, auction.seller, 'You can only cancel your own auctions')) return;
 
         // Check if auction can be cancelled (only if no bids)
         if (auction.totalBids > 0) {
@@ -299,8 +857,367 @@ const cancelAuction = async (req, res) => {
     }
 };
 
+/**
+ * @desc    Sell to the high bidder even though the reserve was not met
+ * @route   POST /api/auctions/:id/accept-high-bid
+ * @access  Private (Seller only)
+ */
+const acceptHighBid = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const auction = await Auction.findById(id);
+
+        if (!auction) {
+            return res.status(404).json({
+                success: false,
+                message: 'Auction not found'
+            });
+        }
+
+        // Check if user owns this auction (or is an admin with 2FA on)
+        if (!checkOwnerOrAdmin(req, res, auction.seller, 'You can only settle your own auctions')) return;
+
+        if (auction.status !== 'reserve_not_met') {
+            return res.status(400).json({
+                success: false,
+                message: 'Only auctions that ended below their reserve can be accepted'
+            });
+        }
+
+        if (await Auction.exists({ relistedFrom: auction._id })) {
+            return res.status(400).json({
+                success: false,
+                message: 'This auction has already been relisted'
+            });
+        }
+
+        if (auction.isLot()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Lots that ended below their reserve can only be relisted'
+            });
+        }
+
+        // highBidder/currentPrice are maintained atomically with every bid (and
+        // sealed auctions were priced when they closed), as closeAuction uses them.
+        // The Bid history is only a fallback for auctions that predate highBidder;
+        // on equal amounts the earlier bid stands.
+        let highestBid = auction.highBidder && { bidder: auction.highBidder, amount: auction.currentPrice };
+        if (!highestBid && auction.totalBids > 0 && !auction.isSealed()) {
+            highestBid = await Bid.findOne({ auction: id })
+                .sort(auction.isReverse() ? { amount: 1, createdAt: 1 } : { amount: -1, createdAt: 1 });
+        }
+        if (!highestBid) {
+            return res.status(400).json({
+                success: false,
+                message: 'There is no bid to accept'
+            });
+        }
+
+        // Conditional on status so a double click can't settle it twice
+        const soldAuction = await Auction.findOneAndUpdate(
+            { _id: id, status: 'reserve_not_met' },
+            {
+                $set: {
+                    status: 'sold',
+                    winner: highestBid.bidder,
+                    finalPrice: highestBid.amount,
+                    updatedAt: Date.now()
+                }
+            },
+            { new: true }
+        ).select('+reservePrice').populate('item');
+
+        if (!soldAuction) {
+            return res.status(409).json({
+                success: false,
+                message: 'Auction has already been settled'
+            });
+        }
+
+        auctionEvents.emit('auction:ended', soldAuction);
+
+        res.json({
+            success: true,
+            message: 'High bid accepted. Auction sold.',
+            data: soldAuction
+        });
+
+    } catch (error) {
+        console.error('Accept high bid error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to accept high bid',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Relist an auction that ended unsold (reserve not met or no bids)
+ * @route   POST /api/auctions/:id/relist
+ * @access  Private (Seller only)
+ */
+const relistAuction = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const auction = await Auction.findById(id).select('+reservePrice');
+
+        if (!auction) {
+            return res.status(404).json({
+                success: false,
+                message: 'Auction not found'
+            });
+        }
+
+        // Check if user owns this auction (or is an admin with 2FA on)
+        if (!checkOwnerOrAdmin(req, res, auction.seller, 'You can only relist your own auctions')) return;
+
+        if (!['reserve_not_met', 'ended'].includes(auction.status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only auctions that ended unsold can be relisted'
+            });
+        }
+
+        if (await Auction.exists({ relistedFrom: auction._id })) {
+            return res.status(400).json({
+                success: false,
+                message: 'This auction has already been relisted'
+            });
+        }
+
+        const { startPrice, reservePrice, buyNowPrice, minIncrement, startTime, endTime } = req.body;
+
+        // Default to the original duration starting now
+        const newStartTime = startTime ? new Date(startTime) : new Date();
+        const newEndTime = endTime
+            ? new Date(endTime)
+            : new Date(newStartTime.getTime() + (auction.endTime - auction.startTime));
+
+        if (newEndTime <= newStartTime) {
+            return res.status(400).json({
+                success: false,
+                message: 'End time must be after start time'
+            });
+        }
+
+        const newStartPrice = startPrice ? parseFloat(startPrice) : auction.startPrice;
+        const newReservePrice = reservePrice !== undefined ? (parseFloat(reservePrice) || 0) : auction.reservePrice;
+        const newBuyNowPrice = buyNowPrice !== undefined ? parseBuyNowPrice(buyNowPrice) : auction.buyNowPrice;
+
+        const buyNowError = checkBuyNowPrice(newBuyNowPrice, newStartPrice, newReservePrice);
+        if (buyNowError) {
+            return res.status(400).json({
+                success: false,
+                message: buyNowError
+            });
+        }
+
+        const dutch = auction.auctionType === 'dutch'
+            ? { ...auction.toObject().dutch, ...parseDutch(req.body) }
+            : undefined;
+        const dutchError = dutch && checkDutch(dutch, newStartPrice);
+        if (dutchError) {
+            return res.status(400).json({
+                success: false,
+                message: dutchError
+            });
+        }
+
+        const review = initialReview(req.user);
+        const relisted = await Auction.create({
+            item: auction.item,
+            seller: auction.seller,
+            category: auction.category,
+            startPrice: newStartPrice,
+            currentPrice: newStartPrice,
+            reservePrice: newReservePrice,
+            buyNowPrice: newBuyNowPrice,
+            minIncrement: minIncrement ? parseFloat(minIncrement) : auction.minIncrement,
+            incrementTable: await incrementTableFor(auction.category),
+            softClose: auction.toObject().softClose,
+            auctionType: auction.auctionType,
+            dutch,
+            quantity: auction.quantity,
+            lotPricing: auction.lotPricing,
+            ...formatOverrides(auction.auctionType, auction.quantity),
+            startTime: newStartTime,
+            endTime: newEndTime,
+            relistedFrom: auction._id,
+            ...review,
+            status: review.isApproved && newStartTime <= new Date() ? 'active' : 'pending'
+        });
+        scheduleAuction(relisted);
+
+        const populatedAuction = await Auction.findById(relisted._id)
+            .select('+reservePrice')
+            .populate('item');
+
+        res.status(201).json({
+            success: true,
+            message: review.isApproved
+                ? 'Auction relisted successfully'
+                : 'Auction relisted and submitted for review',
+            data: populatedAuction
+        });
+
+    } catch (error) {
+        console.error('Relist auction error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to relist auction',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Buy an auction outright at its Buy It Now price
+ * @route   POST /api/auctions/:id/buy-now
+ * @access  Private
+ */
+const buyNow = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Auction not found'
+            });
+        }
+
+        const auction = await Auction.findById(id);
+
+        if (!auction || !auction.isApproved) {
+            return res.status(404).json({
+                success: false,
+                message: 'Auction not found'
+            });
+        }
+
+        if (auction.seller.toString() === req.user._id.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'You cannot buy your own auction'
+            });
+        }
+
+        if (!auction.buyNowPrice) {
+            return res.status(400).json({
+                success: false,
+                message: 'This auction has no Buy It Now price'
+            });
+        }
+
+        // The sale and any racing bid both write conditionally, so only one lands
+        const soldAuction = await Auction.applyBuyNow(id, req.user._id);
+
+        if (!soldAuction) {
+            return res.status(409).json({
+                success: false,
+                code: 'BUY_NOW_UNAVAILABLE',
+                message: 'Buy It Now is no longer available for this auction'
+            });
+        }
+
+        // Drops the pending end timer; the auction is already closed
+        scheduleAuction(soldAuction);
+        auctionEvents.emit('auction:ended', soldAuction);
+
+        res.json({
+            success: true,
+            message: `You bought this item for BDT ${soldAuction.finalPrice}`,
+            data: soldAuction
+        });
+
+    } catch (error) {
+        console.error('Buy now error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to complete purchase',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Accept the current price of a Dutch auction (first buyer wins)
+ * @route   POST /api/auctions/:id/accept-price
+ * @access  Private
+ */
+const acceptDutchPrice = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Auction not found'
+            });
+        }
+
+        const auction = await Auction.findById(id);
+
+        if (!auction || !auction.isApproved) {
+            return res.status(404).json({
+                success: false,
+                message: 'Auction not found'
+            });
+        }
+
+        if (auction.seller.toString() === req.user._id.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'You cannot buy your own auction'
+            });
+        }
+
+        if (auction.auctionType !== 'dutch') {
+            return res.status(400).json({
+                success: false,
+                message: 'Only Dutch auctions have a price to accept'
+            });
+        }
+
+        // One conditional write on status — the first accept closes the auction
+        const soldAuction = await Auction.applyDutchAccept(id, req.user._id);
+
+        if (!soldAuction) {
+            return res.status(409).json({
+                success: false,
+                code: 'AUCTION_CLOSED',
+                message: 'This auction is no longer open'
+            });
+        }
+
+        scheduleAuction(soldAuction);
+        auctionEvents.emit('auction:ended', soldAuction);
+
+        res.json({
+            success: true,
+            message: `You bought this item for BDT ${soldAuction.finalPrice}`,
+            data: soldAuction
+        });
+
+    } catch (error) {
+        console.error('Accept Dutch price error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to complete purchase',
+            error: error.message
+        });
+    }
+};
+
 
 //Farhan Sprint 2
+// Statuses browse can filter on; drafts, pending and cancelled listings stay private
+const PUBLIC_STATUSES = ["active", "ended", "sold", "reserve_not_met"];
+
 // @desc   Browse/filter auctions
 // @route  GET /api/auctions/browse
 // @access Public
@@ -308,21 +1225,28 @@ const browseAuctions = async (req, res) => {
     try {
         const {
             category, condition, minPrice, maxPrice, endingSoon,
-            status, search, sortBy, sortOrder,
+            status, search, sortBy, sortOrder, listing,
             page = 1, limit = 12
         } = req.query;
 
-        const filter = {};
-        filter.status = status || "active";
+        // Only listings the public may see: running or finished, and approved
+        const filter = { isApproved: true };
+        filter.status = PUBLIC_STATUSES.includes(status) ? status : "active";
+
+        // Items for sale by default; listing=requests browses buyer requests
+        filter.auctionType = listing === "requests" ? "reverse" : { $ne: "reverse" };
 
         // Filter by category
         if (category) filter.category = category;
 
-        // Filter by price range
+        // Filter by price range — on the live price, which a Dutch auction
+        // works out from the clock rather than storing
+        const livePrice = Auction.livePriceExpr(new Date());
         if (minPrice || maxPrice) {
-            filter.currentPrice = {};
-            if (minPrice) filter.currentPrice.$gte = parseFloat(minPrice);
-            if (maxPrice) filter.currentPrice.$lte = parseFloat(maxPrice);
+            const bounds = [];
+            if (minPrice) bounds.push({ $gte: [livePrice, parseFloat(minPrice)] });
+            if (maxPrice) bounds.push({ $lte: [livePrice, parseFloat(maxPrice)] });
+            filter.$expr = { $and: bounds };
         }
 
         // Filter ending soon (within 24 hours)
@@ -361,7 +1285,7 @@ const browseAuctions = async (req, res) => {
 
         switch (sortBy) {
             case "price":
-                sortObj = { currentPrice: order };
+                sortObj = null; // live price, see below
                 break;
             case "bids":
                 sortObj = { totalBids: order };
@@ -377,16 +1301,33 @@ const browseAuctions = async (req, res) => {
 
         const skip = (parseInt(page) - 1) * parseInt(limit);
 
-        const [auctions, total] = await Promise.all([
-            Auction.find(filter)
+        // Sorting by price needs the live price, so the page's order comes from an aggregation
+        let pageIds = null;
+        if (!sortObj) {
+            const ordered = await Auction.aggregate([
+                { $match: Auction.find().cast(Auction, filter) },
+                { $addFields: { livePrice } },
+                { $sort: { livePrice: order, _id: 1 } },
+                { $skip: skip },
+                { $limit: parseInt(limit) },
+                { $project: { _id: 1 } }
+            ]);
+            pageIds = ordered.map(a => a._id.toString());
+        }
+
+        const [found, total] = await Promise.all([
+            Auction.find(pageIds ? { _id: { $in: pageIds } } : filter)
                 .populate("item", "title description images condition")
                 .populate("seller", "name")
                 .populate("category", "name slug")
-                .sort(sortObj)
-                .skip(skip)
+                .sort(sortObj || {})
+                .skip(pageIds ? 0 : skip)
                 .limit(parseInt(limit)),
             Auction.countDocuments(filter)
         ]);
+        const auctions = pageIds
+            ? found.sort((a, b) => pageIds.indexOf(a._id.toString()) - pageIds.indexOf(b._id.toString()))
+            : found;
 
         res.json({
             success: true,
@@ -394,7 +1335,7 @@ const browseAuctions = async (req, res) => {
             total,
             page: parseInt(page),
             pages: Math.ceil(total / parseInt(limit)),
-            data: auctions
+            data: auctions.map(withLivePrice)
         });
 
     } 
@@ -464,7 +1405,7 @@ const searchAuctions = async (req, res) => {
             if (desc.includes(searchTerm)) score += 3;
 
             return {
-                ...auction,
+                ...withLivePrice(auction),
                 relevanceScore: score
             };
         });
@@ -506,6 +1447,7 @@ const getEndingSoonAuctions = async (req, res) => {
 
         const auctions = await Auction.find({
             status: 'active',
+            auctionType: { $ne: 'reverse' },
             endTime: { $gte: now, $lte: oneHourFromNow }
         })
             .populate({
@@ -518,7 +1460,7 @@ const getEndingSoonAuctions = async (req, res) => {
 
         res.json({
             success: true,
-            data: auctions
+            data: auctions.map(withLivePrice)
         });
 
     } catch (error) {
@@ -535,9 +1477,15 @@ const getEndingSoonAuctions = async (req, res) => {
 module.exports = {
     // Rakib’'s functions (Auction Management)
     createAuction,
+    createRequest,
     getMyAuctions,
+    getAuctionById,
     updateAuction,
     cancelAuction,
+    acceptHighBid,
+    relistAuction,
+    buyNow,
+    acceptDutchPrice,
     
     // Farhan’s functions (Browsing & Search)
     browseAuctions,
@@ -8,11 +8,23 @@
 const User = require("../models/User");
 const jwt = require("jsonwebtoken");
 const { validationResult } = require("express-validator");
+const { sendTemplate } = require("../services/mailService");
+const sessionService = require("../services/sessionService");
+const { disconnectUser, disconnectSession } = require("../config/socket");
 
-// Helper: generate a JWT token for a given user ID
-const generateToken = (id) => {
-    return jwt.sign({ id }, process.env.JWT_SECRET, {
-        expiresIn: process.env.JWT_EXPIRE || "30d"
+// Minimum time between two verification emails to the same account
+const RESEND_COOLDOWN_MS = 60 * 1000;
+
+// 2FA login step: challenge lifetime, and lockout after repeated wrong codes
+const TWO_FACTOR_CHALLENGE_EXPIRE = "5m";
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+const TWO_FACTOR_LOCK_MS = 15 * 60 * 1000;
+
+// Helper: short-lived token proving the password step passed. It has no
+// session id, so protect never accepts it as an access token.
+const createTwoFactorChallenge = (userId) => {
+    return jwt.sign({ id: userId, purpose: "2fa" }, process.env.JWT_SECRET, {
+        expiresIn: TWO_FACTOR_CHALLENGE_EXPIRE
     });
 };
 
@@ -26,6 +38,27 @@ const checkValidation = (req, res) => {
     return true;
 };
 
+/**
+ * Finish a login: start a session for this device and record the login
+ * Shared by the password step and the 2FA step
+ * @returns {Promise<Object>} - response body
+ */
+const completeLogin = async (user, req) => {
+    const { token, refreshToken } = await sessionService.createSession(user, req);
+
+    // Update last login timestamp
+    user.lastLogin = Date.now();
+    await user.save();
+
+    return {
+        success: true,
+        message: "Login successful",
+        token,
+        refreshToken,
+        user: user.getAuthPayload()
+    };
+};
+
 /**
  * POST /api/auth/register
  * Creates a new user account
@@ -36,7 +69,7 @@ const registerUser = async (req, res) => {
         if (!checkValidation(req, res)) return;
 
         // Step 2: Pull fields from the request body
-        const { name, username, email, password, role, phone, address } = req.body;
+        const { name, username, email, password, phone, address } = req.body;
 
         // Step 3: Check if a user already has this email
         const existingUser = await User.findOne({ email });
@@ -49,25 +82,26 @@ const registerUser = async (req, res) => {
             return res.status(400).json({ success: false, message: "Username already taken" });
         }
 
-        // Step 4: Only allow "user" or "seller" roles — never "admin" via registration
-        const userRole = (role === "seller") ? "seller" : "user";
+        // Step 4: Create user — password gets hashed automatically by User model.
+        // Everyone starts as "user"; selling needs an approved seller application
+        const user = await User.create({ name, username: username.toLowerCase(), email, password, role: "user", phone: phone || undefined, address: address || undefined  });
 
-        // Step 5: Create user — password gets hashed automatically by User model
-        const user = await User.create({ name, username: username.toLowerCase(), email, password, role: userRole, phone: phone || undefined, address: address || undefined  });
+        // Step 5: Start a session so they are logged in immediately
+        const { token, refreshToken } = await sessionService.createSession(user, req);
 
-        // Step 6: Generate JWT token so they are logged in immediately
-        const token = generateToken(user._id);
-
-        // Step 7: Record when they last logged in
+        // Step 6: Record when they last logged in, and issue an email verification link
         user.lastLogin = Date.now();
+        const verificationToken = user.createVerificationToken();
         await user.save();
+        sendTemplate(user.email, "verifyEmail", { name: user.name, token: verificationToken });
 
-        // Step 8: Send back token and safe user info (no password)
+        // Step 7: Send back token and safe user info (no password)
         res.status(201).json({
             success: true,
-            message: "Registration successful",
+            message: "Registration successful. Check your inbox to verify your email.",
             token,
-            user: { _id: user._id, name: user.name, username: user.username, email: user.email, role: user.role, phone: user.phone, address: user.address }
+            refreshToken,
+            user: user.getAuthPayload()
         });
 
     } catch (error) {
@@ -111,19 +145,18 @@ const loginUser = async (req, res) => {
             return res.status(401).json({ success: false, message: "Invalid email or password" });
         }
 
-        // Generate a new JWT token
-        const token = generateToken(user._id);
-
-        // Update last login timestamp
-        user.lastLogin = Date.now();
-        await user.save();
+        // 2FA on: the password was step one — the client now sends a code
+        // with the challenge token to POST /api/auth/login/2fa
+        if (user.twoFactor?.enabled) {
+            return res.json({
+                success: true,
+                twoFactorRequired: true,
+                challengeToken: createTwoFactorChallenge(user._id),
+                message: "Enter the code from your authenticator app"
+            });
+        }
 
-        res.json({
-            success: true,
-            message: "Login successful",
-            token,
-            user: { _id: user._id, name: user.name, username: user.username, email: user.email, role: user.role, phone: user.phone, address: user.address }
-        });
+        res.json(await completeLogin(user, req));
 
     } catch (error) {
         console.error("Login error:", error);
@@ -131,6 +164,54 @@ const loginUser = async (req, res) => {
     }
 };
 
+/**
+ * POST /api/auth/login/2fa
+ * Second login step: { challengeToken, code } — code is a TOTP code or a backup code
+ */
+const loginTwoFactor = async (req, res) => {
+    try {
+        const { challengeToken, code } = req.body;
+
+        let decoded;
+        try {
+            decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+        } catch (error) {
+            decoded = null;
+        }
+        if (!decoded || decoded.purpose !== "2fa") {
+            return res.status(401).json({ success: false, message: "Login expired. Please enter your password again." });
+        }
+
+        const user = await User.findById(decoded.id)
+            .select("+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep");
+        if (!user || !user.isActive || !user.twoFactor.enabled) {
+            return res.status(401).json({ success: false, message: "Login expired. Please enter your password again." });
+        }
+
+        // Attempts are counted atomically before the code is checked, so
+        // parallel guesses can't get past the lockout
+        if (!(await User.claimTwoFactorAttempt(user._id, TWO_FACTOR_MAX_ATTEMPTS))) {
+            return res.status(429).json({ success: false, message: "Too many wrong codes. Try again in a few minutes." });
+        }
+
+        const method = await user.verifySecondFactor(code);
+        await User.settleTwoFactorAttempt(user._id, Boolean(method), TWO_FACTOR_MAX_ATTEMPTS, TWO_FACTOR_LOCK_MS);
+        if (!method) {
+            return res.status(401).json({ success: false, message: "Invalid authentication code" });
+        }
+
+        const body = await completeLogin(user, req);
+        if (method === "backup") {
+            const remaining = await User.findById(user._id).select("+twoFactor.backupCodes");
+            body.backupCodesRemaining = remaining.twoFactor.backupCodes.length;
+        }
+        res.json(body);
+    } catch (error) {
+        console.error("2FA login error:", error);
+        res.status(500).json({ success: false, message: "Server error", error: error.message });
+    }
+};
+
 /**
  * GET /api/auth/profile
  * Returns the logged-in user's profile
@@ -150,13 +231,20 @@ const getProfile = async (req, res) => {
  */
 const updateProfile = async (req, res) => {
     try {
-        const { name, phone, address } = req.body;
+        const { name, phone, address, notificationPreferences } = req.body;
         const user = await User.findById(req.user._id);
 
         // Only update fields that were provided
         if (name) user.name = name;
         if (phone) user.phone = phone;
         if (address) user.address = { ...user.address, ...address };
+        if (notificationPreferences) {
+            ["email", "push", "outbid", "auctionEnd"].forEach((key) => {
+                if (typeof notificationPreferences[key] === "boolean") {
+                    user.notificationPreferences[key] = notificationPreferences[key];
+                }
+            });
+        }
 
         await user.save();
         res.json({ success: true, message: "Profile updated", user: user.getPublicProfile() });
@@ -165,4 +253,209 @@ const updateProfile = async (req, res) => {
     }
 };
 
-module.exports = { registerUser, loginUser, getProfile, updateProfile };
+/**
+ * GET /api/auth/verify/:token
+ * Confirms an email address from the link sent on registration
+ */
+const verifyEmail = async (req, res) => {
+    try {
+        const user = await User.findOne({
+            verificationToken: User.hashToken(req.params.token),
+            verificationTokenExpire: { $gt: Date.now() }
+        });
+
+        if (!user) {
+            return res.status(400).json({ success: false, message: "Verification link is invalid or has expired" });
+        }
+
+        user.isVerified = true;
+        user.verificationToken = undefined;
+        user.verificationTokenExpire = undefined;
+        await user.save();
+
+        res.json({ success: true, message: "Email verified" });
+    } catch (error) {
+        console.error("Verify email error:", error);
+        res.status(500).json({ success: false, message: "Server error", error: error.message });
+    }
+};
+
+/**
+ * POST /api/auth/verify/resend
+ * Sends a fresh verification link to the logged-in user (once a minute at most)
+ */
+const resendVerification = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+
+        if (user.isVerified) {
+            return res.status(400).json({ success: false, message: "Email is already verified" });
+        }
+
+        const waitMs = user.verificationSentAt
+            ? user.verificationSentAt.getTime() + RESEND_COOLDOWN_MS - Date.now()
+            : 0;
+        if (waitMs > 0) {
+            const retryAfter = Math.ceil(waitMs / 1000);
+            res.set("Retry-After", String(retryAfter));
+            return res.status(429).json({
+                success: false,
+                message: `Please wait ${retryAfter}s before requesting another email`,
+                retryAfter
+            });
+        }
+
+        const verificationToken = user.createVerificationToken();
+        await user.save();
+        sendTemplate(user.email, "verifyEmail", { name: user.name, token: verificationToken });
+
+        res.json({ success: true, message: "Verification email sent" });
+    } catch (error) {
+        console.error("Resend verification error:", error);
+        res.status(500).json({ success: false, message: "Server error", error: error.message });
+    }
+};
+
+/**
+ * POST /api/auth/forgot-password
+ * Emails a password reset link. Always answers the same way so the
+ * response doesn't reveal which emails have accounts.
+ */
+const forgotPassword = async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        const user = await User.findOne({ email: req.body.email.toLowerCase() });
+        if (user && user.isActive) {
+            const resetToken = user.createPasswordResetToken();
+            await user.save();
+            sendTemplate(user.email, "resetPassword", { name: user.name, token: resetToken });
+        }
+
+        res.json({ success: true, message: "If that email is registered, a reset link is on its way" });
+    } catch (error) {
+        console.error("Forgot password error:", error);
+        res.status(500).json({ success: false, message: "Server error", error: error.message });
+    }
+};
+
+/**
+ * POST /api/auth/reset-password/:token
+ * Sets a new password with a reset token. The token works once, and every
+ * session issued before the reset is signed out.
+ */
+const resetPassword = async (req, res) => {
+    try {
+        if (!checkValidation(req, res)) return;
+
+        const user = await User.findOne({
+            resetPasswordToken: User.hashToken(req.params.token),
+            resetPasswordExpire: { $gt: Date.now() }
+        });
+
+        if (!user) {
+            return res.status(400).json({ success: false, message: "Reset link is invalid or has expired" });
+        }
+
+        // Saving a new password sets passwordChangedAt (see User pre-save);
+        // revoking the sessions stops their refresh tokens and live sockets too
+        user.password = req.body.password;
+        user.resetPasswordToken = undefined;
+        user.resetPasswordExpire = undefined;
+        await user.save();
+        await sessionService.revokeAllSessions(user._id);
+        disconnectUser(user._id.toString());
+
+        res.json({ success: true, message: "Password has been reset. Please log in with your new password." });
+    } catch (error) {
+        console.error("Reset password error:", error);
+        res.status(500).json({ success: false, message: "Server error", error: error.message });
+    }
+};
+
+/**
+ * POST /api/auth/refresh
+ * Trades a refresh token for a new access token + refresh token
+ */
+const refreshToken = async (req, res) => {
+    try {
+        const result = await sessionService.rotateSession(req.body.refreshToken, req);
+        if (!result) {
+            return res.status(401).json({ success: false, message: "Session has ended. Please log in again." });
+        }
+
+        res.json({ success: true, token: result.token, refreshToken: result.refreshToken });
+    } catch (error) {
+        console.error("Refresh token error:", error);
+        res.status(500).json({ success: false, message: "Server error", error: error.message });
+    }
+};
+
+/**
+ * POST /api/auth/logout
+ * Ends the session the refresh token belongs to (the access token may have expired)
+ */
+const logoutUser = async (req, res) => {
+    try {
+        if (await sessionService.revokeByRefreshToken(req.body.refreshToken)) {
+            disconnectSession(String(req.body.refreshToken).split(".")[0]);
+        }
+        res.json({ success: true, message: "Logged out" });
+    } catch (error) {
+        res.status(500).json({ success: false, message: "Server error", error: error.message });
+    }
+};
+
+/**
+ * GET /api/auth/sessions
+ * Lists the logged-in user's active sessions (one per device)
+ */
+const getSessions = async (req, res) => {
+    try {
+        const sessions = await sessionService.listSessions(req.user._id);
+        res.json({
+            success: true,
+            data: sessions.map((s) => ({ ...s, current: s._id.toString() === String(req.sessionId) }))
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: "Server error", error: error.message });
+    }
+};
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * Logs one device out
+ */
+const revokeSession = async (req, res) => {
+    try {
+        const revoked = await sessionService.revokeSession(req.user._id, req.params.id);
+        if (!revoked) {
+            return res.status(404).json({ success: false, message: "Session not found" });
+        }
+        disconnectSession(req.params.id);
+        res.json({ success: true, message: "Session revoked" });
+    } catch (error) {
+        res.status(500).json({ success: false, message: "Server error", error: error.message });
+    }
+};
+
+/**
+ * DELETE /api/auth/sessions?keepCurrent=true
+ * Logs out everywhere (optionally except this device)
+ */
+const revokeAllSessions = async (req, res) => {
+    try {
+        const keep = req.query.keepCurrent === "true" ? req.sessionId : undefined;
+        const count = await sessionService.revokeAllSessions(req.user._id, keep);
+        disconnectUser(req.user._id.toString(), keep && String(keep));
+        res.json({ success: true, message: `${count} session(s) revoked` });
+    } catch (error) {
+        res.status(500).json({ success: false, message: "Server error", error: error.message });
+    }
+};
+
+module.exports = {
+    registerUser, loginUser, loginTwoFactor, getProfile, updateProfile,
+    verifyEmail, resendVerification, forgotPassword, resetPassword,
+    refreshToken, logoutUser, getSessions, revokeSession, revokeAllSessions
+};
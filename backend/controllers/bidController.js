@@ -10,21 +10,363 @@
 const mongoose = require('mongoose');
 const Auction = require('../models/Auction');
 const Bid = require('../models/Bid');
+const MaxBid = require('../models/MaxBid');
+const BidRetraction = require('../models/BidRetraction');
+const User = require('../models/User');
+const auctionEvents = require('../services/auctionEvents');
+
+// Helper: a non-negative number from the environment (0 included), or the default when unset/invalid
+const envNumber = (name, fallback) => {
+  const raw = process.env[name];
+  const value = Number(raw);
+  return raw !== undefined && raw.trim() !== '' && Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+// Bid retraction rules, overridable from the environment
+const RETRACT_WINDOW_MINUTES = envNumber('BID_RETRACT_WINDOW_MINUTES', 10);  // after placing the bid
+const RETRACT_CUTOFF_MINUTES = envNumber('BID_RETRACT_CUTOFF_MINUTES', 60);  // before the auction ends
+const RETRACT_FLAG_LIMIT = envNumber('BID_RETRACT_FLAG_LIMIT', 3);           // retractions that flag a user...
+const RETRACT_FLAG_DAYS = envNumber('BID_RETRACT_FLAG_DAYS', 30);            // ...within this many days
+
+// Helper: keep prices at two decimals so proxy steps don't accumulate float noise
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+/**
+ * 409 BID_CONFLICT: a competing write landed first
+ * Re-reads the auction so the client can retry against the fresh price
+ * (the minimum next bid, or the maximum next offer on a reverse auction).
+ */
+const sendBidConflict = async (res, auction, message) => {
+  const latest = (await Auction.findById(auction._id)) || auction;
+  return res.status(409).json({
+    message,
+    code: 'BID_CONFLICT',
+    currentPrice: latest.currentPrice,
+    ...(latest.isReverse()
+      ? { maximumOffer: latest.getMaximumOffer() }
+      : { minimumBid: latest.getMinimumBid() }),
+    totalBids: latest.totalBids,
+    status: latest.status,
+  });
+};
+
+/**
+ * Why a bid can't be retracted right now, or null if it can
+ * Open bidding only (english and reverse), the bidder's own manual bid,
+ * within RETRACT_WINDOW_MINUTES of placing it and not in the last
+ * RETRACT_CUTOFF_MINUTES of the auction.
+ */
+const retractionBlocker = (auction, bid, now = new Date()) => {
+  if (auction.isSealed()) return 'Sealed bids can be changed until the auction closes, but not retracted';
+  if (auction.isLot()) return 'On a lot, a new bid replaces your earlier one';
+  if (!['english', 'reverse'].includes(auction.auctionType)) return 'This auction format has no bids to retract';
+  if (bid.isAutomatic) return 'Automatic bids are retracted with the bid that set your maximum';
+  if (!auction.isActive()) return 'Bids can only be retracted while the auction is running';
+  if (now - bid.createdAt > RETRACT_WINDOW_MINUTES * 60 * 1000) {
+    return `Bids can only be retracted within ${RETRACT_WINDOW_MINUTES} minutes of placing them`;
+  }
+  if (auction.endTime - now < RETRACT_CUTOFF_MINUTES * 60 * 1000) {
+    return `Bids can't be retracted in the last ${RETRACT_CUTOFF_MINUTES} minutes of an auction`;
+  }
+  return null;
+};
+
+/**
+ * Settle an incoming bid against the strongest competing proxy (MaxBid)
+ * Returns the Bid records to write, the resulting price and who holds it.
+ * The price only rises to the second-highest maximum plus one increment
+ * (the increment at that maximum); on equal maximums the earlier one keeps the lead.
+ */
+const resolveProxyBids = (auction, bidderId, amount, bidderMax, competitor) => {
+  const bids = [{ bidder: bidderId, amount, isAutomatic: false }];
+
+  // No competing proxy reaches this bid — it simply takes the lead
+  if (!competitor || competitor.maxAmount < amount) {
+    return { bids, price: amount, highBidder: bidderId };
+  }
+
+  // Competing proxy holds: our proxy runs to its max, theirs answers one step above
+  if (competitor.maxAmount >= bidderMax) {
+    if (bidderMax > amount) {
+      bids.push({ bidder: bidderId, amount: bidderMax, isAutomatic: true });
+    }
+    const price = roundPrice(Math.min(competitor.maxAmount, bidderMax + auction.getIncrement(bidderMax)));
+    bids.push({ bidder: competitor.bidder, amount: price, isAutomatic: true });
+    return { bids, price, highBidder: competitor.bidder };
+  }
+
+  // Our maximum is higher: theirs is exhausted, ours answers one step above it
+  bids.push({ bidder: competitor.bidder, amount: competitor.maxAmount, isAutomatic: true });
+  const price = roundPrice(Math.min(bidderMax, competitor.maxAmount + auction.getIncrement(competitor.maxAmount)));
+  bids.push({ bidder: bidderId, amount: price, isAutomatic: true });
+  return { bids, price, highBidder: bidderId };
+};
+
+/**
+ * Submit or revise the caller's sealed bid (sealed first/second-price formats)
+ * One Bid per bidder, updated in place; the auction only records that a bid
+ * arrived — currentPrice and highBidder stay untouched until the close.
+ */
+const placeSealedBid = async (req, res, auction, session) => {
+  const amount = Number(req.body.amount);
+
+  if (req.body.maxAmount != null && req.body.maxAmount !== '') {
+    return res.status(400).json({ message: 'Maximum bids are not used in sealed-bid auctions' });
+  }
+  if (!Number.isFinite(amount) || amount <= 0) {
+    return res.status(400).json({ message: 'Please provide a valid bid amount' });
+  }
+  if (!auction.isActive()) {
+    return res.status(400).json({ message: 'Auction is not active' });
+  }
+  if (amount < auction.startPrice) {
+    return res.status(400).json({ message: `Bid must be at least the starting price of ${auction.startPrice}` });
+  }
+
+  let bid = null;
+  let updated = null;
+  let revised = false;
+
+  await session.withTransaction(async () => {
+    bid = null;
+    const existing = await Bid.findOne({ auction: auction._id, bidder: req.user.id, sealed: true }).session(session);
+    revised = Boolean(existing);
+
+    updated = await Auction.applySealedBid(auction._id, !revised, session);
+    if (!updated) return;
+
+    // Re-sending the same amount leaves the bid alone: updatedAt orders equal
+    // bids at the close, so only changing the amount gives up a bidder's place
+    bid = existing && existing.amount === amount
+      ? existing
+      : await Bid.findOneAndUpdate(
+        { auction: auction._id, bidder: req.user.id, sealed: true },
+        { $set: { amount } },
+        { upsert: true, new: true, setDefaultsOnInsert: true, session }
+      );
+  });
+
+  if (!updated) {
+    return res.status(400).json({ message: 'Auction is not active' });
+  }
+
+  auctionEvents.emit('bid:sealed', { auction: updated });
+
+  res.status(revised ? 200 : 201).json({
+    success: true,
+    sealed: true,
+    message: revised ? 'Sealed bid updated' : 'Sealed bid submitted',
+    bid: { _id: bid._id, amount: bid.amount, updatedAt: bid.updatedAt },
+    totalBids: updated.totalBids,
+    endTime: updated.endTime,
+  });
+};
+
+/**
+ * Bid on a multi-quantity lot: { amount (per unit), quantity }
+ * The caller's latest bid replaces their earlier ones, and may not lower
+ * their unit price or quantity (Auction#checkLotRebid). Standings are worked
+ * out from every bid inside the transaction and written with a conditional
+ * update on totalBids, so two bids can't both count against the same state.
+ * Proxy bidding doesn't apply to lots.
+ */
+const placeLotBid = async (req, res, auction, session) => {
+  const amount = Number(req.body.amount);
+  const quantity = req.body.quantity == null || req.body.quantity === '' ? 1 : Number(req.body.quantity);
+
+  if (req.body.maxAmount != null && req.body.maxAmount !== '') {
+    return res.status(400).json({ message: 'Maximum bids are not used on multi-quantity lots' });
+  }
+  if (!Number.isFinite(amount) || amount <= 0) {
+    return res.status(400).json({ message: 'Please provide a valid bid amount' });
+  }
+  if (!Number.isInteger(quantity) || quantity < 1 || quantity > auction.quantity) {
+    return res.status(400).json({ message: `Quantity must be a whole number from 1 to ${auction.quantity}` });
+  }
+  try {
+    auction.validateBid(amount);
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+
+  let bid = null;
+  let updated = null;
+  let extendedTo = null;
+  let displaced = [];
+  let units = 0;
+  let rejected = null;
+
+  await session.withTransaction(async () => {
+    bid = null;
+    updated = null;
+    extendedTo = null;
+    displaced = [];
+    rejected = null;
+
+    const current = await Auction.findById(auction._id).select('+reservePrice').session(session);
+    if (!current || amount < current.getMinimumBid()) return;
+
+    const existing = await Bid.find({ auction: auction._id }).session(session);
+    rejected = current.checkLotRebid(existing, req.user.id, amount, quantity);
+    if (rejected) return;
+
+    const draft = { _id: null, bidder: req.user.id, amount, quantity, createdAt: new Date() };
+    const before = current.allocateLot(existing);
+    const after = current.allocateLot([...existing, draft]);
+
+    // Bidders left with fewer units than before are told they were outbid
+    displaced = Auction.lotDisplaced(before, after, req.user.id);
+    const mine = after.winners.find((w) => w.bidder.toString() === req.user.id);
+    units = mine ? mine.quantity : 0;
+
+    const top = after.winners[0];
+    extendedTo = current.getExtendedEndTime();
+    updated = await Auction.applyLotBid(auction._id, {
+      totalBids: current.totalBids,
+      price: after.unitsClaimed < current.quantity
+        ? current.startPrice
+        : after.winners[after.winners.length - 1].amount,
+      unitsClaimed: after.unitsClaimed,
+      highBidder: top.bidder,
+      reserveMet: current.meetsReserve(top.amount),
+      endTime: extendedTo,
+    }, session);
+    if (!updated) return;
+
+    [bid] = await Bid.create([{ auction: auction._id, bidder: req.user.id, amount, quantity }], { session });
+  });
+
+  if (rejected) {
+    return res.status(400).json({ message: rejected });
+  }
+  if (!updated) {
+    return sendBidConflict(res, auction, 'Another bid was accepted first. Please review the current price and try again.');
+  }
+
+  const extended = Boolean(extendedTo);
+  auctionEvents.emit('bid:accepted', { auction: updated, bids: [bid], previousHighBidder: null, extended, displaced });
+
+  res.status(201).json({
+    success: true,
+    message: units < quantity
+      ? `Bid placed — you currently win ${units} of the ${quantity} units you asked for`
+      : 'Bid placed successfully',
+    bid,
+    isHighBidder: units > 0,
+    unitsWon: units,
+    currentPrice: updated.currentPrice,
+    minimumBid: updated.getMinimumBid(),
+    unitsClaimed: updated.unitsClaimed,
+    totalBids: updated.totalBids,
+    reserveMet: updated.reserveMet,
+    endTime: updated.endTime,
+    extended,
+  });
+};
+
+/**
+ * Offer on a reverse auction (a buyer's request): sellers bid the price down
+ * Same flow as an open bid with the comparison turned round — the first
+ * offer may be anything up to the budget, each later one has to undercut the
+ * current offer by one increment, and the lowest offer leads. No proxy bidding.
+ */
+const placeReverseBid = async (req, res, auction, session) => {
+  const amount = Number(req.body.amount);
+
+  if (!['seller', 'admin'].includes(req.user.role)) {
+    return res.status(403).json({ message: 'Only sellers can make offers on buyer requests' });
+  }
+  if (req.body.maxAmount != null && req.body.maxAmount !== '') {
+    return res.status(400).json({ message: 'Maximum bids are not used on buyer requests' });
+  }
+  if (!Number.isFinite(amount) || amount <= 0) {
+    return res.status(400).json({ message: 'Please provide a valid offer amount' });
+  }
+  try {
+    auction.validateBid(amount);
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+
+  let bid = null;
+  let updated = null;
+  let extendedTo = null;
+  let previousHighBidder = null;
+
+  await session.withTransaction(async () => {
+    bid = null;
+    updated = null;
+    const current = await Auction.findById(auction._id).session(session);
+    if (!current || amount > current.getMaximumOffer()) return;
+    previousHighBidder = current.highBidder;
+    extendedTo = current.getExtendedEndTime();
+
+    updated = await Auction.applyReverseBid(auction._id, {
+      amount,
+      from: current.currentPrice,
+      highBidder: req.user.id,
+      endTime: extendedTo,
+    }, session);
+    if (!updated) return;
+
+    [bid] = await Bid.create([{ auction: auction._id, bidder: req.user.id, amount }], { session });
+  });
+
+  if (!updated) {
+    return sendBidConflict(res, auction, 'Another offer was accepted first. Please review the current offer and try again.');
+  }
+
+  const extended = Boolean(extendedTo);
+  auctionEvents.emit('bid:accepted', { auction: updated, bids: [bid], previousHighBidder, extended });
+
+  res.status(201).json({
+    success: true,
+    message: 'Offer placed successfully',
+    bid,
+    isHighBidder: true,
+    currentPrice: updated.currentPrice,
+    maximumOffer: updated.getMaximumOffer(),
+    totalBids: updated.totalBids,
+    endTime: updated.endTime,
+    extended,
+  });
+};
 
 /**
  * @desc Place a bid
  * @route POST /api/bids/:auctionId
  * @access Private
+ *
+ * Body: { amount, maxAmount?, quantity? } — maxAmount enables proxy bidding: the system
+ * bids for the user in increment steps up to that hidden maximum, and a
+ * maximum stored earlier keeps working for the bidder's later bids. The
+ * current high bidder can't bid against themselves: sending maxAmount only
+ * raises their maximum, and a plain bid is refused. quantity is
+ * for multi-quantity lots (see placeLotBid). Reverse auctions take offers
+ * below the current one instead (see placeReverseBid).
+ *
+ * The auction update is a single conditional write on currentPrice and runs
+ * in the same transaction as the Bid/MaxBid writes; a soft-close extension
+ * triggered by a late bid is part of that same write. If another bid lands first
+ * the request gets 409 BID_CONFLICT with the fresh price so the client can retry.
  */
 exports.placeBid = async (req, res) => {
+  const session = await mongoose.startSession();
+
   try {
-    const { amount } = req.body;
     const { auctionId } = req.params;
+    const maxAmount = req.body.maxAmount != null && req.body.maxAmount !== ''
+      ? Number(req.body.maxAmount)
+      : null;
 
     if (!mongoose.Types.ObjectId.isValid(auctionId)) {
       return res.status(400).json({ message: 'Invalid auction ID' });
     }
 
+    if (maxAmount !== null && (!Number.isFinite(maxAmount) || maxAmount <= 0)) {
+      return res.status(400).json({ message: 'Please provide a valid maximum bid' });
+    }
+
     const auction = await Auction.findById(auctionId);
 
     if (!auction) {
@@ -36,41 +378,341 @@ exports.placeBid = async (req, res) => {
       return res.status(400).json({ message: 'You cannot bid on your own auction' });
     }
 
-    try {
-      // Use Auction model method for validation
-      auction.placeBid(amount);
-    } catch (error) {
-      return res.status(400).json({ message: error.message });
+    if (auction.isSealed()) {
+      return await placeSealedBid(req, res, auction, session);
     }
 
-    // Save bid history
-    const bid = await Bid.create({
-      auction: auctionId,
-      bidder: req.user.id,
-      amount,
+    if (auction.auctionType === 'dutch') {
+      return res.status(400).json({ message: 'Dutch auctions are bought by accepting the current price' });
+    }
+
+    if (auction.isLot()) {
+      return await placeLotBid(req, res, auction, session);
+    }
+
+    if (auction.isReverse()) {
+      return await placeReverseBid(req, res, auction, session);
+    }
+
+    const isLeader = auction.highBidder && auction.highBidder.toString() === req.user.id;
+
+    // Proxy-only requests open at the minimum bid
+    const hasAmount = req.body.amount != null && req.body.amount !== '';
+    const amount = hasAmount
+      ? Number(req.body.amount)
+      : maxAmount !== null ? auction.getMinimumBid() : NaN;
+
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return res.status(400).json({ message: 'Please provide a valid bid amount' });
+    }
+
+    if (maxAmount !== null && maxAmount < amount) {
+      return res.status(400).json({ message: 'Maximum bid cannot be lower than your bid' });
+    }
+
+    // The high bidder raising their hidden maximum doesn't place a bid
+    const raisingMax = isLeader && maxAmount !== null;
+    if (isLeader && !raisingMax) {
+      return res.status(400).json({ message: 'You are already the highest bidder. Raise your maximum bid instead.' });
+    }
+
+    if (raisingMax) {
+      if (!auction.isActive()) {
+        return res.status(400).json({ message: 'Auction is not active' });
+      }
+      if (maxAmount <= auction.currentPrice) {
+        return res.status(400).json({ message: 'Maximum bid must be higher than current price' });
+      }
+    } else {
+      try {
+        // Fail fast on bids that are already too low for the loaded state
+        auction.validateBid(amount);
+      } catch (error) {
+        return res.status(400).json({ message: error.message });
+      }
+    }
+
+    let bids = [];
+    let updated = null;
+    let extendedTo = null;
+    let previousHighBidder = null;
+    let leading = false;
+
+    await session.withTransaction(async () => {
+      bids = [];
+      updated = null;
+      extendedTo = null;
+      previousHighBidder = null;
+      leading = false;
+
+      if (raisingMax) {
+        // Touch the auction so a concurrent challenger conflicts with this write
+        updated = await Auction.findOneAndUpdate(
+          { _id: auctionId, status: 'active', highBidder: req.user.id },
+          { $set: { updatedAt: new Date() } },
+          { new: true, session }
+        );
+      } else {
+        const current = await Auction.findById(auctionId).select('+reservePrice').session(session);
+        if (!current || amount < current.getMinimumBid()) return;
+        // Took the lead meanwhile (e.g. through a proxy) — no bidding against yourself
+        if (current.highBidder && current.highBidder.toString() === req.user.id) {
+          leading = true;
+          return;
+        }
+        previousHighBidder = current.highBidder;
+
+        // A maximum set earlier still counts when this bid doesn't repeat it
+        const ownMax = await MaxBid.findOne({ auction: auctionId, bidder: req.user.id }).session(session);
+
+        const competitor = await MaxBid.findOne({
+          auction: auctionId,
+          bidder: { $ne: req.user.id },
+          maxAmount: { $gte: amount },
+        })
+          .sort({ maxAmount: -1, updatedAt: 1 })
+          .session(session);
+
+        extendedTo = current.getExtendedEndTime();
+        const resolution = resolveProxyBids(
+          current, req.user.id, amount, Math.max(amount, maxAmount || 0, ownMax ? ownMax.maxAmount : 0), competitor
+        );
+
+        // Conditional update — null means a competing bid won this price level.
+        // A late bid's soft-close extension is written in the same update.
+        updated = await Auction.applyBid(auctionId, {
+          amount,
+          from: current.currentPrice,
+          price: resolution.price,
+          highBidder: resolution.highBidder,
+          bidCount: resolution.bids.length,
+          endTime: extendedTo,
+          reserveMet: current.meetsReserve(resolution.price),
+        }, session);
+        if (!updated) return;
+
+        bids = await Bid.create(
+          resolution.bids.map((b) => ({ ...b, auction: auctionId })),
+          { session, ordered: true }
+        );
+      }
+
+      // Maximums only go up — a lower one sent with a later bid leaves the stored one
+      if (updated && maxAmount !== null) {
+        await MaxBid.findOneAndUpdate(
+          { auction: auctionId, bidder: req.user.id },
+          { $max: { maxAmount } },
+          { upsert: true, new: true, setDefaultsOnInsert: true, session }
+        );
+      }
     });
 
-    // Save updated auction (currentPrice + totalBids updated)
-    await auction.save();
+    if (leading) {
+      return res.status(400).json({ message: 'You are already the highest bidder. Raise your maximum bid instead.' });
+    }
+    if (!updated) {
+      return sendBidConflict(res, auction, 'Another bid was accepted first. Please review the current price and try again.');
+    }
+
+    const isHighBidder = updated.highBidder && updated.highBidder.toString() === req.user.id;
+    const extended = Boolean(extendedTo);
+
+    // Server-side broadcast (bid-updated / outbid / auction-extended) — see config/socket.js
+    if (!raisingMax) {
+      auctionEvents.emit('bid:accepted', { auction: updated, bids, previousHighBidder, extended });
+    }
 
-    res.status(201).json({
+    res.status(raisingMax ? 200 : 201).json({
       success: true,
-      message: 'Bid placed successfully',
-      bid,
-      currentPrice: auction.currentPrice,
-      totalBids: auction.totalBids,
+      message: raisingMax
+        ? 'Maximum bid updated'
+        : isHighBidder
+          ? 'Bid placed successfully'
+          : 'You were outbid by an automatic bid',
+      bid: bids[0] || null,
+      isHighBidder,
+      maxAmount,
+      currentPrice: updated.currentPrice,
+      minimumBid: updated.getMinimumBid(),
+      totalBids: updated.totalBids,
+      reserveMet: updated.reserveMet,
+      endTime: updated.endTime,
+      extended,
     });
 
   } catch (error) {
     res.status(500).json({ message: error.message });
+  } finally {
+    await session.endSession();
   }
 };
 
 
+/**
+ * @desc Retract one of your own bids
+ * @route POST /api/bids/:bidId/retract
+ * @access Private
+ *
+ * Body: { reason }. Removes the bid together with the bidder's later bids on
+ * the auction (proxy bids included) and their hidden maximum, plus the other
+ * bidders' automatic bids placed since — those only answered the removed bids.
+ * The standing is then re-derived from the remaining bids and maximums
+ * (Auction#restoreStanding), with fresh automatic bids where a proxy still
+ * has to climb; the start price and nobody when no bids are left.
+ * Rules: see retractionBlocker.
+ *
+ * The removed bids, the reason and the before/after state are kept as a
+ * BidRetraction for admins; RETRACT_FLAG_LIMIT retractions within
+ * RETRACT_FLAG_DAYS flag the user. Runs in a transaction with a conditional
+ * write on totalBids — a bid landing meanwhile gets 409 BID_CONFLICT.
+ */
+exports.retractBid = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { bidId } = req.params;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!mongoose.Types.ObjectId.isValid(bidId)) {
+      return res.status(400).json({ message: 'Invalid bid ID' });
+    }
+    if (!reason) {
+      return res.status(400).json({ message: 'Please give a reason for retracting the bid' });
+    }
+    if (reason.length > 500) {
+      return res.status(400).json({ message: 'Reason cannot exceed 500 characters' });
+    }
+
+    const bid = await Bid.findById(bidId);
+    if (!bid) {
+      return res.status(404).json({ message: 'Bid not found' });
+    }
+    if (bid.bidder.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'You can only retract your own bids' });
+    }
+
+    const auction = await Auction.findById(bid.auction);
+    if (!auction) {
+      return res.status(404).json({ message: 'Auction not found' });
+    }
+    const blocker = retractionBlocker(auction, bid);
+    if (blocker) {
+      return res.status(400).json({ message: blocker });
+    }
+
+    let updated = null;
+    let retraction = null;
+
+    await session.withTransaction(async () => {
+      updated = null;
+      retraction = null;
+
+      const current = await Auction.findById(auction._id).select('+reservePrice').session(session);
+      if (!current) return;
+
+      const removed = await Bid.find({
+        auction: auction._id,
+        bidder: req.user.id,
+        createdAt: { $gte: bid.createdAt },
+      }).session(session);
+      if (!removed.some((b) => b._id.equals(bid._id))) return;
+      const answered = await Bid.find({
+        auction: auction._id,
+        bidder: { $ne: req.user.id },
+        isAutomatic: true,
+        createdAt: { $gte: bid.createdAt },
+      }).session(session);
+      const removedIds = [...removed, ...answered].map((b) => b._id);
+
+      const remaining = await Bid.find({ auction: auction._id, _id: { $nin: removedIds } }).session(session);
+      const maxBids = await MaxBid.find({ auction: auction._id, bidder: { $ne: req.user.id } }).session(session);
+      const standing = current.restoreStanding(remaining, maxBids);
+
+      updated = await Auction.applyRetraction(auction._id, {
+        totalBids: current.totalBids,
+        bidCount: remaining.length + standing.bids.length,
+        price: standing.price,
+        highBidder: standing.highBidder,
+        reserveMet: Boolean(standing.highBidder) && (current.isReverse() || current.meetsReserve(standing.price)),
+      }, session);
+      if (!updated) return;
+
+      await Bid.deleteMany({ _id: { $in: removedIds } }, { session });
+      if (standing.bids.length > 0) {
+        await Bid.create(
+          standing.bids.map((b) => ({ ...b, auction: auction._id })),
+          { session, ordered: true }
+        );
+      }
+      const maxBid = await MaxBid.findOneAndDelete({ auction: auction._id, bidder: req.user.id }, { session });
+
+      [retraction] = await BidRetraction.create([{
+        auction: auction._id,
+        bidder: req.user.id,
+        reason,
+        bids: removed.map((b) => ({ bid: b._id, amount: b.amount, isAutomatic: b.isAutomatic, placedAt: b.createdAt })),
+        proxyBids: answered.map((b) => ({ bid: b._id, bidder: b.bidder, amount: b.amount, placedAt: b.createdAt })),
+        maxAmount: maxBid ? maxBid.maxAmount : null,
+        previousPrice: current.currentPrice,
+        previousHighBidder: current.highBidder,
+        restoredPrice: standing.price,
+        restoredHighBidder: standing.highBidder,
+      }], { session });
+    });
+
+    if (!updated) {
+      const latest = await Auction.findById(auction._id);
+      if (latest && !latest.isActive()) {
+        return res.status(400).json({ message: 'Bids can only be retracted while the auction is running' });
+      }
+      if (!(await Bid.exists({ _id: bidId }))) {
+        return res.status(404).json({ message: 'Bid not found' });
+      }
+      return sendBidConflict(res, auction, 'Another bid was placed while retracting yours. Please try again.');
+    }
+
+    // Flag the user once their recent retractions reach the limit
+    const since = new Date(Date.now() - RETRACT_FLAG_DAYS * 24 * 60 * 60 * 1000);
+    const recent = await BidRetraction.countDocuments({ bidder: req.user.id, createdAt: { $gte: since } });
+    const flagged = recent >= RETRACT_FLAG_LIMIT;
+    await User.updateOne({ _id: req.user.id }, {
+      $inc: { 'bidRetractions.count': 1 },
+      $set: {
+        'bidRetractions.lastAt': retraction.createdAt,
+        ...(flagged ? { 'bidRetractions.flagged': true, 'bidRetractions.flaggedAt': retraction.createdAt } : {}),
+      },
+    });
+
+    auctionEvents.emit('bid:retracted', { auction: updated, retraction });
+
+    res.json({
+      success: true,
+      message: retraction.bids.length > 1
+        ? `Bid retracted, together with ${retraction.bids.length - 1} later bid(s) of yours`
+        : 'Bid retracted',
+      retraction: { _id: retraction._id, bids: retraction.bids, restoredPrice: retraction.restoredPrice },
+      currentPrice: updated.currentPrice,
+      totalBids: updated.totalBids,
+      isHighBidder: Boolean(updated.highBidder && updated.highBidder.toString() === req.user.id),
+    });
+
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  } finally {
+    await session.endSession();
+  }
+};
+
 /**
  * @desc Get bid history
  * @route GET /api/bids/:auctionId
  * @access Public
+ *
+ * Each bid carries isAutomatic — true when placed by a proxy (MaxBid).
+ * Maximum amounts themselves are never exposed. The caller's own bids carry
+ * retractable when they may still be retracted.
+ * Sealed-bid auctions return only the count (and the caller's own bid as
+ * myBid) until they close, then every bid, highest first.
  */
 exports.getBidHistory = async (req, res) => {
   try {
@@ -80,14 +722,34 @@ exports.getBidHistory = async (req, res) => {
       return res.status(400).json({ message: 'Invalid auction ID' });
     }
 
+    const auction = await Auction.findById(auctionId).select('auctionType status totalBids quantity startTime endTime');
+
+    if (auction && auction.hidesBids()) {
+      const myBid = req.user
+        ? await Bid.findOne({ auction: auctionId, bidder: req.user._id, sealed: true }).select('amount updatedAt')
+        : null;
+      return res.json({
+        success: true,
+        sealed: true,
+        total: auction.totalBids,
+        bids: [],
+        myBid,
+      });
+    }
+
     const bids = await Bid.find({ auction: auctionId })
       .populate('bidder', 'name email rating')
-      .sort({ createdAt: -1 });
+      .sort(auction && auction.isSealed() ? { amount: -1, updatedAt: 1 } : { createdAt: -1, _id: -1 });
+
+    const viewerId = req.user ? req.user._id.toString() : null;
+    const now = new Date();
 
     res.json({
       success: true,
       total: bids.length,
-      bids,
+      bids: bids.map((b) => (auction && viewerId && b.bidder && b.bidder._id.toString() === viewerId
+        ? { ...b.toObject(), retractable: !retractionBlocker(auction, b, now) }
+        : b)),
     });
 
   } catch (error) {
@@ -1,6 +1,6 @@
 /**
  * Buyer Controller
- * Buyer dashboard — bid history and won auctions
+ * Buyer dashboard — bid history, won auctions and posted requests
  * Author: Moshee-Ur | Sprint 2
  */
 
@@ -38,12 +38,23 @@ const bids = await Bid.find({ bidder: req.user._id })
 // @access Private
 const getWonAuctions = async (req, res) => {
     try {
-        const wonAuctions = await Auction.find({ winner: req.user._id })
+        // Lots can have several winners — they're listed in allocations
+        // A seller winning a buyer request isn't a purchase — see seller/requests
+        const wonAuctions = await Auction.find({
+            $or: [{ winner: req.user._id }, { "allocations.bidder": req.user._id }],
+            auctionType: { $ne: "reverse" }
+        })
             .populate("item", "title images condition")
             .populate("seller", "name email")
             .sort({ updatedAt: -1 });
 
-        const totalSpent = wonAuctions.reduce((sum, a) => sum + (a.finalPrice || a.currentPrice || 0), 0);
+        const userId = req.user._id.toString();
+        const spentOn = (a) => {
+            const share = a.allocations.find(x => x.bidder.toString() === userId);
+            if (share) return share.quantity * share.unitPrice;
+            return a.finalPrice || a.currentPrice || 0;
+        };
+        const totalSpent = Math.round(wonAuctions.reduce((sum, a) => sum + spentOn(a), 0) * 100) / 100;
 
         res.json({
             success: true,
@@ -57,4 +68,32 @@ const getWonAuctions = async (req, res) => {
     }
 };
 
-module.exports = { getMyBids, getWonAuctions };
+// @desc   Get the buyer requests (reverse auctions) the logged-in user posted
+// @route  GET /api/buyer/requests
+// @access Private
+const getMyRequests = async (req, res) => {
+    try {
+        const requests = await Auction.find({ seller: req.user._id, auctionType: "reverse" })
+            .populate("item", "title images")
+            .populate("highBidder", "name storeName")
+            .populate("winner", "name storeName email")
+            .sort({ createdAt: -1 });
+
+        const stats = {
+            total:   requests.length,
+            open:    requests.filter(r => ["pending", "active"].includes(r.status)).length,
+            awarded: requests.filter(r => r.status === "sold").length,
+            // What the awarded requests saved against their budgets
+            saved:   requests
+                .filter(r => r.status === "sold")
+                .reduce((sum, r) => sum + (r.startPrice - r.finalPrice), 0)
+        };
+
+        res.json({ success: true, stats, count: requests.length, data: requests });
+    } catch (error) {
+        console.error("getMyRequests error:", error);
+        res.status(500).json({ success: false, message: "Server error" });
+    }
+};
+
+module.exports = { getMyBids, getWonAuctions, getMyRequests };
@@ -6,22 +6,40 @@
  */
 
 const Category = require("../models/Category");
+const { normalizeTable } = require("../config/bidIncrements");
+
+// Helper: check a bid increment table from the request body
+// An empty (or null) table means "use the platform table"
+const parseIncrements = (rows) => {
+    if (rows === null || (Array.isArray(rows) && rows.length === 0)) return { table: [] };
+    try {
+        return { table: normalizeTable(rows) };
+    } catch (error) {
+        return { error: error.message };
+    }
+};
 
 // @desc   Create a new category
-// @route  POST /api/admin/categories
+// @route  POST /api/admin/categories   body: { name, description?, icon?, bidIncrements? }
 // @access Admin only
 const createCategory = async (req, res) => {
     try {
-        const { name, description, icon } = req.body;
+        const { name, description, icon, bidIncrements } = req.body;
         if (!name) {
             return res.status(400).json({ success: false, message: "Category name is required" });
         }
+        const increments = bidIncrements !== undefined ? parseIncrements(bidIncrements) : { table: [] };
+        if (increments.error) {
+            return res.status(400).json({ success: false, message: increments.error });
+        }
         const slug = name.toLowerCase().replace(/\s+/g, "-").replace(/[^a-z0-9-]/g, "");
         const existing = await Category.findOne({ slug });
         if (existing) {
             return res.status(400).json({ success: false, message: "Category with this name already exists" });
         }
-        const category = await Category.create({ name, slug, description, icon, isActive: true });
+        const category = await Category.create({
+            name, slug, description, icon, bidIncrements: increments.table, isActive: true
+        });
         res.status(201).json({ success: true, message: "Category created", data: category });
     } catch (error) {
         console.error("createCategory error:", error);
@@ -44,9 +62,14 @@ const getAllCategories = async (req, res) => {
 // @desc   Update a category
 // @route  PUT /api/admin/categories/:id
 // @access Admin only
+// bidIncrements applies to listings created from now on; running ones keep theirs
 const updateCategory = async (req, res) => {
     try {
-        const { name, description, icon, isActive } = req.body;
+        const { name, description, icon, isActive, bidIncrements } = req.body;
+        const increments = bidIncrements !== undefined ? parseIncrements(bidIncrements) : null;
+        if (increments && increments.error) {
+            return res.status(400).json({ success: false, message: increments.error });
+        }
         const category = await Category.findById(req.params.id);
         if (!category) {
             return res.status(404).json({ success: false, message: "Category not found" });
@@ -58,6 +81,7 @@ const updateCategory = async (req, res) => {
         if (description !== undefined) category.description = description;
         if (icon !== undefined) category.icon = icon;
         if (isActive !== undefined) category.isActive = isActive;
+        if (increments) category.bidIncrements = increments.table;
         await category.save();
         res.json({ success: true, message: "Category updated", data: category });
     } catch (error) {
@@ -0,0 +1,92 @@
+/**
+ * Notification Controller
+ * List notifications, unread count, mark read
+ * Author: Talha | Sprint 3
+ */
+
+const mongoose     = require("mongoose");
+const Notification = require("../models/Notification");
+
+// @desc   Get the user's notifications, newest first
+// @route  GET /api/notifications?page=1&limit=20&unread=true
+// @access Private
+const getNotifications = async (req, res) => {
+    try {
+        const page  = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+        const filter = { recipient: req.user._id };
+        if (req.query.unread === "true") filter.isRead = false;
+
+        const [notifications, total, unread] = await Promise.all([
+            Notification.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            Notification.countDocuments(filter),
+            Notification.countDocuments({ recipient: req.user._id, isRead: false })
+        ]);
+
+        res.json({
+            success: true,
+            data: notifications,
+            unread,
+            pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+        });
+    } catch (error) {
+        console.error("getNotifications error:", error);
+        res.status(500).json({ success: false, message: "Server error" });
+    }
+};
+
+// @desc   Count unread notifications (bell badge)
+// @route  GET /api/notifications/unread-count
+// @access Private
+const getUnreadCount = async (req, res) => {
+    try {
+        const count = await Notification.countDocuments({ recipient: req.user._id, isRead: false });
+        res.json({ success: true, count });
+    } catch (error) {
+        res.status(500).json({ success: false, message: "Server error" });
+    }
+};
+
+// @desc   Mark one notification as read
+// @route  PUT /api/notifications/:id/read
+// @access Private
+const markAsRead = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ success: false, message: "Notification not found" });
+        }
+        const notification = await Notification.findOneAndUpdate(
+            { _id: req.params.id, recipient: req.user._id },
+            { $set: { isRead: true, readAt: Date.now() } },
+            { new: true }
+        );
+        if (!notification) {
+            return res.status(404).json({ success: false, message: "Notification not found" });
+        }
+        res.json({ success: true, data: notification });
+    } catch (error) {
+        res.status(500).json({ success: false, message: "Server error" });
+    }
+};
+
+// @desc   Mark all of the user's notifications as read
+// @route  PUT /api/notifications/read-all
+// @access Private
+const markAllAsRead = async (req, res) => {
+    try {
+        const result = await Notification.updateMany(
+            { recipient: req.user._id, isRead: false },
+            { $set: { isRead: true, readAt: Date.now() } }
+        );
+        res.json({ success: true, message: "All notifications marked as read", updated: result.modifiedCount });
+    } catch (error) {
+        res.status(500).json({ success: false, message: "Server error" });
+    }
+};
+
+module.exports = { getNotifications, getUnreadCount, markAsRead, markAllAsRead };
@@ -0,0 +1,247 @@
+/**
+ * Seller Application Controller
+ * "Become a seller": users apply with store details and an ID document,
+ * admins approve (role becomes 'seller') or reject with a reason.
+ * Author: Talha
+ * Date: Sprint 3
+ */
+
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+const { validationResult } = require("express-validator");
+const SellerApplication = require("../models/SellerApplication");
+const User = require("../models/User");
+const { documentDir } = require("../middleware/upload");
+const { notify } = require("../services/notificationService");
+const { sendTemplate } = require("../services/mailService");
+
+// Helper: drop an uploaded file when the application is not stored
+const discardUpload = (file) => {
+    if (file) fs.unlink(file.path, () => {});
+};
+
+// Helper: tell the applicant the outcome (in-app + email)
+const notifyApplicant = async (application, user) => {
+    const approved = application.status === "approved";
+    await notify([{
+        recipient: user._id,
+        type: "seller_application",
+        title: approved ? "You are now a seller" : "Seller application not approved",
+        message: approved
+            ? `"${application.storeName}" was approved. You can start listing items.`
+            : application.rejectionReason || "Your seller application was not approved.",
+        link: approved ? "/auctions/create" : "/seller/apply",
+        payload: { status: application.status }
+    }]);
+    sendTemplate(user.email, "sellerApplication", {
+        name: user.name,
+        storeName: application.storeName,
+        approved,
+        reason: application.rejectionReason
+    });
+};
+
+/**
+ * POST /api/seller/application
+ * Apply to become a seller (multipart):
+ * storeName, phone, address[street|area|city|zipCode], idDocument (file)
+ */
+const applyForSeller = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        discardUpload(req.file);
+        return res.status(400).json({ success: false, message: "Validation failed", errors: errors.array() });
+    }
+
+    try {
+        if (req.user.role !== "user") {
+            discardUpload(req.file);
+            return res.status(400).json({ success: false, message: "Your account can already list items" });
+        }
+        if (!req.file) {
+            return res.status(400).json({ success: false, message: "An ID document is required" });
+        }
+
+        const { storeName, phone, address = {} } = req.body;
+        const application = await SellerApplication.create({
+            user: req.user._id,
+            storeName,
+            phone,
+            address: {
+                street: address.street,
+                area: address.area,
+                city: address.city,
+                zipCode: address.zipCode
+            },
+            idDocument: {
+                filename: req.file.filename,
+                originalName: req.file.originalname,
+                mimetype: req.file.mimetype,
+                size: req.file.size
+            }
+        });
+
+        res.status(201).json({ success: true, message: "Application submitted for review", data: application });
+    } catch (error) {
+        discardUpload(req.file);
+        if (error.code === 11000) {
+            return res.status(409).json({ success: false, message: "You already have an application under review" });
+        }
+        if (error.name === "ValidationError") {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        console.error("Seller application error:", error);
+        res.status(500).json({ success: false, message: "Server error", error: error.message });
+    }
+};
+
+/**
+ * GET /api/seller/application
+ * The logged-in user's latest application (data is null if they never applied)
+ */
+const getMyApplication = async (req, res) => {
+    try {
+        const application = await SellerApplication.findOne({ user: req.user._id })
+            .sort({ createdAt: -1 })
+            .select("-idDocument.filename");
+        res.json({ success: true, data: application });
+    } catch (error) {
+        res.status(500).json({ success: false, message: "Server error", error: error.message });
+    }
+};
+
+/**
+ * GET /api/admin/seller-applications?status=pending
+ * Review queue, oldest first. status: pending (default) | approved | rejected | all
+ */
+const listApplications = async (req, res) => {
+    try {
+        const status = req.query.status || "pending";
+        const filter = status === "all" ? {} : { status };
+
+        const applications = await SellerApplication.find(filter)
+            .populate("user", "name username email isVerified createdAt")
+            .populate("reviewedBy", "name username")
+            .sort({ createdAt: status === "pending" ? 1 : -1 })
+            .limit(200);
+
+        res.json({ success: true, count: applications.length, data: applications });
+    } catch (error) {
+        res.status(500).json({ success: false, message: "Server error", error: error.message });
+    }
+};
+
+/**
+ * GET /api/admin/seller-applications/:id/document
+ * Streams the applicant's ID document
+ */
+const getApplicationDocument = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ success: false, message: "Application not found" });
+        }
+        const application = await SellerApplication.findById(req.params.id).select("idDocument");
+        if (!application) {
+            return res.status(404).json({ success: false, message: "Application not found" });
+        }
+
+        const filePath = path.resolve(documentDir, path.basename(application.idDocument.filename));
+        if (!fs.existsSync(filePath)) {
+            return res.status(404).json({ success: false, message: "Document file is missing" });
+        }
+        res.type(application.idDocument.mimetype || "application/octet-stream");
+        res.sendFile(filePath);
+    } catch (error) {
+        res.status(500).json({ success: false, message: "Server error", error: error.message });
+    }
+};
+
+/**
+ * PUT /api/admin/seller-applications/:id/approve
+ * Makes the applicant a seller and copies the store details to their profile
+ */
+const approveApplication = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ success: false, message: "Application not found" });
+        }
+
+        // Only a pending application can be decided, and only once
+        const application = await SellerApplication.findOneAndUpdate(
+            { _id: req.params.id, status: "pending" },
+            { $set: { status: "approved", reviewedBy: req.user._id, reviewedAt: new Date() } },
+            { new: true }
+        );
+        if (!application) {
+            return res.status(404).json({ success: false, message: "No pending application with that ID" });
+        }
+
+        const user = await User.findById(application.user);
+        if (user) {
+            // Never downgrade an admin
+            if (user.role === "user") user.role = "seller";
+            user.storeName = application.storeName;
+            user.phone = application.phone;
+            ["street", "area", "city", "zipCode"].forEach((key) => {
+                if (application.address[key]) user.address[key] = application.address[key];
+            });
+            await user.save();
+            await notifyApplicant(application, user);
+        }
+
+        res.json({ success: true, message: "Application approved", data: application });
+    } catch (error) {
+        console.error("Approve seller application error:", error);
+        res.status(500).json({ success: false, message: "Server error", error: error.message });
+    }
+};
+
+/**
+ * PUT /api/admin/seller-applications/:id/reject
+ * Body: { reason } — shown to the applicant
+ */
+const rejectApplication = async (req, res) => {
+    try {
+        const reason = String(req.body.reason || "").trim();
+        if (!reason) {
+            return res.status(400).json({ success: false, message: "Please give a reason for the rejection" });
+        }
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ success: false, message: "Application not found" });
+        }
+
+        const application = await SellerApplication.findOneAndUpdate(
+            { _id: req.params.id, status: "pending" },
+            {
+                $set: {
+                    status: "rejected",
+                    rejectionReason: reason.slice(0, 500),
+                    reviewedBy: req.user._id,
+                    reviewedAt: new Date()
+                }
+            },
+            { new: true }
+        );
+        if (!application) {
+            return res.status(404).json({ success: false, message: "No pending application with that ID" });
+        }
+
+        const user = await User.findById(application.user).select("name email");
+        if (user) await notifyApplicant(application, user);
+
+        res.json({ success: true, message: "Application rejected", data: application });
+    } catch (error) {
+        console.error("Reject seller application error:", error);
+        res.status(500).json({ success: false, message: "Server error", error: error.message });
+    }
+};
+
+module.exports = {
+    applyForSeller,
+    getMyApplication,
+    listApplications,
+    getApplicationDocument,
+    approveApplication,
+    rejectApplication
+};
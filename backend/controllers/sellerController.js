@@ -1,18 +1,22 @@
 /**
  * Seller Controller
- * Provides seller-specific auction and bid data
+ * Provides seller-specific auction and bid data, and the buyer requests
+ * sellers can make offers on
  * Author: Rakib | Sprint 2
  */
 
 const Auction = require("../models/Auction");
 const Bid     = require("../models/Bid");
+const { checkOwnerOrAdmin } = require("../middleware/auth");
 
 // @desc   Get all auctions created by the logged-in seller
 // @route  GET /api/seller/auctions
 // @access Private (seller/admin)
 const getSellerAuctions = async (req, res) => {
     try {
-        const auctions = await Auction.find({ seller: req.user._id })
+        // Buyer requests the user posted belong to the buyer dashboard
+        const auctions = await Auction.find({ seller: req.user._id, auctionType: { $ne: "reverse" } })
+            .select("+reservePrice")
             .populate("item", "title images condition")
             .populate("category", "name")
             .sort({ createdAt: -1 });
@@ -22,7 +26,8 @@ const getSellerAuctions = async (req, res) => {
             total:   auctions.length,
             active:  auctions.filter(a => a.status === "active").length,
             pending: auctions.filter(a => a.status === "pending").length,
-            ended:   auctions.filter(a => a.status === "ended" || a.status === "sold").length,
+            ended:   auctions.filter(a => ["ended", "sold", "reserve_not_met"].includes(a.status)).length,
+            reserveNotMet: auctions.filter(a => a.status === "reserve_not_met").length,
             totalBids: auctions.reduce((sum, a) => sum + (a.totalBids || 0), 0)
         };
 
@@ -46,8 +51,17 @@ const getAuctionBids = async (req, res) => {
         if (!auction) {
             return res.status(404).json({ success: false, message: "Auction not found" });
         }
-        if (String(auction.seller) !== String(req.user._id) && req.user.role !== "admin") {
-            return res.status(403).json({ success: false, message: "Not authorized to view bids for this auction" });
+        if (!checkOwnerOrAdmin(req, res, auction.seller, "Not authorized to view bids for this auction")) return;
+
+        // Sealed bids stay sealed for the seller too until the auction closes
+        if (auction.hidesBids()) {
+            return res.json({
+                success: true,
+                sealed: true,
+                auction: { id: auction._id, title: auction.item?.title, status: auction.status, endTime: auction.endTime },
+                bidStats: { totalBids: auction.totalBids, uniqueBidders: auction.totalBids },
+                data: []
+            });
         }
 
         const bids = await Bid.find({ auction: req.params.id })
@@ -74,4 +88,60 @@ const getAuctionBids = async (req, res) => {
     }
 };
 
-module.exports = { getSellerAuctions, getAuctionBids };
\ No newline at end of file
+// @desc   Buyer requests: open ones to make offers on, plus the ones the
+//         seller has offered on (with whether their offer leads or won)
+// @route  GET /api/seller/requests
+// @access Private (seller/admin)
+const getBuyerRequests = async (req, res) => {
+    try {
+        const offeredOn = await Bid.distinct("auction", { bidder: req.user._id });
+
+        const [open, offered] = await Promise.all([
+            Auction.find({
+                auctionType: "reverse",
+                status: "active",
+                seller: { $ne: req.user._id },
+                _id: { $nin: offeredOn }
+            })
+                .populate("item", "title images")
+                .populate("seller", "name")
+                .sort({ endTime: 1 })
+                .limit(50),
+            Auction.find({ auctionType: "reverse", _id: { $in: offeredOn } })
+                .populate("item", "title images")
+                .populate("seller", "name")
+                .sort({ endTime: -1 })
+        ]);
+
+        const userId = String(req.user._id);
+        const myOffers = await Bid.aggregate([
+            { $match: { bidder: req.user._id, auction: { $in: offeredOn } } },
+            { $group: { _id: "$auction", lowest: { $min: "$amount" } } }
+        ]);
+        const lowestOf = new Map(myOffers.map(o => [String(o._id), o.lowest]));
+
+        const data = offered.map(a => ({
+            ...a.toObject(),
+            myOffer: lowestOf.get(String(a._id)),
+            isLowest: String(a.highBidder) === userId,
+            awarded: a.status === "sold" && String(a.winner) === userId
+        }));
+
+        res.json({
+            success: true,
+            stats: {
+                open: open.length,
+                offered: data.length,
+                leading: data.filter(a => a.status === "active" && a.isLowest).length,
+                awarded: data.filter(a => a.awarded).length
+            },
+            open,
+            offered: data
+        });
+    } catch (error) {
+        console.error("getBuyerRequests error:", error);
+        res.status(500).json({ success: false, message: "Server error" });
+    }
+};
+
+module.exports = { getSellerAuctions, getAuctionBids, getBuyerRequests };
\ No newline at end of file
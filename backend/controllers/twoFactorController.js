@@ -0,0 +1,136 @@
+/**
+ * Two-Factor Authentication Controller
+ * TOTP enrollment, backup codes and disabling 2FA
+ * The login step itself is loginTwoFactor in authController.
+ * Author: Talha
+ * Date: Sprint 3
+ */
+
+const User = require("../models/User");
+const totp = require("../services/totp");
+
+// Helper: load the logged-in user with the 2FA secrets selected
+const loadWithSecrets = (userId) => User.findById(userId).select(
+    "+password +twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedStep"
+);
+
+/**
+ * POST /api/auth/2fa/setup
+ * Starts enrollment: returns a new secret and its otpauth:// URI
+ * (scan it as a QR code or open it on the phone). Nothing changes until
+ * the first code is confirmed with /2fa/enable.
+ */
+const setupTwoFactor = async (req, res) => {
+    try {
+        const user = await loadWithSecrets(req.user._id);
+        if (user.twoFactor.enabled) {
+            return res.status(400).json({ success: false, message: "Two-factor authentication is already enabled" });
+        }
+
+        const secret = totp.generateSecret();
+        user.twoFactor.pendingSecret = secret;
+        await user.save();
+
+        res.json({
+            success: true,
+            secret,
+            otpauthUri: totp.otpauthUri(secret, user.email)
+        });
+    } catch (error) {
+        console.error("2FA setup error:", error);
+        res.status(500).json({ success: false, message: "Server error", error: error.message });
+    }
+};
+
+/**
+ * POST /api/auth/2fa/enable
+ * Confirms enrollment with a code from the app: { code }
+ * Returns the backup codes — the only time they are shown
+ */
+const enableTwoFactor = async (req, res) => {
+    try {
+        const user = await loadWithSecrets(req.user._id);
+        if (user.twoFactor.enabled) {
+            return res.status(400).json({ success: false, message: "Two-factor authentication is already enabled" });
+        }
+        if (!user.twoFactor.pendingSecret) {
+            return res.status(400).json({ success: false, message: "Start the setup first" });
+        }
+
+        const step = totp.verifyCode(user.twoFactor.pendingSecret, req.body.code);
+        if (step === null) {
+            return res.status(400).json({ success: false, message: "Invalid authentication code" });
+        }
+
+        user.twoFactor.enabled = true;
+        user.twoFactor.secret = user.twoFactor.pendingSecret;
+        user.twoFactor.pendingSecret = undefined;
+        user.twoFactor.lastUsedStep = step;
+        const backupCodes = user.generateBackupCodes();
+        await user.save();
+
+        res.json({ success: true, message: "Two-factor authentication enabled", backupCodes });
+    } catch (error) {
+        console.error("2FA enable error:", error);
+        res.status(500).json({ success: false, message: "Server error", error: error.message });
+    }
+};
+
+/**
+ * POST /api/auth/2fa/disable
+ * Turns 2FA off: { password, code }. Not allowed for admins.
+ */
+const disableTwoFactor = async (req, res) => {
+    try {
+        if (req.user.role === "admin") {
+            return res.status(403).json({ success: false, message: "Two-factor authentication is required for admin accounts" });
+        }
+
+        const user = await loadWithSecrets(req.user._id);
+        if (!user.twoFactor.enabled) {
+            return res.status(400).json({ success: false, message: "Two-factor authentication is not enabled" });
+        }
+
+        const passwordOk = await user.comparePassword(req.body.password || "");
+        if (!passwordOk || !(await user.verifySecondFactor(req.body.code))) {
+            return res.status(401).json({ success: false, message: "Password or authentication code is incorrect" });
+        }
+
+        user.twoFactor.enabled = false;
+        user.twoFactor.secret = undefined;
+        user.twoFactor.backupCodes = [];
+        user.twoFactor.lastUsedStep = undefined;
+        await user.save();
+
+        res.json({ success: true, message: "Two-factor authentication disabled" });
+    } catch (error) {
+        console.error("2FA disable error:", error);
+        res.status(500).json({ success: false, message: "Server error", error: error.message });
+    }
+};
+
+/**
+ * POST /api/auth/2fa/backup-codes
+ * Replaces the backup codes: { code } (a current TOTP or backup code)
+ */
+const regenerateBackupCodes = async (req, res) => {
+    try {
+        const user = await loadWithSecrets(req.user._id);
+        if (!user.twoFactor.enabled) {
+            return res.status(400).json({ success: false, message: "Two-factor authentication is not enabled" });
+        }
+        if (!(await user.verifySecondFactor(req.body.code))) {
+            return res.status(401).json({ success: false, message: "Invalid authentication code" });
+        }
+
+        const backupCodes = user.generateBackupCodes();
+        await user.save();
+
+        res.json({ success: true, message: "New backup codes generated", backupCodes });
+    } catch (error) {
+        console.error("2FA backup codes error:", error);
+        res.status(500).json({ success: false, message: "Server error", error: error.message });
+    }
+};
+
+module.exports = { setupTwoFactor, enableTwoFactor, disableTwoFactor, regenerateBackupCodes };
@@ -0,0 +1,320 @@
+/**
+ * User Controller
+ * Admin user management: find users, look at their activity,
+ * change roles, deactivate accounts and force logouts, and review
+ * bidders flagged for bid retractions
+ * Author: Talha | Sprint 3
+ */
+
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Auction = require("../models/Auction");
+const Bid = require("../models/Bid");
+const BidRetraction = require("../models/BidRetraction");
+const SellerApplication = require("../models/SellerApplication");
+const { revokeAllSessions } = require("../services/sessionService");
+const { disconnectUser } = require("../config/socket");
+
+const ROLES = ["user", "seller", "admin"];
+
+// Helper: treat user input as literal text inside a regex
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Helper: load the target user, or answer 404
+const findTarget = async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(404).json({ success: false, message: "User not found" });
+        return null;
+    }
+    const user = await User.findById(req.params.id);
+    if (!user) {
+        res.status(404).json({ success: false, message: "User not found" });
+        return null;
+    }
+    return user;
+};
+
+// Helper: end every session and live socket of a user
+const signOutEverywhere = async (userId) => {
+    const revoked = await revokeAllSessions(userId);
+    disconnectUser(userId.toString());
+    return revoked;
+};
+
+// @desc   Admin dashboard summary
+// @route  GET /api/admin/dashboard
+// @access Admin only
+const getDashboardStats = async (req, res) => {
+    try {
+        const [roles, inactive, flaggedBidders, pendingApplications, pendingListings, auctions] = await Promise.all([
+            User.aggregate([{ $group: { _id: "$role", count: { $sum: 1 } } }]),
+            User.countDocuments({ isActive: false }),
+            User.countDocuments({ "bidRetractions.flagged": true }),
+            SellerApplication.countDocuments({ status: "pending" }),
+            Auction.countDocuments({ status: "pending", reviewStatus: "pending_review" }),
+            Auction.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }])
+        ]);
+
+        const usersByRole = Object.fromEntries(ROLES.map((r) => [r, 0]));
+        roles.forEach((r) => { usersByRole[r._id] = r.count; });
+
+        res.json({
+            success: true,
+            data: {
+                users: {
+                    total: Object.values(usersByRole).reduce((a, b) => a + b, 0),
+                    byRole: usersByRole,
+                    inactive,
+                    flaggedForRetractions: flaggedBidders
+                },
+                pendingSellerApplications: pendingApplications,
+                pendingListingReviews: pendingListings,
+                auctionsByStatus: Object.fromEntries(auctions.map((a) => [a._id, a.count]))
+            }
+        });
+    } catch (error) {
+        console.error("getDashboardStats error:", error);
+        res.status(500).json({ success: false, message: "Server error" });
+    }
+};
+
+// @desc   List users with search, filters and paging
+// @route  GET /api/admin/users?search=&role=&status=active|inactive&flagged=retractions&page=1&limit=20
+// @access Admin only
+const getUsers = async (req, res) => {
+    try {
+        const { search, role, status } = req.query;
+        const page  = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+        const filter = {};
+        if (ROLES.includes(role)) filter.role = role;
+        if (status === "active") filter.isActive = true;
+        if (status === "inactive") filter.isActive = false;
+        if (req.query.flagged === "retractions") filter["bidRetractions.flagged"] = true;
+        if (search) {
+            const pattern = { $regex: escapeRegex(search.trim()), $options: "i" };
+            filter.$or = [{ name: pattern }, { username: pattern }, { email: pattern }, { storeName: pattern }];
+        }
+
+        const [users, total] = await Promise.all([
+            User.find(filter)
+                .select("name username email role storeName isActive isVerified twoFactor.enabled bidRetractions lastLogin createdAt")
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            User.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            count: users.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            data: users
+        });
+    } catch (error) {
+        console.error("getUsers error:", error);
+        res.status(500).json({ success: false, message: "Server error" });
+    }
+};
+
+// @desc   One user's profile with activity counts
+// @route  GET /api/admin/users/:id
+// @access Admin only
+const getUserById = async (req, res) => {
+    try {
+        const user = await findTarget(req, res);
+        if (!user) return;
+
+        const [auctions, bids, wins, retractions] = await Promise.all([
+            Auction.countDocuments({ seller: user._id }),
+            Bid.countDocuments({ bidder: user._id }),
+            Auction.countDocuments({ winner: user._id, status: "sold" }),
+            BidRetraction.countDocuments({ bidder: user._id })
+        ]);
+
+        res.json({ success: true, data: user.getPublicProfile(), stats: { auctions, bids, wins, retractions } });
+    } catch (error) {
+        console.error("getUserById error:", error);
+        res.status(500).json({ success: false, message: "Server error" });
+    }
+};
+
+// @desc   Auctions a user has listed
+// @route  GET /api/admin/users/:id/auctions
+// @access Admin only
+const getUserAuctions = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ success: false, message: "User not found" });
+        }
+        const auctions = await Auction.find({ seller: req.params.id })
+            .populate("item", "title images")
+            .populate("winner", "name username")
+            .sort({ createdAt: -1 })
+            .limit(200);
+
+        res.json({ success: true, count: auctions.length, data: auctions });
+    } catch (error) {
+        console.error("getUserAuctions error:", error);
+        res.status(500).json({ success: false, message: "Server error" });
+    }
+};
+
+// @desc   Bids a user has placed, newest first
+// @route  GET /api/admin/users/:id/bids
+// @access Admin only
+const getUserBids = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ success: false, message: "User not found" });
+        }
+        const bids = await Bid.find({ bidder: req.params.id })
+            .populate({
+                path: "auction",
+                select: "item status currentPrice endTime winner",
+                populate: { path: "item", select: "title" }
+            })
+            .sort({ createdAt: -1 })
+            .limit(200);
+
+        res.json({ success: true, count: bids.length, data: bids });
+    } catch (error) {
+        console.error("getUserBids error:", error);
+        res.status(500).json({ success: false, message: "Server error" });
+    }
+};
+
+// @desc   Bids a user has retracted (audit records), newest first
+// @route  GET /api/admin/users/:id/retractions
+// @access Admin only
+const getUserRetractions = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ success: false, message: "User not found" });
+        }
+        const retractions = await BidRetraction.find({ bidder: req.params.id })
+            .populate({
+                path: "auction",
+                select: "item status currentPrice endTime auctionType",
+                populate: { path: "item", select: "title" }
+            })
+            .populate("previousHighBidder restoredHighBidder", "name username")
+            .sort({ createdAt: -1 })
+            .limit(200);
+
+        res.json({ success: true, count: retractions.length, data: retractions });
+    } catch (error) {
+        console.error("getUserRetractions error:", error);
+        res.status(500).json({ success: false, message: "Server error" });
+    }
+};
+
+// @desc   Clear a user's bid retraction flag after review
+//         (their next retraction flags them again while they're over the limit)
+// @route  PUT /api/admin/users/:id/retraction-flag
+// @access Admin only
+const clearRetractionFlag = async (req, res) => {
+    try {
+        const user = await findTarget(req, res);
+        if (!user) return;
+
+        user.bidRetractions.flagged = false;
+        user.bidRetractions.flaggedAt = undefined;
+        await user.save();
+
+        res.json({ success: true, message: "Retraction flag cleared", data: user.getPublicProfile() });
+    } catch (error) {
+        console.error("clearRetractionFlag error:", error);
+        res.status(500).json({ success: false, message: "Server error" });
+    }
+};
+
+// @desc   Change a user's role
+// @route  PUT /api/admin/users/:id/role   body: { role }
+// @access Admin only
+const updateUserRole = async (req, res) => {
+    try {
+        const { role } = req.body;
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({ success: false, message: `Role must be one of: ${ROLES.join(", ")}` });
+        }
+        if (req.params.id === req.user._id.toString()) {
+            return res.status(400).json({ success: false, message: "You cannot change your own role" });
+        }
+
+        const user = await findTarget(req, res);
+        if (!user) return;
+
+        user.role = role;
+        await user.save();
+
+        res.json({ success: true, message: `Role changed to ${role}`, data: user.getPublicProfile() });
+    } catch (error) {
+        console.error("updateUserRole error:", error);
+        res.status(500).json({ success: false, message: "Server error" });
+    }
+};
+
+// @desc   Deactivate or reactivate an account (deactivating also signs it out)
+// @route  PUT /api/admin/users/:id/status   body: { isActive }
+// @access Admin only
+const updateUserStatus = async (req, res) => {
+    try {
+        const { isActive } = req.body;
+        if (typeof isActive !== "boolean") {
+            return res.status(400).json({ success: false, message: "isActive must be true or false" });
+        }
+        if (req.params.id === req.user._id.toString()) {
+            return res.status(400).json({ success: false, message: "You cannot deactivate your own account" });
+        }
+
+        const user = await findTarget(req, res);
+        if (!user) return;
+
+        user.isActive = isActive;
+        await user.save();
+        if (!isActive) await signOutEverywhere(user._id);
+
+        res.json({
+            success: true,
+            message: isActive ? "Account reactivated" : "Account deactivated",
+            data: user.getPublicProfile()
+        });
+    } catch (error) {
+        console.error("updateUserStatus error:", error);
+        res.status(500).json({ success: false, message: "Server error" });
+    }
+};
+
+// @desc   Sign a user out of every device
+// @route  POST /api/admin/users/:id/logout
+// @access Admin only
+const forceLogout = async (req, res) => {
+    try {
+        const user = await findTarget(req, res);
+        if (!user) return;
+
+        const revoked = await signOutEverywhere(user._id);
+        res.json({ success: true, message: `Signed out of ${revoked} session(s)`, revoked });
+    } catch (error) {
+        console.error("forceLogout error:", error);
+        res.status(500).json({ success: false, message: "Server error" });
+    }
+};
+
+module.exports = {
+    getDashboardStats,
+    getUsers,
+    getUserById,
+    getUserAuctions,
+    getUserBids,
+    getUserRetractions,
+    clearRetractionFlag,
+    updateUserRole,
+    updateUserStatus,
+    forceLogout
+};
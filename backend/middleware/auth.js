@@ -7,6 +7,28 @@
 
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { isSessionActive } = require('../services/sessionService');
+
+/**
+ * Resolve a JWT to an active user (same checks as protect)
+ * Used where there is no Express response to send, e.g. socket handshakes
+ * @param {string} token
+ * @returns {Promise<User|null>} - null if the token is invalid/expired or the user is gone/deactivated
+ */
+const getUserFromToken = async (token) => {
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        const user = await User.findById(decoded.id).select('-password');
+        if (!user || !user.isActive || user.changedPasswordAfter(decoded.iat)) return null;
+        if (!(await isSessionActive(decoded.sid))) return null;
+        return user;
+    } catch (error) {
+        if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+            return null;
+        }
+        throw error;
+    }
+};
 
 /**
  * Protect routes - Verify user is authenticated
@@ -51,9 +73,26 @@ const protect = async (req, res, next) => {
                     message: 'Your account has been deactivated. Please contact admin.' 
                 });
             }
+
+            // Tokens issued before a password change/reset are no longer valid
+            if (user.changedPasswordAfter(decoded.iat)) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Password was changed. Please log in again.'
+                });
+            }
+
+            // The session was logged out or revoked from another device
+            if (!(await isSessionActive(decoded.sid))) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Session has ended. Please log in again.'
+                });
+            }
             
-            // Attach user to request object
+            // Attach user and session to request object
             req.user = user;
+            req.sessionId = decoded.sid;
             next();
             
         } catch (error) {
@@ -80,6 +119,47 @@ const protect = async (req, res, next) => {
     }
 };
 
+/**
+ * Optional authentication - Attach user if a valid token is sent
+ * Never rejects: public routes use it to add viewer-specific data
+ */
+const optionalAuth = async (req, res, next) => {
+    try {
+        if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+            const user = await getUserFromToken(req.headers.authorization.split(' ')[1]);
+            // Invalid or expired token — continue as an anonymous visitor
+            if (user) req.user = user;
+        }
+    } catch (error) {
+        console.error('Optional auth error:', error);
+    }
+    next();
+};
+
+// Admins must turn on 2FA before they can use admin powers
+const ADMIN_2FA_RESPONSE = {
+    success: false,
+    code: 'TWO_FACTOR_REQUIRED',
+    message: 'Admin accounts must enable two-factor authentication first'
+};
+const adminNeedsTwoFactor = (user) => user.role === 'admin' && !user.twoFactor?.enabled;
+
+// Admin powers inside a handler (owner-or-admin checks) follow the same rule
+const hasAdminAccess = (user) => Boolean(user) && user.role === 'admin' && !adminNeedsTwoFactor(user);
+
+/**
+ * Let the owner of a resource or an admin through, like adminOnly does for admins
+ * Sends the 403 itself (the 2FA one for an admin without it) and returns false.
+ * @param {ObjectId|string} ownerId - User who owns the resource
+ * @param {string} message - Message for anyone else
+ * @returns {boolean} - true when the caller may go on
+ */
+const checkOwnerOrAdmin = (req, res, ownerId, message) => {
+    if (String(ownerId) === String(req.user._id) || hasAdminAccess(req.user)) return true;
+    res.status(403).json(adminNeedsTwoFactor(req.user) ? ADMIN_2FA_RESPONSE : { success: false, message });
+    return false;
+};
+
 /**
  * Authorize by role - Check if user has required role
  * @param  {...string} roles - Allowed roles
@@ -99,6 +179,10 @@ const authorize = (...roles) => {
                 message: `User role ${req.user.role} is not authorized to access this route. Required roles: ${roles.join(', ')}` 
             });
         }
+
+        if (adminNeedsTwoFactor(req.user)) {
+            return res.status(403).json(ADMIN_2FA_RESPONSE);
+        }
         
         next();
     };
@@ -142,13 +226,47 @@ const adminOnly = (req, res, next) => {
             message: 'This action requires admin privileges' 
         });
     }
+
+    if (adminNeedsTwoFactor(req.user)) {
+        return res.status(403).json(ADMIN_2FA_RESPONSE);
+    }
     
     next();
 };
 
+/**
+ * Block unverified accounts from an action when the policy requires it
+ * EMAIL_VERIFICATION_REQUIRED lists the gated actions, comma-separated:
+ * "bid", "list" (e.g. "bid,list"). Empty or unset = nothing is gated.
+ * Admins are never blocked.
+ * @param {string} action - 'bid' or 'list'
+ */
+const requireVerified = (action) => {
+    return (req, res, next) => {
+        const gated = (process.env.EMAIL_VERIFICATION_REQUIRED || '')
+            .split(',')
+            .map((a) => a.trim());
+
+        if (!gated.includes(action) || req.user.isVerified || req.user.role === 'admin') {
+            return next();
+        }
+
+        return res.status(403).json({
+            success: false,
+            code: 'EMAIL_NOT_VERIFIED',
+            message: 'Please verify your email address before you ' + (action === 'bid' ? 'place bids' : 'list items')
+        });
+    };
+};
+
 module.exports = {
     protect,
+    optionalAuth,
+    getUserFromToken,
     authorize,
     sellerOnly,
-    adminOnly
+    adminOnly,
+    requireVerified,
+    hasAdminAccess,
+    checkOwnerOrAdmin
 };
\ No newline at end of file
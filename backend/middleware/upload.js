@@ -15,15 +15,18 @@ if (!fs.existsSync(uploadDir)) {
     fs.mkdirSync(uploadDir, { recursive: true });
 }
 
+// Random-ish name that keeps the original extension
+const uniqueFilename = (req, file, cb) => {
+    const uniqueName = Date.now() + '-' + Math.round(Math.random() * 1e6)
+                     + path.extname(file.originalname).toLowerCase();
+    cb(null, uniqueName);
+};
+
 const storage = multer.diskStorage({
     destination: (req, file, cb) => {
         cb(null, uploadDir);
     },
-    filename: (req, file, cb) => {
-        const uniqueName = Date.now() + '-' + Math.round(Math.random() * 1e6)
-                         + path.extname(file.originalname).toLowerCase();
-        cb(null, uniqueName);
-    }
+    filename: uniqueFilename
 });
 
 // Only allow PNG, JPG, JPEG
@@ -47,3 +50,31 @@ const upload = multer({
 
 // Export middleware — accepts up to 3 images under field name 'images'
 exports.handleImageUpload = upload.array('images', 3);
+
+// ID documents for seller applications — kept outside uploads/ because that
+// folder is served publicly; only admins can fetch them through the API
+const documentDir = 'private/id-documents/';
+if (!fs.existsSync(documentDir)) {
+    fs.mkdirSync(documentDir, { recursive: true });
+}
+
+const documentUpload = multer({
+    storage: multer.diskStorage({
+        destination: (req, file, cb) => cb(null, documentDir),
+        filename: uniqueFilename
+    }),
+    fileFilter: (req, file, cb) => {
+        const allowed = ['image/jpeg', 'image/jpg', 'image/png', 'application/pdf'];
+        if (allowed.includes(file.mimetype)) {
+            cb(null, true);
+        } else {
+            cb(new Error('ID document must be a PNG, JPG, or PDF file'), false);
+        }
+    },
+    limits: { fileSize: 5 * 1024 * 1024 }  // 5 MB
+});
+
+exports.documentDir = documentDir;
+
+// Accepts one file under field name 'idDocument'
+exports.handleDocumentUpload = documentUpload.single('idDocument');
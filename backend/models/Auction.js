@@ -6,6 +6,14 @@
  */
 
 const mongoose = require('mongoose');
+const { incrementFor } = require('../config/bidIncrements');
+
+// Auction formats: open ascending (english), sealed bids, where the winner
+// pays their own bid (first price) or the second-highest bid (Vickrey),
+// Dutch, where the price falls on a schedule until someone accepts it, and
+// reverse, where a buyer posts a request and sellers bid the price down
+const AUCTION_TYPES = ['english', 'sealed_first_price', 'sealed_second_price', 'dutch', 'reverse'];
+const SEALED_TYPES = ['sealed_first_price', 'sealed_second_price'];
 
 const auctionSchema = new mongoose.Schema({
     // Reference to the item being auctioned
@@ -15,13 +23,20 @@ const auctionSchema = new mongoose.Schema({
         required: true
     },
     
-    // Seller reference
+    // Seller reference (on a reverse auction: the buyer who posted the request)
     seller: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
         required: true
     },
     
+    // Auction format
+    auctionType: {
+        type: String,
+        enum: AUCTION_TYPES,
+        default: 'english'
+    },
+
     // Auction pricing
     startPrice: {
         type: Number,
@@ -37,16 +52,64 @@ const auctionSchema = new mongoose.Schema({
     reservePrice: {
         type: Number,
         min: 0,
-        default: 0 // 0 means no reserve
+        default: 0, // 0 means no reserve
+        select: false // never leaves the server unless explicitly selected (seller views)
+    },
+    // Public reserve indicators — say whether there is one and if bidding reached it
+    hasReserve: {
+        type: Boolean,
+        default: false
+    },
+    reserveMet: {
+        type: Boolean,
+        default: false
     },
     
+    // Buy It Now — optional price that ends the auction at once; offered
+    // until bidding meets the reserve (or, without a reserve, the first bid)
+    buyNowPrice: {
+        type: Number,
+        default: null,
+        min: [0.01, 'Buy It Now price must be greater than 0']
+    },
+    soldViaBuyNow: {
+        type: Boolean,
+        default: false
+    },
+
+    // Multi-quantity lots (open bidding only): bidders ask for a number of
+    // units at a unit price; the best bids share the units when it closes
+    quantity: {
+        type: Number,
+        default: 1,
+        min: [1, 'Quantity must be at least 1']
+    },
+    // 'uniform': every winner pays the lowest winning unit price; 'pay_as_bid': their own
+    lotPricing: {
+        type: String,
+        enum: ['uniform', 'pay_as_bid'],
+        default: 'uniform'
+    },
+    // Units the standing bids currently cover (capped at quantity)
+    unitsClaimed: {
+        type: Number,
+        default: 0
+    },
+
     // Bidding rules
+    // Seller's flat increment; when unset the increment comes from incrementTable
     minIncrement: {
         type: Number,
-        required: [true, 'Minimum bid increment is required'],
         min: [0.01, 'Increment must be greater than 0'],
-        default: 1.00
+        default: null
     },
+    // Increment table by price band, copied from the category (or the platform
+    // table) at listing time so the steps can't change under running bids
+    incrementTable: [{
+        _id: false,
+        upTo: { type: Number, default: null },
+        increment: { type: Number, required: true }
+    }],
     
     // Auction timing
     startTime: {
@@ -72,11 +135,32 @@ const auctionSchema = new mongoose.Schema({
         }
     },
     
+    // Anti-sniping soft close: a bid inside the last windowMinutes pushes
+    // endTime out by extensionMinutes, at most maxExtensions times (0 = no cap)
+    softClose: {
+        enabled: { type: Boolean, default: false },
+        windowMinutes: { type: Number, default: 2, min: [0, 'Window cannot be negative'] },
+        extensionMinutes: { type: Number, default: 2, min: [0, 'Extension cannot be negative'] },
+        maxExtensions: { type: Number, default: 0, min: [0, 'Max extensions cannot be negative'] }
+    },
+    extensionCount: {
+        type: Number,
+        default: 0
+    },
+
+    // Dutch auctions: the price starts at startPrice and drops by `decrement`
+    // every `intervalMinutes` until it reaches floorPrice (never stored — see dutchPriceAt)
+    dutch: {
+        floorPrice: { type: Number, min: [0.01, 'Floor price must be greater than 0'] },
+        decrement: { type: Number, min: [0.01, 'Price drop must be greater than 0'] },
+        intervalMinutes: { type: Number, min: [1, 'Price drop interval must be at least 1 minute'] }
+    },
+
     // Auction status
     status: {
         type: String,
-        enum: ['draft', 'pending', 'active', 'ended', 'cancelled', 'sold'],
-        default: 'pending' // pending admin approval (for later)
+        enum: ['draft', 'pending', 'active', 'ended', 'cancelled', 'sold', 'reserve_not_met'],
+        default: 'pending' // not started yet (or waiting for admin approval, see isApproved)
     },
     
     // Statistics
@@ -89,6 +173,20 @@ const auctionSchema = new mongoose.Schema({
         ref: 'User'
     }],
 
+    // Bidder currently holding currentPrice (kept in step with the Bid history)
+    highBidder: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+
+    // Sealed formats: bumped by every sealed bid or revision, so settling
+    // can tell that the bids it read changed before it wrote the outcome
+    sealedRevision: {
+        type: Number,
+        default: 0
+    },
+
     // ── Sprint 2 additions (Talha) ──────────────────────────────
 
     // Category reference — links auction to an admin-managed category
@@ -116,8 +214,32 @@ const auctionSchema = new mongoose.Schema({
         ref: 'User'
     },
     finalPrice: Number,
+    // Lots: who won how many units at what unit price (winner/finalPrice hold
+    // the top winner and the lot's total)
+    allocations: [{
+        _id: false,
+        bidder: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        quantity: Number,
+        unitPrice: Number,
+        bid: { type: mongoose.Schema.Types.ObjectId, ref: 'Bid' }
+    }],
+
+    // Set on an auction created by relisting an unsold one
+    relistedFrom: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Auction',
+        default: null
+    },
     
-    // Admin approval (for later)
+    // Scheduler lease — which API instance is handling a lifecycle transition
+    lease: {
+        owner: { type: String, default: null },
+        expiresAt: { type: Date, default: null }
+    },
+
+    // Admin approval — the scheduler only starts approved auctions.
+    // With LISTING_MODERATION=true new listings wait in the admin queue;
+    // otherwise they are approved on creation.
     isApproved: {
         type: Boolean,
         default: false
@@ -127,6 +249,15 @@ const auctionSchema = new mongoose.Schema({
         ref: 'User'
     },
     approvedAt: Date,
+    reviewStatus: {
+        type: String,
+        enum: ['pending_review', 'approved', 'rejected', 'changes_requested']
+    },
+    reviewNote: {               // reason for a rejection or the changes asked for
+        type: String,
+        default: ''
+    },
+    reviewedAt: Date,
     
     createdAt: {
         type: Date,
@@ -145,6 +276,41 @@ auctionSchema.pre('save', function() {
     this.updatedAt = Date.now();
 });
 
+// Keep the public reserve indicators in step whenever the reserve is known
+auctionSchema.pre('save', function() {
+    if (!this.isSelected('reservePrice')) return;
+    this.hasReserve = this.reservePrice > 0;
+    this.reserveMet = this.totalBids > 0 && this.meetsReserve(this.currentPrice);
+});
+
+// Method to check if bids are sealed (amounts and bidders hidden until close)
+auctionSchema.methods.isSealed = function() {
+    return SEALED_TYPES.includes(this.auctionType);
+};
+
+// Method to check if this is a buyer's request that sellers bid down
+auctionSchema.methods.isReverse = function() {
+    return this.auctionType === 'reverse';
+};
+
+// Method to get the bid step at a price (the current price by default):
+// the seller's minIncrement when set, otherwise the listing's increment table
+auctionSchema.methods.getIncrement = function(price = this.currentPrice) {
+    return this.constructor.incrementAt(this, price);
+};
+
+// Method to get the highest offer a reverse auction takes next: up to the
+// budget (startPrice) for the first offer, then at least one increment lower
+auctionSchema.methods.getMaximumOffer = function() {
+    if (this.totalBids === 0) return this.startPrice;
+    return Math.round((this.currentPrice - this.getIncrement()) * 100) / 100;
+};
+
+// Method to check if the bid history must stay hidden right now
+auctionSchema.methods.hidesBids = function() {
+    return this.isSealed() && ['pending', 'active'].includes(this.status);
+};
+
 // Method to check if auction is active
 auctionSchema.methods.isActive = function() {
     const now = new Date();
@@ -169,28 +335,577 @@ auctionSchema.methods.getTimeRemaining = function() {
     return this.endTime - new Date();
 };
 
-// Method to place a bid (will be used by bidding system)
-auctionSchema.methods.placeBid = function(amount) {
+// Method to work out the soft-close extension for a bid placed at `at`
+// Returns the new endTime, or null when the bid doesn't extend the auction
+auctionSchema.methods.getExtendedEndTime = function(at = new Date()) {
+    const softClose = this.softClose;
+    if (!softClose || !softClose.enabled || !softClose.extensionMinutes) return null;
+    if (softClose.maxExtensions > 0 && this.extensionCount >= softClose.maxExtensions) return null;
+
+    const remaining = this.endTime - at;
+    if (remaining < 0 || remaining > softClose.windowMinutes * 60 * 1000) return null;
+
+    return new Date(this.endTime.getTime() + softClose.extensionMinutes * 60 * 1000);
+};
+
+// Method to check if a winning price satisfies the reserve
+// Requires reservePrice to be selected; with no reserve any bid qualifies
+auctionSchema.methods.meetsReserve = function(price) {
+    return !(this.reservePrice > 0) || price >= this.reservePrice;
+};
+
+// Method to check if Buy It Now can still be used (public fields only)
+auctionSchema.methods.isBuyNowAvailable = function() {
+    if (!this.buyNowPrice || !this.isActive()) return false;
+    return this.hasReserve ? !this.reserveMet : this.totalBids === 0;
+};
+
+// Method to get the Dutch price schedule at a moment (see dutchPriceAt)
+auctionSchema.methods.getDutchPrice = function(at = new Date()) {
+    return this.constructor.dutchPriceAt(this, at);
+};
+
+/**
+ * Work out who wins a sealed-bid auction and what they pay
+ * First price: the top bid. Vickrey: the second-highest bid, but never less
+ * than the start price, or the reserve once the top bid meets it. On equal
+ * amounts the bidder who set that amount first wins (by updatedAt, which
+ * only moves when a revision changes the amount) and, under Vickrey, pays it.
+ * Requires reservePrice to be selected.
+ * @param {Array} bids - Sealed Bid records, highest first (ties: earliest updatedAt first)
+ * @returns {{winner: ObjectId, topBid: number, price: number}|null} - null without bids
+ */
+auctionSchema.methods.resolveSealedBids = function(bids) {
+    if (bids.length === 0) return null;
+    const [top, second] = bids;
+    if (this.auctionType !== 'sealed_second_price') {
+        return { winner: top.bidder, topBid: top.amount, price: top.amount };
+    }
+
+    let floor = this.startPrice;
+    if (this.reservePrice > 0 && this.meetsReserve(top.amount)) {
+        floor = Math.max(floor, this.reservePrice);
+    }
+    const price = Math.min(top.amount, Math.max(second ? second.amount : 0, floor));
+    return { winner: top.bidder, topBid: top.amount, price };
+};
+
+// Method to check if this auction sells several units
+auctionSchema.methods.isLot = function() {
+    return this.quantity > 1;
+};
+
+// Helper: each bidder's latest bid on a lot (the one that stands), by bidder id
+const latestLotBids = (bids) => {
+    const latest = new Map();
+    [...bids]
+        .sort((a, b) => a.createdAt - b.createdAt)
+        .forEach((bid) => latest.set((bid.bidder._id || bid.bidder).toString(), bid));
+    return latest;
+};
+
+/**
+ * Check a lot bid against the bidder's standing one, which it replaces
+ * A new bid may raise the unit price or the quantity but lower neither, so a
+ * winner can't cut their price (or the clearing price) once units are theirs.
+ * @param {Array} bids - Bid records for the auction
+ * @param {ObjectId|string} bidderId
+ * @param {number} amount - New unit price
+ * @param {number} quantity - New quantity
+ * @returns {string|null} - User-facing message, or null when the bid may replace it
+ */
+auctionSchema.methods.checkLotRebid = function(bids, bidderId, amount, quantity) {
+    const standing = latestLotBids(bids).get(bidderId.toString());
+    if (!standing) return null;
+    if (amount < standing.amount) {
+        return `Your new bid replaces your bid of ${standing.amount} per unit, so it can't be lower`;
+    }
+    if (quantity < (standing.quantity || 1)) {
+        return `Your new bid replaces your bid for ${standing.quantity || 1} units, so it can't ask for fewer`;
+    }
+    return null;
+};
+
+/**
+ * Work out which bids currently win a lot
+ * Each bidder's latest bid stands; the highest unit prices take units first
+ * (earlier bids win ties) and the last winner may get fewer than it asked for.
+ * @param {Array} bids - Bid records for the auction (amount = unit price)
+ * @returns {{winners: Array<{bidder, quantity, amount, bid}>, unitsClaimed: number}}
+ */
+auctionSchema.methods.allocateLot = function(bids) {
+    const standing = [...latestLotBids(bids).values()]
+        .sort((a, b) => b.amount - a.amount || a.createdAt - b.createdAt);
+
+    let remaining = this.quantity;
+    const winners = [];
+    for (const bid of standing) {
+        if (remaining === 0) break;
+        const quantity = Math.min(bid.quantity || 1, remaining);
+        winners.push({ bidder: bid.bidder._id || bid.bidder, quantity, amount: bid.amount, bid: bid._id });
+        remaining -= quantity;
+    }
+    return { winners, unitsClaimed: this.quantity - remaining };
+};
+
+/**
+ * Bidders a new lot bid leaves with fewer units than they had (they are outbid)
+ * @param {Object} before - allocateLot result without the new bid
+ * @param {Object} after - allocateLot result with it
+ * @param {ObjectId|string} bidderId - Who placed the new bid
+ * @returns {Array<ObjectId>}
+ */
+auctionSchema.statics.lotDisplaced = (before, after, bidderId) => {
+    const unitsAfter = new Map(after.winners.map((w) => [w.bidder.toString(), w.quantity]));
+    return before.winners
+        .filter((w) => w.bidder.toString() !== bidderId.toString()
+            && (unitsAfter.get(w.bidder.toString()) || 0) < w.quantity)
+        .map((w) => w.bidder);
+};
+
+/**
+ * Final allocation of a lot: winners below the reserve drop out, then each
+ * pays the lowest accepted unit price (uniform) or their own bid (pay as bid)
+ * Requires reservePrice to be selected.
+ * @param {Array} bids - Bid records for the auction
+ * @returns {Array<{bidder, quantity, unitPrice, bid}>}
+ */
+auctionSchema.methods.settleLot = function(bids) {
+    const accepted = this.allocateLot(bids).winners.filter((w) => this.meetsReserve(w.amount));
+    if (accepted.length === 0) return [];
+
+    const clearingPrice = accepted[accepted.length - 1].amount;
+    return accepted.map((w) => ({
+        bidder: w.bidder,
+        quantity: w.quantity,
+        unitPrice: this.lotPricing === 'pay_as_bid' ? w.amount : clearingPrice,
+        bid: w.bid
+    }));
+};
+
+// Method to get the lowest amount the next bid may be
+// A lot that still has unclaimed units takes any bid from the start price
+auctionSchema.methods.getMinimumBid = function() {
+    if (this.isLot() && this.unitsClaimed < this.quantity) return this.startPrice;
+    return Math.round((this.currentPrice + this.getIncrement()) * 100) / 100;
+};
+
+// Method to validate a bid amount against the loaded auction state
+// Throws with a user-facing message if the bid cannot be accepted
+auctionSchema.methods.validateBid = function(amount) {
     if (!this.isActive()) {
         throw new Error('Auction is not active');
     }
+    if (this.isReverse()) {
+        if (amount > this.getMaximumOffer()) {
+            throw new Error(this.totalBids === 0
+                ? `Offer cannot be higher than the budget of ${this.startPrice}`
+                : `Offer must be at least ${this.getIncrement()} lower than the current offer`);
+        }
+        return true;
+    }
+    if (this.isLot() && this.unitsClaimed < this.quantity) {
+        if (amount < this.startPrice) {
+            throw new Error(`Bid must be at least the starting price of ${this.startPrice} per unit`);
+        }
+        return true;
+    }
     if (amount <= this.currentPrice) {
         throw new Error('Bid must be higher than current price');
     }
-    if (amount < this.currentPrice + this.minIncrement) {
-        throw new Error(`Bid must be at least ${this.minIncrement} higher`);
+    if (amount < this.getMinimumBid()) {
+        throw new Error(`Bid must be at least ${this.getMinimumBid()} (${this.getIncrement()} above the current price)`);
     }
-    
+    return true;
+};
+
+// Method to work out who leads and at what price from a bid history and the
+// hidden maximums (MaxBid) still in play — used after a retraction. Proxies run
+// to their maximums, so the leader pays one increment over the runner-up's
+// maximum, as in proxy resolution at bid time; on equal maximums the bidder
+// who got there first leads. Returns the automatic bids that take both to
+// those amounts. A buyer request is led by the lowest offer, without proxies.
+auctionSchema.methods.restoreStanding = function(bids, maxBids = []) {
+    const byTime = (a, b) => a.createdAt - b.createdAt;
+    if (this.isReverse()) {
+        const [top] = [...bids].sort((a, b) => a.amount - b.amount || byTime(a, b));
+        return { price: top ? top.amount : this.startPrice, highBidder: top ? top.bidder : null, bids: [] };
+    }
+
+    // Each bidder's highest bid (the earliest one at that amount) and proxy ceiling
+    const standings = new Map();
+    [...bids].sort(byTime).forEach((b) => {
+        const key = b.bidder.toString();
+        const known = standings.get(key);
+        if (!known || b.amount > known.highest) {
+            standings.set(key, { bidder: b.bidder, highest: b.amount, cap: b.amount, at: b.createdAt });
+        }
+    });
+    maxBids.forEach((m) => {
+        const known = standings.get(m.bidder.toString());
+        if (known) known.cap = Math.max(known.cap, m.maxAmount);
+    });
+
+    const [leader, second] = [...standings.values()].sort((a, b) => b.cap - a.cap || a.at - b.at);
+    if (!leader) return { price: this.startPrice, highBidder: null, bids: [] };
+    if (!second) return { price: leader.highest, highBidder: leader.bidder, bids: [] };
+
+    const price = Math.max(leader.highest,
+        Math.round(Math.min(leader.cap, second.cap + this.getIncrement(second.cap)) * 100) / 100);
+    const added = [];
+    if (second.cap > second.highest) added.push({ bidder: second.bidder, amount: second.cap, isAutomatic: true });
+    if (price > leader.highest) added.push({ bidder: leader.bidder, amount: price, isAutomatic: true });
+    return { price, highBidder: leader.bidder, bids: added };
+};
+
+// Method to place a bid in memory (validation + counters, caller saves)
+auctionSchema.methods.placeBid = function(amount) {
+    this.validateBid(amount);
     this.currentPrice = amount;
     this.totalBids += 1;
     return true;
 };
 
+/**
+ * Atomically accept a bid
+ * Single conditional update: only matches while the auction is open and
+ * still at the price the bid was checked against (the increment depends on
+ * that price), so two concurrent bids can never both win the same price level.
+ * @param {ObjectId|string} auctionId
+ * @param {Object} bid
+ * @param {number} bid.amount - Incoming bid, already checked against getMinimumBid()
+ * @param {number} bid.from - currentPrice the bid was checked against
+ * @param {number} [bid.price=amount] - Resulting currentPrice (differs when proxy bids respond)
+ * @param {ObjectId|string} bid.highBidder - Bidder holding the price afterwards
+ * @param {number} [bid.bidCount=1] - Number of Bid records written for this acceptance
+ * @param {Date} [bid.endTime] - Soft-close extension to apply together with the bid
+ * @param {boolean} [bid.reserveMet] - Whether the resulting price satisfies the reserve
+ * @param {ClientSession} [session] - Mongo session when run inside a transaction
+ * @returns {Promise<Document|null>} - Updated auction, or null if the bid lost the race
+ */
+auctionSchema.statics.applyBid = function(auctionId, { amount, from, price = amount, highBidder, bidCount = 1, endTime, reserveMet = false }, session) {
+    const now = new Date();
+    const update = {
+        $set: { currentPrice: price, highBidder, reserveMet, updatedAt: now },
+        $inc: { totalBids: bidCount }
+    };
+    if (endTime) {
+        update.$set.endTime = endTime;
+        update.$inc.extensionCount = 1;
+    }
+
+    return this.findOneAndUpdate(
+        {
+            _id: auctionId,
+            status: 'active',
+            startTime: { $lte: now },
+            endTime: { $gte: now },
+            currentPrice: { $eq: from, $lt: amount }
+        },
+        update,
+        { new: true, session }
+    );
+};
+
+/**
+ * Atomically accept an offer on a reverse auction
+ * The mirror of applyBid: matches only while `amount` is within the budget
+ * (first offer) or the auction is still at the offer it was checked against.
+ * @param {ObjectId|string} auctionId
+ * @param {Object} offer
+ * @param {number} offer.amount - Offer, already checked against getMaximumOffer()
+ * @param {number} offer.from - currentPrice the offer was checked against
+ * @param {ObjectId|string} offer.highBidder - Seller making the offer
+ * @param {Date} [offer.endTime] - Soft-close extension
+ * @param {ClientSession} [session]
+ * @returns {Promise<Document|null>} - Updated auction, or null if the offer lost the race
+ */
+auctionSchema.statics.applyReverseBid = function(auctionId, { amount, from, highBidder, endTime }, session) {
+    const now = new Date();
+    const update = {
+        $set: { currentPrice: amount, highBidder, reserveMet: true, updatedAt: now },
+        $inc: { totalBids: 1 }
+    };
+    if (endTime) {
+        update.$set.endTime = endTime;
+        update.$inc.extensionCount = 1;
+    }
+
+    return this.findOneAndUpdate(
+        {
+            _id: auctionId,
+            auctionType: 'reverse',
+            status: 'active',
+            startTime: { $lte: now },
+            endTime: { $gte: now },
+            $or: [
+                { totalBids: 0, startPrice: { $gte: amount } },
+                { totalBids: { $gt: 0 }, currentPrice: { $eq: from, $gt: amount } }
+            ]
+        },
+        update,
+        { new: true, session }
+    );
+};
+
+/**
+ * Atomically sell an auction at its Buy It Now price
+ * Matches only while Buy It Now is still on offer, so it can't race a bid
+ * that meets the reserve (or is the first bid): whichever write lands first
+ * wins, and the other one finds the auction changed.
+ * @param {ObjectId|string} auctionId
+ * @param {ObjectId|string} buyerId
+ * @returns {Promise<Document|null>} - The sold auction, or null if Buy It Now is gone
+ */
+auctionSchema.statics.applyBuyNow = async function(auctionId, buyerId) {
+    const now = new Date();
+    const auction = await this.findById(auctionId).select('buyNowPrice');
+    if (!auction || !auction.buyNowPrice) return null;
+
+    return this.findOneAndUpdate(
+        {
+            _id: auctionId,
+            status: 'active',
+            startTime: { $lte: now },
+            endTime: { $gte: now },
+            buyNowPrice: auction.buyNowPrice,
+            $or: [
+                { hasReserve: true, reserveMet: false },
+                { hasReserve: { $ne: true }, totalBids: 0 }
+            ]
+        },
+        {
+            $set: {
+                status: 'sold',
+                soldViaBuyNow: true,
+                winner: buyerId,
+                highBidder: buyerId,
+                finalPrice: auction.buyNowPrice,
+                currentPrice: auction.buyNowPrice,
+                reserveMet: true,
+                endTime: now,
+                updatedAt: now
+            }
+        },
+        { new: true }
+    );
+};
+
+/**
+ * Atomically record a sealed bid or revision on the auction
+ * Only matches while bidding is open; the bid itself is written by the caller
+ * in the same transaction.
+ * @param {ObjectId|string} auctionId
+ * @param {boolean} isNewBidder - false when the bidder revises their sealed bid
+ * @param {ClientSession} [session]
+ * @returns {Promise<Document|null>} - Updated auction, or null if bidding closed
+ */
+auctionSchema.statics.applySealedBid = function(auctionId, isNewBidder, session) {
+    const now = new Date();
+    return this.findOneAndUpdate(
+        {
+            _id: auctionId,
+            status: 'active',
+            auctionType: { $in: SEALED_TYPES },
+            startTime: { $lte: now },
+            endTime: { $gte: now }
+        },
+        { $inc: { totalBids: isNewBidder ? 1 : 0, sealedRevision: 1 }, $set: { updatedAt: now } },
+        { new: true, session }
+    );
+};
+
+/**
+ * Atomically sell a Dutch auction to the first buyer to accept its price
+ * The price is worked out from the clock here, never taken from the client.
+ * @param {ObjectId|string} auctionId
+ * @param {ObjectId|string} buyerId
+ * @returns {Promise<Document|null>} - The sold auction, or null if it's no longer open
+ */
+auctionSchema.statics.applyDutchAccept = async function(auctionId, buyerId) {
+    const now = new Date();
+    const auction = await this.findById(auctionId).select('auctionType startPrice startTime endTime dutch');
+    if (!auction || auction.auctionType !== 'dutch') return null;
+
+    const { price } = auction.getDutchPrice(now);
+    return this.findOneAndUpdate(
+        {
+            _id: auctionId,
+            status: 'active',
+            auctionType: 'dutch',
+            startTime: { $lte: now },
+            endTime: { $gte: now }
+        },
+        {
+            $set: {
+                status: 'sold',
+                winner: buyerId,
+                highBidder: buyerId,
+                finalPrice: price,
+                currentPrice: price,
+                endTime: now,
+                updatedAt: now
+            },
+            $inc: { totalBids: 1 }
+        },
+        { new: true }
+    );
+};
+
+/**
+ * Price of a Dutch auction at a moment, and when and to what it drops next
+ * Works on documents and lean objects alike.
+ * @param {Object} auction - needs startPrice, startTime, endTime and dutch
+ * @param {Date} [at=now]
+ * @returns {{price: number, nextDropAt: Date|null, nextPrice: number|null}}
+ */
+auctionSchema.statics.dutchPriceAt = (auction, at = new Date()) => {
+    const { floorPrice, decrement, intervalMinutes } = auction.dutch || {};
+    const start = new Date(auction.startTime).getTime();
+    const intervalMs = intervalMinutes * 60 * 1000;
+    if (!(decrement > 0) || !(intervalMs > 0)) {
+        return { price: auction.startPrice, nextDropAt: null, nextPrice: null };
+    }
+
+    const steps = Math.floor(Math.max(0, at.getTime() - start) / intervalMs);
+    const price = Math.max(floorPrice, Math.round((auction.startPrice - steps * decrement) * 100) / 100);
+    const nextDropAt = new Date(start + (steps + 1) * intervalMs);
+    if (price <= floorPrice || nextDropAt >= new Date(auction.endTime)) {
+        return { price, nextDropAt: null, nextPrice: null };
+    }
+    return {
+        price,
+        nextDropAt,
+        nextPrice: Math.max(floorPrice, Math.round((price - decrement) * 100) / 100)
+    };
+};
+
+/**
+ * Aggregation expression for the price an auction shows at a moment:
+ * dutchPriceAt's schedule for a Dutch auction that hasn't closed, the
+ * stored currentPrice otherwise. Lets queries filter and sort on it.
+ * @param {Date} [at=now]
+ * @returns {Object}
+ */
+auctionSchema.statics.livePriceExpr = (at = new Date()) => {
+    const round = (value) => ({ $divide: [{ $floor: { $add: [{ $multiply: [value, 100] }, 0.5] } }, 100] });
+    const steps = {
+        $floor: {
+            $divide: [
+                { $max: [0, { $subtract: [at, '$startTime'] }] },
+                { $multiply: ['$dutch.intervalMinutes', 60 * 1000] }
+            ]
+        }
+    };
+    const dutchPrice = {
+        $cond: [
+            { $and: [{ $gt: ['$dutch.decrement', 0] }, { $gt: ['$dutch.intervalMinutes', 0] }] },
+            { $max: ['$dutch.floorPrice', round({ $subtract: ['$startPrice', { $multiply: [steps, '$dutch.decrement'] }] })] },
+            '$startPrice'
+        ]
+    };
+    return {
+        $cond: [
+            { $and: [{ $eq: ['$auctionType', 'dutch'] }, { $in: ['$status', ['pending', 'active']] }] },
+            dutchPrice,
+            '$currentPrice'
+        ]
+    };
+};
+
+/**
+ * Bid step at a price: the seller's minIncrement when set, otherwise the
+ * listing's increment table (the platform table for listings without one)
+ * Works on documents and lean objects alike.
+ * @param {Object} auction - needs minIncrement and incrementTable
+ * @param {number} price
+ * @returns {number}
+ */
+auctionSchema.statics.incrementAt = (auction, price) => {
+    if (auction.minIncrement > 0) return auction.minIncrement;
+    return incrementFor(price, auction.incrementTable);
+};
+
+/**
+ * Atomically record a bid on a lot
+ * Conditional on totalBids, so lot bids apply one at a time: a bid worked
+ * out against standings that changed meanwhile finds no match.
+ * @param {ObjectId|string} auctionId
+ * @param {Object} lot
+ * @param {number} lot.totalBids - totalBids the standings were computed from
+ * @param {number} lot.price - Lowest winning unit price afterwards (or startPrice while units are left)
+ * @param {number} lot.unitsClaimed - Units the standing bids cover afterwards
+ * @param {ObjectId|string} lot.highBidder - Bidder with the best standing bid
+ * @param {boolean} lot.reserveMet
+ * @param {Date} [lot.endTime] - Soft-close extension
+ * @param {ClientSession} [session]
+ * @returns {Promise<Document|null>} - Updated auction, or null if another bid got in first
+ */
+auctionSchema.statics.applyLotBid = function(auctionId, { totalBids, price, unitsClaimed, highBidder, reserveMet, endTime }, session) {
+    const now = new Date();
+    const update = {
+        $set: { currentPrice: price, unitsClaimed, highBidder, reserveMet, updatedAt: now },
+        $inc: { totalBids: 1 }
+    };
+    if (endTime) {
+        update.$set.endTime = endTime;
+        update.$inc.extensionCount = 1;
+    }
+
+    return this.findOneAndUpdate(
+        {
+            _id: auctionId,
+            status: 'active',
+            startTime: { $lte: now },
+            endTime: { $gte: now },
+            totalBids
+        },
+        update,
+        { new: true, session }
+    );
+};
+
+/**
+ * Atomically take retracted bids off an auction
+ * Conditional on totalBids, so a bid landing meanwhile makes the caller
+ * start over with the new history.
+ * @param {ObjectId|string} auctionId
+ * @param {Object} retraction
+ * @param {number} retraction.totalBids - totalBids the restored state was computed from
+ * @param {number} retraction.bidCount - Bid records left once the retraction is written
+ * @param {number} retraction.price - Restored currentPrice (startPrice when no bids remain)
+ * @param {ObjectId|string|null} retraction.highBidder - Restored high bidder
+ * @param {boolean} retraction.reserveMet
+ * @param {ClientSession} [session]
+ * @returns {Promise<Document|null>} - Updated auction, or null if it changed first
+ */
+auctionSchema.statics.applyRetraction = function(auctionId, { totalBids, bidCount, price, highBidder, reserveMet }, session) {
+    const now = new Date();
+    return this.findOneAndUpdate(
+        {
+            _id: auctionId,
+            status: 'active',
+            startTime: { $lte: now },
+            endTime: { $gte: now },
+            totalBids
+        },
+        {
+            $set: { currentPrice: price, highBidder, reserveMet, totalBids: bidCount, updatedAt: now }
+        },
+        { new: true, session }
+    );
+};
+
+auctionSchema.statics.AUCTION_TYPES = AUCTION_TYPES;
+auctionSchema.statics.isSealedType = (type) => SEALED_TYPES.includes(type);
+
 // Indexes for better query performance
 auctionSchema.index({ status: 1, endTime: 1 });
+auctionSchema.index({ status: 1, startTime: 1 });
 auctionSchema.index({ seller: 1, status: 1 });
 auctionSchema.index({ 'item.category': 1 });
 auctionSchema.index({ startTime: 1, endTime: 1 });
+auctionSchema.index({ reviewStatus: 1, createdAt: 1 });
 
 // Talha start
 auctionSchema.index({ isFeatured: 1, status: 1 });
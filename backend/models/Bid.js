@@ -25,10 +25,31 @@ const bidSchema = new mongoose.Schema(
       required: true,
       min: [0.01, 'Bid amount must be greater than 0'],
     },
+    // Lots: units wanted at `amount` each (a bidder's latest bid replaces earlier ones)
+    quantity: {
+      type: Number,
+      default: 1,
+      min: [1, 'Quantity must be at least 1'],
+    },
+    // true when the system placed this bid from the bidder's MaxBid (proxy bidding)
+    isAutomatic: {
+      type: Boolean,
+      default: false,
+    },
+    // true for a sealed-format bid: one per bidder, revised in place (updatedAt
+    // moves only when the amount changes, and breaks ties at the close)
+    sealed: {
+      type: Boolean,
+      default: false,
+    },
   },
   { timestamps: true }
 );
 
 bidSchema.index({ auction: 1, createdAt: -1 });
+bidSchema.index(
+  { auction: 1, bidder: 1 },
+  { unique: true, partialFilterExpression: { sealed: true } }
+);
 
 module.exports = mongoose.model('Bid', bidSchema);
\ No newline at end of file
@@ -0,0 +1,70 @@
+/**
+ * BidRetraction Model
+ * Audit record of a withdrawn bid: what was removed, why, and the price and
+ * high bidder before and after. Admins review these per user.
+ * Author: Moshee-Ur
+ * Date: Sprint 3
+ */
+const mongoose = require('mongoose');
+
+const bidRetractionSchema = new mongoose.Schema(
+  {
+    auction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Auction',
+      required: true,
+    },
+    bidder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    reason: {
+      type: String,
+      required: [true, 'A reason is required'],
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+    },
+    // Bid records removed: the retracted bid and the bidder's later ones (proxy included)
+    bids: [{
+      _id: false,
+      bid: { type: mongoose.Schema.Types.ObjectId, ref: 'Bid' },
+      amount: Number,
+      isAutomatic: Boolean,
+      placedAt: Date,
+    }],
+    // Other bidders' automatic bids that answered the removed ones; the
+    // standing is re-derived from their maximums instead (see restoreStanding)
+    proxyBids: [{
+      _id: false,
+      bid: { type: mongoose.Schema.Types.ObjectId, ref: 'Bid' },
+      bidder: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      amount: Number,
+      placedAt: Date,
+    }],
+    // Hidden maximum dropped along with the bids, if there was one
+    maxAmount: {
+      type: Number,
+      default: null,
+    },
+    previousPrice: Number,
+    previousHighBidder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    // Price and high bidder restored from the remaining bids and maximums
+    restoredPrice: Number,
+    restoredHighBidder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+bidRetractionSchema.index({ bidder: 1, createdAt: -1 });
+bidRetractionSchema.index({ auction: 1, createdAt: -1 });
+
+module.exports = mongoose.model('BidRetraction', bidRetractionSchema);
@@ -20,7 +20,14 @@ const categorySchema = new mongoose.Schema({
     description: { type: String, default: "" },
     icon:        { type: String, default: "" },
     isActive:    { type: Boolean, default: true },
-    displayOrder:{ type: Number, default: 0 }
+    displayOrder:{ type: Number, default: 0 },
+    // Bid increments by price band for listings in this category; empty means
+    // the platform table (see config/bidIncrements.js)
+    bidIncrements: [{
+        _id: false,
+        upTo:      { type: Number, default: null },
+        increment: { type: Number, required: true, min: 0.01 }
+    }]
 }, { timestamps: true });
 
 categorySchema.index({ slug: 1 });
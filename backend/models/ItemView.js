@@ -0,0 +1,33 @@
+/**
+ * ItemView Model
+ * One record per viewer per item, used to de-duplicate Item.views
+ * Records expire after 24 hours, so a returning viewer counts again the next day
+ * Author: Rakib
+ * Date: Sprint 3
+ */
+
+const mongoose = require('mongoose');
+
+const itemViewSchema = new mongoose.Schema({
+    item: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Item',
+        required: true
+    },
+    // "user:<id>" for logged-in viewers, "anon:<ip>|<user-agent>" otherwise
+    viewerKey: {
+        type: String,
+        required: true
+    },
+    viewedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Same viewer cannot be counted twice for the same item
+itemViewSchema.index({ item: 1, viewerKey: 1 }, { unique: true });
+// TTL — MongoDB removes the record 24h after the view
+itemViewSchema.index({ viewedAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('ItemView', itemViewSchema);
@@ -0,0 +1,36 @@
+/**
+ * MaxBid Model
+ * Hidden maximum a bidder is willing to pay on an auction (proxy bidding)
+ * The system bids on the bidder's behalf in increment steps up to maxAmount
+ * Never returned by public endpoints — only the resulting Bid records are
+ * Author: Moshee-Ur
+ * Date: Sprint 3
+ */
+const mongoose = require('mongoose');
+
+const maxBidSchema = new mongoose.Schema(
+  {
+    auction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Auction',
+      required: true,
+    },
+    bidder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    maxAmount: {
+      type: Number,
+      required: true,
+      min: [0.01, 'Maximum bid must be greater than 0'],
+    },
+  },
+  { timestamps: true }
+);
+
+// One hidden maximum per bidder per auction — raising it updates the same record
+maxBidSchema.index({ auction: 1, bidder: 1 }, { unique: true });
+maxBidSchema.index({ auction: 1, maxAmount: -1, updatedAt: 1 });
+
+module.exports = mongoose.model('MaxBid', maxBidSchema);
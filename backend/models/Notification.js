@@ -1,28 +1,40 @@
 /**
- * Category Model
- * Admin-managed auction categories
- * Author: Talha | Sprint 2
+ * Notification Model
+ * In-app notifications shown in the navbar bell
+ * Author: Talha | Sprint 3
  */
 const mongoose = require("mongoose");
 
-const categorySchema = new mongoose.Schema({
-    name: {
-        type: String,
-        required: [true, "Category name is required"],
-        trim: true,
-        unique: true
+const notificationSchema = new mongoose.Schema({
+    recipient: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
     },
-    slug: {
+    type: {
         type: String,
-        lowercase: true,
-        trim: true
+        enum: ["outbid", "auction_won", "auction_ended_seller", "watchlist_ending", "seller_application", "listing_review", "bid_retracted"],
+        required: true
+    },
+    title:   { type: String, required: true },
+    message: { type: String, default: "" },
+    // Frontend route the notification opens, e.g. /auction/<id>
+    link:    { type: String, default: "" },
+    auction: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Auction"
     },
-    description: { type: String, default: "" },
-    icon:        { type: String, default: "" },
-    isActive:    { type: Boolean, default: true },
-    displayOrder:{ type: Number, default: 0 }
+    // Type-specific details (prices, status, ...)
+    payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+    isRead:  { type: Boolean, default: false },
+    readAt:  Date
 }, { timestamps: true });
 
-categorySchema.index({ slug: 1 });
+notificationSchema.index({ recipient: 1, isRead: 1, createdAt: -1 });
+// One "ending soon" reminder per watcher per auction
+notificationSchema.index(
+    { recipient: 1, auction: 1, type: 1 },
+    { unique: true, partialFilterExpression: { type: "watchlist_ending" } }
+);
 
-module.exports = mongoose.model("Category", categorySchema);
+module.exports = mongoose.model("Notification", notificationSchema);
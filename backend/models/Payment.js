@@ -3,14 +3,32 @@
  * Author: Talha
  */
 const mongoose = require("mongoose");
+const auctionEvents = require("../services/auctionEvents");
 
 const paymentSchema = new mongoose.Schema({
     auction: { type: mongoose.Schema.Types.ObjectId, ref: "Auction", required: true },
     buyer:   { type: mongoose.Schema.Types.ObjectId, ref: "User",    required: true },
     seller:  { type: mongoose.Schema.Types.ObjectId, ref: "User",    required: true },
     amount:  { type: Number, required: true },
+    // Lots: units bought and the price per unit (amount = quantity × unitPrice)
+    quantity:  { type: Number, default: 1 },
+    unitPrice: { type: Number },
     status:  { type: String, enum: ["pending","completed","refunded"], default: "pending" },
     method:  { type: String, default: "stripe" }
 }, { timestamps: true });
 
+// One payment per buyer per auction — settling twice can't bill twice
+paymentSchema.index({ auction: 1, buyer: 1 }, { unique: true });
+
+// Announce completed payments (receipts are mailed from the event)
+paymentSchema.pre("save", function () {
+    this.$locals.completedNow = this.isModified("status") && this.status === "completed";
+});
+
+paymentSchema.post("save", function (doc) {
+    if (doc.$locals.completedNow) {
+        auctionEvents.emit("payment:completed", doc);
+    }
+});
+
 module.exports = mongoose.model("Payment", paymentSchema);
@@ -0,0 +1,61 @@
+/**
+ * Seller Application Model
+ * A user's request to become a seller, reviewed by an admin
+ * Author: Talha | Sprint 3
+ */
+const mongoose = require("mongoose");
+
+const sellerApplicationSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    storeName: {
+        type: String,
+        required: [true, "Store name is required"],
+        trim: true,
+        maxlength: [60, "Store name cannot exceed 60 characters"]
+    },
+    phone: {
+        type: String,
+        required: [true, "Phone number is required"],
+        trim: true,
+        match: [/^[0-9+\-\s]+$/, "Please enter a valid phone number"]
+    },
+    address: {
+        street: String,
+        area: String,
+        city: { type: String, required: [true, "City is required"] },
+        zipCode: String,
+        country: { type: String, default: "Bangladesh" }
+    },
+    // Stored under private/id-documents (not publicly served)
+    idDocument: {
+        filename:     { type: String, required: true },
+        originalName: String,
+        mimetype:     String,
+        size:         Number
+    },
+    status: {
+        type: String,
+        enum: ["pending", "approved", "rejected"],
+        default: "pending"
+    },
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    },
+    reviewedAt: Date,
+    rejectionReason: { type: String, trim: true, default: "" }
+}, { timestamps: true });
+
+sellerApplicationSchema.index({ status: 1, createdAt: 1 });
+sellerApplicationSchema.index({ user: 1, createdAt: -1 });
+// At most one open application per user
+sellerApplicationSchema.index(
+    { user: 1 },
+    { unique: true, partialFilterExpression: { status: "pending" } }
+);
+
+module.exports = mongoose.model("SellerApplication", sellerApplicationSchema);
@@ -0,0 +1,37 @@
+/**
+ * Session Model
+ * One login on one device. Holds the hash of the current refresh token;
+ * the access tokens issued for it carry its id (sid) so revoking the
+ * session cuts them off too.
+ * Author: Talha | Sprint 3
+ */
+const mongoose = require("mongoose");
+
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    // SHA-256 of the current refresh token, and of the one it replaced —
+    // seeing the old one again means it was stolen and replayed
+    tokenHash:         { type: String, required: true },
+    previousTokenHash: { type: String, default: null },
+
+    userAgent:  { type: String, default: "" },
+    ip:         { type: String, default: "" },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt:  { type: Date, required: true },
+    revokedAt:  { type: Date, default: null }
+}, { timestamps: true });
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Is the session still usable?
+sessionSchema.methods.isActive = function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model("Session", sessionSchema);
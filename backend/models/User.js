@@ -8,6 +8,8 @@
 
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const totp = require('../services/totp');
 
 // Define user schema
 const userSchema = new mongoose.Schema({
@@ -71,6 +73,10 @@ const userSchema = new mongoose.Schema({
         zipCode: String,
         country: { type: String, default: 'Bangladesh' }
     },
+    storeName: {                                         // set when a seller application is approved
+        type: String,
+        trim: true
+    },
     
     // User Statistics
     rating: {
@@ -97,9 +103,30 @@ const userSchema = new mongoose.Schema({
     // Verification and Reset Tokens
     verificationToken: String,
     verificationTokenExpire: Date,
+    verificationSentAt: Date,                            // last verification email (resend rate limit)
     resetPasswordToken: String,
     resetPasswordExpire: Date,
+    passwordChangedAt: Date,                             // tokens issued before this are rejected
     
+    // Two-factor authentication (TOTP) — optional, mandatory for admins
+    twoFactor: {
+        enabled: { type: Boolean, default: false },
+        secret: { type: String, select: false },         // base32 shared secret
+        pendingSecret: { type: String, select: false },  // issued by setup, confirmed by enable
+        backupCodes: { type: [String], select: false },  // SHA-256 hashes; removed once used
+        lastUsedStep: { type: Number, select: false },   // TOTP step last accepted (no replay)
+        failedAttempts: { type: Number, default: 0 },
+        lockedUntil: Date
+    },
+
+    // Bid retractions (see bidController.retractBid); flagged for admins past the limit
+    bidRetractions: {
+        count: { type: Number, default: 0 },             // lifetime total
+        lastAt: Date,
+        flagged: { type: Boolean, default: false },
+        flaggedAt: Date
+    },
+
     // User Preferences
     watchlist: [{
         type: mongoose.Schema.Types.ObjectId,
@@ -144,6 +171,11 @@ userSchema.pre('save', async function() {
     const salt = await bcrypt.genSalt(10);
     // Hash password
     this.password = await bcrypt.hash(this.password, salt);
+    // Changing the password signs out every existing session. Back-dated a
+    // second so a token issued in the same request is still accepted.
+    if (!this.isNew) {
+        this.passwordChangedAt = Date.now() - 1000;
+    }
 });
 
 /**
@@ -164,22 +196,171 @@ userSchema.methods.comparePassword = async function(enteredPassword) {
 };
 
 /**
- * Generate JWT token
+ * Generate a short-lived JWT access token for one session
+ * Long-lived logins come from refresh tokens (see services/sessionService.js)
+ * @param {ObjectId} sessionId - Session the token belongs to
  * @returns {string} - JWT token
  */
-userSchema.methods.generateAuthToken = function() {
+userSchema.methods.generateAuthToken = function(sessionId) {
     const jwt = require('jsonwebtoken');
     return jwt.sign(
         { 
             id: this._id, 
+            sid: sessionId,
             email: this.email, 
             role: this.role 
         },
         process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRE || '30d' }
+        { expiresIn: process.env.ACCESS_TOKEN_EXPIRE || '15m' }
     );
 };
 
+/**
+ * SHA-256 of a one-time token — only the hash is stored, the raw token is mailed
+ * @param {string} token
+ * @returns {string}
+ */
+userSchema.statics.hashToken = function(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Was the password changed after a JWT was issued?
+ * @param {number} jwtIssuedAt - the token's iat (seconds)
+ * @returns {boolean} - true if the token predates the change
+ */
+userSchema.methods.changedPasswordAfter = function(jwtIssuedAt) {
+    if (!this.passwordChangedAt) return false;
+    return Math.floor(this.passwordChangedAt.getTime() / 1000) > jwtIssuedAt;
+};
+
+/**
+ * Issue a password reset token (replaces any previous one)
+ * Caller saves the user
+ * @returns {string} - Raw token for the reset link
+ */
+userSchema.methods.createPasswordResetToken = function() {
+    const token = crypto.randomBytes(32).toString('hex');
+    this.resetPasswordToken = this.constructor.hashToken(token);
+    this.resetPasswordExpire = Date.now() + 60 * 60 * 1000; // 1 hour
+    return token;
+};
+
+/**
+ * Replace the 2FA backup codes with a fresh set
+ * Caller saves the user
+ * @returns {string[]} - Plain codes to show the user once
+ */
+userSchema.methods.generateBackupCodes = function() {
+    const codes = Array.from({ length: 10 }, () => {
+        const hex = crypto.randomBytes(4).toString('hex');
+        return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+    });
+    this.twoFactor.backupCodes = codes.map((code) => this.constructor.hashToken(code));
+    return codes;
+};
+
+/**
+ * Check a second-factor code: a TOTP code, or an unused backup code
+ * Needs +twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep selected.
+ * The code is used up in the database with a conditional write (lastUsedStep
+ * below the code's step, or $pull of the backup code), so two requests with
+ * the same code can't both pass. Nothing is left for the caller to save.
+ * @param {string} code
+ * @returns {Promise<string|null>} - 'totp', 'backup', or null if it doesn't match (or was just used)
+ */
+userSchema.methods.verifySecondFactor = async function(code) {
+    const step = totp.verifyCode(this.twoFactor.secret, code, this.twoFactor.lastUsedStep ?? -1);
+    if (step !== null) {
+        const used = await this.constructor.updateOne(
+            { _id: this._id, 'twoFactor.lastUsedStep': { $not: { $gte: step } } },
+            { $set: { 'twoFactor.lastUsedStep': step } }
+        );
+        return used.modifiedCount === 1 ? 'totp' : null;
+    }
+
+    const hash = this.constructor.hashToken(String(code || '').trim().toLowerCase());
+    if (!(this.twoFactor.backupCodes || []).includes(hash)) return null;
+    const used = await this.constructor.updateOne(
+        { _id: this._id, 'twoFactor.backupCodes': hash },
+        { $pull: { 'twoFactor.backupCodes': hash } }
+    );
+    return used.modifiedCount === 1 ? 'backup' : null;
+};
+
+/**
+ * Take one of the second-factor attempts a user has before a lockout
+ * Counted up front with a conditional $inc, so parallel guesses can't get
+ * past the limit; settleTwoFactorAttempt resets or locks afterwards.
+ * @param {ObjectId|string} userId
+ * @param {number} maxAttempts
+ * @returns {Promise<boolean>} - false while locked out or out of attempts
+ */
+userSchema.statics.claimTwoFactorAttempt = async function(userId, maxAttempts) {
+    const claimed = await this.updateOne(
+        {
+            _id: userId,
+            'twoFactor.lockedUntil': { $not: { $gt: new Date() } },
+            'twoFactor.failedAttempts': { $not: { $gte: maxAttempts } }
+        },
+        { $inc: { 'twoFactor.failedAttempts': 1 } }
+    );
+    return claimed.modifiedCount === 1;
+};
+
+/**
+ * Record how a claimed attempt went: a right code clears the count, the last
+ * wrong one allowed locks the user out for lockMs
+ * @param {ObjectId|string} userId
+ * @param {boolean} passed
+ * @param {number} maxAttempts
+ * @param {number} lockMs
+ */
+userSchema.statics.settleTwoFactorAttempt = function(userId, passed, maxAttempts, lockMs) {
+    if (passed) {
+        return this.updateOne(
+            { _id: userId },
+            { $set: { 'twoFactor.failedAttempts': 0 }, $unset: { 'twoFactor.lockedUntil': 1 } }
+        );
+    }
+    return this.updateOne(
+        { _id: userId, 'twoFactor.failedAttempts': { $gte: maxAttempts } },
+        { $set: { 'twoFactor.failedAttempts': 0, 'twoFactor.lockedUntil': new Date(Date.now() + lockMs) } }
+    );
+};
+
+/**
+ * Safe user fields returned by login/register
+ * @returns {Object}
+ */
+userSchema.methods.getAuthPayload = function() {
+    return {
+        _id: this._id,
+        name: this.name,
+        username: this.username,
+        email: this.email,
+        role: this.role,
+        phone: this.phone,
+        address: this.address,
+        storeName: this.storeName,
+        isVerified: this.isVerified,
+        twoFactorEnabled: this.twoFactor?.enabled || false
+    };
+};
+
+/**
+ * Issue a new email verification token (replaces any previous one)
+ * Caller saves the user
+ * @returns {string} - Raw token for the verification link
+ */
+userSchema.methods.createVerificationToken = function() {
+    const token = crypto.randomBytes(32).toString('hex');
+    this.verificationToken = this.constructor.hashToken(token);
+    this.verificationTokenExpire = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
+    this.verificationSentAt = Date.now();
+    return token;
+};
+
 /**
  * Get public profile (remove sensitive information)
  * @returns {Object} - Public user object
@@ -188,7 +369,15 @@ userSchema.methods.getPublicProfile = function() {
     const userObject = this.toObject();
     delete userObject.password;
     delete userObject.verificationToken;
+    delete userObject.verificationTokenExpire;
     delete userObject.resetPasswordToken;
+    delete userObject.resetPasswordExpire;
+    if (userObject.twoFactor) {
+        delete userObject.twoFactor.secret;
+        delete userObject.twoFactor.pendingSecret;
+        delete userObject.twoFactor.backupCodes;
+        delete userObject.twoFactor.lastUsedStep;
+    }
     delete userObject.fcmToken;
     return userObject;
 };
@@ -5,14 +5,43 @@
 const express = require("express");
 const router = express.Router();
 const { protect, adminOnly } = require("../middleware/auth");
-const { toggleFeatured, getFeaturedAuctions } = require("../controllers/adminController");
+const {
+    toggleFeatured,
+    getFeaturedAuctions,
+    getReviewQueue,
+    approveAuction,
+    rejectAuction,
+    requestAuctionChanges
+} = require("../controllers/adminController");
 const adminController = require('../controllers/adminController');
+const {
+    listApplications,
+    getApplicationDocument,
+    approveApplication,
+    rejectApplication
+} = require('../controllers/sellerApplicationController');
+const { getDashboardStats } = require('../controllers/userController');
+
+// Dashboard summary (users, seller applications, auctions)
+router.get("/dashboard", protect, adminOnly, getDashboardStats);
 
 // Featured auction routes
 router.get("/auctions/featured", getFeaturedAuctions);       // public
 router.put("/auctions/:id/feature", protect, adminOnly, toggleFeatured);  // admin only
 
-router.delete('/auctions/:id', adminController.deleteAuction);
+router.delete('/auctions/:id', protect, adminOnly, adminController.deleteAuction);
+
+// Listing moderation queue
+router.get("/auctions/review", protect, adminOnly, getReviewQueue);
+router.put("/auctions/:id/approve", protect, adminOnly, approveAuction);
+router.put("/auctions/:id/reject", protect, adminOnly, rejectAuction);
+router.put("/auctions/:id/request-changes", protect, adminOnly, requestAuctionChanges);
+
+// Seller application review queue
+router.get("/seller-applications", protect, adminOnly, listApplications);
+router.get("/seller-applications/:id/document", protect, adminOnly, getApplicationDocument);
+router.put("/seller-applications/:id/approve", protect, adminOnly, approveApplication);
+router.put("/seller-applications/:id/reject", protect, adminOnly, rejectApplication);
 
 
 module.exports = router;
@@ -1,13 +1,19 @@
 const express = require('express');
 const router = express.Router();
-const { protect, sellerOnly  } = require('../middleware/auth');
+const { protect, optionalAuth, sellerOnly, requireVerified } = require('../middleware/auth');
 const { handleImageUpload } = require('../middleware/upload');
 const {
     // Existing functions
     createAuction,
+    createRequest,
     getMyAuctions,
+    getAuctionById,
     updateAuction,
     cancelAuction,
+    acceptHighBid,
+    relistAuction,
+    buyNow,
+    acceptDutchPrice,
     // New browse functions
     browseAuctions,
     searchAuctions,
@@ -21,15 +27,29 @@ router.get('/browse', browseAuctions);
 router.get('/search', searchAuctions);
 router.get('/ending-soon', getEndingSoonAuctions);
 
+// Declared before /:id so "my-auctions" isn't taken for an auction ID
+router.get('/my-auctions', protect, getMyAuctions);
+
+// Single auction — public, with viewer-specific fields when a token is sent
+router.get('/:id', optionalAuth, getAuctionById);
+
 // ======================
 // PROTECTED ROUTES
 // ======================
 router.use(protect);
 
 // Seller-only routes
-router.post('/', handleImageUpload, createAuction);
-router.get('/my-auctions', getMyAuctions);
+router.post('/', sellerOnly, requireVerified('list'), handleImageUpload, createAuction);
+// Buyer requests (reverse auctions) — any user can post one
+router.post('/requests', requireVerified('list'), handleImageUpload, createRequest);
 router.put('/:id', updateAuction);
 router.delete('/:id', cancelAuction);
+router.post('/:id/accept-high-bid', acceptHighBid);
+router.post('/:id/relist', sellerOnly, requireVerified('list'), relistAuction);
+
+
+// Buyer routes
+router.post('/:id/buy-now', requireVerified('bid'), buyNow);
+router.post('/:id/accept-price', requireVerified('bid'), acceptDutchPrice);
 
 module.exports = router;
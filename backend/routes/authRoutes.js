@@ -12,9 +12,25 @@ const { protect, authorize, sellerOnly, adminOnly } = require('../middleware/aut
 const {
     registerUser,
     loginUser,
+    loginTwoFactor,
     getProfile,
-    updateProfile
+    updateProfile,
+    verifyEmail,
+    resendVerification,
+    forgotPassword,
+    resetPassword,
+    refreshToken,
+    logoutUser,
+    getSessions,
+    revokeSession,
+    revokeAllSessions
 } = require('../controllers/authController');
+const {
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateBackupCodes
+} = require('../controllers/twoFactorController');
 
 /**
  * Validation rules for registration
@@ -42,21 +58,47 @@ const loginValidation = [
     body('password').notEmpty().withMessage('Password is required')
 ];
 
+/**
+ * Validation rules for password reset
+ */
+const forgotPasswordValidation = [
+    body('email').isEmail().withMessage('Please provide a valid email')
+];
+
+const resetPasswordValidation = [
+    body('password')
+        .isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+];
+
 // Public routes
 router.post('/register', registerValidation, registerUser);
 router.post('/login', loginValidation, loginUser);
+router.post('/login/2fa', loginTwoFactor);
+router.get('/verify/:token', verifyEmail);
+router.post('/forgot-password', forgotPasswordValidation, forgotPassword);
+router.post('/reset-password/:token', resetPasswordValidation, resetPassword);
+router.post('/refresh', refreshToken);
+router.post('/logout', logoutUser);
 
 // Protected routes
 router.get('/profile', protect, getProfile);
 router.put('/profile', protect, updateProfile);
+router.post('/verify/resend', protect, resendVerification);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions', protect, revokeAllSessions);
+router.delete('/sessions/:id', protect, revokeSession);
+
+// Two-factor authentication
+router.post('/2fa/setup', protect, setupTwoFactor);
+router.post('/2fa/enable', protect, enableTwoFactor);
+router.post('/2fa/disable', protect, disableTwoFactor);
+router.post('/2fa/backup-codes', protect, regenerateBackupCodes);
 
 // Example of role-protected route
 router.get('/seller/dashboard', protect, authorize('seller', 'admin'), (req, res) => {
     res.json({ message: 'Welcome to seller dashboard' });
 });
 
-router.get('/admin/dashboard', protect, authorize('admin'), (req, res) => {
-    res.json({ message: 'Welcome to admin dashboard' });
-});
+// The admin dashboard lives at GET /api/admin/dashboard (userController)
 
 module.exports = router;
\ No newline at end of file
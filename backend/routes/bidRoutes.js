@@ -9,15 +9,18 @@
 
 const express = require("express");
 const router = express.Router();
-const { placeBid, getBidHistory } = require("../controllers/bidController");
+const { placeBid, retractBid, getBidHistory } = require("../controllers/bidController");
 
 // Fixed import — was wrongly pointing to authMiddleware
-const { protect } = require("../middleware/auth");
+const { protect, optionalAuth, requireVerified } = require("../middleware/auth");
 
-// POST /api/bids/:auctionId — place a bid (must be logged in)
-router.post("/:auctionId", protect, placeBid);
+// POST /api/bids/:auctionId — place a bid (must be logged in; verified if the policy says so)
+router.post("/:auctionId", protect, requireVerified("bid"), placeBid);
 
-// GET /api/bids/:auctionId — get all bids for an auction (public)
-router.get("/:auctionId", getBidHistory);
+// POST /api/bids/:bidId/retract — withdraw your own recent bid, with a reason (see retractBid for the rules)
+router.post("/:bidId/retract", protect, retractBid);
+
+// GET /api/bids/:auctionId — get all bids for an auction (public; sealed auctions add the caller's own bid)
+router.get("/:auctionId", optionalAuth, getBidHistory);
 
 module.exports = router;
\ No newline at end of file
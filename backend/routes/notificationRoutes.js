@@ -0,0 +1,15 @@
+const express = require("express");
+const router  = express.Router();
+const { protect } = require("../middleware/auth");
+const {
+    getNotifications, getUnreadCount, markAsRead, markAllAsRead
+} = require("../controllers/notificationController");
+
+router.use(protect);  // Notifications are always the logged-in user's own
+
+router.get("/",              getNotifications);
+router.get("/unread-count",  getUnreadCount);
+router.put("/read-all",      markAllAsRead);
+router.put("/:id/read",      markAsRead);
+
+module.exports = router;
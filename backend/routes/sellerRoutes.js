@@ -4,13 +4,40 @@
  */
 const express = require("express");
 const router = express.Router();
+const { body } = require("express-validator");
 const { protect, sellerOnly } = require("../middleware/auth");
-const { getSellerAuctions, getAuctionBids } = require("../controllers/sellerController");
+const { handleDocumentUpload } = require("../middleware/upload");
+const { getSellerAuctions, getAuctionBids, getBuyerRequests } = require("../controllers/sellerController");
+const { applyForSeller, getMyApplication } = require("../controllers/sellerApplicationController");
 
-// All seller routes require authentication + seller role
+/**
+ * Validation rules for a seller application (checked after the upload is parsed)
+ */
+const applicationValidation = [
+    body("storeName")
+        .trim()
+        .notEmpty().withMessage("Store name is required")
+        .isLength({ max: 60 }).withMessage("Store name cannot exceed 60 characters"),
+    body("phone")
+        .trim()
+        .notEmpty().withMessage("Phone number is required")
+        .matches(/^[0-9+\-\s]+$/).withMessage("Please enter a valid phone number"),
+    body("address.city").trim().notEmpty().withMessage("City is required")
+];
+
+// All seller routes require authentication
 router.use(protect);
 
+// "Become a seller" — open to any logged-in user
+router.get("/application",  getMyApplication);
+router.post("/application", handleDocumentUpload, applicationValidation, applyForSeller);
+
+// Dashboards stay open to anyone logged in: accounts that listed items
+// before seller approval existed still need to manage those auctions
 router.get("/auctions",           getSellerAuctions);
 router.get("/auction/:id/bids",   getAuctionBids);
 
-module.exports = router;
\ No newline at end of file
+// Buyer requests to make offers on — sellers only
+router.get("/requests", sellerOnly, getBuyerRequests);
+
+module.exports = router;
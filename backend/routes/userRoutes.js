@@ -0,0 +1,34 @@
+/**
+ * User Management Routes (admin)
+ * Mounted at /api/admin/users
+ * Author: Talha | Sprint 3
+ */
+const express = require("express");
+const router = express.Router();
+const { protect, adminOnly } = require("../middleware/auth");
+const {
+    getUsers,
+    getUserById,
+    getUserAuctions,
+    getUserBids,
+    getUserRetractions,
+    clearRetractionFlag,
+    updateUserRole,
+    updateUserStatus,
+    forceLogout
+} = require("../controllers/userController");
+
+// Every route here is admin only
+router.use(protect, adminOnly);
+
+router.get("/", getUsers);
+router.get("/:id", getUserById);
+router.get("/:id/auctions", getUserAuctions);
+router.get("/:id/bids", getUserBids);
+router.get("/:id/retractions", getUserRetractions);
+router.put("/:id/retraction-flag", clearRetractionFlag);
+router.put("/:id/role", updateUserRole);
+router.put("/:id/status", updateUserStatus);
+router.post("/:id/logout", forceLogout);
+
+module.exports = router;
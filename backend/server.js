@@ -14,11 +14,12 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const compression = require('compression');
 const http = require('http');
-const socketio = require('socket.io');
 const path = require('path');
 const sellerRoutes = require('./routes/sellerRoutes');
 const buyerRoutes     = require('./routes/buyerRoutes');
 const watchlistRoutes = require('./routes/watchlistRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const userRoutes = require('./routes/userRoutes');
 
 
 // Load environment variables
@@ -46,43 +47,16 @@ const { protect, sellerOnly, adminOnly } = require('./middleware/auth');
 // Connect to MongoDB
 connectDB();
 
-// Auto-end auctions every minute
-const Auction = require('./models/Auction');
-const Bid     = require('./models/Bid');
-
-const autoEndAuctions = async () => {
-    try {
-        const now = new Date();
-        // Find all active auctions whose endTime has passed
-        const expiredAuctions = await Auction.find({
-            status: 'active',
-            endTime: { $lte: now }
-        });
-
-        for (const auction of expiredAuctions) {
-            // Find the highest bid
-            const highestBid = await Bid.findOne({ auction: auction._id })
-                .sort({ amount: -1 })
-                .populate('bidder', 'name');
-
-            if (highestBid) {
-                auction.status    = 'sold';
-                auction.winner    = highestBid.bidder._id;
-                auction.finalPrice = highestBid.amount;
-            } else {
-                auction.status = 'ended'; // ended with no bids
-            }
-            await auction.save();
-            console.log(`Auction ${auction._id} ended. Status: ${auction.status}`);
-        }
-    } catch (err) {
-        console.error('Auto-end auctions error:', err);
-    }
-};
+// Auction lifecycle: start pending auctions at startTime, settle them at endTime
+const auctionScheduler = require('./services/auctionScheduler');
+auctionScheduler.start();
 
-// Run immediately on startup, then every 60 seconds
-autoEndAuctions();
-setInterval(autoEndAuctions, 60 * 1000);
+// In-app notifications: auction event subscribers + watchlist "ending soon" check
+const notificationService = require('./services/notificationService');
+notificationService.start();
+
+// Email for the same events (transport: see config/mail.js)
+require('./services/mailService');
 
 // Initialize Express app
 const app = express();
@@ -90,14 +64,9 @@ const app = express();
 // Create HTTP server
 const server = http.createServer(app);
 
-// Setup Socket.io
-const io = socketio(server, {
-    cors: {
-        origin: process.env.CLIENT_URL || 'http://localhost:3000',
-        methods: ['GET', 'POST', 'PUT', 'DELETE'],
-        credentials: true
-    }
-});
+// Setup Socket.io (rooms + server-side auction event broadcasting)
+const { initSocket } = require('./config/socket');
+const io = initSocket(server);
 
 // ======================
 // MIDDLEWARE
@@ -153,12 +122,14 @@ app.use('/api/bids', bidRoutes);
 
 // Sprint 2 routes (Talha)
 app.use("/api/admin/categories", categoryRoutes);
+app.use("/api/admin/users", userRoutes);
 app.use("/api/admin", adminRoutes);
 // Talha end
 
 app.use('/api/seller', sellerRoutes);
 app.use('/api/buyer',     buyerRoutes);
 app.use('/api/watchlist', watchlistRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 
 // ======================
@@ -277,39 +248,7 @@ app.use((err, req, res, next) => {
 // Make io accessible to routes
 app.set('io', io);
 
-// Socket.io connection handling
-io.on('connection', (socket) => {
-    console.log(`New client connected: ${socket.id}`);
-    
-    // Join user's personal room
-    socket.on('authenticate', (userId) => {
-        socket.join(`user-${userId}`);
-        console.log(`Socket ${socket.id} joined user-${userId}`);
-    });
-    
-    // Join auction room for real-time bidding
-    socket.on('join-auction', (auctionId) => {
-        socket.join(`auction-${auctionId}`);
-        console.log(`Socket ${socket.id} joined auction-${auctionId}`);
-    });
-    
-    // Leave auction room
-    socket.on('leave-auction', (auctionId) => {
-        socket.leave(`auction-${auctionId}`);
-        console.log(`Socket ${socket.id} left auction-${auctionId}`);
-    });
-    
-    // Handle new bid
-    socket.on('new-bid', (data) => {
-        // Broadcast to all clients in the auction room
-        io.to(`auction-${data.auctionId}`).emit('bid-updated', data);
-    });
-    
-    // Handle disconnection
-    socket.on('disconnect', () => {
-        console.log(`Client disconnected: ${socket.id}`);
-    });
-});
+// Connection handling and event broadcasting live in config/socket.js
 
 // ======================
 // START SERVER
@@ -348,6 +287,8 @@ process.on('uncaughtException', (err) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
     console.log('👋 SIGTERM received. Shutting down gracefully...');
+    auctionScheduler.stop();
+    notificationService.stop();
     server.close(() => {
         console.log('💤 Process terminated!');
     });
@@ -0,0 +1,72 @@
+/**
+ * Auction Events
+ * Process-wide event bus for auction domain events
+ * Producers (scheduler, controllers) emit; consumers (sockets, notifications)
+ * subscribe without the producers knowing about them.
+ *
+ *   'auction:activated' (auction)
+ *   'auction:ended'     (auction) — auction.status is 'sold', 'ended' or 'reserve_not_met'
+ *   'bid:accepted'      ({ auction, bids, previousHighBidder, extended, displaced? })
+ *   'bid:sealed'        ({ auction }) — a sealed bid was submitted or revised
+ *   'bid:retracted'     ({ auction, retraction }) — a bidder withdrew bids; price restored
+ *   'watchlist:ending'  (notification) — a watchlist_ending reminder was stored
+ *   'payment:completed' (payment)
+ *
+ * Author: Talha
+ * Date: Sprint 3
+ */
+
+const EventEmitter = require('events');
+
+const auctionEvents = new EventEmitter();
+
+/**
+ * Subscribe to an event
+ * Handlers run after the emitter returns; failures (sync or async) are logged
+ * and never reach the request or job that emitted the event.
+ * @param {string} event
+ * @param {Function} handler
+ */
+auctionEvents.subscribe = (event, handler) => {
+    auctionEvents.on(event, (...args) => {
+        Promise.resolve()
+            .then(() => handler(...args))
+            .catch((err) => console.error(`Auction event "${event}" handler error:`, err));
+    });
+};
+
+/**
+ * Users a 'bid:accepted' round left behind: everyone who bid in the round,
+ * or led before it, and isn't the high bidder now. On lots, the bidders who
+ * lost units to the new bid (displaced).
+ * @param {Object} payload - the 'bid:accepted' payload
+ * @returns {string[]} - user ids
+ */
+auctionEvents.outbidUsers = ({ auction, bids, previousHighBidder, displaced }) => {
+    if (displaced) return displaced.map((id) => id.toString());
+
+    const outbid = new Set(bids.map((b) => (b.bidder._id || b.bidder).toString()));
+    if (previousHighBidder) outbid.add(previousHighBidder.toString());
+    if (auction.highBidder) outbid.delete(auction.highBidder.toString());
+    return [...outbid];
+};
+
+/**
+ * Who bought from a sold auction and what each owes
+ * One entry for a single item; one per winning bidder for a lot.
+ * @param {Object} auction - an 'auction:ended' auction
+ * @returns {Array<{bidder, quantity: number, total: number}>}
+ */
+auctionEvents.winnersOf = (auction) => {
+    if (auction.status !== 'sold') return [];
+    if (auction.allocations && auction.allocations.length > 0) {
+        return auction.allocations.map((a) => ({
+            bidder: a.bidder,
+            quantity: a.quantity,
+            total: Math.round(a.quantity * a.unitPrice * 100) / 100
+        }));
+    }
+    return auction.winner ? [{ bidder: auction.winner, quantity: 1, total: auction.finalPrice }] : [];
+};
+
+module.exports = auctionEvents;
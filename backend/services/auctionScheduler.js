@@ -0,0 +1,296 @@
+/**
+ * Auction Lifecycle Scheduler
+ * Activates approved pending auctions at startTime and settles active ones at endTime
+ * Each transition is guarded by a per-auction lease stored on the Auction,
+ * so with several API instances only one processes a given auction. Leases
+ * expire, and every sweep looks for overdue auctions, so a restart picks up
+ * whatever was missed while the process was down.
+ * Author: Talha
+ * Date: Sprint 3
+ */
+
+const os = require('os');
+const Auction = require('../models/Auction');
+const Bid = require('../models/Bid');
+const Payment = require('../models/Payment');
+
+// Transitions are published as 'auction:activated' / 'auction:ended'
+const auctionEvents = require('./auctionEvents');
+
+// Unique per process so a lease always names exactly one instance
+const INSTANCE_ID = `${os.hostname()}-${process.pid}-${Math.random().toString(36).slice(2, 8)}`;
+
+const SWEEP_INTERVAL_MS = 30 * 1000;            // how often the database is scanned
+const HORIZON_MS        = 2 * SWEEP_INTERVAL_MS; // transitions this close get an exact timer
+const LEASE_MS          = 30 * 1000;            // a crashed instance's lease frees up after this
+const RETRY_MS          = 5 * 1000;             // back-off when a close couldn't complete
+
+// Pending in-process timers, keyed by `<auctionId>:start` / `<auctionId>:end`
+const timers = new Map();
+let sweepTimer = null;
+
+// Helper: claim the lease on an auction matching `filter` (null if taken or no match)
+const acquireLease = (filter) => {
+    const now = new Date();
+    return Auction.findOneAndUpdate(
+        {
+            ...filter,
+            $or: [{ 'lease.expiresAt': null }, { 'lease.expiresAt': { $lte: now } }]
+        },
+        { $set: { 'lease.owner': INSTANCE_ID, 'lease.expiresAt': new Date(now.getTime() + LEASE_MS) } },
+        { new: true }
+    ).select('+reservePrice');
+};
+
+// Helper: give the lease back if this instance still holds it
+const releaseLease = (auctionId) => Auction.updateOne(
+    { _id: auctionId, 'lease.owner': INSTANCE_ID },
+    { $set: { 'lease.owner': null, 'lease.expiresAt': null } }
+);
+
+/**
+ * Move a pending auction to active once its startTime has passed
+ * @returns {Promise<Document|null>} - The activated auction, or null if nothing to do
+ */
+const activateAuction = async (auctionId) => {
+    const auction = await acquireLease({ _id: auctionId, status: 'pending', isApproved: true, startTime: { $lte: new Date() } });
+    if (!auction) return null;
+
+    const activated = await Auction.findOneAndUpdate(
+        { _id: auctionId, status: 'pending', isApproved: true, 'lease.owner': INSTANCE_ID },
+        { $set: { status: 'active', updatedAt: Date.now(), 'lease.owner': null, 'lease.expiresAt': null } },
+        { new: true }
+    );
+    if (!activated) {
+        await releaseLease(auctionId);
+        return null;
+    }
+
+    console.log(`Auction ${activated._id} started`);
+    auctionEvents.emit('auction:activated', activated);
+    scheduleAuction(activated);
+    return activated;
+};
+
+// Helper: settle a sealed-bid auction from its sealed bids
+// The price is revealed here — highBidder/currentPrice stay untouched while bidding
+const settleSealed = async (auction) => {
+    // Equal amounts: whoever set theirs first (see resolveSealedBids)
+    const bids = await Bid.find({ auction: auction._id, sealed: true })
+        .sort({ amount: -1, updatedAt: 1, _id: 1 })
+        .limit(2);
+    const result = auction.resolveSealedBids(bids);
+    if (!result) return { status: 'ended' };
+
+    const revealed = { highBidder: result.winner, currentPrice: result.price };
+    if (auction.meetsReserve(result.topBid)) {
+        return { ...revealed, status: 'sold', winner: result.winner, finalPrice: result.price, reserveMet: true };
+    }
+    // Accepting anyway sells at the revealed price — see acceptHighBid
+    return { ...revealed, status: 'reserve_not_met', reserveMet: false };
+};
+
+// Helper: settle a multi-quantity lot — every accepted bid gets its units
+// winner/finalPrice hold the top winner and the total across all winners
+const settleLotAuction = async (auction) => {
+    const bids = await Bid.find({ auction: auction._id });
+    const allocations = auction.settleLot(bids);
+    if (allocations.length === 0) {
+        return bids.length > 0 ? { status: 'reserve_not_met', reserveMet: false } : { status: 'ended' };
+    }
+
+    const total = allocations.reduce((sum, a) => sum + a.quantity * a.unitPrice, 0);
+    return {
+        status: 'sold',
+        allocations,
+        winner: allocations[0].bidder,
+        finalPrice: Math.round(total * 100) / 100,
+        reserveMet: true
+    };
+};
+
+// Helper: one pending payment per lot winner (the unique auction+buyer index
+// makes a repeated call a no-op)
+const createLotPayments = async (auction) => {
+    try {
+        await Payment.insertMany(auction.allocations.map((a) => ({
+            auction: auction._id,
+            buyer: a.bidder,
+            seller: auction.seller,
+            quantity: a.quantity,
+            unitPrice: a.unitPrice,
+            amount: Math.round(a.quantity * a.unitPrice * 100) / 100
+        })), { ordered: false });
+    } catch (err) {
+        if (err.code !== 11000) console.error(`Lot payments for auction ${auction._id} failed:`, err);
+    }
+};
+
+/**
+ * Settle an active auction once its endTime has passed
+ * Sold to the high bidder when the reserve is met, 'reserve_not_met' when it
+ * isn't (seller decides), 'ended' when there were no bids. Sealed formats
+ * settle from the sealed bids at the first or second price; lots are split
+ * between the best bids and each winner gets a pending payment.
+ * @returns {Promise<Document|null>} - The closed auction, or null if nothing to do
+ */
+const closeAuction = async (auctionId) => {
+    const auction = await acquireLease({ _id: auctionId, status: 'active', endTime: { $lte: new Date() } });
+
+    if (!auction) {
+        // Soft-close extension moved endTime, or another instance holds the lease
+        await followUp(auctionId);
+        return null;
+    }
+
+    let outcome = { status: 'ended' }; // ended with no bids
+    if (auction.isSealed()) {
+        outcome = await settleSealed(auction);
+    } else if (auction.isLot()) {
+        outcome = await settleLotAuction(auction);
+    } else {
+        // highBidder/currentPrice are maintained atomically with every bid;
+        // fall back to the Bid history for auctions that predate highBidder
+        let winner = auction.highBidder;
+        let price = auction.currentPrice;
+        if (!winner && auction.totalBids > 0) {
+            // On a reverse auction the lowest offer leads
+            const highestBid = await Bid.findOne({ auction: auctionId })
+                .sort({ amount: auction.isReverse() ? 1 : -1 });
+            if (highestBid) {
+                winner = highestBid.bidder;
+                price = highestBid.amount;
+            }
+        }
+
+        if (winner && auction.meetsReserve(price)) {
+            outcome = { status: 'sold', winner, finalPrice: price };
+        } else if (winner) {
+            // Seller decides: accept the high bid anyway or relist
+            outcome = { status: 'reserve_not_met', reserveMet: false };
+        }
+    }
+
+    // Conditional on the price we settled on and on endTime, so a bid,
+    // sealed revision or soft-close extension that landed meanwhile sends us round again
+    const closed = await Auction.findOneAndUpdate(
+        {
+            _id: auctionId,
+            status: 'active',
+            endTime: { $lte: new Date() },
+            currentPrice: auction.currentPrice,
+            totalBids: auction.totalBids,
+            ...(auction.isSealed() && { sealedRevision: auction.sealedRevision }),
+            'lease.owner': INSTANCE_ID
+        },
+        { $set: { ...outcome, updatedAt: Date.now(), 'lease.owner': null, 'lease.expiresAt': null } },
+        { new: true }
+    );
+
+    if (!closed) {
+        await releaseLease(auctionId);
+        await followUp(auctionId);
+        return null;
+    }
+
+    console.log(`Auction ${closed._id} ended. Status: ${closed.status}`);
+    if (closed.isLot() && closed.status === 'sold') await createLotPayments(closed);
+    auctionEvents.emit('auction:ended', closed);
+    return closed;
+};
+
+// Helper: (re)arm an exact timer for a transition inside the horizon
+const scheduleAt = (key, when, run) => {
+    clearTimeout(timers.get(key));
+    timers.delete(key);
+
+    const delay = Math.max(0, new Date(when).getTime() - Date.now());
+    if (delay > HORIZON_MS) return; // a later sweep arms it closer to the time
+
+    timers.set(key, setTimeout(() => {
+        timers.delete(key);
+        run().catch((err) => console.error(`Scheduler ${key} error:`, err));
+    }, delay));
+};
+
+// Helper: after a close didn't go through, follow a moved endTime or retry shortly
+const followUp = async (auctionId) => {
+    const latest = await Auction.findById(auctionId).select('status isApproved startTime endTime');
+    if (!latest) return;
+    if (latest.status === 'active' && latest.endTime <= new Date()) {
+        const id = latest._id.toString();
+        scheduleAt(`${id}:end`, Date.now() + RETRY_MS, () => closeAuction(id));
+        return;
+    }
+    scheduleAuction(latest);
+};
+
+/**
+ * Arm the next lifecycle timer for an auction
+ * Safe to call repeatedly — e.g. after creating an auction or extending it
+ * @param {Document|Object} auction - needs _id, status, isApproved, startTime, endTime
+ */
+const scheduleAuction = (auction) => {
+    const id = auction._id.toString();
+    if (auction.status === 'pending' && auction.isApproved) {
+        scheduleAt(`${id}:start`, auction.startTime, () => activateAuction(id));
+    } else if (auction.status === 'active') {
+        clearTimeout(timers.get(`${id}:start`));
+        timers.delete(`${id}:start`);
+        scheduleAt(`${id}:end`, auction.endTime, () => closeAuction(id));
+    } else {
+        clearTimeout(timers.get(`${id}:end`));
+        timers.delete(`${id}:end`);
+    }
+};
+
+// Scan for transitions that are due (or overdue) within the horizon
+const sweep = async () => {
+    try {
+        const horizon = new Date(Date.now() + HORIZON_MS);
+        const [pending, active] = await Promise.all([
+            Auction.find({ status: 'pending', isApproved: true, startTime: { $lte: horizon } }).select('status isApproved startTime endTime'),
+            Auction.find({ status: 'active', endTime: { $lte: horizon } }).select('status isApproved startTime endTime')
+        ]);
+        [...pending, ...active].forEach(scheduleAuction);
+    } catch (err) {
+        console.error('Scheduler sweep error:', err);
+    }
+};
+
+// Auctions created before listing review existed never went through it —
+// treat them as approved so they keep starting (no-op once done)
+const approveUnreviewedAuctions = async () => {
+    try {
+        await Auction.updateMany(
+            { isApproved: false, reviewStatus: { $exists: false } },
+            { $set: { isApproved: true, reviewStatus: 'approved' } }
+        );
+    } catch (err) {
+        console.error('Scheduler approval backfill error:', err);
+    }
+};
+
+// Start sweeping — call once per process after the database connection is set up
+const start = () => {
+    if (sweepTimer) return;
+    approveUnreviewedAuctions().then(sweep);
+    sweepTimer = setInterval(sweep, SWEEP_INTERVAL_MS);
+};
+
+// Stop sweeping and drop pending timers (graceful shutdown)
+const stop = () => {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+    timers.forEach(clearTimeout);
+    timers.clear();
+};
+
+module.exports = {
+    auctionEvents,
+    start,
+    stop,
+    scheduleAuction,
+    activateAuction,
+    closeAuction
+};
@@ -0,0 +1,172 @@
+/**
+ * Mail Service
+ * Sends templated emails for auction events, honoring each user's
+ * notificationPreferences:
+ *   email      — master switch for every email below
+ *   outbid     — outbid
+ *   auctionEnd — won, sold, watchlist ending soon
+ * Payment confirmations and listing review outcomes only depend on the
+ * master switch. Account emails (verification, ...) go through sendTemplate
+ * and ignore preferences.
+ *
+ * Messages go through an in-memory queue: a failed send is retried with
+ * exponential back-off up to MAX_ATTEMPTS times. Queued mail does not
+ * survive a restart.
+ *
+ * Author: Talha
+ * Date: Sprint 3
+ */
+
+const User = require('../models/User');
+const Item = require('../models/Item');
+const Auction = require('../models/Auction');
+const templates = require('./mailTemplates');
+const auctionEvents = require('./auctionEvents');
+const { getTransport, MAIL_FROM } = require('../config/mail');
+
+const MAX_ATTEMPTS  = 5;
+const RETRY_BASE_MS = 10 * 1000; // 10s, 20s, 40s, 80s
+
+// Which preference flag (besides `email`) each template needs
+const PREFERENCE_FOR = {
+    outbid: 'outbid',
+    won: 'auctionEnd',
+    sold: 'auctionEnd',
+    undercut: 'outbid',
+    offerWon: 'auctionEnd',
+    requestAwarded: 'auctionEnd',
+    endingSoon: 'auctionEnd',
+    paymentCompleted: null,
+    listingReview: null
+};
+
+const queue = [];
+let sending = false;
+
+// Send queued messages one at a time
+const drain = async () => {
+    if (sending) return;
+    sending = true;
+
+    while (queue.length > 0) {
+        const job = queue.shift();
+        try {
+            await getTransport().sendMail(job.message);
+        } catch (err) {
+            job.attempts += 1;
+            if (job.attempts >= MAX_ATTEMPTS) {
+                console.error(`Mail to ${job.message.to} dropped after ${job.attempts} attempts:`, err.message);
+                continue;
+            }
+            const delay = RETRY_BASE_MS * 2 ** (job.attempts - 1);
+            console.warn(`Mail to ${job.message.to} failed (attempt ${job.attempts}), retrying in ${delay / 1000}s`);
+            setTimeout(() => {
+                queue.push(job);
+                drain();
+            }, delay).unref();
+        }
+    }
+
+    sending = false;
+};
+
+/**
+ * Queue a raw message
+ * @param {Object} message - nodemailer message: { to, subject, html, text }
+ */
+const enqueue = (message) => {
+    queue.push({ message: { from: MAIL_FROM, ...message }, attempts: 0 });
+    drain();
+};
+
+/**
+ * Render a template and queue it, regardless of preferences
+ * @param {string} to - email address
+ * @param {string} template - key of mailTemplates
+ * @param {Object} data - template data
+ */
+const sendTemplate = (to, template, data) => {
+    const { subject, html, text } = templates[template](data);
+    enqueue({ to, subject, html, text });
+};
+
+/**
+ * Render a template and queue it for a user, if their preferences allow
+ * @param {ObjectId|string} userId
+ * @param {string} template - key of mailTemplates
+ * @param {Object} data - template data (the user's name is added)
+ * @returns {Promise<boolean>} - true if queued
+ */
+const sendToUser = async (userId, template, data) => {
+    const user = await User.findById(userId).select('name email notificationPreferences').lean();
+    if (!user || !user.email) return false;
+
+    const prefs = user.notificationPreferences || {};
+    const flag = PREFERENCE_FOR[template];
+    if (prefs.email === false || (flag && prefs[flag] === false)) return false;
+
+    sendTemplate(user.email, template, { name: user.name, ...data });
+    return true;
+};
+
+// Helper: title of an auction's item
+const itemTitle = async (itemId) => {
+    const item = await Item.findById(itemId).select('title').lean();
+    return item ? item.title : 'your auction';
+};
+
+// Outbid: everyone the round left behind
+const onBidAccepted = async (payload) => {
+    const { auction } = payload;
+    const recipients = auctionEvents.outbidUsers(payload);
+    if (recipients.length === 0) return;
+
+    const title = await itemTitle(auction.item);
+    const template = auction.auctionType === 'reverse' ? 'undercut' : 'outbid';
+    await Promise.all(recipients.map((userId) => sendToUser(userId, template, {
+        title, auctionId: auction._id, currentPrice: auction.currentPrice
+    })));
+};
+
+// Sold: every winner (several on a lot) and the seller (the requester, on a reverse auction)
+const onAuctionEnded = async (auction) => {
+    const winners = auctionEvents.winnersOf(auction);
+    if (winners.length === 0) return;
+
+    const title = await itemTitle(auction.item);
+    const data = { title, auctionId: auction._id, finalPrice: auction.finalPrice };
+    const reverse = auction.auctionType === 'reverse';
+    await Promise.all([
+        ...winners.map((w) => sendToUser(w.bidder, reverse ? 'offerWon' : 'won', { ...data, finalPrice: w.total })),
+        sendToUser(auction.seller, reverse ? 'requestAwarded' : 'sold', data)
+    ]);
+};
+
+// Watchlist reminder (one per watcher per auction, see notificationService)
+const onWatchlistEnding = async ({ recipient, auction, payload }) => {
+    const found = await Auction.findById(auction).select('item').lean();
+    if (!found) return;
+    await sendToUser(recipient, 'endingSoon', {
+        title: await itemTitle(found.item),
+        auctionId: auction,
+        endTime: payload.endTime
+    });
+};
+
+// Payment completed: receipt to the buyer, heads-up to the seller
+const onPaymentCompleted = async (payment) => {
+    const found = await Auction.findById(payment.auction).select('item').lean();
+    const title = found ? await itemTitle(found.item) : 'your auction';
+    const data = { title, auctionId: payment.auction, amount: payment.amount };
+    await Promise.all([
+        sendToUser(payment.buyer, 'paymentCompleted', { ...data, role: 'buyer' }),
+        sendToUser(payment.seller, 'paymentCompleted', { ...data, role: 'seller' })
+    ]);
+};
+
+auctionEvents.subscribe('bid:accepted', onBidAccepted);
+auctionEvents.subscribe('auction:ended', onAuctionEnded);
+auctionEvents.subscribe('watchlist:ending', onWatchlistEnding);
+auctionEvents.subscribe('payment:completed', onPaymentCompleted);
+
+module.exports = { sendToUser, sendTemplate, enqueue };
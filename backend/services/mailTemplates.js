@@ -0,0 +1,210 @@
+/**
+ * Mail Templates
+ * Every template takes a data object and returns { subject, html, text }
+ * Author: Talha
+ * Date: Sprint 3
+ */
+
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+
+// Helper: escape user-provided text (item titles, names) for HTML
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const formatPrice = (amount) => `BDT ${Number(amount || 0).toLocaleString('en-BD')}`;
+
+const auctionUrl = (auctionId) => `${CLIENT_URL}/auction/${auctionId}`;
+
+/**
+ * Wrap a message in the shared layout
+ * @param {Object} parts - { subject, name, paragraphs: string[], action: { label, url }, account }
+ *   paragraphs are plain text; they are escaped for the HTML part
+ *   account: true for account emails, which can't be turned off
+ */
+const render = ({ subject, name, paragraphs, action, account = false }) => {
+    const greeting = `Hi ${name || 'there'},`;
+    const footer = account
+        ? 'You received this email because of activity on your Auction It account.'
+        : 'You can turn these emails off in your profile\'s notification settings.';
+
+    const html = `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:#f5f7fa;font-family:Arial,Helvetica,sans-serif;color:#222;">
+  <div style="max-width:560px;margin:0 auto;background:#fff;border-radius:8px;padding:24px;">
+    <h2 style="margin-top:0;color:#1F4E79;">🔨 Auction It</h2>
+    <p>${escapeHtml(greeting)}</p>
+    ${paragraphs.map((p) => `<p>${escapeHtml(p)}</p>`).join('\n    ')}
+    ${action ? `<p><a href="${escapeHtml(action.url)}" style="display:inline-block;padding:10px 18px;background:#2E75B6;color:#fff;text-decoration:none;border-radius:4px;">${escapeHtml(action.label)}</a></p>` : ''}
+    <p style="font-size:12px;color:#888;">${escapeHtml(footer)}</p>
+  </div>
+</body>
+</html>`;
+
+    const text = [
+        greeting,
+        '',
+        ...paragraphs.flatMap((p) => [p, '']),
+        ...(action ? [`${action.label}: ${action.url}`, ''] : []),
+        '— Auction It',
+        footer
+    ].join('\n');
+
+    return { subject, html, text };
+};
+
+// data: { name, title, auctionId, currentPrice }
+const outbid = ({ name, title, auctionId, currentPrice }) => render({
+    subject: `You've been outbid on "${title}"`,
+    name,
+    paragraphs: [
+        `Someone placed a higher bid on "${title}". The current price is now ${formatPrice(currentPrice)}.`,
+        'Bid again before the auction ends to stay in the running.'
+    ],
+    action: { label: 'Bid again', url: auctionUrl(auctionId) }
+});
+
+// data: { name, title, auctionId, finalPrice }
+const won = ({ name, title, auctionId, finalPrice }) => render({
+    subject: `You won "${title}"`,
+    name,
+    paragraphs: [
+        `Congratulations! You won "${title}" for ${formatPrice(finalPrice)}.`,
+        'Please complete your payment so the seller can ship your item.'
+    ],
+    action: { label: 'View auction', url: auctionUrl(auctionId) }
+});
+
+// data: { name, title, auctionId, finalPrice }
+const sold = ({ name, title, auctionId, finalPrice }) => render({
+    subject: `"${title}" sold for ${formatPrice(finalPrice)}`,
+    name,
+    paragraphs: [
+        `Your auction "${title}" has ended and sold for ${formatPrice(finalPrice)}.`,
+        'We will let you know as soon as the buyer has paid.'
+    ],
+    action: { label: 'View auction', url: auctionUrl(auctionId) }
+});
+
+// Reverse auctions (buyer requests): the same moments seen from the seller's side
+// data: { name, title, auctionId, currentPrice }
+const undercut = ({ name, title, auctionId, currentPrice }) => render({
+    subject: `Your offer on "${title}" was undercut`,
+    name,
+    paragraphs: [
+        `Another seller offered less on the request "${title}". The lowest offer is now ${formatPrice(currentPrice)}.`,
+        'Make a lower offer before the deadline to stay in the running.'
+    ],
+    action: { label: 'Make an offer', url: auctionUrl(auctionId) }
+});
+
+// data: { name, title, auctionId, finalPrice }
+const offerWon = ({ name, title, auctionId, finalPrice }) => render({
+    subject: `Your offer won "${title}"`,
+    name,
+    paragraphs: [
+        `Your offer of ${formatPrice(finalPrice)} was the lowest on the request "${title}".`,
+        'The buyer has been told and will be in touch to arrange delivery.'
+    ],
+    action: { label: 'View request', url: auctionUrl(auctionId) }
+});
+
+// data: { name, title, auctionId, finalPrice }
+const requestAwarded = ({ name, title, auctionId, finalPrice }) => render({
+    subject: `"${title}" awarded for ${formatPrice(finalPrice)}`,
+    name,
+    paragraphs: [
+        `Your request "${title}" has closed. The lowest offer was ${formatPrice(finalPrice)}.`,
+        'See the request for the winning seller.'
+    ],
+    action: { label: 'View request', url: auctionUrl(auctionId) }
+});
+
+// data: { name, title, auctionId, endTime }
+const endingSoon = ({ name, title, auctionId, endTime }) => render({
+    subject: `"${title}" is ending soon`,
+    name,
+    paragraphs: [
+        `An auction on your watchlist, "${title}", ends at ${new Date(endTime).toUTCString()}.`,
+        'This is your last chance to place a bid.'
+    ],
+    action: { label: 'Go to auction', url: auctionUrl(auctionId) }
+});
+
+// data: { name, title, auctionId, amount, role: 'buyer' | 'seller' }
+const paymentCompleted = ({ name, title, auctionId, amount, role }) => render({
+    subject: role === 'seller'
+        ? `Payment received for "${title}"`
+        : `Payment confirmation for "${title}"`,
+    name,
+    paragraphs: role === 'seller'
+        ? [`The buyer has paid ${formatPrice(amount)} for "${title}".`, 'Please ship the item to the buyer.']
+        : [`We received your payment of ${formatPrice(amount)} for "${title}".`, 'The seller has been notified and will ship your item.'],
+    action: { label: 'View auction', url: auctionUrl(auctionId) }
+});
+
+// data: { name, token }
+const verifyEmail = ({ name, token }) => render({
+    subject: 'Verify your email address',
+    name,
+    paragraphs: [
+        'Please confirm that this is your email address to finish setting up your Auction It account.',
+        'The link expires in 24 hours. If you did not create an account, you can ignore this email.'
+    ],
+    action: { label: 'Verify email', url: `${CLIENT_URL}/verify-email/${token}` },
+    account: true
+});
+
+// data: { name, token }
+const resetPassword = ({ name, token }) => render({
+    subject: 'Reset your password',
+    name,
+    paragraphs: [
+        'We received a request to reset the password for your Auction It account.',
+        'The link expires in 1 hour and can only be used once. If you did not ask for this, you can ignore this email — your password stays the same.'
+    ],
+    action: { label: 'Reset password', url: `${CLIENT_URL}/reset-password/${token}` },
+    account: true
+});
+
+// data: { name, storeName, approved, reason }
+const sellerApplication = ({ name, storeName, approved, reason }) => render({
+    subject: approved ? 'Your seller application was approved' : 'Your seller application was not approved',
+    name,
+    paragraphs: approved
+        ? [`Good news — "${storeName}" is now a seller account on Auction It.`, 'You can start listing items right away.']
+        : [
+            `We could not approve the seller application for "${storeName}".`,
+            ...(reason ? [`Reason: ${reason}`] : []),
+            'You are welcome to fix the details and apply again.'
+        ],
+    action: approved
+        ? { label: 'List an item', url: `${CLIENT_URL}/auctions/create` }
+        : { label: 'Apply again', url: `${CLIENT_URL}/seller/apply` },
+    account: true
+});
+
+// data: { name, title, auctionId, outcome: 'approved' | 'rejected' | 'changes_requested', note }
+const listingReview = ({ name, title, auctionId, outcome, note }) => {
+    const subjects = {
+        approved: `"${title}" was approved`,
+        rejected: `"${title}" was not approved`,
+        changes_requested: `Changes needed for "${title}"`
+    };
+    const intros = {
+        approved: `Your listing "${title}" was approved and will go live at its start time.`,
+        rejected: `Your listing "${title}" was not approved and has been taken down.`,
+        changes_requested: `Your listing "${title}" needs a few changes before it can go live. Edit it and it will be reviewed again.`
+    };
+    return render({
+        subject: subjects[outcome],
+        name,
+        paragraphs: [intros[outcome], ...(note ? [`Moderator note: ${note}`] : [])],
+        action: { label: 'View listing', url: auctionUrl(auctionId) }
+    });
+};
+
+module.exports = { outbid, won, sold, undercut, offerWon, requestAwarded, endingSoon, paymentCompleted, verifyEmail, resetPassword, sellerApplication, listingReview };
@@ -0,0 +1,216 @@
+/**
+ * Notification Service
+ * Turns auction events into in-app notifications and pushes each new one
+ * to the recipient's socket room as 'notification'
+ *
+ *   outbid               'bid:accepted' — bidders who lost the lead (undercut, on a buyer request)
+ *   bid_retracted        'bid:retracted' — the bidder who leads again after a retraction
+ *   auction_won          'auction:ended' with status 'sold' — the winner (each winner of a lot)
+ *   auction_ended_seller 'auction:ended' — the seller, whatever the outcome
+ *   watchlist_ending     periodic check — watchers of auctions ending within the hour
+ *
+ * Author: Talha
+ * Date: Sprint 3
+ */
+
+const Notification = require('../models/Notification');
+const Auction = require('../models/Auction');
+const Item = require('../models/Item');
+const Watchlist = require('../models/Watchlist');
+const auctionEvents = require('./auctionEvents');
+const { emitToUser } = require('../config/socket');
+
+const WATCHLIST_CHECK_MS  = 60 * 1000;      // how often watchlists are checked
+const WATCHLIST_WINDOW_MS = 60 * 60 * 1000; // "ending soon" means within this long
+
+let watchlistTimer = null;
+
+// Helper: title of an auction's item, for messages
+const itemTitle = async (auction) => {
+    const item = await Item.findById(auction.item).select('title').lean();
+    return item ? item.title : 'an auction';
+};
+
+// Helper: BDT amount for messages
+const formatPrice = (amount) => `BDT ${Number(amount || 0).toLocaleString('en-BD')}`;
+
+// Helper: push freshly stored notifications to their recipients
+const push = (notifications) => {
+    notifications.forEach((n) => emitToUser(n.recipient.toString(), 'notification', n));
+};
+
+// Helper: push watchlist reminders and announce them (mail picks them up)
+const pushReminders = (notifications) => {
+    push(notifications);
+    notifications.forEach((n) => auctionEvents.emit('watchlist:ending', n));
+};
+
+/**
+ * Store notifications and push them live
+ * @param {Object[]} notifications - { recipient, type, title, message, auction, link, payload }
+ * @returns {Promise<Document[]>}
+ */
+const notify = async (notifications) => {
+    if (notifications.length === 0) return [];
+    const created = await Notification.insertMany(notifications);
+    push(created);
+    return created;
+};
+
+// Outbid: one notification per bidder this round left behind
+const onBidAccepted = async (payload) => {
+    const { auction } = payload;
+    const recipients = auctionEvents.outbidUsers(payload);
+    if (recipients.length === 0) return;
+
+    const title = await itemTitle(auction);
+    const reverse = auction.auctionType === 'reverse';
+    await notify(recipients.map((recipient) => ({
+        recipient,
+        type: 'outbid',
+        title: reverse ? 'Your offer was undercut' : 'You have been outbid',
+        message: reverse
+            ? `The lowest offer on the request "${title}" is now ${formatPrice(auction.currentPrice)}.`
+            : `The price of "${title}" is now ${formatPrice(auction.currentPrice)}.`,
+        auction: auction._id,
+        link: `/auction/${auction._id}`,
+        payload: { currentPrice: auction.currentPrice }
+    })));
+};
+
+// Retracted: the restored high bidder leads again (if the lead changed hands)
+const onBidRetracted = async ({ auction, retraction }) => {
+    const leader = retraction.restoredHighBidder;
+    if (!leader || (retraction.previousHighBidder && leader.equals(retraction.previousHighBidder))) return;
+
+    const title = await itemTitle(auction);
+    const reverse = auction.auctionType === 'reverse';
+    await notify([{
+        recipient: leader,
+        type: 'bid_retracted',
+        title: reverse ? 'Your offer is the lowest again' : 'You are the high bidder again',
+        message: reverse
+            ? `A lower offer on the request "${title}" was withdrawn. Yours leads at ${formatPrice(auction.currentPrice)}.`
+            : `A higher bid on "${title}" was withdrawn. You lead at ${formatPrice(auction.currentPrice)}.`,
+        auction: auction._id,
+        link: `/auction/${auction._id}`,
+        payload: { currentPrice: auction.currentPrice }
+    }]);
+};
+
+// Ended: tell the seller how it went, and the winner that they won
+const onAuctionEnded = async (auction) => {
+    const title = await itemTitle(auction);
+    const link = `/auction/${auction._id}`;
+
+    const reverse = auction.auctionType === 'reverse';
+    const sellerMessages = reverse ? {
+        sold: `Your request "${title}" was awarded for ${formatPrice(auction.finalPrice)}.`,
+        ended: `Your request "${title}" closed with no offers.`
+    } : {
+        sold: auction.soldViaBuyNow
+            ? `"${title}" sold with Buy It Now for ${formatPrice(auction.finalPrice)}.`
+            : `"${title}" sold for ${formatPrice(auction.finalPrice)}.`,
+        reserve_not_met: `"${title}" ended below your reserve. Accept the high bid or relist it.`,
+        ended: `"${title}" ended with no bids.`
+    };
+
+    const notifications = [{
+        recipient: auction.seller,
+        type: 'auction_ended_seller',
+        title: reverse ? 'Your request has closed' : 'Your auction has ended',
+        message: sellerMessages[auction.status] || `"${title}" has ended.`,
+        auction: auction._id,
+        link,
+        payload: { status: auction.status, finalPrice: auction.finalPrice || null }
+    }];
+
+    auctionEvents.winnersOf(auction).forEach((w) => {
+        const units = w.quantity > 1 ? `${w.quantity} × ` : '';
+        notifications.push({
+            recipient: w.bidder,
+            type: 'auction_won',
+            title: reverse ? 'Your offer won' : auction.soldViaBuyNow ? 'Purchase complete' : 'You won an auction',
+            message: reverse
+                ? `Your offer of ${formatPrice(w.total)} won the request "${title}".`
+                : auction.soldViaBuyNow
+                    ? `You bought "${title}" for ${formatPrice(w.total)}.`
+                    : `You won ${units}"${title}" for ${formatPrice(w.total)}.`,
+            auction: auction._id,
+            link,
+            payload: { finalPrice: w.total, quantity: w.quantity }
+        });
+    });
+
+    await notify(notifications);
+};
+
+/**
+ * Remind watchers of auctions that end within the window
+ * The unique index on watchlist_ending makes this safe to repeat and to run
+ * on several instances: each watcher hears about each auction once.
+ */
+const checkWatchlists = async () => {
+    try {
+        const now = new Date();
+        const endingSoon = await Auction.find({
+            status: 'active',
+            endTime: { $gt: now, $lte: new Date(now.getTime() + WATCHLIST_WINDOW_MS) }
+        }).select('item endTime').populate('item', 'title').lean();
+        if (endingSoon.length === 0) return;
+
+        const ids = endingSoon.map((a) => a._id);
+        const [watches, alreadySent] = await Promise.all([
+            Watchlist.find({ auction: { $in: ids } }).select('user auction').lean(),
+            Notification.find({ type: 'watchlist_ending', auction: { $in: ids } }).select('recipient auction').lean()
+        ]);
+
+        const sent = new Set(alreadySent.map((n) => `${n.recipient}:${n.auction}`));
+        const byId = new Map(endingSoon.map((a) => [a._id.toString(), a]));
+
+        const pending = watches
+            .filter((w) => !sent.has(`${w.user}:${w.auction}`))
+            .map((w) => {
+                const auction = byId.get(w.auction.toString());
+                const title = auction.item ? auction.item.title : 'an auction';
+                return {
+                    recipient: w.user,
+                    type: 'watchlist_ending',
+                    title: 'Watched auction ending soon',
+                    message: `"${title}" ends in less than an hour.`,
+                    auction: auction._id,
+                    link: `/auction/${auction._id}`,
+                    payload: { endTime: auction.endTime }
+                };
+            });
+        if (pending.length === 0) return;
+
+        try {
+            pushReminders(await Notification.insertMany(pending, { ordered: false }));
+        } catch (err) {
+            // Another instance sent some of them first — push the rest
+            if (!err.writeErrors) throw err;
+            pushReminders(err.insertedDocs || []);
+        }
+    } catch (err) {
+        console.error('Watchlist notification error:', err);
+    }
+};
+
+auctionEvents.subscribe('bid:accepted', onBidAccepted);
+auctionEvents.subscribe('bid:retracted', onBidRetracted);
+auctionEvents.subscribe('auction:ended', onAuctionEnded);
+
+// Start the watchlist check — call once per process after the database connection is set up
+const start = () => {
+    if (watchlistTimer) return;
+    checkWatchlists();
+    watchlistTimer = setInterval(checkWatchlists, WATCHLIST_CHECK_MS);
+};
+
+const stop = () => {
+    clearInterval(watchlistTimer);
+    watchlistTimer = null;
+};
+
+module.exports = { start, stop, notify };
@@ -0,0 +1,168 @@
+/**
+ * Session Service
+ * Issues access + refresh token pairs and keeps their sessions server-side
+ *
+ *   access token   short-lived JWT (ACCESS_TOKEN_EXPIRE, default 15m) with the
+ *                  session id as `sid`; protect rejects it once the session is revoked
+ *   refresh token  "<sessionId>.<random>", valid REFRESH_TOKEN_DAYS (default 30)
+ *                  since last use; single-use — every refresh rotates it
+ *
+ * Presenting an already-rotated refresh token revokes the whole session
+ * (someone replayed a stolen token), except within a few seconds of the
+ * rotation, where it's most likely two tabs refreshing at once.
+ *
+ * Author: Talha
+ * Date: Sprint 3
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+const REUSE_GRACE_MS = 10 * 1000;
+
+// Helper: when a session used now should expire
+const nextExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+// Helper: a fresh refresh token for a session
+const newRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+
+// Helper: device details worth showing in the sessions list
+const clientInfo = (req) => ({
+    userAgent: (req.get('user-agent') || '').slice(0, 300),
+    ip: req.ip || ''
+});
+
+/**
+ * Start a session for a user who just logged in or registered
+ * @returns {Promise<{ token, refreshToken, session }>}
+ */
+const createSession = async (user, req) => {
+    const session = new Session({ user: user._id, expiresAt: nextExpiry(), ...clientInfo(req) });
+    const refreshToken = newRefreshToken(session._id);
+    session.tokenHash = User.hashToken(refreshToken);
+    await session.save();
+
+    return { token: user.generateAuthToken(session._id), refreshToken, session };
+};
+
+/**
+ * Trade a refresh token for a new access + refresh token pair
+ * @returns {Promise<{ token, refreshToken, session, user }|null>} - null if the
+ *   token is invalid, expired, revoked or replayed
+ */
+const rotateSession = async (refreshToken, req) => {
+    const [sessionId] = String(refreshToken || '').split('.');
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) return null;
+
+    const now = new Date();
+    const hash = User.hashToken(refreshToken);
+    const nextToken = newRefreshToken(sessionId);
+
+    // Conditional on the current hash, so two refreshes can't both win
+    const session = await Session.findOneAndUpdate(
+        { _id: sessionId, tokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+        {
+            $set: {
+                tokenHash: User.hashToken(nextToken),
+                previousTokenHash: hash,
+                lastUsedAt: now,
+                expiresAt: nextExpiry(),
+                ...clientInfo(req)
+            }
+        },
+        { new: true }
+    );
+
+    if (!session) {
+        // An old token: revoke, unless it was rotated a moment ago
+        await Session.updateOne(
+            {
+                _id: sessionId,
+                previousTokenHash: hash,
+                revokedAt: null,
+                lastUsedAt: { $lt: new Date(now.getTime() - REUSE_GRACE_MS) }
+            },
+            { $set: { revokedAt: now } }
+        );
+        return null;
+    }
+
+    const user = await User.findById(session.user);
+    if (!user || !user.isActive) {
+        await revokeSession(session.user, session._id);
+        return null;
+    }
+
+    return { token: user.generateAuthToken(session._id), refreshToken: nextToken, session, user };
+};
+
+/**
+ * Is the session behind an access token still live?
+ * @param {string} sessionId - the token's sid
+ */
+const isSessionActive = async (sessionId) => {
+    if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) return false;
+    const found = await Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } });
+    return Boolean(found);
+};
+
+/**
+ * Revoke one of a user's sessions
+ * @returns {Promise<boolean>} - false if there was no such live session
+ */
+const revokeSession = async (userId, sessionId) => {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) return false;
+    const result = await Session.updateOne(
+        { _id: sessionId, user: userId, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+    );
+    return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke the session a refresh token belongs to (logout)
+ * Works with an expired access token, since only the refresh token is needed
+ * @returns {Promise<boolean>} - false if the token matched no live session
+ */
+const revokeByRefreshToken = async (refreshToken) => {
+    const [sessionId] = String(refreshToken || '').split('.');
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) return false;
+    const result = await Session.updateOne(
+        { _id: sessionId, tokenHash: User.hashToken(refreshToken), revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+    );
+    return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke every live session of a user
+ * @param {ObjectId} [exceptSessionId] - keep this one (e.g. the current device)
+ * @returns {Promise<number>} - sessions revoked
+ */
+const revokeAllSessions = async (userId, exceptSessionId) => {
+    const filter = { user: userId, revokedAt: null };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+    const result = await Session.updateMany(filter, { $set: { revokedAt: new Date() } });
+    return result.modifiedCount;
+};
+
+/**
+ * A user's live sessions, most recently used first
+ */
+const listSessions = (userId) => Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('userAgent ip lastUsedAt createdAt expiresAt')
+    .sort({ lastUsedAt: -1 })
+    .lean();
+
+module.exports = {
+    createSession,
+    rotateSession,
+    isSessionActive,
+    revokeSession,
+    revokeByRefreshToken,
+    revokeAllSessions,
+    listSessions
+};
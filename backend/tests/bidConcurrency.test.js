@@ -0,0 +1,80 @@
+/**
+ * Concurrent bids on one auction
+ * Simultaneous bids must never both win the same price level, and the
+ * auction's price, bid count and high bidder must match the Bid records.
+ * Author: Moshee-Ur
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('./helpers/db');
+const { createUser, createAuction, call } = require('./helpers/fixtures');
+const Auction = require('../models/Auction');
+const Bid = require('../models/Bid');
+const { placeBid } = require('../controllers/bidController');
+
+let skip = false;
+
+before(async () => {
+    skip = await db.connect();
+});
+
+after(async () => {
+    if (!skip) await db.disconnect();
+});
+
+test('two simultaneous bids at the same amount: one is accepted, the other gets 409', async (t) => {
+    if (skip) return t.skip(skip);
+
+    const seller = await createUser('seller');
+    const [alice, bob] = await Promise.all([createUser(), createUser()]);
+    const auction = await createAuction(seller);
+
+    const results = await Promise.all([alice, bob].map((user) => call(placeBid, {
+        user,
+        params: { auctionId: auction._id.toString() },
+        body: { amount: 110 }
+    })));
+
+    assert.deepEqual(results.map((r) => r.statusCode).sort(), [201, 409]);
+    const winner = results[0].statusCode === 201 ? alice : bob;
+    const conflict = results.find((r) => r.statusCode === 409);
+    assert.equal(conflict.body.code, 'BID_CONFLICT');
+    assert.equal(conflict.body.currentPrice, 110);
+
+    const stored = await Auction.findById(auction._id);
+    const bids = await Bid.find({ auction: auction._id });
+    assert.equal(stored.currentPrice, 110);
+    assert.equal(stored.totalBids, 1);
+    assert.equal(stored.highBidder.toString(), winner._id.toString());
+    assert.equal(bids.length, 1);
+    assert.equal(bids[0].bidder.toString(), winner._id.toString());
+});
+
+test('a burst of simultaneous bids leaves price, count and high bidder consistent', async (t) => {
+    if (skip) return t.skip(skip);
+
+    const seller = await createUser('seller');
+    const bidders = await Promise.all([1, 2, 3, 4, 5].map(() => createUser()));
+    const auction = await createAuction(seller);
+
+    const results = await Promise.all(bidders.map((user, i) => call(placeBid, {
+        user,
+        params: { auctionId: auction._id.toString() },
+        body: { amount: 110 + i * 10 }
+    })));
+
+    results.forEach((r) => assert.ok([201, 400, 409].includes(r.statusCode), `unexpected ${r.statusCode}`));
+    const accepted = results.filter((r) => r.statusCode === 201);
+    assert.ok(accepted.length >= 1);
+
+    const stored = await Auction.findById(auction._id);
+    const bids = await Bid.find({ auction: auction._id }).sort({ amount: -1 });
+    assert.equal(bids.length, accepted.length);
+    assert.equal(stored.totalBids, bids.length);
+    assert.equal(stored.currentPrice, bids[0].amount);
+    assert.equal(stored.highBidder.toString(), bids[0].bidder.toString());
+    // Every accepted bid cleared the one before it by at least the increment
+    const amounts = bids.map((b) => b.amount).reverse();
+    amounts.slice(1).forEach((amount, i) => assert.ok(amount >= amounts[i] + stored.minIncrement));
+});
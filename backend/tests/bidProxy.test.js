@@ -0,0 +1,76 @@
+/**
+ * Proxy bidding
+ * A bidder's stored maximum keeps working for them, and the high bidder
+ * can't push the price up against themselves.
+ * Author: Moshee-Ur
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('./helpers/db');
+const { createUser, createAuction, call } = require('./helpers/fixtures');
+const Auction = require('../models/Auction');
+const MaxBid = require('../models/MaxBid');
+const { placeBid } = require('../controllers/bidController');
+
+let skip = false;
+
+before(async () => {
+    skip = await db.connect();
+});
+
+after(async () => {
+    if (!skip) await db.disconnect();
+});
+
+const bidOn = (auction, user, body) => call(placeBid, { user, params: { auctionId: auction._id.toString() }, body });
+
+test('the high bidder cannot place a plain bid against themselves', async (t) => {
+    if (skip) return t.skip(skip);
+
+    const seller = await createUser('seller');
+    const alice = await createUser();
+    const auction = await createAuction(seller);
+
+    assert.equal((await bidOn(auction, alice, { amount: 110 })).statusCode, 201);
+    const again = await bidOn(auction, alice, { amount: 150 });
+    assert.equal(again.statusCode, 400);
+
+    const stored = await Auction.findById(auction._id);
+    assert.equal(stored.currentPrice, 110);
+    assert.equal(stored.totalBids, 1);
+});
+
+test('the high bidder sending an amount with a maximum only raises the maximum', async (t) => {
+    if (skip) return t.skip(skip);
+
+    const seller = await createUser('seller');
+    const alice = await createUser();
+    const auction = await createAuction(seller);
+
+    await bidOn(auction, alice, { amount: 110, maxAmount: 300 });
+    const raised = await bidOn(auction, alice, { amount: 150, maxAmount: 500 });
+    assert.equal(raised.statusCode, 200);
+
+    const stored = await Auction.findById(auction._id);
+    assert.equal(stored.currentPrice, 110);
+    assert.equal((await MaxBid.findOne({ auction: auction._id, bidder: alice._id })).maxAmount, 500);
+});
+
+test("a stored maximum still answers for its bidder's later plain bids", async (t) => {
+    if (skip) return t.skip(skip);
+
+    const seller = await createUser('seller');
+    const [alice, bob] = await Promise.all([createUser(), createUser()]);
+    const auction = await createAuction(seller);
+
+    await bidOn(auction, bob, { amount: 110, maxAmount: 400 });
+    await bidOn(auction, alice, { amount: 200, maxAmount: 500 });   // alice leads at 410
+    await bidOn(auction, bob, { amount: 420, maxAmount: 450 });     // alice's 500 answers 460
+
+    assert.equal((await MaxBid.findOne({ auction: auction._id, bidder: alice._id })).maxAmount, 500);
+    assert.equal((await MaxBid.findOne({ auction: auction._id, bidder: bob._id })).maxAmount, 450);
+    const stored = await Auction.findById(auction._id);
+    assert.equal(stored.currentPrice, 460);
+    assert.equal(stored.highBidder.toString(), alice._id.toString());
+});
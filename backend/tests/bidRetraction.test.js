@@ -0,0 +1,147 @@
+/**
+ * Bid retraction with proxy bidding
+ * Retracting a bid must also undo the automatic bids that answered it, so the
+ * price falls back to what the remaining bids and maximums justify.
+ * Author: Moshee-Ur
+ */
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('./helpers/db');
+const { createUser, createAuction, call } = require('./helpers/fixtures');
+const Auction = require('../models/Auction');
+const Bid = require('../models/Bid');
+const { placeBid, retractBid } = require('../controllers/bidController');
+
+// Bid history entries a minute apart, oldest first
+const history = (...entries) => entries.map(([bidder, amount, isAutomatic = false], i) => ({
+    bidder, amount, isAutomatic, createdAt: new Date(Date.UTC(2026, 0, 1, 12, i))
+}));
+
+describe('Auction#restoreStanding', () => {
+    const auction = new Auction({ startPrice: 100, currentPrice: 100, minIncrement: 10, auctionType: 'english' });
+
+    test('with no bids left the auction goes back to the start price', () => {
+        assert.deepEqual(auction.restoreStanding([], []), { price: 100, highBidder: null, bids: [] });
+    });
+
+    test('a proxy that only answered the retracted bid drops back to its own bid', () => {
+        // A: 110 with a 300 maximum; B's retracted 200 and A's 210 answer are gone
+        const standing = auction.restoreStanding(history(['A', 110]), [{ bidder: 'A', maxAmount: 300 }]);
+        assert.deepEqual(standing, { price: 110, highBidder: 'A', bids: [] });
+    });
+
+    test('a proxy re-climbs only as far as the remaining competition needs', () => {
+        // A: 110 max 300; B's retracted 130 and A's answers to it and to C are gone; C's own 150 stays
+        const standing = auction.restoreStanding(
+            history(['A', 110], ['C', 150]),
+            [{ bidder: 'A', maxAmount: 300 }]
+        );
+        assert.equal(standing.price, 160);
+        assert.equal(standing.highBidder, 'A');
+        assert.deepEqual(standing.bids, [{ bidder: 'A', amount: 160, isAutomatic: true }]);
+    });
+
+    test('the runner-up proxy runs to its maximum and the leader answers one increment above', () => {
+        const standing = auction.restoreStanding(
+            history(['A', 110], ['C', 150]),
+            [{ bidder: 'A', maxAmount: 300 }, { bidder: 'C', maxAmount: 250 }]
+        );
+        assert.equal(standing.price, 260);
+        assert.equal(standing.highBidder, 'A');
+        assert.deepEqual(standing.bids, [
+            { bidder: 'C', amount: 250, isAutomatic: true },
+            { bidder: 'A', amount: 260, isAutomatic: true }
+        ]);
+    });
+
+    test('on equal maximums the bidder who got there first leads', () => {
+        const standing = auction.restoreStanding(
+            history(['A', 110], ['C', 150]),
+            [{ bidder: 'A', maxAmount: 200 }, { bidder: 'C', maxAmount: 200 }]
+        );
+        assert.equal(standing.price, 200);
+        assert.equal(standing.highBidder, 'A');
+    });
+
+    test('manual bids alone keep the highest bid in the lead', () => {
+        const standing = auction.restoreStanding(history(['A', 110], ['C', 150], ['A', 170]), []);
+        assert.deepEqual(standing, { price: 170, highBidder: 'A', bids: [] });
+    });
+
+    test('a buyer request goes back to the lowest remaining offer', () => {
+        const request = new Auction({ startPrice: 1000, currentPrice: 1000, minIncrement: 10, auctionType: 'reverse' });
+        const standing = request.restoreStanding(history(['A', 900], ['C', 850], ['A', 850]), []);
+        assert.deepEqual(standing, { price: 850, highBidder: 'C', bids: [] });
+    });
+});
+
+describe('retractBid against a proxy', () => {
+    let skip = false;
+
+    before(async () => {
+        skip = await db.connect();
+    });
+
+    after(async () => {
+        if (!skip) await db.disconnect();
+    });
+
+    const bidOn = (auction, user, body) => call(placeBid, { user, params: { auctionId: auction._id.toString() }, body });
+
+    test("retracting a bid also drops the proxy's answer to it", async (t) => {
+        if (skip) return t.skip(skip);
+
+        const seller = await createUser('seller');
+        const [alice, bob] = await Promise.all([createUser(), createUser()]);
+        const auction = await createAuction(seller);
+
+        assert.equal((await bidOn(auction, alice, { amount: 110, maxAmount: 300 })).statusCode, 201);
+        const placed = await bidOn(auction, bob, { amount: 200 });
+        assert.equal(placed.statusCode, 201);
+        assert.equal((await Auction.findById(auction._id)).currentPrice, 210);
+
+        const res = await call(retractBid, {
+            user: bob,
+            params: { bidId: placed.body.bid._id.toString() },
+            body: { reason: 'Typed the wrong amount' }
+        });
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.currentPrice, 110);
+        assert.equal(res.body.message, 'Bid retracted');
+
+        const stored = await Auction.findById(auction._id);
+        const bids = await Bid.find({ auction: auction._id });
+        assert.equal(stored.currentPrice, 110);
+        assert.equal(stored.highBidder.toString(), alice._id.toString());
+        assert.equal(stored.totalBids, 1);
+        assert.deepEqual(bids.map((b) => b.amount), [110]);
+    });
+
+    test("later proxy answers to other bidders are re-derived from the maximum", async (t) => {
+        if (skip) return t.skip(skip);
+
+        const seller = await createUser('seller');
+        const [alice, bob, carol] = await Promise.all([createUser(), createUser(), createUser()]);
+        const auction = await createAuction(seller);
+
+        await bidOn(auction, alice, { amount: 110, maxAmount: 300 });
+        const placed = await bidOn(auction, bob, { amount: 130 });   // alice answers 140
+        await bidOn(auction, carol, { amount: 150 });                 // alice answers 160
+        assert.equal((await Auction.findById(auction._id)).currentPrice, 160);
+
+        const res = await call(retractBid, {
+            user: bob,
+            params: { bidId: placed.body.bid._id.toString() },
+            body: { reason: 'Wrong auction' }
+        });
+        assert.equal(res.statusCode, 200);
+
+        const stored = await Auction.findById(auction._id);
+        const bids = await Bid.find({ auction: auction._id }).sort({ amount: 1 });
+        assert.equal(stored.currentPrice, 160);
+        assert.equal(stored.highBidder.toString(), alice._id.toString());
+        assert.equal(stored.totalBids, bids.length);
+        assert.deepEqual(bids.map((b) => [b.amount, b.isAutomatic]), [[110, false], [150, false], [160, true]]);
+    });
+});
@@ -0,0 +1,60 @@
+/**
+ * Browsing by price
+ * A Dutch auction's price falls with the clock while its stored currentPrice
+ * stays at the start price, so price filters and sorting use the live price.
+ * Author: Farhan
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('./helpers/db');
+const { createUser, createAuction, call } = require('./helpers/fixtures');
+const { browseAuctions } = require('../controllers/auctionController');
+
+let skip = false;
+let dutch = null;
+let english = null;
+
+before(async () => {
+    skip = await db.connect();
+    if (skip) return;
+
+    const seller = await createUser('seller');
+    // 500 dropping 10 every 30 minutes, two hours in: 460 now
+    dutch = await createAuction(seller, {
+        auctionType: 'dutch',
+        startPrice: 500,
+        startTime: new Date(Date.now() - 2 * 60 * 60 * 1000 - 60 * 1000),
+        dutch: { floorPrice: 100, decrement: 10, intervalMinutes: 30 }
+    });
+    english = await createAuction(seller, { startPrice: 480 });
+});
+
+after(async () => {
+    if (!skip) await db.disconnect();
+});
+
+const browse = (query) => call(browseAuctions, { query });
+
+test('price filters use the Dutch auction\'s current price, not its start price', async (t) => {
+    if (skip) return t.skip(skip);
+
+    const cheap = await browse({ maxPrice: '470' });
+    assert.deepEqual(cheap.body.data.map((a) => a._id.toString()), [dutch._id.toString()]);
+    assert.equal(cheap.body.data[0].currentPrice, 460);
+    assert.equal(cheap.body.total, 1);
+
+    const dear = await browse({ minPrice: '470' });
+    assert.deepEqual(dear.body.data.map((a) => a._id.toString()), [english._id.toString()]);
+});
+
+test('sorting by price orders on the live price', async (t) => {
+    if (skip) return t.skip(skip);
+
+    const ascending = await browse({ sortBy: 'price', sortOrder: 'asc' });
+    assert.deepEqual(ascending.body.data.map((a) => a.currentPrice), [460, 480]);
+
+    const descending = await browse({ sortBy: 'price', sortOrder: 'desc', limit: '1' });
+    assert.deepEqual(descending.body.data.map((a) => a.currentPrice), [480]);
+    assert.equal(descending.body.total, 2);
+});
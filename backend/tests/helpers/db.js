@@ -0,0 +1,43 @@
+/**
+ * Test database
+ * Connects mongoose to MONGO_TEST_URI or to an in-memory single-node replica
+ * set (bids run in transactions, so a standalone server won't do).
+ * MONGO_TEST_URI's database is wiped — never point it at real data.
+ * Author: Moshee-Ur
+ */
+
+const mongoose = require('mongoose');
+
+let replSet = null;
+
+// Stop whatever connect() started
+const disconnect = async () => {
+    await mongoose.disconnect();
+    if (replSet) await replSet.stop();
+    replSet = null;
+};
+
+/**
+ * Connect and start from an empty database
+ * @returns {Promise<string|null>} - why there is no database (tests skip), or null
+ */
+const connect = async () => {
+    try {
+        let uri = process.env.MONGO_TEST_URI;
+        if (!uri) {
+            const { MongoMemoryReplSet } = require('mongodb-memory-server');
+            replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+            uri = replSet.getUri('auction-it-test');
+        }
+        await mongoose.connect(uri, { serverSelectionTimeoutMS: 5000 });
+        await mongoose.connection.db.dropDatabase();
+        // Collections and indexes up front: transactions shouldn't have to create them
+        await Promise.all(Object.values(mongoose.models).map((model) => model.init()));
+        return null;
+    } catch (error) {
+        await disconnect().catch(() => {});
+        return `no test database: ${error.message.split('\n')[0]}`;
+    }
+};
+
+module.exports = { connect, disconnect };
@@ -0,0 +1,66 @@
+/**
+ * Test fixtures and a tiny request runner for calling controllers directly
+ * Author: Moshee-Ur
+ */
+
+const User = require('../../models/User');
+const Item = require('../../models/Item');
+const Auction = require('../../models/Auction');
+
+let counter = 0;
+
+// A saved user with a unique username/email
+const createUser = (role = 'user') => {
+    counter += 1;
+    return User.create({
+        name: `Test User ${counter}`,
+        username: `test_user_${counter}`,
+        email: `test${counter}@example.com`,
+        password: 'password123',
+        role,
+        isVerified: true
+    });
+};
+
+// An approved english auction that is open for bids right now
+const createAuction = async (seller, overrides = {}) => {
+    const item = await Item.create({ title: 'Test auction item', seller: seller._id });
+    const startPrice = overrides.startPrice || 100;
+    return Auction.create({
+        item: item._id,
+        seller: seller._id,
+        startPrice,
+        currentPrice: startPrice,
+        minIncrement: 10,
+        startTime: new Date(Date.now() - 60 * 1000),
+        endTime: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000),
+        status: 'active',
+        isApproved: true,
+        reviewStatus: 'approved',
+        ...overrides
+    });
+};
+
+// What protect() puts on req.user
+const asRequestUser = (user) => ({ _id: user._id, id: user._id.toString(), role: user.role });
+
+/**
+ * Run an Express handler without a server
+ * @returns {Promise<{statusCode: number, body: Object}>}
+ */
+const call = async (handler, { user, params = {}, body = {}, query = {} }) => {
+    const res = {
+        statusCode: 200,
+        body: null,
+        status(code) { this.statusCode = code; return this; },
+        json(payload) { this.body = payload; return this; }
+    };
+    const req = {
+        user: user && asRequestUser(user), params, body, query, headers: {}, ip: '127.0.0.1',
+        get(name) { return this.headers[name.toLowerCase()]; }
+    };
+    await handler(req, res);
+    return res;
+};
+
+module.exports = { createUser, createAuction, call };
@@ -0,0 +1,110 @@
+/**
+ * Multi-quantity lots
+ * Allocation of units between bidders, settlement (uniform or pay-as-bid,
+ * reserve), who a new bid displaces, and what a re-bid may change.
+ * Author: Moshee-Ur
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const Auction = require('../models/Auction');
+
+// Bids a minute apart, oldest first: [bidder, unit price, quantity]
+const history = (...entries) => entries.map(([bidder, amount, quantity], i) => ({
+    _id: `bid-${i}`, bidder, amount, quantity, createdAt: new Date(Date.UTC(2026, 0, 1, 12, i))
+}));
+
+const lot = (overrides = {}) => new Auction({
+    startPrice: 10, currentPrice: 10, minIncrement: 1, quantity: 5, lotPricing: 'uniform', ...overrides
+});
+
+// Winners as [bidder, quantity, amount] for compact assertions
+const winners = (allocation) => allocation.winners.map((w) => [w.bidder, w.quantity, w.amount]);
+
+describe('Auction#allocateLot', () => {
+    test('the highest unit prices take units first and the last winner gets what is left', () => {
+        const allocation = lot().allocateLot(history(['A', 20, 2], ['B', 30, 2], ['C', 25, 3]));
+        assert.deepEqual(winners(allocation), [['B', 2, 30], ['C', 3, 25]]);
+        assert.equal(allocation.unitsClaimed, 5);
+    });
+
+    test('a partly claimed lot leaves units over', () => {
+        const allocation = lot().allocateLot(history(['A', 20, 2], ['B', 15, 1]));
+        assert.deepEqual(winners(allocation), [['A', 2, 20], ['B', 1, 15]]);
+        assert.equal(allocation.unitsClaimed, 3);
+    });
+
+    test('earlier bids win ties', () => {
+        const allocation = lot({ quantity: 2 }).allocateLot(history(['A', 20, 2], ['B', 20, 2]));
+        assert.deepEqual(winners(allocation), [['A', 2, 20]]);
+    });
+
+    test("only each bidder's latest bid stands", () => {
+        const allocation = lot().allocateLot(history(['A', 20, 1], ['B', 18, 2], ['A', 22, 3]));
+        assert.deepEqual(winners(allocation), [['A', 3, 22], ['B', 2, 18]]);
+    });
+});
+
+describe('Auction#settleLot', () => {
+    const bids = history(['A', 30, 2], ['B', 25, 2], ['C', 20, 3]);
+
+    test('uniform pricing charges every winner the lowest accepted unit price', () => {
+        const settled = lot().settleLot(bids);
+        assert.deepEqual(settled.map((s) => [s.bidder, s.quantity, s.unitPrice]),
+            [['A', 2, 20], ['B', 2, 20], ['C', 1, 20]]);
+    });
+
+    test('pay-as-bid charges each winner their own bid', () => {
+        const settled = lot({ lotPricing: 'pay_as_bid' }).settleLot(bids);
+        assert.deepEqual(settled.map((s) => [s.bidder, s.quantity, s.unitPrice]),
+            [['A', 2, 30], ['B', 2, 25], ['C', 1, 20]]);
+    });
+
+    test('winners below the reserve drop out and the clearing price rises with it', () => {
+        const settled = lot({ reservePrice: 25 }).settleLot(bids);
+        assert.deepEqual(settled.map((s) => [s.bidder, s.quantity, s.unitPrice]),
+            [['A', 2, 25], ['B', 2, 25]]);
+    });
+
+    test('nothing sells when no winner meets the reserve', () => {
+        assert.deepEqual(lot({ reservePrice: 50 }).settleLot(bids), []);
+    });
+});
+
+describe('Auction.lotDisplaced', () => {
+    test('bidders who lose units are displaced, the new bidder is not', () => {
+        const auction = lot({ quantity: 4 });
+        const existing = history(['A', 30, 2], ['B', 20, 2]);
+        const draft = { _id: null, bidder: 'C', amount: 25, quantity: 1, createdAt: new Date(Date.UTC(2026, 0, 1, 13)) };
+        const displaced = Auction.lotDisplaced(auction.allocateLot(existing), auction.allocateLot([...existing, draft]), 'C');
+        assert.deepEqual(displaced, ['B']);
+    });
+
+    test('a bidder keeping all their units is not displaced', () => {
+        const auction = lot();
+        const existing = history(['A', 30, 2]);
+        const draft = { _id: null, bidder: 'C', amount: 25, quantity: 3, createdAt: new Date(Date.UTC(2026, 0, 1, 13)) };
+        assert.deepEqual(Auction.lotDisplaced(auction.allocateLot(existing), auction.allocateLot([...existing, draft]), 'C'), []);
+    });
+});
+
+describe('Auction#checkLotRebid', () => {
+    const bids = history(['A', 30, 2], ['B', 20, 3]);
+
+    test('a first bid is never held back', () => {
+        assert.equal(lot().checkLotRebid(bids, 'C', 11, 1), null);
+    });
+
+    test('a re-bid may raise the price or the quantity', () => {
+        assert.equal(lot().checkLotRebid(bids, 'A', 30, 3), null);
+        assert.equal(lot().checkLotRebid(bids, 'A', 35, 2), null);
+    });
+
+    test('a re-bid may not lower the unit price', () => {
+        assert.match(lot().checkLotRebid(bids, 'A', 21, 2), /can't be lower/);
+    });
+
+    test('a re-bid may not ask for fewer units', () => {
+        assert.match(lot().checkLotRebid(bids, 'B', 25, 1), /can't ask for fewer/);
+    });
+});
@@ -0,0 +1,109 @@
+/**
+ * Sealed-bid pricing
+ * First-price and Vickrey (second-price) outcomes, their start-price and
+ * reserve floors, and how equal bids are ordered.
+ * Author: Moshee-Ur
+ */
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('./helpers/db');
+const { createUser, createAuction, call } = require('./helpers/fixtures');
+const Auction = require('../models/Auction');
+const Bid = require('../models/Bid');
+const { placeBid } = require('../controllers/bidController');
+
+// Sealed bids as settleSealed passes them: highest first, ties by updatedAt
+const sealed = (...entries) => entries.map(([bidder, amount]) => ({ bidder, amount }));
+
+const auction = (overrides = {}) => new Auction({
+    auctionType: 'sealed_second_price', startPrice: 100, currentPrice: 100, reservePrice: 0, ...overrides
+});
+
+describe('Auction#resolveSealedBids', () => {
+    test('no bids, no winner', () => {
+        assert.equal(auction().resolveSealedBids([]), null);
+    });
+
+    test('first price: the winner pays their own bid', () => {
+        const result = auction({ auctionType: 'sealed_first_price' }).resolveSealedBids(sealed(['A', 500], ['B', 300]));
+        assert.deepEqual(result, { winner: 'A', topBid: 500, price: 500 });
+    });
+
+    test('Vickrey: the winner pays the second-highest bid', () => {
+        assert.deepEqual(auction().resolveSealedBids(sealed(['A', 500], ['B', 300])),
+            { winner: 'A', topBid: 500, price: 300 });
+    });
+
+    test('Vickrey with a single bid: the winner pays the start price', () => {
+        assert.deepEqual(auction().resolveSealedBids(sealed(['A', 500])),
+            { winner: 'A', topBid: 500, price: 100 });
+    });
+
+    test('Vickrey: a met reserve is the floor', () => {
+        const result = auction({ reservePrice: 400 }).resolveSealedBids(sealed(['A', 500], ['B', 300]));
+        assert.equal(result.price, 400);
+    });
+
+    test('Vickrey: a reserve the top bid misses is no floor (the seller decides)', () => {
+        const result = auction({ reservePrice: 600 }).resolveSealedBids(sealed(['A', 500], ['B', 300]));
+        assert.deepEqual(result, { winner: 'A', topBid: 500, price: 300 });
+    });
+
+    test('Vickrey: the price never exceeds the top bid', () => {
+        const result = auction({ startPrice: 100, reservePrice: 500 }).resolveSealedBids(sealed(['A', 500]));
+        assert.equal(result.price, 500);
+    });
+
+    test('Vickrey tie: the first bid at that amount wins and pays it', () => {
+        assert.deepEqual(auction().resolveSealedBids(sealed(['A', 400], ['B', 400])),
+            { winner: 'A', topBid: 400, price: 400 });
+    });
+});
+
+describe('sealed bid revisions', () => {
+    let skip = false;
+
+    before(async () => {
+        skip = await db.connect();
+    });
+
+    after(async () => {
+        if (!skip) await db.disconnect();
+    });
+
+    const bidOn = (listing, user, amount) => call(placeBid, { user, params: { auctionId: listing._id.toString() }, body: { amount } });
+
+    test('re-sending the same amount keeps a bidder ahead of equal bids', async (t) => {
+        if (skip) return t.skip(skip);
+
+        const seller = await createUser('seller');
+        const [alice, bob] = await Promise.all([createUser(), createUser()]);
+        const listing = await createAuction(seller, { auctionType: 'sealed_second_price' });
+
+        await bidOn(listing, alice, 300);
+        await bidOn(listing, bob, 300);
+        const first = await Bid.findOne({ auction: listing._id, bidder: alice._id });
+        assert.equal((await bidOn(listing, alice, 300)).statusCode, 200);
+
+        const order = await Bid.find({ auction: listing._id, sealed: true }).sort({ amount: -1, updatedAt: 1, _id: 1 });
+        assert.equal(order[0].bidder.toString(), alice._id.toString());
+        assert.equal(order[0].updatedAt.getTime(), first.updatedAt.getTime());
+        assert.equal((await Auction.findById(listing._id)).totalBids, 2);
+    });
+
+    test('changing the amount moves a bidder behind bids already at the new amount', async (t) => {
+        if (skip) return t.skip(skip);
+
+        const seller = await createUser('seller');
+        const [alice, bob] = await Promise.all([createUser(), createUser()]);
+        const listing = await createAuction(seller, { auctionType: 'sealed_second_price' });
+
+        await bidOn(listing, alice, 200);
+        await bidOn(listing, bob, 300);
+        await bidOn(listing, alice, 300);
+
+        const order = await Bid.find({ auction: listing._id, sealed: true }).sort({ amount: -1, updatedAt: 1, _id: 1 });
+        assert.deepEqual(order.map((b) => b.bidder.toString()), [bob._id.toString(), alice._id.toString()]);
+    });
+});
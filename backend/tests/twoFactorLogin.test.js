@@ -0,0 +1,74 @@
+/**
+ * Second login step under parallel requests
+ * The lockout must hold against guesses sent all at once, and a code
+ * (TOTP or backup) must only ever let one login through.
+ * Author: Talha
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const db = require('./helpers/db');
+const { createUser, call } = require('./helpers/fixtures');
+const User = require('../models/User');
+const totp = require('../services/totp');
+const { loginTwoFactor } = require('../controllers/authController');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+let skip = false;
+
+before(async () => {
+    skip = await db.connect();
+});
+
+after(async () => {
+    if (!skip) await db.disconnect();
+});
+
+// A user with 2FA on, and the backup codes they were shown
+const createTwoFactorUser = async () => {
+    const user = await createUser();
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = totp.generateSecret();
+    const backupCodes = user.generateBackupCodes();
+    await user.save();
+    return { user, secret: user.twoFactor.secret, backupCodes };
+};
+
+const challengeFor = (user) => jwt.sign({ id: user._id, purpose: '2fa' }, process.env.JWT_SECRET, { expiresIn: '5m' });
+const submit = (user, code) => call(loginTwoFactor, { body: { challengeToken: challengeFor(user), code } });
+
+test('parallel wrong codes are capped by the lockout', async (t) => {
+    if (skip) return t.skip(skip);
+
+    const { user } = await createTwoFactorUser();
+    const results = await Promise.all(Array.from({ length: 20 }, () => submit(user, '000000')));
+    const checked = results.filter((r) => r.statusCode === 401).length;
+
+    assert.ok(checked <= 5, `${checked} codes were checked`);
+    assert.equal(results.filter((r) => r.statusCode === 429).length, 20 - checked);
+    const stored = await User.findById(user._id);
+    assert.ok(stored.twoFactor.lockedUntil > new Date());
+});
+
+test('the same TOTP code sent twice at once logs in only once', async (t) => {
+    if (skip) return t.skip(skip);
+
+    const { user, secret } = await createTwoFactorUser();
+    const code = totp.codeForStep(secret, totp.currentStep());
+    const results = await Promise.all([submit(user, code), submit(user, code)]);
+
+    assert.deepEqual(results.map((r) => r.statusCode).sort(), [200, 401]);
+});
+
+test('a backup code sent twice at once logs in only once', async (t) => {
+    if (skip) return t.skip(skip);
+
+    const { user, backupCodes } = await createTwoFactorUser();
+    const results = await Promise.all([submit(user, backupCodes[0]), submit(user, backupCodes[0])]);
+
+    assert.deepEqual(results.map((r) => r.statusCode).sort(), [200, 401]);
+    const ok = results.find((r) => r.statusCode === 200);
+    assert.equal(ok.body.backupCodesRemaining, 9);
+});
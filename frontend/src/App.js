@@ -18,6 +18,10 @@ import {
     Add as AddIcon
 } from "@mui/icons-material";
 import { AuthProvider, useAuth } from "./context/AuthContext";
+import { SocketProvider } from "./context/SocketContext";
+import NotificationBell from "./components/NotificationBell";
+import VerifyEmailBanner from "./components/VerifyEmailBanner";
+import AdminTwoFactorBanner from "./components/AdminTwoFactorBanner";
 
 // Page imports
 import Home             from "./pages/Home";
@@ -26,6 +30,7 @@ import Login            from "./pages/Login";
 import Register         from "./pages/Register";
 import AuctionDetail    from "./pages/AuctionDetail";
 import CreateAuction    from "./pages/CreateAuction";
+import CreateRequest    from "./pages/CreateRequest";
 import ProfileDashboard from "./pages/ProfileDashboard";
 
 // Sprint 2 pages
@@ -33,16 +38,26 @@ import SellerDashboard from "./pages/SellerDashboard";
 import BuyerDashboard  from "./pages/BuyerDashboard";
 import WatchlistPage   from "./pages/Watchlist";
 import AdminCategories from "./pages/AdminCategories";
+import VerifyEmail     from "./pages/VerifyEmail";
+import ForgotPassword  from "./pages/ForgotPassword";
+import ResetPassword   from "./pages/ResetPassword";
+import SellerApplication       from "./pages/SellerApplication";
+import AdminSellerApplications from "./pages/AdminSellerApplications";
+import AdminUsers              from "./pages/AdminUsers";
+import AdminModeration         from "./pages/AdminModeration";
 
 // Navigation bar
 const Navbar = ({ darkMode, toggleDarkMode }) => {
-    const { isAuthenticated, user, logout, isAdmin } = useAuth();
+    const { isAuthenticated, user, logout, isAdmin, isSeller } = useAuth();
     const navigate = useNavigate();
     const [anchorEl, setAnchorEl] = useState(null);
 
     const handleMenuOpen  = (e) => setAnchorEl(e.currentTarget);
     const handleMenuClose = ()  => setAnchorEl(null);
     const handleProfile   = ()  => { handleMenuClose(); navigate("/profile"); };
+    const handleSellerApplications = () => { handleMenuClose(); navigate("/admin/seller-applications"); };
+    const handleManageUsers        = () => { handleMenuClose(); navigate("/admin/users"); };
+    const handleListingReview      = () => { handleMenuClose(); navigate("/admin/moderation"); };
     const handleLogout    = ()  => { handleMenuClose(); logout(); navigate("/"); };
 
     return (
@@ -62,9 +77,9 @@ const Navbar = ({ darkMode, toggleDarkMode }) => {
                 </Button>
 
                 {isAuthenticated && (
-                    /* Create Auction button for logged-in users */
+                    /* Create Auction for sellers; everyone else is offered the seller application */
                     <Button
-                        color="inherit" component={Link} to="/auctions/create"
+                        color="inherit" component={Link} to={isSeller ? "/auctions/create" : "/seller/apply"}
                         startIcon={<AddIcon />}
                         sx={{ mx: 1, border: "1px solid rgba(255,255,255,0.5)", borderRadius: 2 }}
                     >
@@ -72,6 +87,13 @@ const Navbar = ({ darkMode, toggleDarkMode }) => {
                     </Button>
                 )}
 
+                {isAuthenticated && (
+                    /* Buyers post what they need; sellers bid the price down */
+                    <Button color="inherit" component={Link} to="/requests/create">
+                        Request
+                    </Button>
+                )}
+
                 {/* Dark/Light mode toggle */}
                 <Tooltip title={darkMode ? "Switch to Light Mode" : "Switch to Dark Mode"}>
                     <IconButton color="inherit" onClick={toggleDarkMode}>
@@ -81,6 +103,7 @@ const Navbar = ({ darkMode, toggleDarkMode }) => {
 
                 {isAuthenticated ? (
                     <Box sx={{ display: "flex", alignItems: "center", ml: 1 }}>
+                        <NotificationBell />
                         <Tooltip title="View Profile">
                             <Button
                                 color="inherit"
@@ -96,6 +119,15 @@ const Navbar = ({ darkMode, toggleDarkMode }) => {
                         </Tooltip>
                         <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={handleMenuClose}>
                             <MenuItem onClick={handleProfile}>My Profile</MenuItem>
+                            {isAdmin && (
+                                <MenuItem onClick={handleManageUsers}>Manage Users</MenuItem>
+                            )}
+                            {isAdmin && (
+                                <MenuItem onClick={handleSellerApplications}>Seller Applications</MenuItem>
+                            )}
+                            {isAdmin && (
+                                <MenuItem onClick={handleListingReview}>Listing Review</MenuItem>
+                            )}
                             <MenuItem onClick={handleLogout} sx={{ color: "error.main" }}>
                                 Logout
                             </MenuItem>
@@ -119,6 +151,14 @@ const PrivateRoute = ({ children }) => {
     return isAuthenticated ? children : <Navigate to="/login" />;
 };
 
+// SellerRoute: like PrivateRoute, but non-sellers are sent to the seller application
+const SellerRoute = ({ children }) => {
+    const { isAuthenticated, isSeller, loading } = useAuth();
+    if (loading) return <Box sx={{ p: 4, textAlign: "center" }}>Loading...</Box>;
+    if (!isAuthenticated) return <Navigate to="/login" />;
+    return isSeller ? children : <Navigate to="/seller/apply" />;
+};
+
 // Main App with theme management
 const App = () => {
     const [darkMode, setDarkMode] = useState(() => {
@@ -152,7 +192,9 @@ const App = () => {
             <CssBaseline />
             <BrowserRouter>
                 <AuthProvider>
-                    <AppContent darkMode={darkMode} toggleDarkMode={toggleDarkMode} />
+                    <SocketProvider>
+                        <AppContent darkMode={darkMode} toggleDarkMode={toggleDarkMode} />
+                    </SocketProvider>
                 </AuthProvider>
             </BrowserRouter>
         </ThemeProvider>
@@ -165,21 +207,32 @@ const AppContent = ({ darkMode, toggleDarkMode }) => {
         <>
             <Navbar darkMode={darkMode} toggleDarkMode={toggleDarkMode} />
             <Container maxWidth="lg" sx={{ mt: 2, mb: 4 }}>
+                <AdminTwoFactorBanner />
+                <VerifyEmailBanner />
                 <Routes>
                     {/* Public routes */}
                     <Route path="/"          element={<Home />} />
                     <Route path="/login"     element={<Login />} />
                     <Route path="/register"  element={<Register />} />
+                    <Route path="/forgot-password" element={<ForgotPassword />} />
+                    <Route path="/reset-password/:token" element={<ResetPassword />} />
                     <Route path="/auction/:id" element={<AuctionDetail />} />
+                    <Route path="/verify-email/:token" element={<VerifyEmail />} />
 
                     {/* Fix 5: Auctions browse requires login */}
                     <Route path="/auctions" element={
                         <PrivateRoute><Auctions /></PrivateRoute>
                     } />
 
-                    {/* Create Auction — any logged-in user */}
+                    {/* Create Auction — sellers and admins */}
                     <Route path="/auctions/create" element={
-                        <PrivateRoute><CreateAuction /></PrivateRoute>
+                        <SellerRoute><CreateAuction /></SellerRoute>
+                    } />
+                    <Route path="/requests/create" element={
+                        <PrivateRoute><CreateRequest /></PrivateRoute>
+                    } />
+                    <Route path="/seller/apply" element={
+                        <PrivateRoute><SellerApplication /></PrivateRoute>
                     } />
 
                     {/* Profile Dashboard */}
@@ -200,6 +253,15 @@ const AppContent = ({ darkMode, toggleDarkMode }) => {
                     <Route path="/admin/categories" element={
                         <PrivateRoute><AdminCategories /></PrivateRoute>
                     } />
+                    <Route path="/admin/users" element={
+                        <PrivateRoute><AdminUsers /></PrivateRoute>
+                    } />
+                    <Route path="/admin/moderation" element={
+                        <PrivateRoute><AdminModeration /></PrivateRoute>
+                    } />
+                    <Route path="/admin/seller-applications" element={
+                        <PrivateRoute><AdminSellerApplications /></PrivateRoute>
+                    } />
 
                     {/* Catch-all */}
                     <Route path="*" element={<Navigate to="/" />} />
@@ -0,0 +1,28 @@
+/**
+ * Admin Two-Factor Banner
+ * Admin tools are locked until the admin turns on 2FA — point them at the profile page
+ * Author: Talha
+ * Date: Sprint 3
+ */
+
+import React from "react";
+import { Link } from "react-router-dom";
+import { Alert, Button } from "@mui/material";
+import { useAuth } from "../context/AuthContext";
+
+const AdminTwoFactorBanner = () => {
+    const { isAdmin, user } = useAuth();
+    if (!isAdmin || user?.twoFactorEnabled) return null;
+
+    return (
+        <Alert
+            severity="error"
+            sx={{ mb: 2 }}
+            action={<Button color="inherit" size="small" component={Link} to="/profile">Set up</Button>}
+        >
+            Admin accounts must use two-factor authentication. Admin tools stay locked until you set it up.
+        </Alert>
+    );
+};
+
+export default AdminTwoFactorBanner;
@@ -31,12 +31,42 @@ import {
 } from '@mui/icons-material';
 import CountdownTimer from './CountdownTimer';
 import { useAuth } from '../context/AuthContext';
+import { useAuctionRoom } from '../context/SocketContext';
 import api from '../services/api';
+import { isBuyNowAvailable, isSealedAuction, isReverseAuction, dutchPriceAt } from '../services/auction';
 
 
-const AuctionCard = ({ auction, onExpire }) => {
+const AuctionCard = ({ auction: initialAuction, onExpire }) => {
     const navigate = useNavigate();
 
+    // Live price, bid count and end time layered over the auction prop
+    const [live, setLive] = useState({});
+    const auction = { ...initialAuction, ...live };
+
+    // Dutch prices fall with the clock; the timer re-renders the card at each drop
+    const [, setPriceTick] = useState(0);
+    const dutch = auction.auctionType === 'dutch' && ['pending', 'active'].includes(auction.status)
+        ? dutchPriceAt(auction)
+        : null;
+    const reverse = isReverseAuction(auction);
+
+    useAuctionRoom(initialAuction._id, {
+        onBid: (data) => setLive((prev) => ({
+            ...prev,
+            currentPrice: data.currentPrice,
+            totalBids: data.totalBids,
+            reserveMet: data.reserveMet,
+            endTime: data.endTime
+        })),
+        onExtended: (data) => setLive((prev) => ({
+            ...prev,
+            endTime: data.endTime,
+            extensionCount: data.extensionCount
+        })),
+        onSealedBid: (data) => setLive((prev) => ({ ...prev, totalBids: data.totalBids })),
+        onEnded: (data) => setLive((prev) => ({ ...prev, status: data.status }))
+    });
+
     // Format currency
     const formatPrice = (price) => {
         return `BDT ${Number(price || 0).toLocaleString('en-BD', {
@@ -242,15 +272,29 @@ const AuctionCard = ({ auction, onExpire }) => {
                 </Box>
 
                 {/* Category chip */}
-                {auction.category?.name && (
-                    <Box sx={{ mb: 1 }}>
-                        <Chip
-                            label={auction.category.name}
-                            size="small"
-                            variant="outlined"
-                            color="primary"
-                            sx={{ fontSize: "11px" }}
-                        />
+                {(auction.category?.name || isSealedAuction(auction) || auction.auctionType === 'dutch' || auction.quantity > 1 || reverse) && (
+                    <Box sx={{ mb: 1, display: "flex", gap: 0.5 }}>
+                        {auction.category?.name && (
+                            <Chip
+                                label={auction.category.name}
+                                size="small"
+                                variant="outlined"
+                                color="primary"
+                                sx={{ fontSize: "11px" }}
+                            />
+                        )}
+                        {isSealedAuction(auction) && (
+                            <Chip label="Sealed bid" size="small" color="secondary" sx={{ fontSize: "11px" }} />
+                        )}
+                        {auction.auctionType === 'dutch' && (
+                            <Chip label="Dutch auction" size="small" color="secondary" sx={{ fontSize: "11px" }} />
+                        )}
+                        {reverse && (
+                            <Chip label="Buyer request" size="small" color="secondary" sx={{ fontSize: "11px" }} />
+                        )}
+                        {auction.quantity > 1 && (
+                            <Chip label={`Lot of ${auction.quantity}`} size="small" color="secondary" sx={{ fontSize: "11px" }} />
+                        )}
                     </Box>
                 )}
 
@@ -287,10 +331,16 @@ const AuctionCard = ({ auction, onExpire }) => {
                 <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 2 }}>
                     <Box>
                         <Typography variant="caption" color="text.secondary">
-                            Current Bid
+                            {dutch
+                                ? 'Price Now'
+                                : reverse
+                                    ? (auction.totalBids ? 'Lowest Offer' : 'Budget')
+                                    : isSealedAuction(auction) && ['pending', 'active'].includes(auction.status)
+                                        ? 'Starting Price'
+                                        : auction.quantity > 1 ? 'Price per Unit' : 'Current Bid'}
                         </Typography>
                         <Typography variant="h6" color="primary.main" sx={{ fontWeight: 'bold' }}>
-                            {formatPrice(auction.currentPrice)}
+                            {formatPrice(dutch ? dutch.price : auction.currentPrice)}
                         </Typography>
                     </Box>
                     <Box sx={{ textAlign: 'right' }}>
@@ -306,11 +356,25 @@ const AuctionCard = ({ auction, onExpire }) => {
                     </Box>
                 </Box>
 
+                {/* Buy It Now — hidden once bidding passes the reserve (or the first bid) */}
+                {isBuyNowAvailable(auction) && (
+                    <Chip
+                        label={`Buy It Now ${formatPrice(auction.buyNowPrice)}`}
+                        size="small"
+                        color="secondary"
+                        sx={{ mb: 2 }}
+                    />
+                )}
+
                 {/* Timer */}
                 <Box sx={{ mb: 2 }}>
                     <CountdownTimer 
                         endTime={auction.endTime} 
+                        extensionCount={auction.extensionCount}
                         onExpire={handleExpire}
+                        nextDropAt={dutch?.nextDropAt}
+                        nextPrice={dutch?.nextPrice}
+                        onPriceDrop={() => setPriceTick((t) => t + 1)}
                         size="small"
                     />
                 </Box>
@@ -2,11 +2,12 @@
  * Countdown Timer Component
  * Displays time remaining for auction
  * Automatically detects expired auctions
+ * Dutch auctions also pass nextDropAt/nextPrice to show the next price drop
  * Author: Farhan
  * Date: Sprint 1
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
     Box,
     Typography,
@@ -19,9 +20,17 @@ import {
     Warning as WarningIcon
 } from '@mui/icons-material';
 
-const CountdownTimer = ({ endTime, onExpire, size = 'medium' }) => {
+const CountdownTimer = ({
+    endTime, onExpire, size = 'medium', extensionCount = 0,
+    nextDropAt = null, nextPrice = null, onPriceDrop
+}) => {
     const [timeRemaining, setTimeRemaining] = useState(null);
     const [isExpired, setIsExpired] = useState(false);
+    const [dropRemaining, setDropRemaining] = useState(null);
+    // Ref so a soft-close extension (new endTime) can re-arm onExpire
+    const expiredRef = useRef(false);
+    // Last price drop reported through onPriceDrop
+    const droppedRef = useRef(null);
 
     // Format time function
     const formatTime = (ms) => {
@@ -55,15 +64,28 @@ const CountdownTimer = ({ endTime, onExpire, size = 'medium' }) => {
             const remaining = end - now;
 
             if (remaining <= 0) {
-                if (!isExpired) {
+                if (!expiredRef.current) {
+                    expiredRef.current = true;
                     setIsExpired(true);
                     if (onExpire) onExpire();
                 }
                 setTimeRemaining(formatTime(0));
             } else {
+                expiredRef.current = false;
                 setIsExpired(false);
                 setTimeRemaining(formatTime(remaining));
             }
+
+            if (nextDropAt) {
+                const untilDrop = new Date(nextDropAt).getTime() - now;
+                setDropRemaining(untilDrop > 0 ? formatTime(untilDrop) : null);
+                if (untilDrop <= 0 && droppedRef.current !== String(nextDropAt)) {
+                    droppedRef.current = String(nextDropAt);
+                    if (onPriceDrop) onPriceDrop();
+                }
+            } else {
+                setDropRemaining(null);
+            }
         };
 
         // Calculate immediately
@@ -74,7 +96,7 @@ const CountdownTimer = ({ endTime, onExpire, size = 'medium' }) => {
 
         // Cleanup
         return () => clearInterval(timer);
-    }, [endTime, onExpire]);
+    }, [endTime, onExpire, nextDropAt, onPriceDrop]);
 
     if (!timeRemaining) return null;
 
@@ -111,7 +133,7 @@ const CountdownTimer = ({ endTime, onExpire, size = 'medium' }) => {
     }
 
     return (
-        <Box>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5, flexWrap: 'wrap' }}>
             {isVeryUrgent ? (
                 <Chip
                     icon={<WarningIcon />}
@@ -140,6 +162,24 @@ const CountdownTimer = ({ endTime, onExpire, size = 'medium' }) => {
                     variant="outlined"
                 />
             )}
+            {/* Dutch auction: when the price falls next */}
+            {dropRemaining && nextPrice !== null && (
+                <Chip
+                    label={`Drops to BDT ${nextPrice} in ${formatDisplay(dropRemaining)}`}
+                    size="small"
+                    color="secondary"
+                    variant="outlined"
+                />
+            )}
+            {/* Soft close: late bids pushed the end time out */}
+            {extensionCount > 0 && (
+                <Chip
+                    label={`Extended${extensionCount > 1 ? ` ×${extensionCount}` : ''}`}
+                    size="small"
+                    color="info"
+                    variant="outlined"
+                />
+            )}
         </Box>
     );
 };
@@ -1,7 +1,7 @@
 /**
  * Ending Soon Component
  * Displays auctions ending in the next hour
- * Auto-refreshes every minute
+ * Price, bid count and end time update live over the socket
  * Author: Farhan
  * Date: Sprint 1
  */
@@ -22,6 +22,7 @@ import {
 import { AccessTime as TimeIcon } from '@mui/icons-material';
 import auctionService from '../services/auction';
 import CountdownTimer from './CountdownTimer';
+import { useSocket, useSocketEvent } from '../context/SocketContext';
 
 const EndingSoon = () => {
     const [auctions, setAuctions] = useState([]);
@@ -29,14 +30,39 @@ const EndingSoon = () => {
     const [error, setError] = useState(null);
     const navigate = useNavigate();
 
+    const { joinAuction, leaveAuction } = useSocket();
+
     useEffect(() => {
         loadEndingSoon();
-
-        // Refresh every minute
-        const interval = setInterval(loadEndingSoon, 60000);
-        return () => clearInterval(interval);
     }, []);
 
+    // Join the room of every auction on show (re-run only when the list changes)
+    const auctionIds = auctions.map((a) => a._id).join(',');
+    useEffect(() => {
+        const ids = auctionIds ? auctionIds.split(',') : [];
+        ids.forEach(joinAuction);
+        return () => ids.forEach(leaveAuction);
+    }, [auctionIds, joinAuction, leaveAuction]);
+
+    // Merge live changes into the matching auction
+    const patchAuction = (auctionId, changes) => {
+        setAuctions((prev) => prev.map((a) => (a._id === auctionId ? { ...a, ...changes } : a)));
+    };
+
+    useSocketEvent('bid-updated', (data) => patchAuction(data.auctionId, {
+        currentPrice: data.currentPrice,
+        totalBids: data.totalBids,
+        endTime: data.endTime
+    }));
+    useSocketEvent('auction-extended', (data) => patchAuction(data.auctionId, {
+        endTime: data.endTime,
+        extensionCount: data.extensionCount
+    }));
+    // Closed auctions drop out of the list
+    useSocketEvent('auction-ended', (data) => {
+        setAuctions((prev) => prev.filter((a) => a._id !== data.auctionId));
+    });
+
     const loadEndingSoon = async () => {
         try {
             const response = await auctionService.getEndingSoon();
@@ -124,10 +150,11 @@ const EndingSoon = () => {
                                     {auction.item?.title}
                                 </Typography>
                                 <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
-                                    Current: {formatPrice(auction.currentPrice)}
+                                    Current: {formatPrice(auction.currentPrice)} · {auction.totalBids || 0} bids
                                 </Typography>
                                 <CountdownTimer 
                                     endTime={auction.endTime}
+                                    extensionCount={auction.extensionCount}
                                     size="small"
                                 />
                             </CardContent>
@@ -0,0 +1,136 @@
+/**
+ * Notification Bell Component
+ * Navbar bell with unread badge and a menu of recent notifications
+ * New notifications arrive live over the socket
+ * Author: Talha
+ * Date: Sprint 3
+ */
+
+import React, { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import {
+    IconButton, Badge, Menu, MenuItem, Typography, Box, Button, Divider, Tooltip
+} from "@mui/material";
+import { Notifications as BellIcon } from "@mui/icons-material";
+import { useSocketEvent } from "../context/SocketContext";
+import { getNotifications, markAsRead, markAllAsRead } from "../services/notifications";
+
+const MENU_SIZE = 10;
+
+// Helper: "5m ago" style timestamps
+const timeAgo = (date) => {
+    const seconds = Math.floor((Date.now() - new Date(date).getTime()) / 1000);
+    if (seconds < 60) return "just now";
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+    return `${Math.floor(seconds / 86400)}d ago`;
+};
+
+const NotificationBell = () => {
+    const navigate = useNavigate();
+    const [anchorEl, setAnchorEl] = useState(null);
+    const [notifications, setNotifications] = useState([]);
+    const [unread, setUnread] = useState(0);
+
+    const load = async () => {
+        try {
+            const res = await getNotifications({ limit: MENU_SIZE });
+            setNotifications(res.data);
+            setUnread(res.unread);
+        } catch (err) {
+            console.error("Failed to load notifications:", err);
+        }
+    };
+
+    useEffect(() => {
+        load();
+    }, []);
+
+    // Pushed by the server to this user's room
+    useSocketEvent("notification", (notification) => {
+        setNotifications(prev => [notification, ...prev].slice(0, MENU_SIZE));
+        setUnread(prev => prev + 1);
+    });
+
+    const handleOpen = (e) => {
+        setAnchorEl(e.currentTarget);
+        load();
+    };
+
+    const handleClick = async (notification) => {
+        setAnchorEl(null);
+        if (!notification.isRead) {
+            setNotifications(prev => prev.map(n => n._id === notification._id ? { ...n, isRead: true } : n));
+            setUnread(prev => Math.max(prev - 1, 0));
+            markAsRead(notification._id).catch(err => console.error("Failed to mark notification read:", err));
+        }
+        if (notification.link) navigate(notification.link);
+    };
+
+    const handleMarkAll = async () => {
+        try {
+            await markAllAsRead();
+            setNotifications(prev => prev.map(n => ({ ...n, isRead: true })));
+            setUnread(0);
+        } catch (err) {
+            console.error("Failed to mark notifications read:", err);
+        }
+    };
+
+    return (
+        <>
+            <Tooltip title="Notifications">
+                <IconButton color="inherit" onClick={handleOpen}>
+                    <Badge badgeContent={unread} color="error" max={99}>
+                        <BellIcon />
+                    </Badge>
+                </IconButton>
+            </Tooltip>
+            <Menu
+                anchorEl={anchorEl}
+                open={Boolean(anchorEl)}
+                onClose={() => setAnchorEl(null)}
+                slotProps={{ paper: { sx: { width: 360, maxHeight: 480 } } }}
+            >
+                <Box sx={{ px: 2, py: 1, display: "flex", alignItems: "center" }}>
+                    <Typography variant="subtitle1" sx={{ fontWeight: "bold", flexGrow: 1 }}>
+                        Notifications
+                    </Typography>
+                    <Button size="small" onClick={handleMarkAll} disabled={unread === 0}>
+                        Mark all read
+                    </Button>
+                </Box>
+                <Divider />
+                {notifications.length === 0 && (
+                    <MenuItem disabled>
+                        <Typography variant="body2">You have no notifications</Typography>
+                    </MenuItem>
+                )}
+                {notifications.map((n) => (
+                    <MenuItem
+                        key={n._id}
+                        onClick={() => handleClick(n)}
+                        sx={{
+                            whiteSpace: "normal",
+                            alignItems: "flex-start",
+                            flexDirection: "column",
+                            bgcolor: n.isRead ? "inherit" : "action.hover"
+                        }}
+                    >
+                        <Typography variant="body2" sx={{ fontWeight: n.isRead ? "normal" : "bold" }}>
+                            {n.title}
+                        </Typography>
+                        <Typography variant="caption" color="text.secondary">
+                            {n.message}
+                        </Typography>
+                        <Typography variant="caption" color="text.disabled">
+                            {timeAgo(n.createdAt)}
+                        </Typography>
+                    </MenuItem>
+                ))}
+            </Menu>
+        </>
+    );
+};
+
+export default NotificationBell;
@@ -0,0 +1,140 @@
+/**
+ * Two-Factor Settings
+ * Enroll in TOTP 2FA, see/regenerate backup codes, or turn 2FA off
+ * Used on the profile dashboard
+ * Author: Talha
+ * Date: Sprint 3
+ */
+
+import React, { useState } from "react";
+import { Box, Typography, Button, TextField, Alert, Link as MuiLink } from "@mui/material";
+import { useAuth } from "../context/AuthContext";
+import api from "../services/api";
+
+const TwoFactorSettings = () => {
+    const { user, updateUser } = useAuth();
+    const enabled = !!user?.twoFactorEnabled;
+
+    const [setup,       setSetup]       = useState(null);  // { secret, otpauthUri }
+    const [code,        setCode]        = useState("");
+    const [password,    setPassword]    = useState("");
+    const [backupCodes, setBackupCodes] = useState(null);
+    const [disabling,   setDisabling]   = useState(false);
+    const [error,       setError]       = useState("");
+    const [busy,        setBusy]        = useState(false);
+
+    // Helper: run a request, surfacing the server's message on failure
+    const run = async (request) => {
+        setError("");
+        setBusy(true);
+        try {
+            return await request();
+        } catch (err) {
+            setError(err.response?.data?.message || "Something went wrong");
+            return null;
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleStart = () => run(async () => {
+        const res = await api.post("/auth/2fa/setup");
+        setSetup({ secret: res.data.secret, otpauthUri: res.data.otpauthUri });
+        setBackupCodes(null);
+    });
+
+    const handleEnable = () => run(async () => {
+        const res = await api.post("/auth/2fa/enable", { code });
+        setBackupCodes(res.data.backupCodes);
+        setSetup(null);
+        setCode("");
+        updateUser({ twoFactorEnabled: true });
+    });
+
+    const handleRegenerate = () => run(async () => {
+        const res = await api.post("/auth/2fa/backup-codes", { code });
+        setBackupCodes(res.data.backupCodes);
+        setCode("");
+    });
+
+    const handleDisable = () => run(async () => {
+        await api.post("/auth/2fa/disable", { password, code });
+        setDisabling(false);
+        setPassword("");
+        setCode("");
+        setBackupCodes(null);
+        updateUser({ twoFactorEnabled: false });
+    });
+
+    return (
+        <Box>
+            <Typography variant="body2" color="text.secondary">
+                Two-factor authentication {enabled ? "is on" : "is off"}
+                {user?.role === "admin" && " (required for admin accounts)"}
+            </Typography>
+
+            {error && <Alert severity="error" sx={{ my: 1 }}>{error}</Alert>}
+
+            {backupCodes && (
+                <Alert severity="info" sx={{ my: 1 }}>
+                    Save these backup codes somewhere safe. Each one works once if you lose your phone:
+                    <Box component="pre" sx={{ m: 0, mt: 1, fontFamily: "monospace" }}>
+                        {backupCodes.join("\n")}
+                    </Box>
+                </Alert>
+            )}
+
+            {!enabled && !setup && (
+                <Button size="small" variant="outlined" onClick={handleStart} disabled={busy} sx={{ mt: 1 }}>
+                    Set up two-factor authentication
+                </Button>
+            )}
+
+            {!enabled && setup && (
+                <Box sx={{ mt: 1 }}>
+                    <Typography variant="body2">
+                        Add this account to your authenticator app —{" "}
+                        <MuiLink href={setup.otpauthUri}>open it on this device</MuiLink>{" "}
+                        or enter the key by hand:
+                    </Typography>
+                    <Typography variant="body2" sx={{ fontFamily: "monospace", my: 1, wordBreak: "break-all" }}>
+                        {setup.secret}
+                    </Typography>
+                    <Box sx={{ display: "flex", gap: 1, alignItems: "center" }}>
+                        <TextField size="small" label="6-digit code" value={code} onChange={(e) => setCode(e.target.value)} />
+                        <Button variant="contained" onClick={handleEnable} disabled={busy || !code}>Enable</Button>
+                        <Button onClick={() => setSetup(null)} disabled={busy}>Cancel</Button>
+                    </Box>
+                </Box>
+            )}
+
+            {enabled && (
+                <Box sx={{ display: "flex", gap: 1, alignItems: "center", flexWrap: "wrap", mt: 1 }}>
+                    <TextField size="small" label="Current code" value={code} onChange={(e) => setCode(e.target.value)} />
+                    {disabling && (
+                        <TextField size="small" type="password" label="Password" value={password} onChange={(e) => setPassword(e.target.value)} />
+                    )}
+                    {!disabling && (
+                        <Button size="small" onClick={handleRegenerate} disabled={busy || !code}>
+                            New backup codes
+                        </Button>
+                    )}
+                    {user?.role !== "admin" && (disabling ? (
+                        <>
+                            <Button size="small" color="error" variant="contained" onClick={handleDisable} disabled={busy || !code || !password}>
+                                Turn off
+                            </Button>
+                            <Button size="small" onClick={() => setDisabling(false)}>Cancel</Button>
+                        </>
+                    ) : (
+                        <Button size="small" color="error" onClick={() => setDisabling(true)}>
+                            Turn off 2FA
+                        </Button>
+                    ))}
+                </Box>
+            )}
+        </Box>
+    );
+};
+
+export default TwoFactorSettings;
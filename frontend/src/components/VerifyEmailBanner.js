@@ -0,0 +1,48 @@
+/**
+ * Verify Email Banner
+ * Reminds logged-in users with an unverified email and lets them resend the link
+ * Author: Talha
+ * Date: Sprint 3
+ */
+
+import React, { useState } from "react";
+import { Alert, Button } from "@mui/material";
+import { useAuth } from "../context/AuthContext";
+import api from "../services/api";
+
+const VerifyEmailBanner = () => {
+    const { user, isAuthenticated } = useAuth();
+    const [sending, setSending] = useState(false);
+    const [result,  setResult]  = useState(null); // { severity, message }
+
+    // Only accounts known to be unverified (older saved sessions lack the flag)
+    if (!isAuthenticated || user?.isVerified !== false) return null;
+
+    const handleResend = async () => {
+        setSending(true);
+        try {
+            const res = await api.post("/auth/verify/resend");
+            setResult({ severity: "success", message: res.data.message });
+        } catch (err) {
+            setResult({ severity: "error", message: err.response?.data?.message || "Could not send the email" });
+        } finally {
+            setSending(false);
+        }
+    };
+
+    return (
+        <Alert
+            severity={result?.severity || "warning"}
+            sx={{ mb: 2 }}
+            action={
+                <Button color="inherit" size="small" onClick={handleResend} disabled={sending}>
+                    {sending ? "Sending..." : "Resend email"}
+                </Button>
+            }
+        >
+            {result?.message || `Please verify your email address (${user.email}). Some actions, like bidding or listing, may be blocked until you do.`}
+        </Alert>
+    );
+};
+
+export default VerifyEmailBanner;
@@ -4,7 +4,8 @@
  * Author: Talha
  */
 
-import React, { createContext, useContext, useState, useEffect } from "react";
+import React, { createContext, useContext, useState, useEffect, useCallback } from "react";
+import api, { setAuthHandlers } from "../services/api";
 
 // Create the context object
 const AuthContext = createContext(null);
@@ -13,7 +14,8 @@ const AuthContext = createContext(null);
 export const AuthProvider = ({ children }) => {
     // user: stores user info if logged in, null if not
     const [user, setUser] = useState(null);
-    // token: the JWT token stored in localStorage
+    // token: the short-lived JWT access token stored in localStorage
+    // (renewed by services/api.js with the refresh token "auction_refresh_token")
     const [token, setToken] = useState(null);
     // loading: true while checking if user is already logged in
     const [loading, setLoading] = useState(true);
@@ -28,22 +30,44 @@ export const AuthProvider = ({ children }) => {
             setUser(JSON.parse(savedUser));
         }
         setLoading(false); // Done checking
+
+        // Keep state in step with token refreshes done by the api interceptor
+        setAuthHandlers({
+            onRefresh: (newToken) => setToken(newToken),
+            onSessionEnd: () => { setUser(null); setToken(null); }
+        });
     }, []);
 
     // login: called after successful login/register API call
-    const login = (userData, authToken) => {
+    const login = (userData, authToken, refreshToken) => {
         setUser(userData);
         setToken(authToken);
         // Save to localStorage so user stays logged in after refresh
         localStorage.setItem("auction_token", authToken);
         localStorage.setItem("auction_user", JSON.stringify(userData));
+        if (refreshToken) localStorage.setItem("auction_refresh_token", refreshToken);
     };
 
-    // logout: clears all auth state
+    // updateUser: merge changed fields (e.g. isVerified) into the stored user
+    // (stable, so pages can list it as an effect dependency)
+    const updateUser = useCallback((changes) => {
+        setUser(prev => {
+            const next = { ...prev, ...changes };
+            localStorage.setItem("auction_user", JSON.stringify(next));
+            return next;
+        });
+    }, []);
+
+    // logout: ends the session on the server and clears all auth state
     const logout = () => {
+        const refreshToken = localStorage.getItem("auction_refresh_token");
+        if (refreshToken) {
+            api.post("/auth/logout", { refreshToken }).catch(() => {});
+        }
         setUser(null);
         setToken(null);
         localStorage.removeItem("auction_token");
+        localStorage.removeItem("auction_refresh_token");
         localStorage.removeItem("auction_user");
     };
 
@@ -58,7 +82,7 @@ export const AuthProvider = ({ children }) => {
 
     // Provide all these values to child components
     return (
-        <AuthContext.Provider value={{ user, token, loading, login, logout, isAuthenticated, isSeller, isAdmin }}>
+        <AuthContext.Provider value={{ user, token, loading, login, logout, updateUser, isAuthenticated, isSeller, isAdmin }}>
             {children}
         </AuthContext.Provider>
     );
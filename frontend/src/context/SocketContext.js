@@ -0,0 +1,167 @@
+/**
+ * Socket Context
+ * Keeps one socket.io-client connection for the whole app
+ * Re-handshakes on login/logout so the server puts the socket in (or takes
+ * it out of) the user's personal room. Access token refreshes don't need a
+ * reconnect: each handshake reads the latest token.
+ * Author: Talha
+ */
+
+import React, { createContext, useContext, useEffect, useRef, useState, useCallback } from "react";
+import { io } from "socket.io-client";
+import { useAuth } from "./AuthContext";
+
+const SOCKET_URL = process.env.REACT_APP_SOCKET_URL || "http://localhost:5000";
+
+// Create the context object
+const SocketContext = createContext(null);
+
+// SocketProvider must sit inside AuthProvider (it reads the token from there)
+export const SocketProvider = ({ children }) => {
+    const { user, token } = useAuth();
+    const userId = user?._id || null;
+    const tokenRef = useRef(token);
+    tokenRef.current = token;
+    // Set when the server refused our token; cleared once a new token arrives
+    const refusedRef = useRef(false);
+
+    // One socket for the app's lifetime — created lazily, connected below
+    const socketRef = useRef(null);
+    if (!socketRef.current) {
+        socketRef.current = io(SOCKET_URL, {
+            autoConnect: false,
+            auth: (cb) => cb(tokenRef.current && !refusedRef.current ? { token: tokenRef.current } : {})
+        });
+    }
+    // connected: true while the socket is up (rooms must be re-joined after a reconnect)
+    const [connected, setConnected] = useState(false);
+    // How many mounted components want each auction room
+    const roomCounts = useRef({});
+
+    useEffect(() => {
+        const socket = socketRef.current;
+
+        const handleConnect = () => {
+            setConnected(true);
+            // Server forgets rooms on reconnect — join the ones still in use
+            Object.keys(roomCounts.current).forEach(id => socket.emit("join-auction", id));
+        };
+        const handleDisconnect = () => setConnected(false);
+        // Token refused (expired or revoked) — carry on as an anonymous viewer
+        const handleConnectError = (err) => {
+            if (err.message === "unauthorized" && !refusedRef.current) {
+                refusedRef.current = true;
+                socket.connect();
+            }
+        };
+
+        socket.on("connect", handleConnect);
+        socket.on("disconnect", handleDisconnect);
+        socket.on("connect_error", handleConnectError);
+        return () => {
+            socket.off("connect", handleConnect);
+            socket.off("disconnect", handleDisconnect);
+            socket.off("connect_error", handleConnectError);
+            socket.disconnect();
+        };
+    }, []);
+
+    // Login/logout: reconnect so the handshake carries the new identity
+    useEffect(() => {
+        const socket = socketRef.current;
+        refusedRef.current = false;
+        if (socket.connected) socket.disconnect();
+        socket.connect();
+    }, [userId]);
+
+    // Fell back to anonymous and then got a fresh token: authenticate again
+    useEffect(() => {
+        if (!token || !refusedRef.current) return;
+        const socket = socketRef.current;
+        refusedRef.current = false;
+        if (socket.connected) socket.disconnect();
+        socket.connect();
+    }, [token]);
+
+    const joinAuction = useCallback((auctionId) => {
+        const counts = roomCounts.current;
+        counts[auctionId] = (counts[auctionId] || 0) + 1;
+        if (counts[auctionId] === 1 && socketRef.current.connected) {
+            socketRef.current.emit("join-auction", auctionId);
+        }
+    }, []);
+
+    const leaveAuction = useCallback((auctionId) => {
+        const counts = roomCounts.current;
+        if (!counts[auctionId]) return;
+        counts[auctionId] -= 1;
+        if (counts[auctionId] === 0) {
+            delete counts[auctionId];
+            if (socketRef.current.connected) {
+                socketRef.current.emit("leave-auction", auctionId);
+            }
+        }
+    }, []);
+
+    return (
+        <SocketContext.Provider value={{ socket: socketRef.current, connected, joinAuction, leaveAuction }}>
+            {children}
+        </SocketContext.Provider>
+    );
+};
+
+// Custom hook — components call useSocket() to access the shared connection
+export const useSocket = () => {
+    const context = useContext(SocketContext);
+    if (!context) throw new Error("useSocket must be used inside SocketProvider");
+    return context;
+};
+
+/**
+ * Listen to one server event for as long as the component is mounted
+ * The latest handler is always used without re-subscribing
+ */
+export const useSocketEvent = (event, handler) => {
+    const { socket } = useSocket();
+    const handlerRef = useRef(handler);
+    handlerRef.current = handler;
+
+    useEffect(() => {
+        const listener = (...args) => handlerRef.current && handlerRef.current(...args);
+        socket.on(event, listener);
+        return () => socket.off(event, listener);
+    }, [socket, event]);
+};
+
+/**
+ * Join an auction's room and get its live events
+ * handlers: { onBid, onSealedBid, onRetracted, onExtended, onStarted, onEnded } — each receives the
+ * server payload, only for this auction
+ */
+export const useAuctionRoom = (auctionId, handlers = {}) => {
+    const { joinAuction, leaveAuction } = useSocket();
+    const handlersRef = useRef(handlers);
+    handlersRef.current = handlers;
+
+    useEffect(() => {
+        if (!auctionId) return;
+        joinAuction(auctionId);
+        return () => leaveAuction(auctionId);
+    }, [auctionId, joinAuction, leaveAuction]);
+
+    // Rooms overlap on one socket, so filter payloads by auction
+    const forThisAuction = (name) => (data) => {
+        if (data?.auctionId === auctionId && handlersRef.current[name]) {
+            handlersRef.current[name](data);
+        }
+    };
+
+    useSocketEvent("bid-updated", forThisAuction("onBid"));
+    useSocketEvent("sealed-bid-placed", forThisAuction("onSealedBid"));
+    useSocketEvent("bid-retracted", forThisAuction("onRetracted"));
+    useSocketEvent("auction-extended", forThisAuction("onExtended"));
+    useSocketEvent("auction-started", forThisAuction("onStarted"));
+    useSocketEvent("auction-ended", forThisAuction("onEnded"));
+};
+
+export default SocketContext;
@@ -1,12 +1,21 @@
 //Farhan sprint 2
 
 import React, { useState, useEffect } from "react";
-import { getAllCategories, createCategory, deleteCategory } from "../services/category";
+import { getAllCategories, createCategory, updateCategory, deleteCategory } from "../services/category";
+
+// Bid steps as text: "1000:10, 10000:50, *:100" — each band's upper price and
+// its increment; "*" is the open-ended last band. Empty = platform default.
+const formatSteps = (rows = []) => rows.map(r => `${r.upTo ?? "*"}:${r.increment}`).join(", ");
+const parseSteps = (text) => text.split(",").map(p => p.trim()).filter(Boolean).map(pair => {
+    const [upTo, increment] = pair.split(":").map(p => p.trim());
+    return { upTo: upTo === "*" ? null : Number(upTo), increment: Number(increment) };
+});
 
 const AdminCategories = () => {
     const [categories, setCategories] = useState([]);
     const [form, setForm]             = useState({ name: "", description: "", icon: "" });
     const [msg, setMsg]               = useState("");
+    const [steps, setSteps]           = useState(null);  // { id, text } while editing
 
     const load = () => getAllCategories().then(res => setCategories(res.data || []));
 
@@ -24,6 +33,17 @@ const AdminCategories = () => {
         }
     };
 
+    const handleSaveSteps = async () => {
+        try {
+            const res = await updateCategory(steps.id, { bidIncrements: parseSteps(steps.text) });
+            setCategories(prev => prev.map(c => c._id === steps.id ? res.data : c));
+            setSteps(null);
+            setMsg("Bid steps saved!");
+        } catch (e) {
+            setMsg(e.response?.data?.message || "Error saving bid steps");
+        }
+    };
+
     const handleDelete = async (id) => {
         if (!window.confirm("Delete this category?")) return;
         try {
@@ -61,7 +81,7 @@ const AdminCategories = () => {
             <h3>Existing Categories ({categories.length})</h3>
             <table style={{ width: "100%", borderCollapse: "collapse" }}>
                 <thead><tr style={{ background: "#1B3A6B", color: "#fff" }}>
-                    {["Name", "Slug", "Description", "Action"].map(h => (
+                    {["Name", "Slug", "Description", "Bid Steps", "Action"].map(h => (
                         <th key={h} style={{ padding: "10px", textAlign: "left" }}>{h}</th>
                     ))}
                 </tr></thead>
@@ -71,6 +91,24 @@ const AdminCategories = () => {
                             <td style={{ padding: "10px" }}>{c.name}</td>
                             <td style={{ padding: "10px", color: "#666" }}>{c.slug}</td>
                             <td style={{ padding: "10px", color: "#666" }}>{c.description || "—"}</td>
+                            <td style={{ padding: "10px", color: "#666" }}>
+                                {steps?.id === c._id ? (
+                                    <>
+                                        <input value={steps.text} placeholder="1000:10, 10000:50, *:100"
+                                            onChange={e => setSteps({ ...steps, text: e.target.value })}
+                                            style={{ padding: "4px", width: "100%", marginBottom: "4px" }} />
+                                        <button onClick={handleSaveSteps}
+                                            style={{ padding: "4px 12px", marginRight: "4px", cursor: "pointer" }}>Save</button>
+                                        <button onClick={() => setSteps(null)}
+                                            style={{ padding: "4px 12px", cursor: "pointer" }}>Cancel</button>
+                                    </>
+                                ) : (
+                                    <span onClick={() => setSteps({ id: c._id, text: formatSteps(c.bidIncrements) })}
+                                        title="Click to edit" style={{ cursor: "pointer" }}>
+                                        {c.bidIncrements?.length ? formatSteps(c.bidIncrements) : "Platform default"}
+                                    </span>
+                                )}
+                            </td>
                             <td style={{ padding: "10px" }}>
                                 <button onClick={() => handleDelete(c._id)}
                                     style={{ padding: "4px 12px", background: "#C0392B", color: "#fff", border: "none", borderRadius: "4px", cursor: "pointer" }}>
@@ -0,0 +1,151 @@
+/**
+ * Admin Listing Review Page
+ * Moderation queue (LISTING_MODERATION=true): approve a listing, reject it
+ * with a reason, or send it back to the seller for changes
+ * Author: Talha
+ */
+import React, { useState, useEffect, useCallback } from "react";
+import { Link } from "react-router-dom";
+import {
+    Container, Typography, Paper, Box, Button, Alert, TextField,
+    ToggleButton, ToggleButtonGroup, CircularProgress
+} from "@mui/material";
+import {
+    getReviewQueue, approveListing, rejectListing, requestListingChanges
+} from "../services/moderation";
+import { AUCTION_TYPE_LABELS } from "../services/auction";
+
+const imageUrl = (url) => (url?.startsWith("http") ? url : `http://localhost:5000/uploads/${url}`);
+
+const AdminModeration = () => {
+    const [status,   setStatus]   = useState("pending_review");
+    const [listings, setListings] = useState([]);
+    const [loading,  setLoading]  = useState(true);
+    const [error,    setError]    = useState("");
+    // { id, action: "reject" | "changes" } while the admin types a reason
+    const [noteFor,  setNoteFor]  = useState(null);
+    const [note,     setNote]     = useState("");
+    const [busyId,   setBusyId]   = useState(null);
+
+    const load = useCallback(() => {
+        setLoading(true);
+        getReviewQueue(status)
+            .then(res => setListings(res.data || []))
+            .catch(err => setError(err.response?.data?.message || "Could not load the queue"))
+            .finally(() => setLoading(false));
+    }, [status]);
+
+    useEffect(() => { load(); }, [load]);
+
+    const decide = async (id, request) => {
+        setError("");
+        setBusyId(id);
+        try {
+            await request();
+            setListings(prev => prev.filter(l => l._id !== id));
+            setNoteFor(null);
+            setNote("");
+        } catch (err) {
+            setError(err.response?.data?.message || "Could not update the listing");
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const submitNote = (id) => decide(id, () => noteFor.action === "reject"
+        ? rejectListing(id, note)
+        : requestListingChanges(id, note));
+
+    return (
+        <Container maxWidth="md" sx={{ mt: 3 }}>
+            <Typography variant="h5" fontWeight="bold" gutterBottom>Listing Review</Typography>
+
+            <ToggleButtonGroup
+                size="small" exclusive value={status} sx={{ mb: 2 }}
+                onChange={(e, value) => value && setStatus(value)}
+            >
+                <ToggleButton value="pending_review">Waiting for review</ToggleButton>
+                <ToggleButton value="changes_requested">Sent back to seller</ToggleButton>
+            </ToggleButtonGroup>
+
+            {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+            {loading ? (
+                <Box sx={{ textAlign: "center", p: 4 }}><CircularProgress /></Box>
+            ) : listings.length === 0 ? (
+                <Typography color="text.secondary">Nothing to review.</Typography>
+            ) : listings.map(l => (
+                <Paper key={l._id} sx={{ p: 2, mb: 2, display: "flex", gap: 2 }}>
+                    {l.item?.images?.[0] && (
+                        <Box component="img" src={imageUrl(l.item.images[0].url)} alt=""
+                            sx={{ width: 120, height: 120, objectFit: "cover", borderRadius: 1, flexShrink: 0 }} />
+                    )}
+                    <Box sx={{ flexGrow: 1, minWidth: 0 }}>
+                        <Typography variant="h6">
+                            <Link to={`/auction/${l._id}`}>{l.item?.title || "Untitled"}</Link>
+                        </Typography>
+                        <Typography variant="body2" color="text.secondary">
+                            by {l.seller?.storeName || l.seller?.name} (@{l.seller?.username})
+                            {l.category?.name && ` · ${l.category.name}`} · {l.item?.condition}
+                        </Typography>
+                        <Typography variant="body2" sx={{ my: 1 }}>
+                            {l.item?.description || "No description."}
+                        </Typography>
+                        <Typography variant="body2" color="text.secondary">
+                            Start BDT {l.startPrice} · increment {l.minIncrement ? `BDT ${l.minIncrement}` : "by price band"}
+                            {l.reservePrice > 0 && ` · reserve BDT ${l.reservePrice}`}
+                            {l.buyNowPrice > 0 && ` · Buy It Now BDT ${l.buyNowPrice}`}
+                            {l.auctionType === "dutch" && ` · drops BDT ${l.dutch?.decrement} every ${l.dutch?.intervalMinutes} min to BDT ${l.dutch?.floorPrice}`}
+                        </Typography>
+                        <Typography variant="body2" color="text.secondary">
+                            Format: {AUCTION_TYPE_LABELS[l.auctionType || "english"]}
+                        </Typography>
+                        <Typography variant="body2" color="text.secondary">
+                            {new Date(l.startTime).toLocaleString()} → {new Date(l.endTime).toLocaleString()}
+                        </Typography>
+                        {l.reviewNote && (
+                            <Typography variant="body2" color="warning.main" sx={{ mt: 1 }}>
+                                Asked for: {l.reviewNote}
+                            </Typography>
+                        )}
+
+                        <Box sx={{ display: "flex", gap: 1, mt: 1.5, flexWrap: "wrap", alignItems: "center" }}>
+                            {noteFor?.id === l._id ? (
+                                <>
+                                    <TextField size="small" sx={{ flexGrow: 1 }} value={note}
+                                        onChange={(e) => setNote(e.target.value)}
+                                        label={noteFor.action === "reject" ? "Reason (shown to the seller)" : "Changes needed"} />
+                                    <Button size="small" variant="contained"
+                                        color={noteFor.action === "reject" ? "error" : "warning"}
+                                        disabled={busyId === l._id || !note.trim()} onClick={() => submitNote(l._id)}>
+                                        {noteFor.action === "reject" ? "Confirm reject" : "Send back"}
+                                    </Button>
+                                    <Button size="small" onClick={() => setNoteFor(null)}>Cancel</Button>
+                                </>
+                            ) : (
+                                <>
+                                    <Button size="small" variant="contained" color="success" disabled={busyId === l._id}
+                                        onClick={() => decide(l._id, () => approveListing(l._id))}>
+                                        Approve
+                                    </Button>
+                                    {l.reviewStatus === "pending_review" && (
+                                        <Button size="small" color="warning"
+                                            onClick={() => { setNoteFor({ id: l._id, action: "changes" }); setNote(""); }}>
+                                            Request changes
+                                        </Button>
+                                    )}
+                                    <Button size="small" color="error"
+                                        onClick={() => { setNoteFor({ id: l._id, action: "reject" }); setNote(""); }}>
+                                        Reject
+                                    </Button>
+                                </>
+                            )}
+                        </Box>
+                    </Box>
+                </Paper>
+            ))}
+        </Container>
+    );
+};
+
+export default AdminModeration;
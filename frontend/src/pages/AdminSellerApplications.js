@@ -0,0 +1,139 @@
+/**
+ * Admin Seller Applications Page
+ * Review queue for "become a seller" applications: view the ID document,
+ * approve, or reject with a reason
+ * Author: Talha
+ */
+import React, { useState, useEffect, useCallback } from "react";
+import {
+    Container, Typography, Paper, Box, Button, Chip, Alert,
+    TextField, ToggleButton, ToggleButtonGroup, CircularProgress
+} from "@mui/material";
+import {
+    getApplications, getApplicationDocument,
+    approveApplication, rejectApplication
+} from "../services/sellerApplications";
+
+const STATUS_COLORS = { pending: "warning", approved: "success", rejected: "error" };
+
+const AdminSellerApplications = () => {
+    const [status,       setStatus]       = useState("pending");
+    const [applications, setApplications] = useState([]);
+    const [loading,      setLoading]      = useState(true);
+    const [error,        setError]        = useState("");
+    const [rejecting,    setRejecting]    = useState(null);  // application id
+    const [reason,       setReason]       = useState("");
+    const [busyId,       setBusyId]       = useState(null);
+
+    const load = useCallback(() => {
+        setLoading(true);
+        getApplications(status)
+            .then(res => setApplications(res.data || []))
+            .catch(err => setError(err.response?.data?.message || "Could not load applications"))
+            .finally(() => setLoading(false));
+    }, [status]);
+
+    useEffect(() => { load(); }, [load]);
+
+    // The document endpoint needs the auth header, so fetch it and open a blob URL
+    const handleViewDocument = async (id) => {
+        try {
+            const blob = await getApplicationDocument(id);
+            const url = URL.createObjectURL(blob);
+            window.open(url, "_blank", "noopener");
+            setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+        } catch {
+            setError("Could not open the document");
+        }
+    };
+
+    const decide = async (id, request) => {
+        setError("");
+        setBusyId(id);
+        try {
+            await request();
+            setRejecting(null);
+            setReason("");
+            load();
+        } catch (err) {
+            setError(err.response?.data?.message || "Could not update the application");
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    return (
+        <Container maxWidth="md" sx={{ mt: 3 }}>
+            <Typography variant="h5" fontWeight="bold" gutterBottom>Seller Applications</Typography>
+
+            <ToggleButtonGroup
+                size="small" exclusive value={status} sx={{ mb: 2 }}
+                onChange={(e, value) => value && setStatus(value)}
+            >
+                <ToggleButton value="pending">Pending</ToggleButton>
+                <ToggleButton value="approved">Approved</ToggleButton>
+                <ToggleButton value="rejected">Rejected</ToggleButton>
+                <ToggleButton value="all">All</ToggleButton>
+            </ToggleButtonGroup>
+
+            {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+            {loading ? (
+                <Box sx={{ textAlign: "center", p: 4 }}><CircularProgress /></Box>
+            ) : applications.length === 0 ? (
+                <Typography color="text.secondary">No applications.</Typography>
+            ) : applications.map(a => (
+                <Paper key={a._id} sx={{ p: 2, mb: 2 }}>
+                    <Box sx={{ display: "flex", alignItems: "center", gap: 1, mb: 1 }}>
+                        <Typography variant="h6" sx={{ flexGrow: 1 }}>{a.storeName}</Typography>
+                        <Chip size="small" label={a.status} color={STATUS_COLORS[a.status]} />
+                    </Box>
+                    <Typography variant="body2">
+                        {a.user?.name} (@{a.user?.username}) · {a.user?.email}
+                        {a.user && !a.user.isVerified && " · email not verified"}
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary">
+                        {a.phone} · {[a.address?.street, a.address?.area, a.address?.city, a.address?.zipCode]
+                            .filter(Boolean).join(", ")}
+                    </Typography>
+                    <Typography variant="caption" color="text.secondary" display="block">
+                        Applied {new Date(a.createdAt).toLocaleString()}
+                        {a.reviewedAt && ` · reviewed ${new Date(a.reviewedAt).toLocaleString()} by ${a.reviewedBy?.name || "an admin"}`}
+                    </Typography>
+                    {a.rejectionReason && (
+                        <Typography variant="body2" color="error" sx={{ mt: 1 }}>Reason: {a.rejectionReason}</Typography>
+                    )}
+
+                    <Box sx={{ display: "flex", gap: 1, mt: 1.5, flexWrap: "wrap", alignItems: "center" }}>
+                        <Button size="small" onClick={() => handleViewDocument(a._id)}>View ID document</Button>
+                        {a.status === "pending" && rejecting !== a._id && (
+                            <>
+                                <Button size="small" variant="contained" color="success" disabled={busyId === a._id}
+                                    onClick={() => decide(a._id, () => approveApplication(a._id))}>
+                                    Approve
+                                </Button>
+                                <Button size="small" color="error" onClick={() => { setRejecting(a._id); setReason(""); }}>
+                                    Reject
+                                </Button>
+                            </>
+                        )}
+                        {rejecting === a._id && (
+                            <>
+                                <TextField size="small" label="Reason (shown to the applicant)" value={reason}
+                                    onChange={(e) => setReason(e.target.value)} sx={{ flexGrow: 1 }} />
+                                <Button size="small" variant="contained" color="error"
+                                    disabled={busyId === a._id || !reason.trim()}
+                                    onClick={() => decide(a._id, () => rejectApplication(a._id, reason))}>
+                                    Confirm reject
+                                </Button>
+                                <Button size="small" onClick={() => setRejecting(null)}>Cancel</Button>
+                            </>
+                        )}
+                    </Box>
+                </Paper>
+            ))}
+        </Container>
+    );
+};
+
+export default AdminSellerApplications;
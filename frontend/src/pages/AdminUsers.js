@@ -0,0 +1,362 @@
+/**
+ * Admin Users Page
+ * Dashboard counts, user search/filters, and per-user actions:
+ * change role, deactivate/reactivate, sign out everywhere,
+ * plus the user's auctions, bids and bid retractions
+ * Author: Talha
+ */
+import React, { useState, useEffect, useCallback } from "react";
+import { Link } from "react-router-dom";
+import {
+    Container, Typography, Paper, Box, Button, Chip, Alert, TextField,
+    Select, MenuItem, FormControl, InputLabel, Table, TableHead, TableRow,
+    TableCell, TableBody, TablePagination, Dialog, DialogTitle, DialogContent,
+    DialogActions, Tabs, Tab, CircularProgress
+} from "@mui/material";
+import { useAuth } from "../context/AuthContext";
+import {
+    getDashboardStats, getUsers, getUser, getUserAuctions, getUserBids, getUserRetractions,
+    updateUserRole, updateUserStatus, forceLogout, clearRetractionFlag
+} from "../services/adminUsers";
+
+const PAGE_SIZE = 20;
+
+// Detail dialog for one user
+const UserDialog = ({ userId, onClose, onChanged }) => {
+    const { user: me } = useAuth();
+    const [data,     setData]     = useState(null);
+    const [stats,    setStats]    = useState(null);
+    const [tab,      setTab]      = useState(0);
+    const [auctions, setAuctions] = useState(null);
+    const [bids,     setBids]     = useState(null);
+    const [retractions, setRetractions] = useState(null);
+    const [message,  setMessage]  = useState("");
+    const [error,    setError]    = useState("");
+    const [busy,     setBusy]     = useState(false);
+
+    useEffect(() => {
+        getUser(userId)
+            .then(res => { setData(res.data); setStats(res.stats); })
+            .catch(err => setError(err.response?.data?.message || "Could not load the user"));
+    }, [userId]);
+
+    // Load the auctions/bids/retractions lists the first time their tab is opened
+    useEffect(() => {
+        if (tab === 1 && !auctions) getUserAuctions(userId).then(res => setAuctions(res.data || [])).catch(() => setAuctions([]));
+        if (tab === 2 && !bids) getUserBids(userId).then(res => setBids(res.data || [])).catch(() => setBids([]));
+        if (tab === 3 && !retractions) getUserRetractions(userId).then(res => setRetractions(res.data || [])).catch(() => setRetractions([]));
+    }, [tab, userId, auctions, bids, retractions]);
+
+    const run = async (request) => {
+        setError("");
+        setMessage("");
+        setBusy(true);
+        try {
+            const res = await request();
+            if (res.data) setData(res.data);
+            setMessage(res.message);
+            onChanged();
+        } catch (err) {
+            setError(err.response?.data?.message || "Action failed");
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const isSelf = data && me && data._id === me._id;
+
+    return (
+        <Dialog open onClose={onClose} fullWidth maxWidth="md">
+            <DialogTitle>{data ? `${data.name} (@${data.username})` : "User"}</DialogTitle>
+            <DialogContent dividers>
+                {error   && <Alert severity="error"   sx={{ mb: 2 }}>{error}</Alert>}
+                {message && <Alert severity="success" sx={{ mb: 2 }}>{message}</Alert>}
+
+                {!data ? (
+                    !error && <Box sx={{ textAlign: "center", p: 2 }}><CircularProgress /></Box>
+                ) : (
+                    <>
+                        <Tabs value={tab} onChange={(e, v) => setTab(v)} sx={{ mb: 2 }}>
+                            <Tab label="Account" />
+                            <Tab label={`Auctions${stats ? ` (${stats.auctions})` : ""}`} />
+                            <Tab label={`Bids${stats ? ` (${stats.bids})` : ""}`} />
+                            <Tab label={`Retractions${stats ? ` (${stats.retractions})` : ""}`} />
+                        </Tabs>
+
+                        {tab === 0 && (
+                            <Box>
+                                <Typography variant="body2">{data.email}</Typography>
+                                {data.storeName && <Typography variant="body2">Store: {data.storeName}</Typography>}
+                                <Typography variant="body2" color="text.secondary">
+                                    Joined {new Date(data.createdAt).toLocaleDateString()}
+                                    {data.lastLogin && ` · last login ${new Date(data.lastLogin).toLocaleString()}`}
+                                </Typography>
+                                <Box sx={{ display: "flex", gap: 1, my: 2, flexWrap: "wrap" }}>
+                                    <Chip size="small" label={data.isActive ? "Active" : "Deactivated"} color={data.isActive ? "success" : "error"} />
+                                    <Chip size="small" label={data.isVerified ? "Email verified" : "Email not verified"} variant="outlined" />
+                                    <Chip size="small" label={data.twoFactor?.enabled ? "2FA on" : "2FA off"} variant="outlined" />
+                                    {stats && <Chip size="small" label={`${stats.wins} won`} variant="outlined" />}
+                                    {data.bidRetractions?.flagged && (
+                                        <Chip size="small" color="warning"
+                                            label={`Flagged for bid retractions (${data.bidRetractions.count})`}
+                                            onDelete={busy ? undefined : () => run(() => clearRetractionFlag(data._id))} />
+                                    )}
+                                </Box>
+
+                                <Box sx={{ display: "flex", gap: 1, alignItems: "center", flexWrap: "wrap" }}>
+                                    <FormControl size="small" sx={{ minWidth: 140 }} disabled={isSelf || busy}>
+                                        <InputLabel>Role</InputLabel>
+                                        <Select label="Role" value={data.role}
+                                            onChange={(e) => run(() => updateUserRole(data._id, e.target.value))}>
+                                            <MenuItem value="user">user</MenuItem>
+                                            <MenuItem value="seller">seller</MenuItem>
+                                            <MenuItem value="admin">admin</MenuItem>
+                                        </Select>
+                                    </FormControl>
+                                    <Button size="small" color={data.isActive ? "error" : "success"} variant="outlined"
+                                        disabled={isSelf || busy}
+                                        onClick={() => run(() => updateUserStatus(data._id, !data.isActive))}>
+                                        {data.isActive ? "Deactivate" : "Reactivate"}
+                                    </Button>
+                                    <Button size="small" disabled={busy}
+                                        onClick={() => window.confirm("Sign this user out of every device?") && run(() => forceLogout(data._id))}>
+                                        Sign out everywhere
+                                    </Button>
+                                </Box>
+                                {isSelf && (
+                                    <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 1 }}>
+                                        You can't change your own role or deactivate yourself.
+                                    </Typography>
+                                )}
+                            </Box>
+                        )}
+
+                        {tab === 1 && (!auctions ? <CircularProgress size={24} /> : auctions.length === 0 ? (
+                            <Typography color="text.secondary">No auctions.</Typography>
+                        ) : (
+                            <Table size="small">
+                                <TableHead><TableRow>
+                                    <TableCell>Item</TableCell><TableCell>Status</TableCell>
+                                    <TableCell align="right">Price</TableCell><TableCell>Ends</TableCell>
+                                </TableRow></TableHead>
+                                <TableBody>
+                                    {auctions.map(a => (
+                                        <TableRow key={a._id}>
+                                            <TableCell><Link to={`/auction/${a._id}`}>{a.item?.title || "—"}</Link></TableCell>
+                                            <TableCell>{a.status}</TableCell>
+                                            <TableCell align="right">BDT {a.currentPrice}</TableCell>
+                                            <TableCell>{new Date(a.endTime).toLocaleString()}</TableCell>
+                                        </TableRow>
+                                    ))}
+                                </TableBody>
+                            </Table>
+                        ))}
+
+                        {tab === 2 && (!bids ? <CircularProgress size={24} /> : bids.length === 0 ? (
+                            <Typography color="text.secondary">No bids.</Typography>
+                        ) : (
+                            <Table size="small">
+                                <TableHead><TableRow>
+                                    <TableCell>Auction</TableCell><TableCell align="right">Amount</TableCell>
+                                    <TableCell>Auction status</TableCell><TableCell>Placed</TableCell>
+                                </TableRow></TableHead>
+                                <TableBody>
+                                    {bids.map(b => (
+                                        <TableRow key={b._id}>
+                                            <TableCell>
+                                                {b.auction
+                                                    ? <Link to={`/auction/${b.auction._id}`}>{b.auction.item?.title || "—"}</Link>
+                                                    : "Deleted auction"}
+                                            </TableCell>
+                                            <TableCell align="right">BDT {b.amount}{b.isAutomatic && " (auto)"}</TableCell>
+                                            <TableCell>{b.auction?.status || "—"}</TableCell>
+                                            <TableCell>{new Date(b.createdAt).toLocaleString()}</TableCell>
+                                        </TableRow>
+                                    ))}
+                                </TableBody>
+                            </Table>
+                        ))}
+
+                        {tab === 3 && (!retractions ? <CircularProgress size={24} /> : retractions.length === 0 ? (
+                            <Typography color="text.secondary">No retracted bids.</Typography>
+                        ) : (
+                            <Table size="small">
+                                <TableHead><TableRow>
+                                    <TableCell>Auction</TableCell><TableCell align="right">Retracted</TableCell>
+                                    <TableCell>Price</TableCell><TableCell>Reason</TableCell><TableCell>When</TableCell>
+                                </TableRow></TableHead>
+                                <TableBody>
+                                    {retractions.map(r => (
+                                        <TableRow key={r._id}>
+                                            <TableCell>
+                                                {r.auction
+                                                    ? <Link to={`/auction/${r.auction._id}`}>{r.auction.item?.title || "—"}</Link>
+                                                    : "Deleted auction"}
+                                            </TableCell>
+                                            <TableCell align="right">
+                                                {r.bids.filter(b => !b.isAutomatic).map(b => `BDT ${b.amount}`).join(", ")}
+                                                {r.bids.some(b => b.isAutomatic) && " (+ auto)"}
+                                            </TableCell>
+                                            <TableCell>
+                                                BDT {r.previousPrice} → {r.restoredPrice}
+                                                {r.restoredHighBidder && ` (@${r.restoredHighBidder.username})`}
+                                            </TableCell>
+                                            <TableCell>{r.reason}</TableCell>
+                                            <TableCell>{new Date(r.createdAt).toLocaleString()}</TableCell>
+                                        </TableRow>
+                                    ))}
+                                </TableBody>
+                            </Table>
+                        ))}
+                    </>
+                )}
+            </DialogContent>
+            <DialogActions>
+                <Button onClick={onClose}>Close</Button>
+            </DialogActions>
+        </Dialog>
+    );
+};
+
+const AdminUsers = () => {
+    const [stats,    setStats]    = useState(null);
+    const [users,    setUsers]    = useState([]);
+    const [total,    setTotal]    = useState(0);
+    const [page,     setPage]     = useState(0);  // zero-based for TablePagination
+    const [search,   setSearch]   = useState("");
+    const [query,    setQuery]    = useState("");  // search actually applied
+    const [role,     setRole]     = useState("");
+    const [status,   setStatus]   = useState("");
+    const [loading,  setLoading]  = useState(true);
+    const [error,    setError]    = useState("");
+    const [selected, setSelected] = useState(null);
+
+    const loadStats = () => getDashboardStats().then(res => setStats(res.data)).catch(() => {});
+
+    const loadUsers = useCallback(() => {
+        setLoading(true);
+        // "flagged" in the status filter means flagged for bid retractions
+        getUsers({
+            search: query || undefined,
+            role: role || undefined,
+            status: status && status !== "flagged" ? status : undefined,
+            flagged: status === "flagged" ? "retractions" : undefined,
+            page: page + 1,
+            limit: PAGE_SIZE
+        })
+            .then(res => { setUsers(res.data || []); setTotal(res.total || 0); })
+            .catch(err => setError(err.response?.data?.message || "Could not load users"))
+            .finally(() => setLoading(false));
+    }, [query, role, status, page]);
+
+    useEffect(() => { loadStats(); }, []);
+    useEffect(() => { loadUsers(); }, [loadUsers]);
+
+    const handleSearch = (e) => {
+        e.preventDefault();
+        setPage(0);
+        setQuery(search.trim());
+    };
+
+    return (
+        <Container maxWidth="lg" sx={{ mt: 3 }}>
+            <Typography variant="h5" fontWeight="bold" gutterBottom>Manage Users</Typography>
+
+            {stats && (
+                <Box sx={{ display: "flex", gap: 1, flexWrap: "wrap", mb: 2 }}>
+                    <Chip label={`${stats.users.total} users`} />
+                    <Chip label={`${stats.users.byRole.seller} sellers`} variant="outlined" />
+                    <Chip label={`${stats.users.byRole.admin} admins`} variant="outlined" />
+                    <Chip label={`${stats.users.inactive} deactivated`} variant="outlined" color="error" />
+                    <Chip label={`${stats.auctionsByStatus.active || 0} active auctions`} variant="outlined" />
+                    <Chip
+                        label={`${stats.users.flaggedForRetractions || 0} flagged for bid retractions`}
+                        color={stats.users.flaggedForRetractions ? "warning" : "default"}
+                        onClick={() => { setStatus("flagged"); setPage(0); }}
+                    />
+                    <Chip
+                        label={`${stats.pendingSellerApplications} seller applications waiting`}
+                        color={stats.pendingSellerApplications ? "warning" : "default"}
+                        component={Link} to="/admin/seller-applications" clickable
+                    />
+                    <Chip
+                        label={`${stats.pendingListingReviews} listings to review`}
+                        color={stats.pendingListingReviews ? "warning" : "default"}
+                        component={Link} to="/admin/moderation" clickable
+                    />
+                </Box>
+            )}
+
+            {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+            <Paper sx={{ p: 2, mb: 2 }}>
+                <Box component="form" onSubmit={handleSearch} sx={{ display: "flex", gap: 1, flexWrap: "wrap" }}>
+                    <TextField size="small" label="Search name, username, email or store" value={search}
+                        onChange={(e) => setSearch(e.target.value)} sx={{ flexGrow: 1, minWidth: 240 }} />
+                    <FormControl size="small" sx={{ minWidth: 120 }}>
+                        <InputLabel>Role</InputLabel>
+                        <Select label="Role" value={role} onChange={(e) => { setRole(e.target.value); setPage(0); }}>
+                            <MenuItem value="">All</MenuItem>
+                            <MenuItem value="user">user</MenuItem>
+                            <MenuItem value="seller">seller</MenuItem>
+                            <MenuItem value="admin">admin</MenuItem>
+                        </Select>
+                    </FormControl>
+                    <FormControl size="small" sx={{ minWidth: 130 }}>
+                        <InputLabel>Status</InputLabel>
+                        <Select label="Status" value={status} onChange={(e) => { setStatus(e.target.value); setPage(0); }}>
+                            <MenuItem value="">All</MenuItem>
+                            <MenuItem value="active">Active</MenuItem>
+                            <MenuItem value="inactive">Deactivated</MenuItem>
+                            <MenuItem value="flagged">Flagged for retractions</MenuItem>
+                        </Select>
+                    </FormControl>
+                    <Button type="submit" variant="contained">Search</Button>
+                </Box>
+            </Paper>
+
+            <Paper>
+                <Table size="small">
+                    <TableHead><TableRow>
+                        <TableCell>Name</TableCell><TableCell>Email</TableCell>
+                        <TableCell>Role</TableCell><TableCell>Status</TableCell><TableCell>Joined</TableCell>
+                    </TableRow></TableHead>
+                    <TableBody>
+                        {loading ? (
+                            <TableRow><TableCell colSpan={5} align="center"><CircularProgress size={24} /></TableCell></TableRow>
+                        ) : users.length === 0 ? (
+                            <TableRow><TableCell colSpan={5} align="center">No users found.</TableCell></TableRow>
+                        ) : users.map(u => (
+                            <TableRow key={u._id} hover sx={{ cursor: "pointer" }} onClick={() => setSelected(u._id)}>
+                                <TableCell>{u.name} <Typography component="span" variant="body2" color="text.secondary">@{u.username}</Typography></TableCell>
+                                <TableCell>{u.email}</TableCell>
+                                <TableCell>{u.role}</TableCell>
+                                <TableCell>
+                                    <Chip size="small" label={u.isActive ? "Active" : "Deactivated"} color={u.isActive ? "success" : "error"} />
+                                    {u.bidRetractions?.flagged && (
+                                        <Chip size="small" label="Retractions" color="warning" variant="outlined" sx={{ ml: 0.5 }} />
+                                    )}
+                                </TableCell>
+                                <TableCell>{new Date(u.createdAt).toLocaleDateString()}</TableCell>
+                            </TableRow>
+                        ))}
+                    </TableBody>
+                </Table>
+                <TablePagination
+                    component="div" count={total} page={page} rowsPerPage={PAGE_SIZE}
+                    rowsPerPageOptions={[PAGE_SIZE]} onPageChange={(e, p) => setPage(p)}
+                />
+            </Paper>
+
+            {selected && (
+                <UserDialog
+                    userId={selected}
+                    onClose={() => setSelected(null)}
+                    onChanged={() => { loadUsers(); loadStats(); }}
+                />
+            )}
+        </Container>
+    );
+};
+
+export default AdminUsers;
@@ -4,32 +4,52 @@
  * Author: Talha
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import {
     Container, Grid, Typography, Box, Button, Paper,
-    TextField, Alert, Chip, Divider, CircularProgress
+    TextField, Alert, Chip, Divider, CircularProgress,
+    Dialog, DialogTitle, DialogContent, DialogContentText, DialogActions
 } from '@mui/material';
 import { Gavel as GavelIcon } from '@mui/icons-material';
 import api from '../services/api';
+import auctionService, {
+    isBuyNowAvailable, isSealedAuction, isReverseAuction, dutchPriceAt, AUCTION_TYPE_LABELS
+} from '../services/auction';
 import CountdownTimer from '../components/CountdownTimer';
 import { useAuth } from '../context/AuthContext';
+import { useAuctionRoom } from '../context/SocketContext';
 
 const AuctionDetail = () => {
     const { id } = useParams();
     const navigate = useNavigate();
-    const { isAuthenticated, user, isAdmin } = useAuth();
+    const { isAuthenticated, user, isAdmin, isSeller: hasSellerRole } = useAuth();
 
     const [auction, setAuction] = useState(null);
     const [bids, setBids] = useState([]);
+    const [bidsSealed, setBidsSealed] = useState(false);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState('');
     const [bidAmount, setBidAmount] = useState('');
+    const [maxAmount, setMaxAmount] = useState('');
+    const [bidQuantity, setBidQuantity] = useState('1');
     const [bidError, setBidError] = useState('');
     const [bidSuccess, setBidSuccess] = useState('');
     const [bidLoading, setBidLoading] = useState(false);
     const [featured,     setFeatured]     = useState(false);
     const [featLoading,  setFeatLoading]  = useState(false);
+    const [watchLoading, setWatchLoading] = useState(false);
+    // Instant purchase being confirmed: 'buyNow' | 'dutch' | null
+    const [purchase,        setPurchase]        = useState(null);
+    const [purchaseLoading, setPurchaseLoading] = useState(false);
+    // Own bid being retracted, and the reason the user gives
+    const [retracting,     setRetracting]     = useState(null);
+    const [retractReason,  setRetractReason]  = useState('');
+    const [retractLoading, setRetractLoading] = useState(false);
+    // Bumped by the timer at each Dutch price drop to re-render the price
+    const [, setPriceTick] = useState(0);
+    // Next bid the server asks for, last copied into the bid field
+    const prefilledBid = useRef(null);
 
 
     useEffect(() => {
@@ -37,30 +57,24 @@ const AuctionDetail = () => {
         loadBids();
     }, [id]);
 
+    // Pre-fill the bid field with the next minimum bid (maximum offer on a
+    // buyer request) and keep it current, unless the user typed their own
+    const nextBid = auction?.maximumOffer ?? auction?.minimumBid;
+    useEffect(() => {
+        if (nextBid == null) return;
+        setBidAmount(prev => (prev === '' || prev === String(prefilledBid.current) ? String(nextBid) : prev));
+        prefilledBid.current = nextBid;
+    }, [nextBid]);
+
     const loadAuction = async () => {
         try {
-            // First try active auctions
-            const res = await api.get(`/auctions/browse`);
-            let found = (res.data.data || []).find(a => a._id === id);
-
-            // If not found in active, try all statuses (ended, sold, etc.)
-            if (!found) {
-                const allRes = await api.get(`/auctions/browse?status=ended`);
-                found = (allRes.data.data || []).find(a => a._id === id);
-            }
-            if (!found) {
-                const soldRes = await api.get(`/auctions/browse?status=sold`);
-                found = (soldRes.data.data || []).find(a => a._id === id);
-            }
-
-            if (found) {
-                setAuction(found);
-                setFeatured(found.isFeatured || false);
-            } else {
-                setError('Auction not found');
-            }
+            const res = await api.get(`/auctions/${id}`);
+            const found = res.data.data;
+            setAuction(found);
+            setFeatured(found.isFeatured || false);
+            setError('');
         } catch (err) {
-            setError('Failed to load auction');
+            setError(err.response?.status === 404 ? 'Auction not found' : 'Failed to load auction');
         } finally {
             setLoading(false);
         }
@@ -70,11 +84,66 @@ const AuctionDetail = () => {
         try {
             const res = await api.get(`/bids/${id}`);
             setBids(res.data.bids || []);
+            setBidsSealed(Boolean(res.data.sealed));
         } catch (err) {
             // Bids might be empty, that's fine
         }
     };
 
+    // Live updates from the auction room
+    useAuctionRoom(id, {
+        onBid: (data) => {
+            const leading = !!user && String(data.highBidder) === String(user._id);
+            const mine = !!user && data.bids.some(b => b.bidder?._id === user._id);
+            // Lot standings depend on every bid — let the server work out our units
+            if (auction?.quantity > 1) {
+                loadAuction();
+            }
+            setAuction(prev => prev && ({
+                ...prev,
+                currentPrice: data.currentPrice,
+                minimumBid: data.minimumBid,
+                maximumOffer: data.maximumOffer,
+                bidIncrement: data.bidIncrement,
+                totalBids: data.totalBids,
+                unitsClaimed: data.unitsClaimed,
+                reserveMet: data.reserveMet,
+                endTime: data.endTime,
+                viewer: prev.viewer && {
+                    ...prev.viewer,
+                    isWinning: leading,
+                    hasBid: prev.viewer.hasBid || mine
+                }
+            }));
+            // Newest first, skipping any already loaded after our own bid
+            setBids(prev => {
+                const known = new Set(prev.map(b => b._id));
+                const fresh = data.bids.filter(b => !known.has(b._id)).reverse();
+                return [...fresh, ...prev];
+            });
+        },
+        // A bidder withdrew bids — the price and lead may go back, and proxies
+        // may have re-bid from their maximums, so refetch
+        onRetracted: () => {
+            loadAuction();
+            loadBids();
+        },
+        onSealedBid: (data) => {
+            setAuction(prev => prev && ({ ...prev, totalBids: data.totalBids }));
+        },
+        onExtended: (data) => {
+            setAuction(prev => prev && ({
+                ...prev,
+                endTime: data.endTime,
+                extensionCount: data.extensionCount
+            }));
+        },
+        // Status changes carry more than the payload — refetch
+        // (a sealed auction reveals its bids when it ends)
+        onStarted: () => loadAuction(),
+        onEnded: () => { loadAuction(); loadBids(); }
+    });
+
     const handleToggleFeatured = async () => {
         setFeatLoading(true);
         try {
@@ -87,6 +156,33 @@ const AuctionDetail = () => {
         }
     };
 
+    const handleToggleWatchlist = async () => {
+        if (!isAuthenticated) {
+            navigate('/login');
+            return;
+        }
+        setWatchLoading(true);
+        try {
+            if (auction.viewer?.inWatchlist) {
+                await api.delete(`/watchlist/${auction._id}`);
+            } else {
+                await api.post(`/watchlist/${auction._id}`);
+            }
+            setAuction(prev => ({
+                ...prev,
+                viewer: { ...prev.viewer, inWatchlist: !prev.viewer?.inWatchlist }
+            }));
+        } catch (err) {
+            console.error('Failed to update watchlist:', err);
+        } finally {
+            setWatchLoading(false);
+        }
+    };
+
+    const sealed = isSealedAuction(auction);
+    const lot = auction?.quantity > 1;
+    const reverse = isReverseAuction(auction);
+
     const handleBid = async () => {
         setBidError('');
         setBidSuccess('');
@@ -97,26 +193,99 @@ const AuctionDetail = () => {
         }
 
         const amount = parseFloat(bidAmount);
-        if (!amount || amount <= 0) {
+        const max = sealed || lot || reverse ? NaN : parseFloat(maxAmount);
+        const quantity = lot ? Number(bidQuantity) : 1;
+        if (lot && (!Number.isInteger(quantity) || quantity < 1 || quantity > auction.quantity)) {
+            setBidError(`Quantity must be a whole number from 1 to ${auction.quantity}`);
+            return;
+        }
+        if ((!amount || amount <= 0) && !max) {
             setBidError('Please enter a valid bid amount');
             return;
         }
+        if (max && amount && max < amount) {
+            setBidError('Maximum bid cannot be lower than your bid');
+            return;
+        }
 
         setBidLoading(true);
         try {
-            const res = await api.post(`/bids/${id}`, { amount });
-            setBidSuccess(`Bid of BDT ${amount} placed successfully!`);
+            const payload = {};
+            if (amount) payload.amount = amount;
+            if (max) payload.maxAmount = max;
+            if (lot) payload.quantity = quantity;
+            const res = await api.post(`/bids/${id}`, payload);
+            if (res.data.sealed) {
+                setBidSuccess(`${res.data.message}: BDT ${res.data.bid.amount}`);
+            } else if (lot) {
+                setBidSuccess(res.data.message);
+            } else if (!res.data.isHighBidder) {
+                setBidError(res.data.message);
+            } else {
+                setBidSuccess(reverse
+                    ? `Offer of BDT ${amount} placed — it's the lowest so far`
+                    : max
+                        ? `You're the high bidder — we'll bid for you up to BDT ${max}`
+                        : `Bid of BDT ${amount} placed successfully!`);
+            }
             setBidAmount('');
+            setMaxAmount('');
+            setBidQuantity('1');
             // Refresh auction and bids
             loadAuction();
             loadBids();
         } catch (err) {
             setBidError(err.response?.data?.message || 'Failed to place bid');
+            // Someone else's bid landed first — pull the fresh price so the user can retry
+            if (err.response?.status === 409) {
+                const fresh = err.response.data.maximumOffer ?? err.response.data.minimumBid;
+                if (fresh != null) setBidAmount(String(fresh));
+                loadAuction();
+                loadBids();
+            }
         } finally {
             setBidLoading(false);
         }
     };
 
+    const handleRetract = async () => {
+        setBidError('');
+        setBidSuccess('');
+        setRetractLoading(true);
+        try {
+            const res = await auctionService.retractBid(retracting._id, retractReason);
+            setBidSuccess(res.message);
+            setRetracting(null);
+            setRetractReason('');
+        } catch (err) {
+            setBidError(err.response?.data?.message || 'Failed to retract bid');
+            setRetracting(null);
+        } finally {
+            setRetractLoading(false);
+            loadAuction();
+            loadBids();
+        }
+    };
+
+    const handlePurchase = async () => {
+        setBidError('');
+        setBidSuccess('');
+        setPurchaseLoading(true);
+        try {
+            const res = purchase === 'dutch'
+                ? await auctionService.acceptPrice(id)
+                : await auctionService.buyNow(id);
+            setBidSuccess(res.message);
+        } catch (err) {
+            setBidError(err.response?.data?.message || 'Failed to complete purchase');
+        } finally {
+            // Sold, or someone got in first — either way the page needs the new state
+            setPurchaseLoading(false);
+            setPurchase(null);
+            loadAuction();
+        }
+    };
+
     if (loading) return (
         <Container sx={{ py: 4, textAlign: 'center' }}>
             <CircularProgress />
@@ -134,8 +303,16 @@ const AuctionDetail = () => {
 
     if (!auction) return null;
 
-    const isSeller = user?._id === auction.seller?._id;
-    const minBid = (auction.currentPrice || 0) + (auction.minIncrement || 1);
+    const isSeller = auction.viewer?.isSeller ?? user?._id === auction.seller?._id;
+    const viewer = auction.viewer || {};
+    const dutch = auction.auctionType === 'dutch' && ['pending', 'active'].includes(auction.status)
+        ? dutchPriceAt(auction)
+        : null;
+    // The server works out the next bid from the listing's increment table
+    // (or the seller's fixed increment); sealed bids just start at the start price
+    const maxOffer = auction.maximumOffer ?? auction.startPrice;
+    const minBid = sealed ? auction.startPrice : auction.minimumBid ?? auction.startPrice;
+    const increment = auction.bidIncrement || auction.minIncrement || 1;
 
     return (
         <Container maxWidth="lg" sx={{ py: 4 }}>
@@ -194,6 +371,19 @@ const AuctionDetail = () => {
                             {auction.item?.title || 'Untitled'}
                         </Typography>
 
+                        {/* Review state — only the seller and admins can see unapproved listings */}
+                        {auction.reviewStatus === "pending_review" && (
+                            <Alert severity="info" sx={{ mb: 2 }}>This listing is waiting for admin review.</Alert>
+                        )}
+                        {auction.reviewStatus === "changes_requested" && (
+                            <Alert severity="warning" sx={{ mb: 2 }}>
+                                Changes requested: {auction.reviewNote}. Editing the listing sends it back for review.
+                            </Alert>
+                        )}
+                        {auction.reviewStatus === "rejected" && (
+                            <Alert severity="error" sx={{ mb: 2 }}>This listing was not approved: {auction.reviewNote}</Alert>
+                        )}
+
                         <Box sx={{ display: "flex", gap: 1, mb: 2, flexWrap: "wrap" }}>
                             <Chip label={auction.item?.condition || "Good"} color="primary" size="small" />
                             <Chip label={auction.status} size="small"
@@ -206,6 +396,9 @@ const AuctionDetail = () => {
                                     color="primary"
                                 />
                             )}
+                            {sealed && (
+                                <Chip label={AUCTION_TYPE_LABELS[auction.auctionType]} size="small" color="secondary" />
+                            )}
                         </Box>
 
                         <Typography variant="body1" color="text.secondary" paragraph>
@@ -216,6 +409,10 @@ const AuctionDetail = () => {
 
                         <Typography variant="body2">
                             <strong>Seller:</strong> {auction.seller?.name || 'Unknown'}
+                            {auction.seller?.rating > 0 && ` (${auction.seller.rating.toFixed(1)}★)`}
+                        </Typography>
+                        <Typography variant="caption" color="text.secondary">
+                            {auction.item?.views || 0} views
                         </Typography>
                     </Paper>
 
@@ -224,7 +421,11 @@ const AuctionDetail = () => {
                         <Typography variant="h6" gutterBottom>
                             Bid History ({bids.length})
                         </Typography>
-                        {bids.length === 0 ? (
+                        {bidsSealed ? (
+                            <Typography color="text.secondary">
+                                Bids are sealed until the auction ends. {auction.totalBids || 0} submitted so far.
+                            </Typography>
+                        ) : bids.length === 0 ? (
                             <Typography color="text.secondary">No bids yet. Be the first!</Typography>
                         ) : (
                             bids.map((bid, i) => (
@@ -234,9 +435,18 @@ const AuctionDetail = () => {
                                 }}>
                                     <Typography variant="body2">
                                         {bid.bidder?.name || 'Anonymous'}
+                                        {bid.isAutomatic && (
+                                            <Chip label="Auto" size="small" variant="outlined" sx={{ ml: 1 }} />
+                                        )}
                                     </Typography>
                                     <Typography variant="body2" color="primary.main" fontWeight="bold">
-                                        BDT {bid.amount}
+                                        {bid.retractable && (
+                                            <Button size="small" color="warning" sx={{ mr: 1 }}
+                                                onClick={() => { setRetracting(bid); setRetractReason(''); }}>
+                                                Retract
+                                            </Button>
+                                        )}
+                                        BDT {bid.amount}{lot && ` × ${bid.quantity || 1}`}
                                     </Typography>
                                 </Box>
                             ))
@@ -250,20 +460,108 @@ const AuctionDetail = () => {
                         <Typography variant="h6" gutterBottom>Auction Info</Typography>
 
                         <Box sx={{ mb: 2 }}>
-                            <Typography variant="caption" color="text.secondary">Current Bid</Typography>
-                            <Typography variant="h4" color="primary.main" fontWeight="bold">
-                                BDT {auction.currentPrice}
+                            <Typography variant="caption" color="text.secondary">
+                                {dutch ? 'Price Now'
+                                    : bidsSealed ? 'Starting Price'
+                                    : reverse ? (auction.totalBids ? 'Lowest Offer' : 'Budget')
+                                    : lot ? 'Lowest Winning Price per Unit' : 'Current Bid'}
                             </Typography>
-                            <Typography variant="body2" color="text.secondary">
-                                {auction.totalBids || 0} bids placed
+                            <Typography variant="h4" color="primary.main" fontWeight="bold">
+                                BDT {dutch ? dutch.price : bidsSealed ? auction.startPrice : auction.currentPrice}
                             </Typography>
+                            {dutch ? (
+                                <Typography variant="body2" color="text.secondary">
+                                    Drops by BDT {auction.dutch?.decrement} every {auction.dutch?.intervalMinutes} min,
+                                    down to BDT {auction.dutch?.floorPrice}. The first buyer to accept wins.
+                                </Typography>
+                            ) : (
+                                <Typography variant="body2" color="text.secondary">
+                                    {auction.totalBids || 0} {bidsSealed ? 'sealed bids submitted' : reverse ? 'offers made' : 'bids placed'}
+                                </Typography>
+                            )}
+                            {lot && (
+                                <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 0.5 }}>
+                                    Lot of {auction.quantity} units · {auction.unitsClaimed || 0} claimed by current bids.
+                                    {' '}The highest bids per unit win;
+                                    {auction.lotPricing === 'pay_as_bid'
+                                        ? ' each winner pays their own bid.'
+                                        : ' every winner pays the lowest winning bid.'}
+                                </Typography>
+                            )}
+                            {bidsSealed && (
+                                <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 0.5 }}>
+                                    {auction.auctionType === 'sealed_second_price'
+                                        ? 'Each bidder submits one hidden bid. The highest bid wins and pays the second-highest bid.'
+                                        : 'Each bidder submits one hidden bid. The highest bid wins and pays what it bid.'}
+                                    {' '}You can change your bid until the auction ends.
+                                </Typography>
+                            )}
+                            {auction.hasReserve && !bidsSealed && (
+                                <Chip
+                                    size="small"
+                                    sx={{ mt: 1 }}
+                                    color={auction.reserveMet ? "success" : "warning"}
+                                    label={auction.reserveMet ? "Reserve met" : "Reserve not met"}
+                                />
+                            )}
                         </Box>
 
                         <Box sx={{ mb: 3 }}>
                             <Typography variant="caption" color="text.secondary">Time Remaining</Typography>
-                            <CountdownTimer endTime={auction.endTime} size="large" />
+                            <CountdownTimer
+                                endTime={auction.endTime}
+                                extensionCount={auction.extensionCount}
+                                onExpire={loadAuction}
+                                nextDropAt={dutch?.nextDropAt}
+                                nextPrice={dutch?.nextPrice}
+                                onPriceDrop={() => setPriceTick(t => t + 1)}
+                                size="large"
+                            />
+                            {auction.softClose?.enabled && (
+                                <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 0.5 }}>
+                                    Bids in the last {auction.softClose.windowMinutes} min extend the auction
+                                    by {auction.softClose.extensionMinutes} min
+                                </Typography>
+                            )}
                         </Box>
 
+                        {sealed && viewer.mySealedBid && auction.status === 'active' && (
+                            <Alert severity="info" sx={{ mb: 2 }}>
+                                Your sealed bid: BDT {viewer.mySealedBid}
+                            </Alert>
+                        )}
+                        {lot && viewer.isWinning && auction.status === 'active' && (
+                            <Alert severity="success" sx={{ mb: 2 }}>
+                                Your bid currently wins {viewer.myUnits} unit{viewer.myUnits === 1 ? '' : 's'}
+                            </Alert>
+                        )}
+                        {reverse && viewer.isWinning && auction.status === 'active' && (
+                            <Alert severity="success" sx={{ mb: 2 }}>You have the lowest offer</Alert>
+                        )}
+                        {!sealed && !lot && !reverse && viewer.isWinning && auction.status === 'active' && (
+                            <Alert severity="success" sx={{ mb: 2 }}>
+                                You're the highest bidder
+                                {viewer.myMaxBid ? ` (your max: BDT ${viewer.myMaxBid})` : ''}
+                            </Alert>
+                        )}
+                        {!sealed && !viewer.isWinning && viewer.hasBid && auction.status === 'active' && (
+                            <Alert severity="warning" sx={{ mb: 2 }}>
+                                {reverse ? 'Your offer was undercut' : "You've been outbid"}
+                            </Alert>
+                        )}
+
+                        {!isSeller && (
+                            <Button
+                                fullWidth
+                                variant="outlined"
+                                onClick={handleToggleWatchlist}
+                                disabled={watchLoading}
+                                sx={{ mb: 2 }}
+                            >
+                                {viewer.inWatchlist ? '♥ In your watchlist' : '♡ Add to watchlist'}
+                            </Button>
+                        )}
+
                         <Divider sx={{ mb: 2 }} />
 
                         {isAdmin && (
@@ -287,11 +585,44 @@ const AuctionDetail = () => {
                             </Box>
                         )}
 
+                        {!isSeller && isBuyNowAvailable(auction) && (
+                            <Box sx={{ mb: 2 }}>
+                                <Typography variant="caption" color="text.secondary">Buy It Now</Typography>
+                                <Typography variant="h5" fontWeight="bold">BDT {auction.buyNowPrice}</Typography>
+                                <Button
+                                    fullWidth
+                                    variant="contained"
+                                    color="secondary"
+                                    sx={{ mt: 1 }}
+                                    onClick={() => (isAuthenticated ? setPurchase('buyNow') : navigate('/login'))}
+                                >
+                                    Buy It Now
+                                </Button>
+                                <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 0.5 }}>
+                                    {auction.hasReserve
+                                        ? 'Available until bidding reaches the reserve'
+                                        : 'Available until the first bid'}
+                                </Typography>
+                            </Box>
+                        )}
+
                         {isSeller ? (
 
-                            <Alert severity="info">You cannot bid on your own auction.</Alert>
+                            <Alert severity="info">
+                                {reverse
+                                    ? 'This is your request. Sellers\' offers appear in the bid history.'
+                                    : 'You cannot bid on your own auction.'}
+                            </Alert>
                         ) : auction.status !== 'active' ? (
-                            <Alert severity="warning">This auction is not active.</Alert>
+                            <>
+                                {bidError && <Alert severity="error" sx={{ mb: 1 }}>{bidError}</Alert>}
+                                {bidSuccess && <Alert severity="success" sx={{ mb: 1 }}>{bidSuccess}</Alert>}
+                                <Alert severity="warning">
+                                    {auction.soldViaBuyNow
+                                        ? `Sold with Buy It Now for BDT ${auction.finalPrice}.`
+                                        : 'This auction is not active.'}
+                                </Alert>
+                            </>
                         ) : !isAuthenticated ? (
                             <Box>
                                 <Alert severity="info" sx={{ mb: 1 }}>Login to place a bid</Alert>
@@ -299,22 +630,71 @@ const AuctionDetail = () => {
                                     Login to Bid
                                 </Button>
                             </Box>
+                        ) : reverse && !hasSellerRole ? (
+                            <Box>
+                                <Alert severity="info" sx={{ mb: 1 }}>Only sellers can make offers on buyer requests.</Alert>
+                                <Button fullWidth variant="outlined" onClick={() => navigate('/seller/apply')}>
+                                    Become a Seller
+                                </Button>
+                            </Box>
+                        ) : dutch ? (
+                            <Box>
+                                {bidError && <Alert severity="error" sx={{ mb: 1 }}>{bidError}</Alert>}
+                                <Button
+                                    fullWidth
+                                    variant="contained"
+                                    size="large"
+                                    onClick={() => setPurchase('dutch')}
+                                >
+                                    Buy at BDT {dutch.price}
+                                </Button>
+                                <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 0.5 }}>
+                                    Waiting may get a lower price — or someone else may buy first.
+                                </Typography>
+                            </Box>
                         ) : (
                             <Box>
                                 <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
-                                    Minimum bid: <strong>BDT {minBid}</strong>
+                                    {reverse ? 'Maximum offer:' : sealed ? 'Bids start at' : lot ? 'Minimum bid per unit:' : 'Minimum bid:'}
+                                    {' '}<strong>BDT {reverse ? maxOffer : minBid}</strong>
                                 </Typography>
                                 {bidError && <Alert severity="error" sx={{ mb: 1 }}>{bidError}</Alert>}
                                 {bidSuccess && <Alert severity="success" sx={{ mb: 1 }}>{bidSuccess}</Alert>}
                                 <TextField
                                     fullWidth
-                                    label="Your Bid (BDT)"
+                                    label={sealed ? "Your Sealed Bid (BDT)" : lot ? "Your Bid per Unit (BDT)" : reverse ? "Your Offer (BDT)" : "Your Bid (BDT)"}
                                     type="number"
                                     value={bidAmount}
                                     onChange={(e) => setBidAmount(e.target.value)}
-                                    inputProps={{ min: minBid, step: auction.minIncrement || 1 }}
+                                    inputProps={reverse
+                                        ? { min: 0.01, max: maxOffer, step: 0.01 }
+                                        : { min: minBid, step: sealed ? 0.01 : increment }}
                                     sx={{ mb: 2 }}
                                 />
+                                {lot && (
+                                    <TextField
+                                        fullWidth
+                                        label={`Units (1–${auction.quantity})`}
+                                        type="number"
+                                        value={bidQuantity}
+                                        onChange={(e) => setBidQuantity(e.target.value)}
+                                        inputProps={{ min: 1, max: auction.quantity, step: 1 }}
+                                        helperText="A new bid replaces your earlier one"
+                                        sx={{ mb: 2 }}
+                                    />
+                                )}
+                                {!sealed && !lot && !reverse && (
+                                    <TextField
+                                        fullWidth
+                                        label="Maximum Bid (BDT, optional)"
+                                        type="number"
+                                        value={maxAmount}
+                                        onChange={(e) => setMaxAmount(e.target.value)}
+                                        inputProps={{ min: minBid, step: increment }}
+                                        helperText="We'll bid for you in minimum steps up to this amount. It stays hidden."
+                                        sx={{ mb: 2 }}
+                                    />
+                                )}
                                 <Button
                                     fullWidth
                                     variant="contained"
@@ -323,18 +703,68 @@ const AuctionDetail = () => {
                                     onClick={handleBid}
                                     disabled={bidLoading}
                                 >
-                                    {bidLoading ? 'Placing Bid...' : 'Place Bid'}
+                                    {bidLoading
+                                        ? 'Placing Bid...'
+                                        : sealed
+                                            ? (viewer.mySealedBid ? 'Update Sealed Bid' : 'Submit Sealed Bid')
+                                            : reverse ? 'Place Offer' : 'Place Bid'}
                                 </Button>
                             </Box>
                         )}
 
-                        <Divider sx={{ my: 2 }} />
-                        <Typography variant="caption" color="text.secondary">
-                            Min increment: BDT {auction.minIncrement || 1}
-                        </Typography>
+                        {!sealed && !dutch && (
+                            <>
+                                <Divider sx={{ my: 2 }} />
+                                <Typography variant="caption" color="text.secondary">
+                                    {reverse ? 'Min decrement' : 'Min increment'}: BDT {increment}
+                                    {!auction.minIncrement && ' at this price'}
+                                </Typography>
+                            </>
+                        )}
                     </Paper>
                 </Grid>
             </Grid>
+
+            {/* Buy It Now / Dutch price confirmation */}
+            <Dialog open={Boolean(purchase)} onClose={() => !purchaseLoading && setPurchase(null)}>
+                <DialogTitle>{purchase === 'dutch' ? 'Buy at this price?' : 'Buy It Now?'}</DialogTitle>
+                <DialogContent>
+                    <DialogContentText>
+                        {purchase === 'dutch'
+                            ? `You are buying "${auction.item?.title}" at the current price of BDT ${dutch?.price} (less if it drops before you confirm).`
+                            : `You are buying "${auction.item?.title}" for BDT ${auction.buyNowPrice}.`}
+                        {' '}The auction ends immediately and you are committed to pay.
+                    </DialogContentText>
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setPurchase(null)} disabled={purchaseLoading}>Cancel</Button>
+                    <Button variant="contained" color="secondary" onClick={handlePurchase} disabled={purchaseLoading}>
+                        {purchaseLoading ? 'Buying...' : 'Confirm purchase'}
+                    </Button>
+                </DialogActions>
+            </Dialog>
+
+            {/* Bid retraction */}
+            <Dialog open={Boolean(retracting)} onClose={() => !retractLoading && setRetracting(null)} fullWidth maxWidth="xs">
+                <DialogTitle>Retract your {reverse ? 'offer' : 'bid'} of BDT {retracting?.amount}?</DialogTitle>
+                <DialogContent>
+                    <DialogContentText sx={{ mb: 2 }}>
+                        Your later bids and any maximum bid on this auction are withdrawn with it, and the
+                        price goes back to the next best bid. Retractions are recorded and reviewed by admins.
+                    </DialogContentText>
+                    <TextField fullWidth multiline minRows={2} label="Reason" value={retractReason}
+                        onChange={(e) => setRetractReason(e.target.value)}
+                        inputProps={{ maxLength: 500 }}
+                        placeholder="e.g. Typed an extra zero" />
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setRetracting(null)} disabled={retractLoading}>Cancel</Button>
+                    <Button variant="contained" color="warning" onClick={handleRetract}
+                        disabled={retractLoading || !retractReason.trim()}>
+                        {retractLoading ? 'Retracting...' : 'Retract'}
+                    </Button>
+                </DialogActions>
+            </Dialog>
         </Container>
     );
 };
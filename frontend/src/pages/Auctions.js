@@ -29,6 +29,8 @@ import {
     DialogTitle,
     DialogContent,
     DialogActions,
+    ToggleButton,
+    ToggleButtonGroup,
 } from '@mui/material';
 import {
     Search as SearchIcon,
@@ -49,6 +51,7 @@ const Auctions = () => {
     
     // State for filters
     const [filters, setFilters] = useState({
+        listing: 'items', // 'items' for sale, or 'requests' (reverse auctions)
         search: '',
         category: 'all',
         condition: 'all',
@@ -124,6 +127,7 @@ const Auctions = () => {
 
             try {
                 const response = await auctionService.browseAuctions({
+                    listing: filters.listing === 'requests' ? 'requests' : undefined,
                     search: filters.search || undefined,
                     category: filters.category !== 'all' ? filters.category : undefined,
                     condition: filters.condition !== 'all' ? filters.condition : undefined,
@@ -221,7 +225,8 @@ const Auctions = () => {
     };
 
     const clearFilters = () => {
-        setFilters({
+        setFilters(prev => ({
+            listing: prev.listing,
             search: '',
             category: 'all',
             condition: 'all',
@@ -230,7 +235,7 @@ const Auctions = () => {
             sortBy: 'endTime',
             sortOrder: 'asc',
             page: 1
-        });
+        }));
     };
 
     const handleAuctionExpire = (auctionId) => {
@@ -262,11 +267,20 @@ const Auctions = () => {
             <Box sx={{ mb: 4, display: "flex", justifyContent: "space-between", alignItems: "flex-start" }}>
                 <Box>
                     <Typography variant="h4" gutterBottom>
-                        Active Auctions
+                        {filters.listing === 'requests' ? 'Buyer Requests' : 'Active Auctions'}
                     </Typography>
                     <Typography variant="body1" color="text.secondary">
-                        Discover and bid on unique items from sellers around the world
+                        {filters.listing === 'requests'
+                            ? 'Buyers post what they need — sellers bid the price down, lowest offer wins'
+                            : 'Discover and bid on unique items from sellers around the world'}
                     </Typography>
+                    <ToggleButtonGroup
+                        size="small" exclusive value={filters.listing} sx={{ mt: 1.5 }}
+                        onChange={(e, value) => value && handleFilterChange('listing', value)}
+                    >
+                        <ToggleButton value="items">Items for sale</ToggleButton>
+                        <ToggleButton value="requests">Buyer requests</ToggleButton>
+                    </ToggleButtonGroup>
                 </Box>
                 {isAdmin && (
                     <Button variant="outlined" color="primary"
@@ -1,19 +1,24 @@
 //Farhan sprint 2
 
 import React, { useState, useEffect } from "react";
-import { getMyBids, getWonAuctions } from "../services/buyer";
+import { Link } from "react-router-dom";
+import { getMyBids, getWonAuctions, getMyRequests } from "../services/buyer";
+
+const TAB_LABELS = { bids: "My Bid History", won: "Auctions Won", requests: "My Requests" };
 
 const BuyerDashboard = () => {
     const [bids, setBids]           = useState({ stats: {}, data: [] });
     const [won, setWon]             = useState({ totalSpent: 0, data: [] });
+    const [requests, setRequests]   = useState({ stats: {}, data: [] });
     const [activeTab, setActiveTab] = useState("bids");
     const [loading, setLoading]     = useState(true);
 
     useEffect(() => {
-        Promise.all([getMyBids(), getWonAuctions()])
-            .then(([bidsRes, wonRes]) => {
+        Promise.all([getMyBids(), getWonAuctions(), getMyRequests()])
+            .then(([bidsRes, wonRes, requestsRes]) => {
                 setBids({ stats: bidsRes.stats, data: bidsRes.data });
                 setWon({ totalSpent: wonRes.totalSpent, data: wonRes.data });
+                setRequests({ stats: requestsRes.stats, data: requestsRes.data });
             })
             .catch(console.error)
             .finally(() => setLoading(false));
@@ -45,7 +50,7 @@ const BuyerDashboard = () => {
 
             {/* Tabs */}
             <div style={{ display: "flex", gap: "8px", marginBottom: "16px" }}>
-                {["bids", "won"].map(tab => (
+                {Object.keys(TAB_LABELS).map(tab => (
                     <button key={tab} onClick={() => setActiveTab(tab)}
                         style={{
                             padding: "8px 20px", cursor: "pointer",
@@ -53,7 +58,7 @@ const BuyerDashboard = () => {
                             color: activeTab === tab ? "#fff" : "#333",
                             border: "none", borderRadius: "4px"
                         }}>
-                        {tab === "bids" ? "My Bid History" : "Auctions Won"}
+                        {TAB_LABELS[tab]}
                     </button>
                 ))}
             </div>
@@ -100,6 +105,38 @@ const BuyerDashboard = () => {
                     }
                 </div>
             )}
+
+            {/* Requests Tab — reverse auctions this user posted */}
+            {activeTab === "requests" && (
+                <div>
+                    <p style={{ fontSize: "14px", color: "#666" }}>
+                        {requests.stats?.open || 0} open · {requests.stats?.awarded || 0} awarded
+                        {requests.stats?.saved > 0 && ` · BDT ${requests.stats.saved} under budget`}
+                        {" · "}<Link to="/requests/create">Post a request</Link>
+                    </p>
+                    {requests.data.length === 0 ? <p>No requests yet.</p> :
+                        requests.data.map(r => (
+                            <div key={r._id} style={{
+                                padding: "12px", marginBottom: "8px",
+                                background: "#fff", borderRadius: "6px", border: "1px solid #eee"
+                            }}>
+                                <Link to={`/auction/${r._id}`}><strong>{r.item?.title}</strong></Link>
+                                <span style={{ marginLeft: "16px", color: "#666" }}>Budget: BDT {r.startPrice}</span>
+                                <span style={{ marginLeft: "16px", color: "#2E75B6" }}>
+                                    {r.status === "sold"
+                                        ? `Awarded to ${r.winner?.storeName || r.winner?.name} for BDT ${r.finalPrice}`
+                                        : r.totalBids > 0
+                                            ? `Lowest offer: BDT ${r.currentPrice} (${r.totalBids} offers)`
+                                            : "No offers yet"}
+                                </span>
+                                <span style={{ marginLeft: "16px", fontSize: "12px", color: "#999" }}>
+                                    Status: {r.status} · closes {new Date(r.endTime).toLocaleString()}
+                                </span>
+                            </div>
+                        ))
+                    }
+                </div>
+            )}
         </div>
     );
 };
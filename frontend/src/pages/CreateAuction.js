@@ -1,7 +1,7 @@
 /**
  * Create Auction Page
- * Form for users to list an item for auction
- * Any logged-in user can create an auction
+ * Form for sellers to list an item for auction
+ * Sellers and admins only — other users apply at /seller/apply
  * Author: Farhan
  */
 
@@ -9,11 +9,12 @@ import React, { useState, useEffect } from "react";
 import {
     Container, Paper, Typography, TextField, Button,
     Box, Alert, Grid, MenuItem, Select, FormControl,
-    InputLabel, Divider, CircularProgress
+    InputLabel, Divider, CircularProgress, FormControlLabel, Switch
 } from "@mui/material";
 import { useNavigate } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
 import api from "../services/api";
+import { AUCTION_TYPE_LABELS, isSealedAuction } from "../services/auction";
 
 const CreateAuction = () => {
     const { isAuthenticated, user } = useAuth();
@@ -29,13 +30,32 @@ const CreateAuction = () => {
         description:  "",
         condition:    "Good",
         category:     "",
+        auctionType:  "english",
         startPrice:   "",
-        minIncrement: "1",
+        minIncrement: "",
         reservePrice: "",
+        buyNowPrice:  "",
+        // Multi-quantity lot (English only)
+        quantity:     "1",
+        lotPricing:   "uniform",
         startTime:    "",
         endTime:      "",
+        // Anti-sniping soft close
+        softCloseEnabled:          false,
+        softCloseWindowMinutes:    "2",
+        softCloseExtensionMinutes: "2",
+        softCloseMaxExtensions:    "0",
+        // Dutch auction price drops
+        dutchFloorPrice:      "",
+        dutchDecrement:       "",
+        dutchIntervalMinutes: "10",
     });
 
+    // Buy It Now, soft close and increments only apply to open ascending bidding
+    const openBidding = formData.auctionType === "english";
+    const isDutch     = formData.auctionType === "dutch";
+    const isLot       = openBidding && parseInt(formData.quantity) > 1;
+
     // Image Addition
     const [images,        setImages]        = useState([]);
     const [imagePreviews, setImagePreviews] = useState([]);
@@ -102,6 +122,31 @@ const CreateAuction = () => {
         if (new Date(formData.endTime) <= new Date(formData.startTime)) {
             return setError("End time must be after start time");
         }
+        if (openBidding) {
+            const quantity = Number(formData.quantity);
+            if (!Number.isInteger(quantity) || quantity < 1 || quantity > 10000) {
+                return setError("Quantity must be a whole number from 1 to 10000");
+            }
+        }
+        const buyNowPrice = openBidding && !isLot ? parseFloat(formData.buyNowPrice) : NaN;
+        if (buyNowPrice > 0 && buyNowPrice <= parseFloat(formData.startPrice)) {
+            return setError("Buy It Now price must be higher than the start price");
+        }
+        if (buyNowPrice > 0 && buyNowPrice < (parseFloat(formData.reservePrice) || 0)) {
+            return setError("Buy It Now price must be at least the reserve price");
+        }
+        if (isDutch) {
+            const floor = parseFloat(formData.dutchFloorPrice);
+            if (!(floor > 0) || floor >= parseFloat(formData.startPrice)) {
+                return setError("Floor price must be greater than 0 and lower than the start price");
+            }
+            if (!(parseFloat(formData.dutchDecrement) > 0)) {
+                return setError("Price drop must be greater than 0");
+            }
+            if (!(parseFloat(formData.dutchIntervalMinutes) >= 1)) {
+                return setError("Price drop interval must be at least 1 minute");
+            }
+        }
         // for image add
         if (!formData.title || !formData.category || !formData.startPrice ||
             !formData.startTime || !formData.endTime) {
@@ -121,11 +166,28 @@ const CreateAuction = () => {
             fd.append("title",        formData.title);
             fd.append("description",  formData.description || "");
             fd.append("condition",    formData.condition);
+            fd.append("auctionType",  formData.auctionType);
             fd.append("startPrice",   formData.startPrice);
-            fd.append("minIncrement", formData.minIncrement || "1");
+            if (formData.minIncrement) fd.append("minIncrement", formData.minIncrement);
             fd.append("reservePrice", formData.reservePrice || "0");
+            if (formData.buyNowPrice && openBidding && !isLot) fd.append("buyNowPrice", formData.buyNowPrice);
+            if (isLot) {
+                fd.append("quantity",   formData.quantity);
+                fd.append("lotPricing", formData.lotPricing);
+            }
             fd.append("startTime",    formData.startTime);
             fd.append("endTime",      formData.endTime);
+            fd.append("softCloseEnabled", formData.softCloseEnabled && openBidding ? "true" : "false");
+            if (formData.softCloseEnabled && openBidding) {
+                fd.append("softCloseWindowMinutes",    formData.softCloseWindowMinutes || "0");
+                fd.append("softCloseExtensionMinutes", formData.softCloseExtensionMinutes || "0");
+                fd.append("softCloseMaxExtensions",    formData.softCloseMaxExtensions || "0");
+            }
+            if (isDutch) {
+                fd.append("dutchFloorPrice",      formData.dutchFloorPrice);
+                fd.append("dutchDecrement",       formData.dutchDecrement);
+                fd.append("dutchIntervalMinutes", formData.dutchIntervalMinutes);
+            }
             if (formData.category) fd.append("category", formData.category);
             images.forEach(img => fd.append("images", img));
 
@@ -135,7 +197,7 @@ const CreateAuction = () => {
 
 
             if (res.data.success) {
-                setSuccess("Auction created successfully!");
+                setSuccess(res.data.message);
                 setTimeout(() => navigate("/auctions"), 1500);
             }
         } catch (err) {
@@ -276,22 +338,98 @@ const CreateAuction = () => {
                         PRICING
                     </Typography>
                     <Grid container spacing={2}>
+                        <Grid item xs={12}>
+                            <FormControl fullWidth>
+                                <InputLabel>Auction Format</InputLabel>
+                                <Select name="auctionType" value={formData.auctionType}
+                                    onChange={handleChange} label="Auction Format">
+                                    {Object.entries(AUCTION_TYPE_LABELS).filter(([value]) => value !== "reverse").map(([value, label]) => (
+                                        <MenuItem key={value} value={value}>{label}</MenuItem>
+                                    ))}
+                                </Select>
+                            </FormControl>
+                            {isSealedAuction(formData) && (
+                                <Typography variant="caption" color="text.secondary" sx={{ display: "block", mt: 0.5 }}>
+                                    Bidders submit one hidden bid each and can change it until the end.
+                                    Bids and bidders are revealed when the auction closes.
+                                </Typography>
+                            )}
+                            {isDutch && (
+                                <Typography variant="caption" color="text.secondary" sx={{ display: "block", mt: 0.5 }}>
+                                    The price starts at the starting price and drops on a schedule until
+                                    it reaches the floor. The first buyer to accept the price wins.
+                                </Typography>
+                            )}
+                        </Grid>
                         <Grid item xs={12} sm={4}>
                             <TextField fullWidth required label="Starting Price (BDT)" name="startPrice"
                                 type="number" inputProps={{ min: 0.01, step: 0.01 }}
                                 value={formData.startPrice} onChange={handleChange} />
                         </Grid>
-                        <Grid item xs={12} sm={4}>
-                            <TextField fullWidth label="Min Bid Increment (BDT)" name="minIncrement"
-                                type="number" inputProps={{ min: 0.01, step: 0.01 }}
-                                value={formData.minIncrement} onChange={handleChange} />
-                        </Grid>
-                        <Grid item xs={12} sm={4}>
-                            <TextField fullWidth label="Reserve Price (BDT)" name="reservePrice"
-                                type="number" inputProps={{ min: 0, step: 0.01 }}
-                                value={formData.reservePrice} onChange={handleChange}
-                                helperText="0 means no reserve" />
-                        </Grid>
+                        {openBidding && (
+                            <Grid item xs={12} sm={4}>
+                                <TextField fullWidth label="Min Bid Increment (BDT, optional)" name="minIncrement"
+                                    type="number" inputProps={{ min: 0.01, step: 0.01 }}
+                                    value={formData.minIncrement} onChange={handleChange}
+                                    helperText="Leave blank to step by the category's price bands" />
+                            </Grid>
+                        )}
+                        {!isDutch && (
+                            <Grid item xs={12} sm={4}>
+                                <TextField fullWidth label="Reserve Price (BDT)" name="reservePrice"
+                                    type="number" inputProps={{ min: 0, step: 0.01 }}
+                                    value={formData.reservePrice} onChange={handleChange}
+                                    helperText="0 means no reserve" />
+                            </Grid>
+                        )}
+                        {isDutch && (
+                            <>
+                                <Grid item xs={12} sm={4}>
+                                    <TextField fullWidth required label="Floor Price (BDT)" name="dutchFloorPrice"
+                                        type="number" inputProps={{ min: 0.01, step: 0.01 }}
+                                        value={formData.dutchFloorPrice} onChange={handleChange}
+                                        helperText="The price never drops below this" />
+                                </Grid>
+                                <Grid item xs={12} sm={6}>
+                                    <TextField fullWidth required label="Price Drop (BDT)" name="dutchDecrement"
+                                        type="number" inputProps={{ min: 0.01, step: 0.01 }}
+                                        value={formData.dutchDecrement} onChange={handleChange} />
+                                </Grid>
+                                <Grid item xs={12} sm={6}>
+                                    <TextField fullWidth required label="Drop Every (min)" name="dutchIntervalMinutes"
+                                        type="number" inputProps={{ min: 1, step: 1 }}
+                                        value={formData.dutchIntervalMinutes} onChange={handleChange} />
+                                </Grid>
+                            </>
+                        )}
+                        {openBidding && (
+                            <Grid item xs={12} sm={4}>
+                                <TextField fullWidth label="Quantity" name="quantity"
+                                    type="number" inputProps={{ min: 1, step: 1 }}
+                                    value={formData.quantity} onChange={handleChange}
+                                    helperText="Identical units sold in this lot" />
+                            </Grid>
+                        )}
+                        {isLot && (
+                            <Grid item xs={12} sm={8}>
+                                <FormControl fullWidth>
+                                    <InputLabel>Winners Pay</InputLabel>
+                                    <Select name="lotPricing" value={formData.lotPricing}
+                                        onChange={handleChange} label="Winners Pay">
+                                        <MenuItem value="uniform">The lowest winning bid (same price for all)</MenuItem>
+                                        <MenuItem value="pay_as_bid">Their own bid</MenuItem>
+                                    </Select>
+                                </FormControl>
+                            </Grid>
+                        )}
+                        {openBidding && !isLot && (
+                            <Grid item xs={12} sm={4}>
+                                <TextField fullWidth label="Buy It Now Price (BDT)" name="buyNowPrice"
+                                    type="number" inputProps={{ min: 0, step: 0.01 }}
+                                    value={formData.buyNowPrice} onChange={handleChange}
+                                    helperText="Optional — lets a buyer end the auction at this price" />
+                            </Grid>
+                        )}
                     </Grid>
 
                     <Divider sx={{ my: 3 }} />
@@ -342,6 +480,40 @@ const CreateAuction = () => {
                                 ))}
                             </Box>
                         </Grid>
+                        {openBidding && (
+                            <Grid item xs={12}>
+                                <FormControlLabel
+                                    control={
+                                        <Switch
+                                            checked={formData.softCloseEnabled}
+                                            onChange={(e) => setFormData(prev => ({ ...prev, softCloseEnabled: e.target.checked }))}
+                                        />
+                                    }
+                                    label="Soft close — extend the auction when bids arrive at the last minute"
+                                />
+                            </Grid>
+                        )}
+                        {formData.softCloseEnabled && openBidding && (
+                            <>
+                                <Grid item xs={12} sm={4}>
+                                    <TextField fullWidth label="Late-bid Window (min)" name="softCloseWindowMinutes"
+                                        type="number" inputProps={{ min: 0, step: 1 }}
+                                        value={formData.softCloseWindowMinutes} onChange={handleChange}
+                                        helperText="Bids this close to the end trigger it" />
+                                </Grid>
+                                <Grid item xs={12} sm={4}>
+                                    <TextField fullWidth label="Extend By (min)" name="softCloseExtensionMinutes"
+                                        type="number" inputProps={{ min: 0, step: 1 }}
+                                        value={formData.softCloseExtensionMinutes} onChange={handleChange} />
+                                </Grid>
+                                <Grid item xs={12} sm={4}>
+                                    <TextField fullWidth label="Max Extensions" name="softCloseMaxExtensions"
+                                        type="number" inputProps={{ min: 0, step: 1 }}
+                                        value={formData.softCloseMaxExtensions} onChange={handleChange}
+                                        helperText="0 means no limit" />
+                                </Grid>
+                            </>
+                        )}
                     </Grid>
 
                     <Button fullWidth type="submit" variant="contained" size="large"
@@ -0,0 +1,164 @@
+/**
+ * Post a Request Page
+ * A buyer describes what they need, their maximum budget and a deadline;
+ * sellers then bid the price down (reverse auction)
+ * Author: Farhan
+ */
+
+import React, { useState, useEffect } from "react";
+import {
+    Container, Paper, Typography, TextField, Button,
+    Box, Alert, Grid, MenuItem, Select, FormControl,
+    InputLabel, Divider, CircularProgress
+} from "@mui/material";
+import { useNavigate } from "react-router-dom";
+import api from "../services/api";
+import auctionService from "../services/auction";
+
+const CreateRequest = () => {
+    const navigate = useNavigate();
+
+    const [categories, setCategories] = useState([]);
+    const [loading,    setLoading]    = useState(false);
+    const [error,      setError]      = useState("");
+    const [success,    setSuccess]    = useState("");
+
+    const [formData, setFormData] = useState({
+        title:        "",
+        description:  "",
+        category:     "",
+        budget:       "",
+        minDecrement: "",
+        endTime:      ""
+    });
+
+    useEffect(() => {
+        api.get("/admin/categories")
+            .then(res => setCategories(res.data.data || []))
+            .catch(() => {});
+    }, []);
+
+    const handleChange = (e) => {
+        setFormData({ ...formData, [e.target.name]: e.target.value });
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError("");
+        setSuccess("");
+
+        if (!formData.title || !formData.budget || !formData.endTime) {
+            return setError("Please fill in all required fields");
+        }
+        if (parseFloat(formData.budget) <= 0) {
+            return setError("Budget must be greater than 0");
+        }
+        if (new Date(formData.endTime) <= new Date()) {
+            return setError("Deadline must be in the future");
+        }
+
+        setLoading(true);
+        try {
+            const fd = new FormData();
+            fd.append("title",        formData.title);
+            fd.append("description",  formData.description || "");
+            fd.append("budget",       formData.budget);
+            if (formData.minDecrement) fd.append("minDecrement", formData.minDecrement);
+            fd.append("endTime",      formData.endTime);
+            if (formData.category) fd.append("category", formData.category);
+
+            const res = await auctionService.createRequest(fd);
+            if (res.success) {
+                setSuccess(res.message);
+                setTimeout(() => navigate("/buyer/dashboard"), 1500);
+            }
+        } catch (err) {
+            setError(err.response?.data?.message || "Failed to post request");
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const toLocal = (d) => new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+
+    return (
+        <Container maxWidth="md" sx={{ py: 4 }}>
+            <Paper elevation={3} sx={{ p: 4 }}>
+                <Typography variant="h4" gutterBottom fontWeight="bold">
+                    Post a Request
+                </Typography>
+                <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+                    Tell sellers what you need and the most you will pay. Sellers bid the price
+                    down until the deadline, and the lowest offer wins.
+                </Typography>
+
+                {error   && <Alert severity="error"   sx={{ mb: 2 }}>{error}</Alert>}
+                {success && <Alert severity="success" sx={{ mb: 2 }}>{success}</Alert>}
+
+                <Box component="form" onSubmit={handleSubmit}>
+                    <Typography variant="subtitle2" color="text.secondary" sx={{ mb: 1 }}>
+                        WHAT YOU NEED
+                    </Typography>
+                    <Grid container spacing={2}>
+                        <Grid item xs={12}>
+                            <TextField fullWidth required label="Title" name="title"
+                                value={formData.title} onChange={handleChange}
+                                placeholder="e.g. 20 office chairs, delivered to Dhaka" />
+                        </Grid>
+                        <Grid item xs={12}>
+                            <TextField fullWidth multiline rows={4}
+                                label="Details" name="description"
+                                value={formData.description} onChange={handleChange}
+                                helperText="Specifications, quantity, delivery terms..." />
+                        </Grid>
+                        <Grid item xs={12} sm={6}>
+                            <FormControl fullWidth>
+                                <InputLabel>Category</InputLabel>
+                                <Select name="category" value={formData.category}
+                                    onChange={handleChange} label="Category">
+                                    {categories.map(c => (
+                                        <MenuItem key={c._id} value={c._id}>{c.name}</MenuItem>
+                                    ))}
+                                </Select>
+                            </FormControl>
+                        </Grid>
+                    </Grid>
+
+                    <Divider sx={{ my: 3 }} />
+
+                    <Typography variant="subtitle2" color="text.secondary" sx={{ mb: 1 }}>
+                        BUDGET AND DEADLINE
+                    </Typography>
+                    <Grid container spacing={2}>
+                        <Grid item xs={12} sm={4}>
+                            <TextField fullWidth required label="Maximum Budget (BDT)" name="budget"
+                                type="number" inputProps={{ min: 0.01, step: 0.01 }}
+                                value={formData.budget} onChange={handleChange}
+                                helperText="Offers can't go above this" />
+                        </Grid>
+                        <Grid item xs={12} sm={4}>
+                            <TextField fullWidth label="Min Decrement (BDT, optional)" name="minDecrement"
+                                type="number" inputProps={{ min: 0.01, step: 0.01 }}
+                                value={formData.minDecrement} onChange={handleChange}
+                                helperText="Blank: steps grow with the price" />
+                        </Grid>
+                        <Grid item xs={12} sm={4}>
+                            <TextField fullWidth required label="Deadline" name="endTime"
+                                type="datetime-local" value={formData.endTime} onChange={handleChange}
+                                InputLabelProps={{ shrink: true }}
+                                inputProps={{ min: toLocal(new Date()) }}
+                                helperText="Offers close at this time" />
+                        </Grid>
+                    </Grid>
+
+                    <Button fullWidth type="submit" variant="contained" size="large"
+                        sx={{ mt: 4, py: 1.5 }} disabled={loading}>
+                        {loading ? <CircularProgress size={24} color="inherit" /> : "Post Request"}
+                    </Button>
+                </Box>
+            </Paper>
+        </Container>
+    );
+};
+
+export default CreateRequest;
@@ -0,0 +1,77 @@
+/**
+ * Forgot Password Page
+ * Asks for the account email and sends a reset link
+ * Author: Talha
+ */
+import React, { useState } from "react";
+import {
+    Container, Paper, Typography, TextField, Button,
+    Box, Alert, Link as MuiLink
+} from "@mui/material";
+import { Link } from "react-router-dom";
+import api from "../services/api";
+
+const ForgotPassword = () => {
+    const [email,   setEmail]   = useState("");
+    const [error,   setError]   = useState("");
+    const [message, setMessage] = useState("");
+    const [loading, setLoading] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError("");
+        setMessage("");
+        setLoading(true);
+
+        try {
+            const response = await api.post("/auth/forgot-password", { email });
+            setMessage(response.data.message);
+        } catch (err) {
+            setError(err.response?.data?.message || "Could not send the reset link. Please try again.");
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <Container maxWidth="xs">
+            <Paper elevation={3} sx={{ p: 4, mt: 8 }}>
+                <Typography variant="h5" align="center" gutterBottom fontWeight="bold">
+                    Forgot Password
+                </Typography>
+                <Typography variant="body2" align="center" color="text.secondary">
+                    Enter your account email and we'll send you a link to reset your password.
+                </Typography>
+
+                {error   && <Alert severity="error"   sx={{ mt: 2 }}>{error}</Alert>}
+                {message && <Alert severity="success" sx={{ mt: 2 }}>{message}</Alert>}
+
+                <Box component="form" onSubmit={handleSubmit}>
+                    <TextField
+                        fullWidth
+                        label="Email"
+                        type="email"
+                        value={email}
+                        onChange={(e) => setEmail(e.target.value)}
+                        margin="normal"
+                        required
+                        autoComplete="email"
+                    />
+                    <Button
+                        fullWidth type="submit" variant="contained"
+                        sx={{ mt: 2, py: 1.5 }} disabled={loading} size="large"
+                    >
+                        {loading ? "Sending..." : "Send Reset Link"}
+                    </Button>
+                </Box>
+
+                <Typography align="center" sx={{ mt: 2 }}>
+                    Remembered it?{" "}
+                    <MuiLink component={Link} to="/login">Back to Login</MuiLink>
+                </Typography>
+            </Paper>
+        </Container>
+    );
+};
+
+export default ForgotPassword;
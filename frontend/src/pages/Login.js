@@ -17,6 +17,9 @@ const Login = () => {
     const [password,   setPassword]   = useState("");
     const [error,      setError]      = useState("");
     const [loading,    setLoading]    = useState(false);
+    // Second step when the account has 2FA: challenge from step one + app code
+    const [challengeToken, setChallengeToken] = useState(null);
+    const [code,           setCode]           = useState("");
 
     const { login }  = useAuth();
     const navigate   = useNavigate();
@@ -32,8 +35,10 @@ const Login = () => {
                 password
             });
 
-            if (response.data.success) {
-                login(response.data.user, response.data.token);
+            if (response.data.twoFactorRequired) {
+                setChallengeToken(response.data.challengeToken);
+            } else if (response.data.success) {
+                login(response.data.user, response.data.token, response.data.refreshToken);
                 navigate("/");
             }
         } catch (err) {
@@ -43,6 +48,30 @@ const Login = () => {
         }
     };
 
+    const handleCodeSubmit = async (e) => {
+        e.preventDefault();
+        setError("");
+        setLoading(true);
+
+        try {
+            const response = await axios.post("http://localhost:5000/api/auth/login/2fa", {
+                challengeToken,
+                code
+            });
+            login(response.data.user, response.data.token, response.data.refreshToken);
+            navigate("/");
+        } catch (err) {
+            // Challenge expired — back to the password step
+            if (err.response?.status === 401 && /expired/i.test(err.response?.data?.message || "")) {
+                setChallengeToken(null);
+                setCode("");
+            }
+            setError(err.response?.data?.message || "Login failed. Please try again.");
+        } finally {
+            setLoading(false);
+        }
+    };
+
     return (
         <Container maxWidth="xs">
             <Paper elevation={3} sx={{ p: 4, mt: 8 }}>
@@ -52,6 +81,32 @@ const Login = () => {
 
                 {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
 
+                {challengeToken ? (
+                    <Box component="form" onSubmit={handleCodeSubmit}>
+                        <Typography variant="body2" color="text.secondary">
+                            Enter the 6-digit code from your authenticator app, or one of your backup codes.
+                        </Typography>
+                        <TextField
+                            fullWidth
+                            label="Authentication code"
+                            value={code}
+                            onChange={(e) => setCode(e.target.value)}
+                            margin="normal"
+                            required
+                            autoFocus
+                            autoComplete="one-time-code"
+                        />
+                        <Button
+                            fullWidth type="submit" variant="contained"
+                            sx={{ mt: 2, py: 1.5 }} disabled={loading} size="large"
+                        >
+                            {loading ? "Verifying..." : "Verify"}
+                        </Button>
+                        <Button fullWidth sx={{ mt: 1 }} onClick={() => { setChallengeToken(null); setCode(""); }}>
+                            Back
+                        </Button>
+                    </Box>
+                ) : (
                 <Box component="form" onSubmit={handleSubmit}>
                     <TextField
                         fullWidth
@@ -72,6 +127,11 @@ const Login = () => {
                         required
                         autoComplete="current-password"
                     />
+                    <Box sx={{ textAlign: "right" }}>
+                        <MuiLink component={Link} to="/forgot-password" variant="body2">
+                            Forgot password?
+                        </MuiLink>
+                    </Box>
                     <Button
                         fullWidth type="submit" variant="contained"
                         sx={{ mt: 2, py: 1.5 }} disabled={loading} size="large"
@@ -79,6 +139,7 @@ const Login = () => {
                         {loading ? "Logging in..." : "Login"}
                     </Button>
                 </Box>
+                )}
 
                 <Typography align="center" sx={{ mt: 2 }}>
                     No account?{" "}
@@ -8,7 +8,8 @@
 import React, { useState, useEffect } from "react";
 import {
     Container, Grid, Typography, Box, Paper, Avatar,
-    Tab, Tabs, Chip, Divider, Alert, CircularProgress, Button
+    Tab, Tabs, Chip, Divider, Alert, CircularProgress, Button,
+    FormControlLabel, Switch
 } from "@mui/material";
 import {
     Person as PersonIcon,
@@ -20,6 +21,7 @@ import {
 import { useNavigate } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
 import api from "../services/api";
+import TwoFactorSettings from "../components/TwoFactorSettings";
 
 const TabPanel = ({ children, value, index }) => (
     <Box hidden={value !== index} sx={{ pt: 3 }}>
@@ -28,7 +30,7 @@ const TabPanel = ({ children, value, index }) => (
 );
 
 const ProfileDashboard = () => {
-    const { user, isAuthenticated } = useAuth();
+    const { user, isAuthenticated, logout } = useAuth();
     const navigate = useNavigate();
 
     const [tab,          setTab]          = useState(0);
@@ -37,6 +39,8 @@ const ProfileDashboard = () => {
     const [wonAuctions,  setWonAuctions]  = useState([]);
     const [watchlist,    setWatchlist]    = useState([]);
     const [loading,      setLoading]      = useState(true);
+    const [emailPrefs,   setEmailPrefs]   = useState(null);
+    const [sessions,     setSessions]     = useState([]);
 
     useEffect(() => {
         if (!isAuthenticated) { navigate("/login"); return; }
@@ -58,11 +62,51 @@ const ProfileDashboard = () => {
             // Fetch all auctions created by this user (all statuses)
             const sellerRes = await api.get("/seller/auctions").catch(() => ({ data: { data: [] } }));
             setMyAuctions(sellerRes.data.data || []);
+
+            const sessionsRes = await api.get("/auth/sessions").catch(() => ({ data: { data: [] } }));
+            setSessions(sessionsRes.data.data || []);
         } finally {
             setLoading(false);
         }
     };
 
+    // Email notification switches (saved as soon as they are toggled)
+    const prefs = emailPrefs || user?.notificationPreferences || {};
+    const handlePrefChange = async (key, value) => {
+        const previous = prefs;
+        setEmailPrefs({ ...prefs, [key]: value });
+        try {
+            const res = await api.put("/auth/profile", { notificationPreferences: { [key]: value } });
+            setEmailPrefs(res.data.user.notificationPreferences);
+        } catch (err) {
+            setEmailPrefs(previous);
+        }
+    };
+
+    // Log one device out, or every device (this one included)
+    const handleRevokeSession = async (session) => {
+        if (session.current) {
+            logout();
+            navigate("/login");
+            return;
+        }
+        try {
+            await api.delete(`/auth/sessions/${session._id}`);
+            setSessions(prev => prev.filter(s => s._id !== session._id));
+        } catch (err) {
+            console.error("Failed to revoke session:", err);
+        }
+    };
+
+    const handleLogoutEverywhere = async () => {
+        try {
+            await api.delete("/auth/sessions");
+        } finally {
+            logout();
+            navigate("/login");
+        }
+    };
+
     if (!user) return null;
 
     const statusColor = (status) => {
@@ -158,6 +202,55 @@ const ProfileDashboard = () => {
                         </Grid>
                     )}
                 </Grid>
+
+                <Divider sx={{ my: 2 }} />
+
+                <Typography variant="body2" color="text.secondary">Email notifications</Typography>
+                <Box sx={{ display: "flex", flexWrap: "wrap" }}>
+                    <FormControlLabel
+                        control={<Switch checked={prefs.email !== false} onChange={(e) => handlePrefChange("email", e.target.checked)} />}
+                        label="Send me emails"
+                    />
+                    <FormControlLabel
+                        control={<Switch checked={prefs.outbid !== false} disabled={prefs.email === false} onChange={(e) => handlePrefChange("outbid", e.target.checked)} />}
+                        label="When I'm outbid"
+                    />
+                    <FormControlLabel
+                        control={<Switch checked={prefs.auctionEnd !== false} disabled={prefs.email === false} onChange={(e) => handlePrefChange("auctionEnd", e.target.checked)} />}
+                        label="Auction results and watchlist reminders"
+                    />
+                </Box>
+
+                <Divider sx={{ my: 2 }} />
+
+                <TwoFactorSettings />
+
+                <Divider sx={{ my: 2 }} />
+
+                <Box sx={{ display: "flex", alignItems: "center", mb: 1 }}>
+                    <Typography variant="body2" color="text.secondary" sx={{ flexGrow: 1 }}>
+                        Active sessions
+                    </Typography>
+                    <Button size="small" color="error" onClick={handleLogoutEverywhere}>
+                        Log out everywhere
+                    </Button>
+                </Box>
+                {sessions.map(s => (
+                    <Box key={s._id} sx={{ display: "flex", alignItems: "center", gap: 1, py: 0.5 }}>
+                        <Box sx={{ flexGrow: 1, minWidth: 0 }}>
+                            <Typography variant="body2" noWrap>
+                                {s.userAgent || "Unknown device"}
+                                {s.current && <Chip label="This device" size="small" color="primary" sx={{ ml: 1 }} />}
+                            </Typography>
+                            <Typography variant="caption" color="text.secondary">
+                                {s.ip || "Unknown IP"} · last active {new Date(s.lastUsedAt).toLocaleString()}
+                            </Typography>
+                        </Box>
+                        <Button size="small" onClick={() => handleRevokeSession(s)}>
+                            {s.current ? "Log out" : "Revoke"}
+                        </Button>
+                    </Box>
+                ))}
             </Paper>
 
             {/* Stats Row */}
@@ -68,7 +68,7 @@ const Register = () => {
             });
 
             if (response.data.success) {
-                login(response.data.user, response.data.token);
+                login(response.data.user, response.data.token, response.data.refreshToken);
                 navigate("/");
             }
         } catch (err) {
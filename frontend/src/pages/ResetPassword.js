@@ -0,0 +1,106 @@
+/**
+ * Reset Password Page
+ * Landing page for the emailed reset link — sets a new password
+ * Author: Talha
+ */
+import React, { useState } from "react";
+import {
+    Container, Paper, Typography, TextField, Button,
+    Box, Alert, Link as MuiLink
+} from "@mui/material";
+import { Link, useParams } from "react-router-dom";
+import { useAuth } from "../context/AuthContext";
+import api from "../services/api";
+
+const ResetPassword = () => {
+    const { token } = useParams();
+    const { logout } = useAuth();
+
+    const [password, setPassword] = useState("");
+    const [confirm,  setConfirm]  = useState("");
+    const [error,    setError]    = useState("");
+    const [message,  setMessage]  = useState("");
+    const [loading,  setLoading]  = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError("");
+
+        if (password.length < 6) {
+            setError("Password must be at least 6 characters");
+            return;
+        }
+        if (password !== confirm) {
+            setError("Passwords do not match");
+            return;
+        }
+
+        setLoading(true);
+        try {
+            const response = await api.post(`/auth/reset-password/${token}`, { password });
+            // Every existing session is signed out by the reset, this one included
+            logout();
+            setMessage(response.data.message);
+        } catch (err) {
+            setError(err.response?.data?.message || "Could not reset the password. Please try again.");
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <Container maxWidth="xs">
+            <Paper elevation={3} sx={{ p: 4, mt: 8 }}>
+                <Typography variant="h5" align="center" gutterBottom fontWeight="bold">
+                    Reset Password
+                </Typography>
+
+                {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+                {message ? (
+                    <>
+                        <Alert severity="success" sx={{ mb: 2 }}>{message}</Alert>
+                        <Button fullWidth variant="contained" component={Link} to="/login">
+                            Go to Login
+                        </Button>
+                    </>
+                ) : (
+                    <Box component="form" onSubmit={handleSubmit}>
+                        <TextField
+                            fullWidth
+                            label="New Password"
+                            type="password"
+                            value={password}
+                            onChange={(e) => setPassword(e.target.value)}
+                            margin="normal"
+                            required
+                            autoComplete="new-password"
+                        />
+                        <TextField
+                            fullWidth
+                            label="Confirm New Password"
+                            type="password"
+                            value={confirm}
+                            onChange={(e) => setConfirm(e.target.value)}
+                            margin="normal"
+                            required
+                            autoComplete="new-password"
+                        />
+                        <Button
+                            fullWidth type="submit" variant="contained"
+                            sx={{ mt: 2, py: 1.5 }} disabled={loading} size="large"
+                        >
+                            {loading ? "Saving..." : "Set New Password"}
+                        </Button>
+                        <Typography align="center" sx={{ mt: 2 }}>
+                            Link expired?{" "}
+                            <MuiLink component={Link} to="/forgot-password">Request a new one</MuiLink>
+                        </Typography>
+                    </Box>
+                )}
+            </Paper>
+        </Container>
+    );
+};
+
+export default ResetPassword;
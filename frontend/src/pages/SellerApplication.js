@@ -0,0 +1,156 @@
+/**
+ * Seller Application Page
+ * "Become a seller": apply with store details and an ID document,
+ * then follow the review status here
+ * Author: Talha
+ */
+import React, { useState, useEffect, useCallback } from "react";
+import {
+    Container, Paper, Typography, TextField, Button,
+    Box, Alert, Grid, CircularProgress
+} from "@mui/material";
+import { Link } from "react-router-dom";
+import { useAuth } from "../context/AuthContext";
+import { getMyApplication, applyForSeller } from "../services/sellerApplications";
+
+const SellerApplication = () => {
+    const { user, isSeller, updateUser } = useAuth();
+
+    const [application, setApplication] = useState(null);
+    const [loading,     setLoading]     = useState(true);
+    const [submitting,  setSubmitting]  = useState(false);
+    const [error,       setError]       = useState("");
+    const [idDocument,  setIdDocument]  = useState(null);
+    const [form, setForm] = useState({
+        storeName: "",
+        phone:     user?.phone || "",
+        street:    user?.address?.street || "",
+        area:      user?.address?.area || "",
+        city:      user?.address?.city || "",
+        zipCode:   user?.address?.zipCode || ""
+    });
+
+    const loadApplication = useCallback(() => {
+        getMyApplication()
+            .then(res => {
+                setApplication(res.data);
+                // Approved since this login — pick up the new role
+                if (res.data?.status === "approved") {
+                    updateUser({ role: "seller", storeName: res.data.storeName });
+                }
+            })
+            .catch(() => {})
+            .finally(() => setLoading(false));
+    }, [updateUser]);
+
+    useEffect(() => { loadApplication(); }, [loadApplication]);
+
+    const handleChange = (e) => setForm({ ...form, [e.target.name]: e.target.value });
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!idDocument) return setError("Please attach an ID document");
+        setError("");
+        setSubmitting(true);
+
+        const fd = new FormData();
+        fd.append("storeName", form.storeName);
+        fd.append("phone", form.phone);
+        ["street", "area", "city", "zipCode"].forEach(key => fd.append(`address[${key}]`, form[key]));
+        fd.append("idDocument", idDocument);
+
+        try {
+            const res = await applyForSeller(fd);
+            setApplication(res.data);
+        } catch (err) {
+            const data = err.response?.data;
+            setError(data?.errors?.[0]?.msg || data?.message || "Could not submit the application");
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    if (loading) {
+        return <Box sx={{ p: 4, textAlign: "center" }}><CircularProgress /></Box>;
+    }
+
+    const status = application?.status;
+
+    return (
+        <Container maxWidth="sm">
+            <Paper elevation={3} sx={{ p: 4, mt: 4 }}>
+                <Typography variant="h5" gutterBottom fontWeight="bold">
+                    Become a Seller
+                </Typography>
+
+                {(isSeller || status === "approved") ? (
+                    <Alert severity="success" action={
+                        <Button color="inherit" size="small" component={Link} to="/auctions/create">List an item</Button>
+                    }>
+                        Your account can list items for auction.
+                    </Alert>
+                ) : status === "pending" ? (
+                    <Alert severity="info">
+                        Your application for "{application.storeName}" is being reviewed. We'll notify you when it's decided.
+                    </Alert>
+                ) : (
+                    <>
+                        {status === "rejected" && (
+                            <Alert severity="warning" sx={{ mb: 2 }}>
+                                Your last application was not approved
+                                {application.rejectionReason ? `: ${application.rejectionReason}` : "."} You can apply again.
+                            </Alert>
+                        )}
+                        <Typography variant="body2" color="text.secondary">
+                            To list items you need a seller account. Tell us about your store and upload a photo
+                            or scan of your national ID or passport — only our admins can see it.
+                        </Typography>
+
+                        {error && <Alert severity="error" sx={{ mt: 2 }}>{error}</Alert>}
+
+                        <Box component="form" onSubmit={handleSubmit} sx={{ mt: 1 }}>
+                            <TextField fullWidth required margin="normal" label="Store name" name="storeName"
+                                value={form.storeName} onChange={handleChange} inputProps={{ maxLength: 60 }} />
+                            <TextField fullWidth required margin="normal" label="Phone" name="phone"
+                                value={form.phone} onChange={handleChange} />
+                            <Grid container spacing={2}>
+                                <Grid size={{ xs: 12, sm: 6 }}>
+                                    <TextField fullWidth margin="normal" label="Street" name="street"
+                                        value={form.street} onChange={handleChange} />
+                                </Grid>
+                                <Grid size={{ xs: 12, sm: 6 }}>
+                                    <TextField fullWidth margin="normal" label="Area" name="area"
+                                        value={form.area} onChange={handleChange} />
+                                </Grid>
+                                <Grid size={{ xs: 12, sm: 6 }}>
+                                    <TextField fullWidth required margin="normal" label="City" name="city"
+                                        value={form.city} onChange={handleChange} />
+                                </Grid>
+                                <Grid size={{ xs: 12, sm: 6 }}>
+                                    <TextField fullWidth margin="normal" label="ZIP code" name="zipCode"
+                                        value={form.zipCode} onChange={handleChange} />
+                                </Grid>
+                            </Grid>
+
+                            <Button variant="outlined" component="label" sx={{ mt: 2 }}>
+                                {idDocument ? "Change ID document" : "Upload ID document"}
+                                <input hidden type="file" accept="image/png,image/jpeg,application/pdf"
+                                    onChange={(e) => setIdDocument(e.target.files[0] || null)} />
+                            </Button>
+                            <Typography variant="caption" display="block" color="text.secondary" sx={{ mt: 1 }}>
+                                {idDocument ? idDocument.name : "PNG, JPG or PDF, up to 5 MB"}
+                            </Typography>
+
+                            <Button fullWidth type="submit" variant="contained" size="large"
+                                sx={{ mt: 3, py: 1.5 }} disabled={submitting}>
+                                {submitting ? "Submitting..." : "Submit Application"}
+                            </Button>
+                        </Box>
+                    </>
+                )}
+            </Paper>
+        </Container>
+    );
+};
+
+export default SellerApplication;
@@ -1,20 +1,63 @@
 //Farhan sprint 2
 
 import React, { useState, useEffect } from "react";
-import { getSellerAuctions, getAuctionBids } from "../services/seller";
+import { Link } from "react-router-dom";
+import { useAuth } from "../context/AuthContext";
+import {
+    getSellerAuctions, getAuctionBids, acceptHighBid, relistAuction, getBuyerRequests
+} from "../services/seller";
+
+// Listing review states worth showing next to the status (approved needs no note)
+const REVIEW_LABELS = {
+    pending_review: "Waiting for admin review",
+    changes_requested: "Changes requested",
+    rejected: "Not approved"
+};
 
 const SellerDashboard = () => {
     const [data, setData]       = useState({ stats: {}, auctions: [] });
     const [bids, setBids]       = useState(null);
     const [loading, setLoading] = useState(true);
     const [error, setError]     = useState("");
+    const [requests, setRequests] = useState(null);
+    const { isSeller } = useAuth();
 
-    useEffect(() => {
+    const load = () => {
         getSellerAuctions()
             .then(res => setData({ stats: res.stats, auctions: res.data }))
             .catch(() => setError("Failed to load dashboard"))
             .finally(() => setLoading(false));
-    }, []);
+    };
+
+    useEffect(() => { load(); }, []);
+
+    // Buyer requests (reverse auctions) are for sellers to make offers on
+    useEffect(() => {
+        if (!isSeller) return;
+        getBuyerRequests()
+            .then(res => setRequests(res))
+            .catch(() => setRequests(null));
+    }, [isSeller]);
+
+    // Reserve not met: seller chooses to sell anyway or run it again
+    const handleAccept = async (auctionId) => {
+        if (!window.confirm("Sell to the highest bidder below your reserve?")) return;
+        try {
+            await acceptHighBid(auctionId);
+            load();
+        } catch (e) {
+            alert(e.response?.data?.message || "Could not accept the high bid");
+        }
+    };
+
+    const handleRelist = async (auctionId) => {
+        try {
+            await relistAuction(auctionId);
+            load();
+        } catch (e) {
+            alert(e.response?.data?.message || "Could not relist auction");
+        }
+    };
 
     const viewBids = async (auctionId) => {
         try {
@@ -68,9 +111,15 @@ const SellerDashboard = () => {
                         <tr key={a._id} style={{ background: i % 2 === 0 ? "#fff" : "#f5f7fa" }}>
                             <td style={{ padding: "10px" }}>{a.item?.title || "—"}</td>
                             <td style={{ padding: "10px" }}><span style={{
-                                background: a.status === "active" ? "#27AE60" : "#999",
+                                background: a.status === "active" ? "#27AE60" : a.status === "reserve_not_met" ? "#E67E22" : "#999",
                                 color: "#fff", padding: "2px 8px", borderRadius: "3px", fontSize: "12px"
-                            }}>{a.status}</span></td>
+                            }}>{a.status === "reserve_not_met" ? "reserve not met" : a.status}</span>
+                                {REVIEW_LABELS[a.reviewStatus] && (
+                                    <div style={{ fontSize: "12px", color: "#666", marginTop: "4px" }}>
+                                        {REVIEW_LABELS[a.reviewStatus]}{a.reviewNote ? `: ${a.reviewNote}` : ""}
+                                    </div>
+                                )}
+                            </td>
                             <td style={{ padding: "10px" }}>BDT {a.currentPrice}</td>
                             <td style={{ padding: "10px" }}>{a.totalBids}</td>
                             <td style={{ padding: "10px" }}>{new Date(a.endTime).toLocaleDateString()}</td>
@@ -79,17 +128,86 @@ const SellerDashboard = () => {
                                     style={{ padding: "4px 12px", cursor: "pointer" }}>
                                     View Bids
                                 </button>
+                                {a.status === "reserve_not_met" && (
+                                    <button onClick={() => handleAccept(a._id)}
+                                        style={{ padding: "4px 12px", marginLeft: "6px", cursor: "pointer", background: "#27AE60", color: "#fff", border: "none", borderRadius: "4px" }}>
+                                        Accept High Bid
+                                    </button>
+                                )}
+                                {(a.status === "reserve_not_met" || a.status === "ended") && (
+                                    <button onClick={() => handleRelist(a._id)}
+                                        style={{ padding: "4px 12px", marginLeft: "6px", cursor: "pointer" }}>
+                                        Relist
+                                    </button>
+                                )}
                             </td>
                         </tr>
                     ))}
                 </tbody>
             </table>
 
+            {/* Buyer Requests — open ones and the ones we've offered on */}
+            {requests && (
+                <div style={{ marginTop: "32px" }}>
+                    <h2>Buyer Requests</h2>
+                    <p style={{ fontSize: "14px", color: "#666" }}>
+                        Buyers post what they need; the lowest offer by the deadline wins.
+                        {" "}{requests.stats?.leading || 0} of your offers lead · {requests.stats?.awarded || 0} won
+                    </p>
+
+                    <h3>Your Offers</h3>
+                    {requests.offered.length === 0 ? <p>You haven't made any offers yet.</p> : (
+                        <table style={{ width: "100%", borderCollapse: "collapse" }}>
+                            <thead>
+                                <tr style={{ background: "#1B3A6B", color: "#fff" }}>
+                                    {["Request", "Buyer", "Your Lowest Offer", "Lowest Offer", "Status", "Closes"].map(h => (
+                                        <th key={h} style={{ padding: "10px", textAlign: "left" }}>{h}</th>
+                                    ))}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {requests.offered.map((r, i) => (
+                                    <tr key={r._id} style={{ background: i % 2 === 0 ? "#fff" : "#f5f7fa" }}>
+                                        <td style={{ padding: "10px" }}><Link to={`/auction/${r._id}`}>{r.item?.title || "—"}</Link></td>
+                                        <td style={{ padding: "10px" }}>{r.seller?.name}</td>
+                                        <td style={{ padding: "10px" }}>BDT {r.myOffer}</td>
+                                        <td style={{ padding: "10px" }}>BDT {r.currentPrice}</td>
+                                        <td style={{ padding: "10px" }}>
+                                            {r.awarded ? "Won"
+                                                : r.status === "active" ? (r.isLowest ? "Leading" : "Undercut")
+                                                : r.status}
+                                        </td>
+                                        <td style={{ padding: "10px" }}>{new Date(r.endTime).toLocaleString()}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+
+                    <h3>Open Requests</h3>
+                    {requests.open.length === 0 ? <p>No open requests right now.</p> :
+                        requests.open.map(r => (
+                            <div key={r._id} style={{ padding: "8px 0", borderBottom: "1px solid #ddd" }}>
+                                <Link to={`/auction/${r._id}`}><strong>{r.item?.title}</strong></Link>
+                                {" "}— {r.totalBids > 0 ? `lowest offer BDT ${r.currentPrice}` : `budget BDT ${r.startPrice}`}
+                                <span style={{ marginLeft: "12px", fontSize: "12px", color: "#666" }}>
+                                    closes {new Date(r.endTime).toLocaleString()}
+                                </span>
+                            </div>
+                        ))
+                    }
+                </div>
+            )}
+
             {/* Bid Detail Panel */}
             {bids && (
                 <div style={{ marginTop: "32px", background: "#f5f7fa", padding: "24px", borderRadius: "8px" }}>
                     <h3>Bids for: {bids.auction?.title}</h3>
-                    <p>Total Bids: {bids.bidStats?.totalBids} | Highest: BDT {bids.bidStats?.highestBid} | Unique Bidders: {bids.bidStats?.uniqueBidders}</p>
+                    {bids.sealed ? (
+                        <p>Sealed bids submitted: {bids.bidStats?.totalBids}. Amounts and bidders are revealed when the auction ends.</p>
+                    ) : (
+                        <p>Total Bids: {bids.bidStats?.totalBids} | Highest: BDT {bids.bidStats?.highestBid} | Unique Bidders: {bids.bidStats?.uniqueBidders}</p>
+                    )}
                     {bids.data?.map((bid, i) => (
                         <div key={bid._id} style={{ padding: "8px 0", borderBottom: "1px solid #ddd" }}>
                             <strong>#{i + 1}</strong> {bid.bidder?.name} — BDT {bid.amount}
@@ -0,0 +1,68 @@
+/**
+ * Verify Email Page
+ * Landing page for the link in the verification email
+ * Author: Talha
+ * Date: Sprint 3
+ */
+
+import React, { useState, useEffect, useRef } from "react";
+import { useParams, Link } from "react-router-dom";
+import { Container, Paper, Typography, Alert, Button, CircularProgress, Box } from "@mui/material";
+import { useAuth } from "../context/AuthContext";
+import api from "../services/api";
+
+const VerifyEmail = () => {
+    const { token } = useParams();
+    const { isAuthenticated, loading, updateUser } = useAuth();
+    const [status,  setStatus]  = useState("loading"); // loading | success | error
+    const [message, setMessage] = useState("");
+    // Tokens are single-use: don't send it twice (StrictMode runs effects twice)
+    const requested = useRef(false);
+
+    useEffect(() => {
+        // Wait for the saved session so a logged-in user's flag gets updated too
+        if (loading || requested.current) return;
+        requested.current = true;
+
+        api.get(`/auth/verify/${token}`)
+            .then((res) => {
+                setStatus("success");
+                setMessage(res.data.message);
+                if (isAuthenticated) updateUser({ isVerified: true });
+            })
+            .catch((err) => {
+                setStatus("error");
+                setMessage(err.response?.data?.message || "Verification failed");
+            });
+    }, [token, loading, isAuthenticated, updateUser]);
+
+    return (
+        <Container maxWidth="sm">
+            <Paper elevation={3} sx={{ p: 4, mt: 8, textAlign: "center" }}>
+                <Typography variant="h5" gutterBottom fontWeight="bold">
+                    Email Verification
+                </Typography>
+
+                {status === "loading" && (
+                    <Box sx={{ py: 2 }}><CircularProgress /></Box>
+                )}
+                {status === "success" && (
+                    <Alert severity="success" sx={{ mb: 2 }}>{message}. You're all set!</Alert>
+                )}
+                {status === "error" && (
+                    <Alert severity="error" sx={{ mb: 2 }}>
+                        {message}. {isAuthenticated ? "You can request a new link from the banner above." : "Log in to request a new link."}
+                    </Alert>
+                )}
+
+                {status !== "loading" && (
+                    <Button variant="contained" component={Link} to={isAuthenticated ? "/" : "/login"}>
+                        {isAuthenticated ? "Go to Home" : "Login"}
+                    </Button>
+                )}
+            </Paper>
+        </Container>
+    );
+};
+
+export default VerifyEmail;
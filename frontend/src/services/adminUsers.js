@@ -0,0 +1,60 @@
+/**
+ * Admin user management API calls
+ * Author: Talha | Sprint 3
+ */
+
+import api from "./api";
+
+// Summary counts for the admin dashboard
+export const getDashboardStats = async () => {
+    const res = await api.get("/admin/dashboard");
+    return res.data;
+};
+
+// params: { search, role, status: "active" | "inactive", flagged: "retractions", page, limit }
+export const getUsers = async (params = {}) => {
+    const res = await api.get("/admin/users", { params });
+    return res.data;
+};
+
+export const getUser = async (id) => {
+    const res = await api.get(`/admin/users/${id}`);
+    return res.data;
+};
+
+export const getUserAuctions = async (id) => {
+    const res = await api.get(`/admin/users/${id}/auctions`);
+    return res.data;
+};
+
+export const getUserBids = async (id) => {
+    const res = await api.get(`/admin/users/${id}/bids`);
+    return res.data;
+};
+
+// Audit records of the bids a user retracted
+export const getUserRetractions = async (id) => {
+    const res = await api.get(`/admin/users/${id}/retractions`);
+    return res.data;
+};
+
+export const clearRetractionFlag = async (id) => {
+    const res = await api.put(`/admin/users/${id}/retraction-flag`);
+    return res.data;
+};
+
+export const updateUserRole = async (id, role) => {
+    const res = await api.put(`/admin/users/${id}/role`, { role });
+    return res.data;
+};
+
+export const updateUserStatus = async (id, isActive) => {
+    const res = await api.put(`/admin/users/${id}/status`, { isActive });
+    return res.data;
+};
+
+// Revoke every session of the user
+export const forceLogout = async (id) => {
+    const res = await api.post(`/admin/users/${id}/logout`);
+    return res.data;
+};
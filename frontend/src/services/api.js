@@ -1,10 +1,16 @@
 import axios from "axios";
 
+const BASE_URL = process.env.REACT_APP_API_URL || "http://localhost:5000/api";
+
 const api = axios.create({
-    baseURL: process.env.REACT_APP_API_URL || "http://localhost:5000/api",
+    baseURL: BASE_URL,
     headers: { "Content-Type": "application/json" }
 });
 
+// AuthContext registers these so React state follows token changes made here
+const authHandlers = { onRefresh: null, onSessionEnd: null };
+export const setAuthHandlers = (handlers) => Object.assign(authHandlers, handlers);
+
 // Attach JWT token to every request automatically
 api.interceptors.request.use((config) => {
     const token = localStorage.getItem("auction_token");
@@ -14,16 +20,60 @@ api.interceptors.request.use((config) => {
     return config;
 });
 
-// Handle 401 globally (token expired)
+// One refresh at a time — concurrent 401s all wait for the same one
+let refreshing = null;
+const refreshAccessToken = () => {
+    if (!refreshing) {
+        refreshing = axios.post(`${BASE_URL}/auth/refresh`, {
+            refreshToken: localStorage.getItem("auction_refresh_token")
+        })
+            .then((res) => {
+                localStorage.setItem("auction_token", res.data.token);
+                localStorage.setItem("auction_refresh_token", res.data.refreshToken);
+                if (authHandlers.onRefresh) authHandlers.onRefresh(res.data.token);
+                return res.data.token;
+            })
+            .finally(() => { refreshing = null; });
+    }
+    return refreshing;
+};
+
+// Refresh failed for good: clear the login and send the user to /login
+const endSession = () => {
+    localStorage.removeItem("auction_token");
+    localStorage.removeItem("auction_refresh_token");
+    localStorage.removeItem("auction_user");
+    if (authHandlers.onSessionEnd) authHandlers.onSessionEnd();
+    window.location.href = "/login";
+};
+
+// Handle 401 globally: refresh the access token and replay the request once
 api.interceptors.response.use(
     (response) => response,
-    (error) => {
-        if (error.response?.status === 401) {
-            localStorage.removeItem("auction_token");
-            localStorage.removeItem("auction_user");
-            window.location.href = "/login";
+    async (error) => {
+        const original = error.config;
+        const sentToken = original?.headers?.Authorization?.split(" ")[1];
+
+        // Only requests made while logged in can be rescued by a refresh
+        if (error.response?.status !== 401 || !original || original._retried || !sentToken) {
+            return Promise.reject(error);
+        }
+        original._retried = true;
+
+        try {
+            const token = await refreshAccessToken();
+            original.headers.Authorization = `Bearer ${token}`;
+            return api(original);
+        } catch (refreshError) {
+            // Another tab may have refreshed first — use its token if there is one
+            const stored = localStorage.getItem("auction_token");
+            if (stored && stored !== sentToken) {
+                original.headers.Authorization = `Bearer ${stored}`;
+                return api(original);
+            }
+            endSession();
+            return Promise.reject(error);
         }
-        return Promise.reject(error);
     }
 );
 
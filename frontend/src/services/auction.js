@@ -5,14 +5,51 @@
  */
 
 import axios from "axios";
+import api from "./api";
 
 // Base URL for auction API
 const BASE_URL = "http://localhost:5000/api/auctions";
 
-// Helper: get auth headers with stored token
-const getAuthHeaders = () => {
-    const token = localStorage.getItem("auction_token");
-    return token ? { Authorization: `Bearer ${token}` } : {};
+// Labels for Auction.auctionType
+export const AUCTION_TYPE_LABELS = {
+    english: "Open bidding",
+    sealed_first_price: "Sealed bid — highest bid pays its bid",
+    sealed_second_price: "Sealed bid — highest bid pays the second-highest bid",
+    dutch: "Dutch — price drops until someone buys",
+    reverse: "Buyer request — sellers bid the price down"
+};
+
+// Reverse auctions are buyer requests: the lowest offer leads
+export const isReverseAuction = (auction) => auction?.auctionType === "reverse";
+
+// Sealed formats hide bid amounts and bidders until the auction ends
+export const isSealedAuction = (auction) =>
+    ["sealed_first_price", "sealed_second_price"].includes(auction?.auctionType);
+
+// Dutch price right now and the next drop — mirrors Auction.dutchPriceAt on
+// the server, which has the final say when a buyer accepts
+export const dutchPriceAt = (auction, at = new Date()) => {
+    const { floorPrice, decrement, intervalMinutes } = auction.dutch || {};
+    const start = new Date(auction.startTime).getTime();
+    const intervalMs = intervalMinutes * 60 * 1000;
+    if (!(decrement > 0) || !(intervalMs > 0)) {
+        return { price: auction.startPrice, nextDropAt: null, nextPrice: null };
+    }
+
+    const steps = Math.floor(Math.max(0, at.getTime() - start) / intervalMs);
+    const price = Math.max(floorPrice, Math.round((auction.startPrice - steps * decrement) * 100) / 100);
+    const nextDropAt = new Date(start + (steps + 1) * intervalMs);
+    if (price <= floorPrice || nextDropAt >= new Date(auction.endTime)) {
+        return { price, nextDropAt: null, nextPrice: null };
+    }
+    return { price, nextDropAt, nextPrice: Math.max(floorPrice, Math.round((price - decrement) * 100) / 100) };
+};
+
+// Buy It Now is offered until bidding meets the reserve, or — without a
+// reserve — until the first bid (the server makes the final call)
+export const isBuyNowAvailable = (auction) => {
+    if (!auction?.buyNowPrice || auction.status !== "active") return false;
+    return auction.hasReserve ? !auction.reserveMet : !auction.totalBids;
 };
 
 const auctionService = {
@@ -34,17 +71,43 @@ const auctionService = {
         return response.data;
     },
 
-    // Create a new auction (sellers only)
+    // Create a new auction (sellers only) — through api so an expired token is refreshed
     createAuction: async (formData) => {
-        const response = await axios.post(BASE_URL, formData, {
-            headers: { ...getAuthHeaders(), "Content-Type": "multipart/form-data" }
+        const response = await api.post("/auctions", formData, {
+            headers: { "Content-Type": "multipart/form-data" }
+        });
+        return response.data;
+    },
+
+    // Post a buyer request (reverse auction) — any logged-in user
+    createRequest: async (formData) => {
+        const response = await api.post("/auctions/requests", formData, {
+            headers: { "Content-Type": "multipart/form-data" }
         });
         return response.data;
     },
 
+    // Buy an auction outright at its Buy It Now price
+    buyNow: async (auctionId) => {
+        const response = await api.post(`/auctions/${auctionId}/buy-now`);
+        return response.data;
+    },
+
+    // Accept the current price of a Dutch auction
+    acceptPrice: async (auctionId) => {
+        const response = await api.post(`/auctions/${auctionId}/accept-price`);
+        return response.data;
+    },
+
+    // Withdraw one of your own recent bids (a reason is required)
+    retractBid: async (bidId, reason) => {
+        const response = await api.post(`/bids/${bidId}/retract`, { reason });
+        return response.data;
+    },
+
     // Get current seller's auctions
     getMyAuctions: async () => {
-        const response = await axios.get(`${BASE_URL}/my-auctions`, { headers: getAuthHeaders() });
+        const response = await api.get("/auctions/my-auctions");
         return response.data;
     }
 };
@@ -10,13 +10,17 @@ export const loginUser = async (credentials) => {
     // Store token and user in localStorage on successful login
     if (res.data.token) {
         localStorage.setItem("auction_token", res.data.token);
+        localStorage.setItem("auction_refresh_token", res.data.refreshToken);
         localStorage.setItem("auction_user", JSON.stringify(res.data.user));
     }
     return res.data;
 };
 
 export const logoutUser = () => {
+    const refreshToken = localStorage.getItem("auction_refresh_token");
+    if (refreshToken) api.post("/auth/logout", { refreshToken }).catch(() => {});
     localStorage.removeItem("auction_token");
+    localStorage.removeItem("auction_refresh_token");
     localStorage.removeItem("auction_user");
     window.location.href = "/login";
 };
@@ -12,4 +12,10 @@ export const getWonAuctions = async () => {
     return res.data;
 };
 
+// Requests (reverse auctions) the user posted
+export const getMyRequests = async () => {
+    const res = await api.get("/buyer/requests");
+    return res.data;
+};
+
 //Farhan end
\ No newline at end of file
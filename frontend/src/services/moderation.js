@@ -0,0 +1,27 @@
+/**
+ * Listing moderation API calls (admin)
+ * Author: Talha | Sprint 3
+ */
+
+import api from "./api";
+
+// status: "pending_review" (default) or "changes_requested"
+export const getReviewQueue = async (status = "pending_review") => {
+    const res = await api.get("/admin/auctions/review", { params: { status } });
+    return res.data;
+};
+
+export const approveListing = async (id) => {
+    const res = await api.put(`/admin/auctions/${id}/approve`);
+    return res.data;
+};
+
+export const rejectListing = async (id, reason) => {
+    const res = await api.put(`/admin/auctions/${id}/reject`, { reason });
+    return res.data;
+};
+
+export const requestListingChanges = async (id, reason) => {
+    const res = await api.put(`/admin/auctions/${id}/request-changes`, { reason });
+    return res.data;
+};
@@ -0,0 +1,23 @@
+// In-app notifications (navbar bell)
+
+import api from "./api";
+
+export const getNotifications = async (params = {}) => {
+    const res = await api.get("/notifications", { params });
+    return res.data;
+};
+
+export const getUnreadCount = async () => {
+    const res = await api.get("/notifications/unread-count");
+    return res.data;
+};
+
+export const markAsRead = async (id) => {
+    const res = await api.put(`/notifications/${id}/read`);
+    return res.data;
+};
+
+export const markAllAsRead = async () => {
+    const res = await api.put("/notifications/read-all");
+    return res.data;
+};
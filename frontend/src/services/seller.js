@@ -12,4 +12,22 @@ export const getAuctionBids = async (auctionId) => {
     return res.data;
 };
 
+// Buyer requests: open ones and the ones this seller made offers on
+export const getBuyerRequests = async () => {
+    const res = await api.get("/seller/requests");
+    return res.data;
+};
+
+// Sell to the high bidder of an auction that ended below its reserve
+export const acceptHighBid = async (auctionId) => {
+    const res = await api.post(`/auctions/${auctionId}/accept-high-bid`);
+    return res.data;
+};
+
+// Relist an unsold auction (defaults to the original duration starting now)
+export const relistAuction = async (auctionId, data = {}) => {
+    const res = await api.post(`/auctions/${auctionId}/relist`, data);
+    return res.data;
+};
+
 //Farhan end
\ No newline at end of file
@@ -0,0 +1,43 @@
+/**
+ * Seller application API calls
+ * "Become a seller" for users, and the admin review queue
+ * Author: Talha | Sprint 3
+ */
+
+import api from "./api";
+
+// The logged-in user's latest application (data: null if none)
+export const getMyApplication = async () => {
+    const res = await api.get("/seller/application");
+    return res.data;
+};
+
+// fd: FormData with storeName, phone, address[...] and the idDocument file
+export const applyForSeller = async (fd) => {
+    const res = await api.post("/seller/application", fd, {
+        headers: { "Content-Type": "multipart/form-data" }
+    });
+    return res.data;
+};
+
+// Admin: applications by status (pending | approved | rejected | all)
+export const getApplications = async (status = "pending") => {
+    const res = await api.get("/admin/seller-applications", { params: { status } });
+    return res.data;
+};
+
+// Admin: the applicant's ID document as a Blob
+export const getApplicationDocument = async (id) => {
+    const res = await api.get(`/admin/seller-applications/${id}/document`, { responseType: "blob" });
+    return res.data;
+};
+
+export const approveApplication = async (id) => {
+    const res = await api.put(`/admin/seller-applications/${id}/approve`);
+    return res.data;
+};
+
+export const rejectApplication = async (id, reason) => {
+    const res = await api.put(`/admin/seller-applications/${id}/reject`, { reason });
+    return res.data;
+};